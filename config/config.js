@@ -85,6 +85,27 @@ class Config {
     this.saveConfig();
   }
 
+  // Named OpenAI-compatible endpoints (vLLM, LM Studio, gateways).
+  // Entry: { name, baseUrl, apiKeyEnv?, headers?, models? }
+  getOpenAICompatibleProviders() {
+    return this.config.openaiCompatible || [];
+  }
+
+  setOpenAICompatibleProvider(entry) {
+    const entries = this.getOpenAICompatibleProviders().filter(e => e.name !== entry.name);
+    entries.push(entry);
+    this.config.openaiCompatible = entries;
+    this.saveConfig();
+  }
+
+  removeOpenAICompatibleProvider(name) {
+    const entries = this.getOpenAICompatibleProviders();
+    const remaining = entries.filter(e => e.name !== name);
+    this.config.openaiCompatible = remaining;
+    this.saveConfig();
+    return remaining.length < entries.length;
+  }
+
   list() {
     return { ...this.config };
   }
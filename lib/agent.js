@@ -3,7 +3,7 @@ import { config } from '../config/config.js';
 import crypto from 'crypto';
 
 class Agent {
-  constructor({ id, name, role, systemPrompt, provider, model, apiKey, ollamaBaseUrl }) {
+  constructor({ id, name, role, systemPrompt, provider, model, apiKey, ollamaBaseUrl, promptCaching, thinkingBudget, maxOutputTokens, fallbacks }) {
     this.id = id || crypto.randomUUID().slice(0, 8);
     this.name = name;
     this.role = role || '';
@@ -12,17 +12,30 @@ class Agent {
     this.model = model || config.getModel();
     this.apiKey = apiKey || null;
     this.ollamaBaseUrl = ollamaBaseUrl || null;
+    this.promptCaching = promptCaching ?? true; // Claude cache_control breakpoints
+    this.thinkingBudget = thinkingBudget ?? null; // extended thinking tokens; null = config default, 0 = off
+    this.maxOutputTokens = maxOutputTokens ?? null; // reply length cap; null = the model's (config "outputLimits")
+    this.fallbacks = fallbacks ?? null; // ["provider/model", ...] tried in order when the provider fails; null = config "fallbacks"
     this.messages = [];
     this.status = 'idle'; // 'idle' | 'thinking' | 'error'
     this.grokAPI = null;
+    this.abortController = null; // set while sendMessage is running
   }
 
   init() {
     const opts = {
       provider: this.provider,
-      model: this.model
+      model: this.model,
+      promptCaching: this.promptCaching,
+      thinkingBudget: this.thinkingBudget,
+      maxOutputTokens: this.maxOutputTokens,
+      router: false // an agent keeps the model it was configured with
     };
 
+    if (this.fallbacks) {
+      opts.fallbacks = this.fallbacks;
+    }
+
     if (this.apiKey) {
       opts.apiKey = this.apiKey;
     }
@@ -39,31 +52,84 @@ class Agent {
     return this;
   }
 
+  // Run one turn. Resolves to the TurnResult; history keeps its transcript.
   async sendMessage(msg, opts = {}) {
     this.status = 'thinking';
+    // stop() aborts this turn; an outer signal (e.g. a team broadcast) does too
+    const controller = new AbortController();
+    const onOuterAbort = () => controller.abort();
+    if (opts.signal?.aborted) controller.abort();
+    opts.signal?.addEventListener('abort', onOuterAbort, { once: true });
+    this.abortController = controller;
+
     try {
-      const response = await this.grokAPI.processPrompt(msg, {
+      if (opts.includeHistory) {
+        await this._compactBeforeTurn(controller.signal, opts);
+      }
+
+      const result = await this.grokAPI.runPrompt(msg, {
         model: this.model,
         directory: opts.directory || process.cwd(),
         mode: opts.mode || 'build',
         messages: opts.includeHistory ? this.messages : [],
         agentId: this.id,
+        agentName: this.name,
         onToolCall: opts.onToolCall,
         onToolResult: opts.onToolResult,
         onPermissionRequired: opts.onPermissionRequired,
+        onDelta: opts.onDelta,
+        onRetry: opts.onRetry,
+        onFallback: opts.onFallback,
+        images: opts.images,
+        signal: controller.signal,
         safeMode: opts.safeMode ?? true
       });
 
       this.messages.push({ role: 'user', content: msg });
-      this.messages.push({ role: 'assistant', content: response });
+      this.messages.push({ role: 'assistant', content: result.transcript });
       this.status = 'idle';
-      return response;
+      return result;
     } catch (error) {
       this.status = 'error';
       throw error;
+    } finally {
+      opts.signal?.removeEventListener('abort', onOuterAbort);
+      this.abortController = null;
     }
   }
 
+  // Summarise older history when it nears the model's context window (or
+  // always, with force). Resolves to GrokAPI.compactHistory's result.
+  async compact({ force = false, signal, onRetry } = {}) {
+    const result = await this.grokAPI.compactHistory(this.messages, {
+      model: this.model, force, signal, onRetry
+    });
+    if (result.compacted) this.messages = result.messages;
+    return result;
+  }
+
+  // A failed summary shouldn't cost the user their turn: send the full
+  // history and let the provider decide
+  async _compactBeforeTurn(signal, opts) {
+    try {
+      const result = await this.compact({ signal, onRetry: opts.onRetry });
+      if (result.compacted) opts.onCompact?.(result);
+    } catch (error) {
+      if (!signal.aborted) opts.onCompact?.({ compacted: false, error });
+    }
+  }
+
+  get busy() {
+    return this.abortController !== null;
+  }
+
+  // Cancel the running sendMessage; it resolves with a partial, [Cancelled] transcript
+  stop() {
+    if (!this.abortController || this.abortController.signal.aborted) return false;
+    this.abortController.abort();
+    return true;
+  }
+
   injectContext(contextMessages) {
     // Build a context string from shared messages for team channel use
     let contextStr = '== Team Collaboration Context ==\n';
@@ -89,7 +155,11 @@ class Agent {
       provider: this.provider,
       model: this.model,
       apiKey: this.apiKey ? this.apiKey : '__config__',
-      ollamaBaseUrl: this.ollamaBaseUrl
+      ollamaBaseUrl: this.ollamaBaseUrl,
+      promptCaching: this.promptCaching,
+      thinkingBudget: this.thinkingBudget,
+      maxOutputTokens: this.maxOutputTokens,
+      fallbacks: this.fallbacks
     };
   }
 
@@ -103,7 +173,11 @@ class Agent {
       provider: data.provider,
       model: data.model,
       apiKey: resolvedApiKey,
-      ollamaBaseUrl: data.ollamaBaseUrl
+      ollamaBaseUrl: data.ollamaBaseUrl,
+      promptCaching: data.promptCaching,
+      thinkingBudget: data.thinkingBudget,
+      maxOutputTokens: data.maxOutputTokens,
+      fallbacks: data.fallbacks
     });
     return agent;
   }
@@ -0,0 +1,159 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/config.js';
+import { BudgetExceededError } from './errors.js';
+
+// Days of spend kept in the ledger
+const KEEP_DAYS = 31;
+
+const SCOPES = ['session', 'day', 'agent'];
+
+function formatUSD(amount) {
+  return `$${amount.toFixed(2)}`;
+}
+
+// Local calendar day, e.g. "2026-10-19"
+function dayKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function positive(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Spend caps in USD, from config "budget":
+ *
+ *   { "session": 5, "day": 20, "agent": 2, "agents": { "Reviewer": 0.5 } }
+ *
+ * session counts this process only. Daily and per-agent spend is kept in a
+ * ledger next to config.json so it carries across runs; the ledger is only
+ * written while one of those limits is set. Both reset at local midnight:
+ * an agent limit caps what that agent spends in a day.
+ */
+class BudgetTracker {
+  constructor({ ledgerPath, limits, now = () => new Date() } = {}) {
+    this.ledgerPath = ledgerPath || path.join(path.dirname(config.configPath), 'spend.json');
+    this._limits = limits || null;
+    this.now = now;
+    this.sessionSpend = 0;
+  }
+
+  get limits() {
+    return this._limits || config.get('budget') || {};
+  }
+
+  // Per-agent cap: a named entry in "agents" wins over the shared "agent" cap
+  agentLimit({ agentId, agentName } = {}) {
+    const named = this.limits.agents || {};
+    return positive(named[agentName]) || positive(named[agentId]) || positive(this.limits.agent);
+  }
+
+  get persistent() {
+    const limits = this.limits;
+    return !!(positive(limits.day) || positive(limits.agent) ||
+      Object.values(limits.agents || {}).some(positive));
+  }
+
+  record(cost, { agentId, agentName } = {}) {
+    if (!(cost > 0)) return;
+    this.sessionSpend += cost;
+    if (!this.persistent) return;
+
+    // Re-read first: another gitforked process may have spent since
+    const ledger = this._load();
+    const today = dayKey(this.now());
+    ledger.days[today] = (ledger.days[today] || 0) + cost;
+    if (agentId) {
+      const agents = ledger.agents[today] ||= {};
+      agents[agentId] = { name: agentName || agents[agentId]?.name || agentId, spent: (agents[agentId]?.spent || 0) + cost };
+    }
+
+    for (const day of Object.keys(ledger.days).sort().slice(0, -KEEP_DAYS)) {
+      delete ledger.days[day];
+      delete ledger.agents[day];
+    }
+    this._save(ledger);
+  }
+
+  spent({ agentId } = {}) {
+    const ledger = this._load();
+    const today = dayKey(this.now());
+    return {
+      session: this.sessionSpend,
+      day: ledger.days[today] || 0,
+      agent: agentId ? ledger.agents[today]?.[agentId]?.spent || 0 : 0
+    };
+  }
+
+  // Today's spend per agent: [{ agentId, name, spent }], biggest first
+  agentSpend() {
+    const agents = this._load().agents[dayKey(this.now())] || {};
+    return Object.entries(agents)
+      .map(([agentId, entry]) => ({ agentId, name: entry.name, spent: entry.spent }))
+      .sort((a, b) => b.spent - a.spent);
+  }
+
+  /**
+   * The first limit already reached, or null. Resolves to
+   * { scope, limit, spent, message } where scope is 'session', 'day' or
+   * 'agent'; the message says which limit and how to lift it.
+   */
+  check({ agentId, agentName } = {}) {
+    const limits = {
+      session: positive(this.limits.session),
+      day: positive(this.limits.day),
+      agent: agentId ? this.agentLimit({ agentId, agentName }) : null
+    };
+    if (!SCOPES.some(scope => limits[scope])) return null;
+
+    const spent = this.spent({ agentId });
+    for (const scope of SCOPES) {
+      if (limits[scope] && spent[scope] >= limits[scope]) {
+        return { scope, limit: limits[scope], spent: spent[scope], message: this._describe(scope, limits[scope], spent[scope], agentName || agentId) };
+      }
+    }
+    return null;
+  }
+
+  _describe(scope, limit, spent, agent) {
+    const amounts = `${formatUSD(spent)} of ${formatUSD(limit)}`;
+    switch (scope) {
+      case 'session':
+        return `Session budget reached (${amounts} spent). Start a new session or raise it with \`gitforked budget set --session <usd>\`.`;
+      case 'day':
+        return `Daily budget reached (${amounts} spent today). Wait until tomorrow or raise it with \`gitforked budget set --day <usd>\`.`;
+      default:
+        return `Budget for agent ${agent} reached (${amounts} spent). Raise it with \`gitforked budget set --agent <usd>\`.`;
+    }
+  }
+
+  _load() {
+    try {
+      const ledger = JSON.parse(fs.readFileSync(this.ledgerPath, 'utf8'));
+      // agents is { [day]: { [agentId]: { name, spent } } }; older ledgers
+      // kept one running total per agent, which is dropped
+      const agents = Object.fromEntries(Object.entries(ledger.agents || {}).filter(([day]) => day in (ledger.days || {})));
+      return { days: ledger.days || {}, agents };
+    } catch {
+      return { days: {}, agents: {} };
+    }
+  }
+
+  _save(ledger) {
+    fs.mkdirSync(path.dirname(this.ledgerPath), { recursive: true });
+    fs.writeFileSync(this.ledgerPath, JSON.stringify(ledger, null, 2));
+  }
+}
+
+// A BudgetExceededError carrying the limit that refused the turn
+function budgetError(exceeded) {
+  return new BudgetExceededError(exceeded);
+}
+
+// Shared by every GrokAPI and team channel in this process
+const budget = new BudgetTracker();
+
+export { BudgetTracker, budget, budgetError, formatUSD };
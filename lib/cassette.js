@@ -0,0 +1,185 @@
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { readStream } from './streaming.js';
+
+const CASSETTE_VERSION = 1;
+
+// Response headers worth keeping: the retry and rate-limit ones the
+// limiter reads. Request headers (API keys) are never recorded.
+const KEPT_HEADERS = /^(retry-after|x-ratelimit-|anthropic-ratelimit-)/i;
+
+function keptHeaders(headers = {}) {
+  const kept = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (KEPT_HEADERS.test(name)) kept[name.toLowerCase()] = value;
+  }
+  return kept;
+}
+
+/**
+ * Provider HTTP traffic saved to a JSON file and played back, so a turn,
+ * a team run or a user's bug report can be rerun without a network or
+ * keys. GrokAPI._post sends every provider request through post().
+ *
+ *   record  requests go out; each request body and its response (streamed
+ *           bodies as the raw SSE text, HTTP errors with their status) is
+ *           appended and the file rewritten
+ *   replay  nothing goes out; each request gets the first unused recording
+ *           with the same URL and model, in recorded order (the provider
+ *           is saved for reference)
+ *
+ * Cassettes hold prompts and file contents as sent, so review one before
+ * sharing it.
+ */
+class Cassette {
+  constructor(filePath, { mode = 'replay' } = {}) {
+    if (mode !== 'record' && mode !== 'replay') {
+      throw new Error(`Cassette mode must be record or replay, not ${mode}`);
+    }
+    this.path = path.resolve(filePath);
+    this.mode = mode;
+    this.interactions = [];
+    this.used = new Set();
+
+    if (mode === 'replay') {
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+      } catch (error) {
+        throw new Error(`Cannot read cassette ${filePath}: ${error.message}`);
+      }
+      if (!Array.isArray(data.interactions)) {
+        throw new Error(`Cassette ${filePath} has no "interactions" list`);
+      }
+      this.interactions = data.interactions;
+    } else {
+      this._save();
+    }
+  }
+
+  async post(provider, client, url, body, requestConfig = {}) {
+    return this.mode === 'record'
+      ? this._record(provider, client, url, body, requestConfig)
+      : this._replay(url, body, requestConfig);
+  }
+
+  async _record(provider, client, url, body, requestConfig) {
+    // The slot is taken up front so the file keeps request order even when
+    // a streamed body finishes after a later request
+    const interaction = { provider, request: { method: 'POST', url, body }, response: null };
+    this.interactions.push(interaction);
+
+    let response;
+    try {
+      response = await client.post(url, body, requestConfig);
+    } catch (error) {
+      if (!error.response) {
+        // Network failure or cancellation: nothing to replay
+        this.interactions.splice(this.interactions.indexOf(interaction), 1);
+        throw error;
+      }
+      const data = requestConfig.responseType === 'stream' && typeof error.response.data?.[Symbol.asyncIterator] === 'function'
+        ? await readStream(error.response.data)
+        : error.response.data;
+      interaction.response = { status: error.response.status, headers: keptHeaders(error.response.headers), data };
+      this._save();
+      // A consumed error stream can't be read again by the caller
+      if (typeof data === 'string') error.response.data = data;
+      throw error;
+    }
+
+    if (requestConfig.responseType !== 'stream') {
+      interaction.response = { status: response.status || 200, headers: keptHeaders(response.headers), data: response.data };
+      this._save();
+      return response;
+    }
+
+    // Hand the caller the same bytes as they arrive and keep a copy, saved
+    // once the body ends (or reaches the OpenAI [DONE] sentinel, where the
+    // reader stops) unless the turn was cancelled
+    const chunks = [];
+    const save = () => {
+      if (interaction.response || requestConfig.signal?.aborted) return;
+      interaction.response = { status: response.status || 200, headers: keptHeaders(response.headers), stream: chunks.join('') };
+      this._save();
+    };
+    const tee = Readable.from((async function* () {
+      try {
+        for await (const chunk of response.data) {
+          const text = typeof chunk === 'string' ? chunk : chunk.toString('utf8');
+          chunks.push(text);
+          if (text.includes('data: [DONE]')) save();
+          yield chunk;
+        }
+      } finally {
+        save();
+      }
+    })());
+    return { ...response, data: tee };
+  }
+
+  async _replay(url, body, requestConfig) {
+    if (requestConfig.signal?.aborted) throw requestConfig.signal.reason;
+    const index = this.interactions.findIndex((interaction, i) =>
+      !this.used.has(i) &&
+      interaction.request.url === url &&
+      interaction.request.body?.model === body?.model);
+    if (index === -1) {
+      throw new Error(`Cassette ${path.basename(this.path)} has no recorded response for POST ${url}` +
+        (body?.model ? ` (${body.model})` : ''));
+    }
+    this.used.add(index);
+    const { response } = this.interactions[index];
+
+    if (response.status >= 400) {
+      const error = new Error(`Request failed with status code ${response.status}`);
+      error.response = { status: response.status, headers: response.headers || {}, data: response.data };
+      throw error;
+    }
+    const streamed = requestConfig.responseType === 'stream';
+    if (streamed !== ('stream' in response)) {
+      throw new Error(`Cassette ${path.basename(this.path)} recorded ${url} ${streamed ? 'without' : 'with'} streaming; ` +
+        'replay with the same stream setting');
+    }
+    return {
+      status: response.status,
+      headers: response.headers || {},
+      data: streamed ? Readable.from([response.stream]) : response.data
+    };
+  }
+
+  // Recordings this replay has not used yet
+  get remaining() {
+    return this.interactions.length - this.used.size;
+  }
+
+  _save() {
+    // Interactions still streaming are written once they finish
+    const interactions = this.interactions.filter(interaction => interaction.response);
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    fs.writeFileSync(this.path, JSON.stringify({ version: CASSETTE_VERSION, interactions }, null, 2));
+  }
+}
+
+// The process-wide cassette that every GrokAPI (the CLI's, each team
+// agent's) records to or replays from. Set by `chat --record/--replay`, or
+// from GITFORKED_CASSETTE (path) and GITFORKED_CASSETTE_MODE (default
+// replay) on first use.
+let active;
+
+function useCassette(cassette) {
+  active = cassette;
+  return cassette;
+}
+
+function activeCassette() {
+  if (active === undefined) {
+    active = process.env.GITFORKED_CASSETTE
+      ? new Cassette(process.env.GITFORKED_CASSETTE, { mode: process.env.GITFORKED_CASSETTE_MODE || 'replay' })
+      : null;
+  }
+  return active;
+}
+
+export { Cassette, useCassette, activeCassette };
@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/config.js';
+import { compactDiff } from './patch.js';
+
+// Checkpoints kept per project (config "checkpoints.keep"); older ones are
+// dropped as new ones are made
+const DEFAULT_KEEP = 50;
+
+// Longest turn label kept with a checkpoint
+const LABEL_LENGTH = 80;
+
+function sha1(data) {
+  return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+// "/home/me/work/app" → "app-1a2b3c4d"
+function projectKey(projectRoot) {
+  return `${path.basename(projectRoot) || 'root'}-${sha1(projectRoot).slice(0, 8)}`;
+}
+
+function checkpointSettings() {
+  return config.get('checkpoints') || {};
+}
+
+/**
+ * Copies of files taken just before a tool (write, edit, apply_patch) or
+ * the response file writer changes them, so agent changes can be undone
+ * without git. One checkpoint holds everything one turn of one agent
+ * changed:
+ *
+ *   { id, agent, label, createdAt, files: [{ path, blob }] }
+ *
+ * path is relative to the project; blob names the saved content, null when
+ * the file didn't exist yet (undo deletes it). Kept under
+ * ~/.opengrok/checkpoints/<project>/ as index.json plus one blob per
+ * distinct content. bash commands are not covered.
+ */
+class CheckpointStore {
+  constructor({ projectRoot = process.cwd(), root, keep, now = () => new Date() } = {}) {
+    this.projectRoot = path.resolve(projectRoot);
+    this.dir = path.join(root || path.join(path.dirname(config.configPath), 'checkpoints'), projectKey(this.projectRoot));
+    this._keep = keep;
+    this.now = now;
+  }
+
+  get keep() {
+    return this._keep ?? checkpointSettings().keep ?? DEFAULT_KEEP;
+  }
+
+  /**
+   * Save the current content of each file into checkpoint `checkpoint`,
+   * opening a new one (with agent and label) when it is null or gone. A
+   * file already in the checkpoint keeps its first copy, so undo goes back
+   * to before the turn. Returns the checkpoint's id.
+   */
+  snapshot(filePaths, { checkpoint = null, agent = null, label = '' } = {}) {
+    // Re-read first: another gitforked process may have saved since
+    const index = this._load();
+    let entry = index.checkpoints.find(c => c.id === checkpoint);
+    if (!entry) {
+      entry = {
+        id: index.next++,
+        agent,
+        label: label.replace(/\s+/g, ' ').trim().slice(0, LABEL_LENGTH),
+        createdAt: this.now().toISOString(),
+        files: []
+      };
+      index.checkpoints.push(entry);
+    }
+
+    for (const filePath of filePaths) {
+      const file = this._relative(filePath);
+      if (entry.files.some(f => f.path === file)) continue;
+      const absolute = path.join(this.projectRoot, file);
+      entry.files.push({ path: file, blob: fs.existsSync(absolute) ? this._saveBlob(fs.readFileSync(absolute)) : null });
+    }
+
+    const dropped = index.checkpoints.splice(0, Math.max(index.checkpoints.length - this.keep, 0));
+    this._save(index, dropped);
+    return entry.id;
+  }
+
+  // Checkpoints, newest first
+  list() {
+    return this._load().checkpoints.slice().reverse();
+  }
+
+  get(id) {
+    return this._load().checkpoints.find(c => c.id === id) || null;
+  }
+
+  /**
+   * What changed since checkpoint `id`: a compact diff per file from its
+   * saved copy to what is on disk now. [{ path, status, diff }] where
+   * status is 'modified', 'added' (created in that turn), 'deleted'
+   * (deleted since) or 'unchanged'.
+   */
+  diff(id) {
+    const checkpoint = this._require(id);
+    return checkpoint.files.map(({ path: file, blob }) => {
+      const absolute = path.join(this.projectRoot, file);
+      const before = blob ? this._readBlob(blob).toString('utf8') : '';
+      const exists = fs.existsSync(absolute);
+      const now = exists ? fs.readFileSync(absolute, 'utf8') : '';
+      const status = !blob ? (exists ? 'added' : 'unchanged')
+        : !exists ? 'deleted'
+          : before === now ? 'unchanged' : 'modified';
+      return { path: file, status, diff: compactDiff(before, now) };
+    });
+  }
+
+  // Undo the last `count` checkpoints, newest first
+  undo(count = 1) {
+    const checkpoints = this._load().checkpoints;
+    if (checkpoints.length === 0) throw new Error('No checkpoints to undo');
+    return this._rewind(checkpoints.slice(-count));
+  }
+
+  // Put the project back as it was before checkpoint `id`: it and every
+  // later checkpoint are undone
+  restore(id) {
+    this._require(id);
+    return this._rewind(this._load().checkpoints.filter(c => c.id >= id));
+  }
+
+  // Restores newest first, so a file in several checkpoints ends up as the
+  // oldest one saved it. Undone checkpoints are removed. Returns the
+  // checkpoints undone, each with restored: [{ path, action }] where
+  // action is 'restored' or 'deleted'.
+  _rewind(checkpoints) {
+    const undone = [];
+    for (const checkpoint of checkpoints.slice().reverse()) {
+      const restored = checkpoint.files.map(({ path: file, blob }) => {
+        const absolute = path.join(this.projectRoot, file);
+        if (blob === null) {
+          fs.rmSync(absolute, { force: true });
+          return { path: file, action: 'deleted' };
+        }
+        fs.mkdirSync(path.dirname(absolute), { recursive: true });
+        fs.writeFileSync(absolute, this._readBlob(blob));
+        return { path: file, action: 'restored' };
+      });
+      undone.push({ ...checkpoint, restored });
+    }
+
+    const ids = new Set(checkpoints.map(c => c.id));
+    const index = this._load();
+    const dropped = index.checkpoints.filter(c => ids.has(c.id));
+    index.checkpoints = index.checkpoints.filter(c => !ids.has(c.id));
+    this._save(index, dropped);
+    return undone;
+  }
+
+  _require(id) {
+    const checkpoint = this.get(id);
+    if (!checkpoint) throw new Error(`No checkpoint #${id}; see \`gitforked checkpoints list\``);
+    return checkpoint;
+  }
+
+  _relative(filePath) {
+    const file = path.relative(this.projectRoot, path.resolve(this.projectRoot, filePath));
+    if (file.startsWith('..') || path.isAbsolute(file)) throw new Error(`Not inside the project: ${filePath}`);
+    return file;
+  }
+
+  _saveBlob(content) {
+    const blob = sha1(content);
+    const file = path.join(this.dir, 'blobs', blob);
+    if (!fs.existsSync(file)) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, content);
+    }
+    return blob;
+  }
+
+  _readBlob(blob) {
+    return fs.readFileSync(path.join(this.dir, 'blobs', blob));
+  }
+
+  _load() {
+    try {
+      const index = JSON.parse(fs.readFileSync(path.join(this.dir, 'index.json'), 'utf8'));
+      return { next: index.next || 1, checkpoints: index.checkpoints || [] };
+    } catch {
+      return { next: 1, checkpoints: [] };
+    }
+  }
+
+  // Blobs only the dropped checkpoints used are deleted with them
+  _save(index, dropped = []) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(path.join(this.dir, 'index.json'), JSON.stringify({ project: this.projectRoot, ...index }, null, 2));
+    const kept = new Set(index.checkpoints.flatMap(c => c.files.map(f => f.blob)));
+    for (const blob of new Set(dropped.flatMap(c => c.files.map(f => f.blob)))) {
+      if (blob && !kept.has(blob)) fs.rmSync(path.join(this.dir, 'blobs', blob), { force: true });
+    }
+  }
+}
+
+// "#12  2026-10-19 14:03  Coder  3 files  add retries to the client"
+function formatCheckpoint(checkpoint) {
+  const date = new Date(checkpoint.createdAt);
+  const pad = n => String(n).padStart(2, '0');
+  const when = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  const files = checkpoint.files.length === 1 ? '1 file' : `${checkpoint.files.length} files`;
+  return `#${checkpoint.id}  ${when}  ${checkpoint.agent || 'chat'}  ${files}  ${checkpoint.label}`.trimEnd();
+}
+
+// "Undid #12 (Coder): restored lib/a.js, deleted lib/b.js"
+function formatUndo(checkpoint) {
+  const files = checkpoint.restored.map(file => `${file.action} ${file.path}`).join(', ');
+  return `Undid #${checkpoint.id} (${checkpoint.agent || 'chat'}): ${files || 'no files'}`;
+}
+
+// One store per project directory, shared by every GrokAPI and writer in
+// the process; null when config "checkpoints.enabled" is false
+const stores = new Map();
+
+function checkpointStore(projectRoot = process.cwd()) {
+  if (checkpointSettings().enabled === false) return null;
+  const root = path.resolve(projectRoot);
+  if (!stores.has(root)) stores.set(root, new CheckpointStore({ projectRoot: root }));
+  return stores.get(root);
+}
+
+export { CheckpointStore, checkpointStore, formatCheckpoint, formatUndo, projectKey };
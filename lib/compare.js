@@ -0,0 +1,268 @@
+import { GrokAPI } from './grok-api.js';
+import { getProvider, parseModelRef } from './providers/index.js';
+
+const USAGE = 'Usage: compare <provider/model> <provider/model> ... -- <prompt>';
+
+// Longest answer (in words) the word diff compares; the rest is left out
+const MAX_DIFF_WORDS = 2000;
+
+// Space between columns in the side-by-side view
+const COLUMN_GAP = 3;
+
+/**
+ * "grok/grok-4 claude/claude-sonnet-4-5 -- explain lib/retry.js" →
+ * { models: ['grok/grok-4', 'claude/claude-sonnet-4-5'], prompt }. Throws
+ * with the usage line when there are fewer than two models, an unknown
+ * provider or no prompt.
+ */
+function parseCompareArgs(text) {
+  const split = ` ${text} `.indexOf(' -- ');
+  if (split === -1) throw new Error(USAGE);
+  const models = text.slice(0, Math.max(split - 1, 0)).trim().split(/\s+/).filter(Boolean);
+  const prompt = text.slice(split + 3).trim();
+  validateModels(models);
+  if (!prompt) throw new Error(`${USAGE}\nThe prompt after -- is empty.`);
+  return { models, prompt };
+}
+
+function validateModels(models) {
+  if (models.length < 2) throw new Error(`${USAGE}\nName at least two models.`);
+  for (const ref of models) {
+    const { provider, model } = parseModelRef(ref);
+    if (!provider || !model) throw new Error(`${ref}: name models as provider/model`);
+    if (!getProvider(provider)) throw new Error(`${ref}: unknown provider ${provider}`);
+  }
+}
+
+/**
+ * Send one prompt to every model at once, read-only: plan mode, only the
+ * read/glob/grep and git tools, no routing or fallbacks. Resolves to one
+ * result per model, in the order given:
+ *
+ *   { ref, provider, model, text, latencyMs, usage, cost, toolCalls, error }
+ *
+ * A model that fails gets its error instead of failing the comparison.
+ * apiOptions go to each provider's GrokAPI; onResult(result) fires as
+ * each model finishes.
+ */
+async function runComparison(models, prompt, { directory = process.cwd(), signal, onResult = () => {}, apiOptions = {} } = {}) {
+  validateModels(models);
+  // One GrokAPI per provider, so its concurrency limit covers every model on it
+  const apis = new Map();
+  const apiFor = (provider) => {
+    if (!apis.has(provider)) apis.set(provider, new GrokAPI({ ...apiOptions, provider, router: false }));
+    return apis.get(provider);
+  };
+
+  return Promise.all(models.map(async (ref) => {
+    const { provider, model } = parseModelRef(ref);
+    const started = Date.now();
+    let result;
+    try {
+      const turn = await apiFor(provider).runPrompt(prompt, {
+        model,
+        directory,
+        mode: 'plan',
+        readOnly: true,
+        stream: false,
+        route: false,
+        fallbacks: [],
+        signal
+      });
+      result = {
+        ref, provider, model,
+        text: turn.text,
+        latencyMs: Date.now() - started,
+        usage: turn.usage,
+        cost: turn.cost,
+        toolCalls: turn.toolCalls.length,
+        error: null
+      };
+    } catch (error) {
+      result = { ref, provider, model, text: '', latencyMs: Date.now() - started, usage: null, cost: 0, toolCalls: 0, error };
+    }
+    onResult(result);
+    return result;
+  }));
+}
+
+function words(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Word-level diff of two answers as runs of { type: 'same' | 'removed' |
+ * 'added', text }, from the longest common subsequence of their words.
+ */
+function wordDiff(before, after) {
+  const a = words(before).slice(0, MAX_DIFF_WORDS);
+  const b = words(after).slice(0, MAX_DIFF_WORDS);
+  const width = b.length + 1;
+  // lcs[i * width + j]: common words of a[i..] and b[j..]
+  const lcs = new Uint16Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const runs = [];
+  const push = (type, word) => {
+    const last = runs[runs.length - 1];
+    if (last?.type === type) last.text += ` ${word}`;
+    else runs.push({ type, text: word });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i * width + j + 1] > lcs[(i + 1) * width + j])) {
+      push('added', b[j++]);
+    } else {
+      push('removed', a[i++]);
+    }
+  }
+  return runs;
+}
+
+// Share of the two answers' words they have in common, 0..1
+function similarity(runs) {
+  let same = 0;
+  let total = 0;
+  for (const run of runs) {
+    const count = words(run.text).length;
+    total += run.type === 'same' ? count * 2 : count;
+    if (run.type === 'same') same += count * 2;
+  }
+  return total === 0 ? 1 : same / total;
+}
+
+// The answer the others are diffed against: the first that succeeded
+function baseline(results) {
+  return results.find(result => !result.error) || null;
+}
+
+// "4.2s · 1830 tokens (1700 in, 130 out) · $0.0031", or the error
+function formatMetrics(result) {
+  if (result.error) return `failed after ${(result.latencyMs / 1000).toFixed(1)}s: ${result.error.message}`;
+  const { inputTokens, outputTokens } = result.usage;
+  return `${(result.latencyMs / 1000).toFixed(1)}s · ${inputTokens + outputTokens} tokens ` +
+    `(${inputTokens} in, ${outputTokens} out) · $${result.cost.toFixed(4)}`;
+}
+
+function wrap(text, width) {
+  const lines = [];
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (const word of words(paragraph)) {
+      // Words longer than a column are cut across lines
+      for (let rest = word; rest.length > 0;) {
+        const room = line ? width - line.length - 1 : width;
+        if (rest.length <= room) {
+          line = line ? `${line} ${rest}` : rest;
+          rest = '';
+        } else if (line) {
+          lines.push(line);
+          line = '';
+        } else {
+          lines.push(rest.slice(0, width));
+          rest = rest.slice(width);
+        }
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * The answers side by side in `width` characters: a header row with each
+ * model, its metrics, then the wrapped answers. Returns plain lines.
+ */
+function formatColumns(results, width = 120) {
+  const columnWidth = Math.max(Math.floor((width - COLUMN_GAP * (results.length - 1)) / results.length), 10);
+  const columns = results.map(result => [
+    ...wrap(result.ref, columnWidth),
+    ...wrap(formatMetrics(result), columnWidth),
+    '─'.repeat(columnWidth),
+    ...wrap(result.error ? '' : result.text || '(empty answer)', columnWidth)
+  ]);
+  const height = Math.max(...columns.map(column => column.length));
+  const lines = [];
+  for (let row = 0; row < height; row++) {
+    lines.push(columns.map(column => (column[row] || '').padEnd(columnWidth)).join(' '.repeat(COLUMN_GAP)).trimEnd());
+  }
+  return lines;
+}
+
+// Each answer diffed against the baseline: [{ result, runs, similarity }]
+function compareAnswers(results) {
+  const base = baseline(results);
+  if (!base) return [];
+  return results
+    .filter(result => result !== base && !result.error)
+    .map(result => {
+      const runs = wordDiff(base.text, result.text);
+      return { result, runs, similarity: similarity(runs) };
+    });
+}
+
+/**
+ * The comparison as a markdown report: the prompt, a metrics table, each
+ * answer, and each answer's word diff against the first one that
+ * succeeded (~~removed~~, **added**).
+ */
+function toMarkdown(prompt, results) {
+  const base = baseline(results);
+  const diffs = compareAnswers(results);
+  const same = new Map(diffs.map(diff => [diff.result, `${Math.round(diff.similarity * 100)}%`]));
+  const cell = text => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+  const lines = [
+    '# Model comparison',
+    '',
+    `**Prompt:** ${prompt}`,
+    '',
+    `| Model | Latency | Tokens (in / out) | Cost | Same words as ${base ? base.ref : 'baseline'} |`,
+    '|-------|---------|-------------------|------|------|'
+  ];
+  for (const result of results) {
+    if (result.error) {
+      lines.push(`| ${result.ref} | ${(result.latencyMs / 1000).toFixed(1)}s | — | — | failed: ${cell(result.error.message)} |`);
+      continue;
+    }
+    const { inputTokens, outputTokens } = result.usage;
+    lines.push(`| ${result.ref} | ${(result.latencyMs / 1000).toFixed(1)}s | ${inputTokens} / ${outputTokens} | ` +
+      `$${result.cost.toFixed(4)} | ${result === base ? 'baseline' : same.get(result)} |`);
+  }
+
+  for (const result of results) {
+    lines.push('', `## ${result.ref}`, '', result.error ? `_Failed: ${result.error.message}_` : result.text || '_(empty answer)_');
+  }
+
+  if (diffs.length > 0) {
+    lines.push('', `## Differences from ${base.ref}`);
+    for (const { result, runs } of diffs) {
+      const text = runs.map(run => run.type === 'same' ? run.text
+        : run.type === 'removed' ? `~~${run.text}~~` : `**${run.text}**`).join(' ');
+      lines.push('', `### ${result.ref}`, '', text);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export {
+  parseCompareArgs,
+  runComparison,
+  wordDiff,
+  similarity,
+  compareAnswers,
+  formatMetrics,
+  formatColumns,
+  toMarkdown
+};
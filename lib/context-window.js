@@ -0,0 +1,200 @@
+// Context-window bookkeeping: rough token estimates, history compaction and
+// pruning of stale tool output inside a tool loop.
+//
+// Estimates assume ~4 characters per token. That is only good enough to
+// decide *when* to compact, which is all it is used for.
+
+const CHARS_PER_TOKEN = 4;
+
+// Roughly what a screenshot costs on Claude and Gemini
+const IMAGE_TOKENS = 1600;
+
+const DEFAULT_CONTEXT_WINDOW = 128000;
+
+// Compact once the history fills this share of the window, leaving room for
+// the system prompt, tool definitions and the reply
+const COMPACT_THRESHOLD = 0.6;
+
+// User turns (with their replies) kept verbatim when older ones are summarised
+const KEEP_RECENT_TURNS = 4;
+
+// Tool-result rounds kept verbatim when older tool output is dropped
+const KEEP_TOOL_ROUNDS = 2;
+
+const SUMMARY_HEADER = '[Summary of earlier conversation]';
+const SUMMARY_ACK = 'Understood. I will continue from that summary.';
+const DROPPED_TOOL_OUTPUT = '[Earlier tool output dropped to save context]';
+
+function estimateTokens(value) {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'string') return Math.ceil(value.length / CHARS_PER_TOKEN);
+
+  // Attached images count at a flat rate; their base64 length says nothing
+  // about what the provider charges for them
+  let images = 0;
+  const text = JSON.stringify(value, (key, item) => {
+    if (key === 'images' && Array.isArray(item)) {
+      images += item.length;
+      return undefined;
+    }
+    if (item?.type === 'image' || item?.type === 'image_url' || item?.inlineData) {
+      images++;
+      return undefined;
+    }
+    return item;
+  });
+  return Math.ceil(text.length / CHARS_PER_TOKEN) + images * IMAGE_TOKENS;
+}
+
+// Works on every message shape the tool loops build: OpenAI { content },
+// Claude content blocks and Gemini { parts }
+function estimateMessages(messages) {
+  let total = 0;
+  for (const msg of messages) {
+    // A few tokens of per-message framing
+    total += 4 + estimateTokens(msg.content ?? msg.parts) + estimateTokens(msg.tool_calls);
+  }
+  return total;
+}
+
+function needsCompaction(messages, limit, { threshold = COMPACT_THRESHOLD, reserveTokens = 0 } = {}) {
+  return estimateMessages(messages) + reserveTokens > limit * threshold;
+}
+
+// Split history at a user turn so the recent part starts a whole exchange
+function splitHistory(messages, keepTurns) {
+  let index = messages.length;
+  let turns = 0;
+  for (let i = messages.length - 1; i >= 0 && turns < keepTurns; i--) {
+    if (messages[i].role === 'user') {
+      index = i;
+      turns++;
+    }
+  }
+  return { older: messages.slice(0, index), recent: messages.slice(index) };
+}
+
+// Usage footers ("---\nTokens: ...") carry nothing worth summarising
+function stripFooter(content) {
+  return String(content).replace(/\n*---\nTokens: [\s\S]*$/, '');
+}
+
+function formatTranscript(messages) {
+  return messages
+    .map(msg => `${msg.role === 'assistant' ? 'Assistant' : 'User'}: ${stripFooter(msg.content)}`)
+    .join('\n\n');
+}
+
+function buildSummaryPrompt(transcript) {
+  return 'Summarise the conversation below so it can replace the original turns in a coding session. ' +
+    'Keep decisions made, file paths, function and variable names, commands run and their outcome, ' +
+    'open tasks and any preferences the user stated. Drop pleasantries and repeated content. ' +
+    'Reply with the summary only.\n\n' +
+    `== CONVERSATION ==\n${transcript}`;
+}
+
+/**
+ * Replace older turns with a model-written summary, keeping the most recent
+ * turns verbatim. `summarize(prompt)` resolves to the summary text.
+ * Resolves to { messages, compacted, summarizedCount }; the input array is
+ * not modified.
+ */
+async function compactMessages(messages, summarize, options = {}) {
+  const limit = options.limit || DEFAULT_CONTEXT_WINDOW;
+  let keepTurns = options.keepTurns ?? KEEP_RECENT_TURNS;
+
+  // Very long recent turns: keep fewer of them rather than overflow again
+  let split = splitHistory(messages, keepTurns);
+  while (keepTurns > 1 && estimateMessages(split.recent) > limit * COMPACT_THRESHOLD / 2) {
+    keepTurns--;
+    split = splitHistory(messages, keepTurns);
+  }
+
+  const { older, recent } = split;
+  if (older.length === 0) {
+    return { messages, compacted: false, summarizedCount: 0 };
+  }
+
+  // Newest part of the transcript wins if it doesn't fit the summariser
+  const maxChars = Math.floor(limit * COMPACT_THRESHOLD) * CHARS_PER_TOKEN;
+  let transcript = formatTranscript(older);
+  if (transcript.length > maxChars) {
+    transcript = '[...]\n' + transcript.slice(-maxChars);
+  }
+
+  const summary = (await summarize(buildSummaryPrompt(transcript))).trim();
+
+  // A short acknowledgement keeps user/assistant turns alternating, and the
+  // kept turns (including the newest prompt) stay byte-for-byte unchanged
+  const compacted = [
+    { role: 'user', content: `${SUMMARY_HEADER}\n${summary}` },
+    { role: 'assistant', content: SUMMARY_ACK },
+    ...recent
+  ];
+
+  return { messages: compacted, compacted: true, summarizedCount: older.length };
+}
+
+// Tool results grouped by round, oldest first. Each entry is the object
+// holding the output: an OpenAI tool message, a Claude tool_result block or
+// a Gemini functionResponse
+function toolResultRounds(loopMessages) {
+  const rounds = [];
+  let openAIRound = null;
+
+  for (const msg of loopMessages) {
+    if (msg.role === 'tool') {
+      // OpenAI: consecutive role "tool" messages answer one assistant turn
+      if (!openAIRound) {
+        openAIRound = [];
+        rounds.push(openAIRound);
+      }
+      openAIRound.push(msg);
+      continue;
+    }
+    openAIRound = null;
+
+    if (Array.isArray(msg.content) && msg.content.some(b => b.type === 'tool_result')) {
+      rounds.push(msg.content.filter(b => b.type === 'tool_result'));
+    } else if (Array.isArray(msg.parts) && msg.parts.some(p => p.functionResponse)) {
+      rounds.push(msg.parts.filter(p => p.functionResponse).map(p => p.functionResponse));
+    }
+  }
+  return rounds;
+}
+
+/**
+ * Blank the output of all but the latest `keepRounds` tool rounds, in place.
+ * Tool call ids are left alone so every call still has its paired result.
+ * Returns the number of results dropped.
+ */
+function pruneToolOutput(loopMessages, keepRounds = KEEP_TOOL_ROUNDS) {
+  const rounds = toolResultRounds(loopMessages);
+  let dropped = 0;
+  for (const round of rounds.slice(0, Math.max(0, rounds.length - keepRounds))) {
+    for (const result of round) {
+      if (result.response) {
+        if (result.response.content === DROPPED_TOOL_OUTPUT) continue;
+        result.response = { content: DROPPED_TOOL_OUTPUT };
+      } else {
+        if (result.content === DROPPED_TOOL_OUTPUT) continue;
+        result.content = DROPPED_TOOL_OUTPUT;
+      }
+      dropped++;
+    }
+  }
+  return dropped;
+}
+
+export {
+  DEFAULT_CONTEXT_WINDOW,
+  SUMMARY_HEADER,
+  DROPPED_TOOL_OUTPUT,
+  estimateTokens,
+  estimateMessages,
+  needsCompaction,
+  splitHistory,
+  buildSummaryPrompt,
+  compactMessages,
+  pruneToolOutput
+};
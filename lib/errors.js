@@ -0,0 +1,214 @@
+import { isRetryable, delayFromHeaders } from './retry.js';
+
+// Connection failures that mean the provider was never reached
+const NETWORK_CODES = new Set([
+  'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED',
+  'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH', 'ERR_NETWORK'
+]);
+
+// Failures another provider could get past: a fallback chain moves on for
+// these (after retries), not for cancellations, budgets or oversized prompts
+const FALLBACK_CODES = new Set(['auth', 'rate_limit', 'network', 'model_not_found', 'provider']);
+
+// Provider wording for a request over the model's context window
+const CONTEXT_PATTERN = /context[_ ]length|maximum context|context window|prompt is too long|too many tokens|input token count.*exceeds|maximum prompt length|reduce the length/i;
+const MODEL_PATTERN = /model.{0,80}(not found|does not exist|not supported|decommissioned|unknown)|(unknown|invalid) model|model_not_found/i;
+const AUTH_PATTERN = /api[ _-]?key|unauthori[sz]ed|authentication|permission denied|invalid.{0,20}token/i;
+
+/**
+ * Base class for failures callers may want to tell apart. `code` names the
+ * kind ('auth', 'rate_limit', 'context_length', 'model_not_found',
+ * 'network', 'tool_failure', 'cancelled', 'budget_exceeded' or 'provider'
+ * for anything else a provider returned); `hint` is the fix to show the
+ * user, or null.
+ */
+class GitforkedError extends Error {
+  constructor(message, { code = 'provider', provider = null, status = null, retryable = false, hint = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    this.hint = hint;
+  }
+
+  toJSON() {
+    const { name, code, message, provider, status, retryable, hint } = this;
+    return { name, code, message, provider, status, retryable, hint };
+  }
+}
+
+class ProviderError extends GitforkedError {}
+
+class AuthError extends GitforkedError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'auth' });
+  }
+}
+
+class RateLimitError extends GitforkedError {
+  constructor(message, { retryAfterMs = null, ...details } = {}) {
+    super(message, { ...details, code: 'rate_limit', retryable: true });
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+class ContextLengthError extends GitforkedError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'context_length' });
+  }
+}
+
+class ModelNotFoundError extends GitforkedError {
+  constructor(message, { model = null, ...details } = {}) {
+    super(message, { ...details, code: 'model_not_found' });
+    this.model = model;
+  }
+}
+
+class NetworkError extends GitforkedError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'network', retryable: true });
+  }
+}
+
+class ToolFailureError extends GitforkedError {
+  constructor(message, { tool = null, blocked = false, ...details } = {}) {
+    super(message, { ...details, code: 'tool_failure' });
+    this.tool = tool;
+    this.blocked = blocked;
+  }
+}
+
+class CancelledError extends GitforkedError {
+  constructor(message = 'Cancelled', details = {}) {
+    super(message, { ...details, code: 'cancelled' });
+  }
+}
+
+class BudgetExceededError extends GitforkedError {
+  constructor(exceeded, details = {}) {
+    super(exceeded.message, { ...details, code: 'budget_exceeded', hint: budgetHint(exceeded) });
+    this.budget = exceeded;
+  }
+}
+
+function budgetHint({ scope }) {
+  if (scope === 'session') return 'Start a new session, or raise the limit: gitforked budget set --session <usd>';
+  if (scope === 'day') return 'Wait until tomorrow, or raise the limit: gitforked budget set --day <usd>';
+  return 'Raise the agent\'s limit: gitforked budget set --agent <usd> [-n <agent>]';
+}
+
+// The provider's own explanation from an error body: its JSON, or that
+// JSON as text (a streamed request's body, read by GrokAPI._post)
+function providerDetail(data) {
+  if (typeof data === 'string') {
+    try {
+      return providerDetail(JSON.parse(data)) || data;
+    } catch {
+      return data;
+    }
+  }
+  if (!data || typeof data !== 'object' || typeof data.pipe === 'function') return '';
+  const error = data.error;
+  if (typeof error === 'string') return error;
+  return error?.message || data.message || '';
+}
+
+/**
+ * Turn whatever a provider request threw (an axios error, an abort, a
+ * stream failure) into a GitforkedError with the provider, HTTP status,
+ * retryability and a hint. adapter is the ProviderAdapter the request
+ * went to. Errors that are already typed pass through.
+ */
+function classifyError(error, { adapter = null, model = null, signal = null } = {}) {
+  if (error instanceof GitforkedError) return error;
+  const provider = adapter?.id || null;
+  const label = adapter?.label || provider || 'Provider';
+
+  if (signal?.aborted || error?.name === 'AbortError' || error?.name === 'CanceledError' || error?.code === 'ERR_CANCELED') {
+    return new CancelledError('Cancelled', { provider, cause: error });
+  }
+  if (error?.budget) {
+    return new BudgetExceededError(error.budget, { provider, cause: error });
+  }
+
+  const status = error?.response?.status || null;
+  const detail = providerDetail(error?.response?.data) || error?.message || String(error);
+  const details = { provider, status, cause: error };
+
+  if (status === 401 || status === 403 || (status === 400 && AUTH_PATTERN.test(detail))) {
+    return new AuthError(`${label} rejected the API key (${status}): ${detail}`, { ...details, hint: authHint(adapter) });
+  }
+  if (status === 429) {
+    const retryAfterMs = delayFromHeaders(error.response.headers);
+    const wait = retryAfterMs ? ` (the provider asked to wait ${Math.ceil(retryAfterMs / 1000)}s)` : '';
+    return new RateLimitError(`${label} rate limit reached: ${detail}`, {
+      ...details,
+      retryAfterMs,
+      hint: `Wait a moment and try again${wait}, or lower "concurrency" for ${provider || 'this provider'} in the config`
+    });
+  }
+  if (status === 413 || (status && status < 500 && CONTEXT_PATTERN.test(detail))) {
+    return new ContextLengthError(`The request is too long for ${model || 'the model'}: ${detail}`, {
+      ...details,
+      hint: 'Run /compact to summarise older turns, or switch to a model with a longer context window'
+    });
+  }
+  if (status === 404 || (status && status < 500 && MODEL_PATTERN.test(detail))) {
+    return new ModelNotFoundError(`${label} has no model ${model || ''}`.trim() + `: ${detail}`, {
+      ...details,
+      model,
+      hint: modelHint(adapter, model)
+    });
+  }
+  if (!status && NETWORK_CODES.has(error?.code)) {
+    return new NetworkError(`Cannot reach ${label}${adapter?.baseURL ? ` at ${adapter.baseURL}` : ''}: ${error.code}`, {
+      ...details,
+      hint: provider === 'ollama'
+        ? 'Start Ollama with: ollama serve (or set ollamaBaseUrl in the config)'
+        : 'Check your network connection and the provider\'s status page, then try again'
+    });
+  }
+  return new ProviderError(`API Error: ${error?.message || String(error)}`, { ...details, retryable: isRetryable(error || {}) });
+}
+
+function authHint(adapter) {
+  if (!adapter) return 'Set an API key: gitforked apikey set -p <provider>';
+  if (adapter.apiKeyEnv) return `Set ${adapter.apiKeyEnv}, or run: gitforked apikey set -p ${adapter.id}`;
+  return `Run: gitforked apikey set -p ${adapter.id}`;
+}
+
+function modelHint(adapter, model) {
+  if (adapter?.id === 'ollama' && model) return `Run: ollama pull ${model}`;
+  const provider = adapter?.id || '<provider>';
+  return `Run: gitforked model list -p ${provider} --refresh, then pick one with /switch ${provider}/<model>`;
+}
+
+// A tool call that failed or that the sandbox refused ("Blocked: ...")
+function toolFailure(tool, message, { blocked = false } = {}) {
+  let hint = null;
+  if (/outside|not allowed path|allowed paths/i.test(message)) {
+    hint = 'Tools only reach files under the working directory; start gitforked there (chat -d <dir>)';
+  } else if (/safe mode/i.test(message)) {
+    hint = 'Safe mode blocks network commands and non-standard ports; run it yourself with /run if you trust it';
+  }
+  return new ToolFailureError(message, { tool, blocked, hint });
+}
+
+export {
+  GitforkedError,
+  ProviderError,
+  AuthError,
+  RateLimitError,
+  ContextLengthError,
+  ModelNotFoundError,
+  NetworkError,
+  ToolFailureError,
+  CancelledError,
+  BudgetExceededError,
+  FALLBACK_CODES,
+  classifyError,
+  toolFailure
+};
@@ -0,0 +1,224 @@
+import { execFile } from 'child_process';
+
+// Tools the model gets for looking at the repository's history. None of
+// them can change the working tree, index or refs.
+const GIT_TOOLS = new Set(['git_status', 'git_diff', 'git_log', 'git_show', 'git_blame']);
+
+// Diff text kept per result; the per-file counts are always complete
+const MAX_PATCH_CHARS = 6000;
+
+const DEFAULT_LOG_LIMIT = 20;
+const MAX_LOG_LIMIT = 100;
+
+// Lines blamed when no range is given, and the most a range may span
+const BLAME_LINES = 200;
+
+const GIT_TIMEOUT = 10000;
+const MAX_BUFFER = 5 * 1024 * 1024;
+
+// Branches, tags, hashes and revision expressions (HEAD~2, main^, v1.0);
+// nothing that git could read as an option
+const REF = /^[\w./~^@{}-]+$/;
+
+const STATUS_NAMES = {
+  M: 'modified', A: 'added', D: 'deleted', R: 'renamed', C: 'copied', T: 'type changed', U: 'unmerged'
+};
+
+function checkRef(ref, name = 'ref') {
+  if (typeof ref !== 'string' || !REF.test(ref) || ref.startsWith('-')) {
+    throw new Error(`Invalid ${name}: ${JSON.stringify(ref)} (use a branch, tag, hash or expression like HEAD~2)`);
+  }
+  return ref;
+}
+
+/**
+ * Run git with an argument array (no shell) in `cwd`. Pagers, external
+ * diff drivers, colour and credential prompts are turned off. Resolves to
+ * stdout; rejects with git's own message.
+ */
+function runGit(args, { cwd, signal, timeout = GIT_TIMEOUT } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', ['--no-pager', '-c', 'color.ui=never', '-c', 'core.quotepath=off', ...args], {
+      cwd,
+      signal,
+      timeout,
+      maxBuffer: MAX_BUFFER,
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_OPTIONAL_LOCKS: '0' }
+    }, (error, stdout, stderr) => {
+      if (error) {
+        const message = (stderr || '').trim() || error.message;
+        reject(new Error(`git ${args[0]} failed: ${message}`));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+function truncatePatch(patch) {
+  if (patch.length <= MAX_PATCH_CHARS) return { patch, truncated: false };
+  return { patch: `${patch.slice(0, MAX_PATCH_CHARS)}\n...[TRUNCATED: ${patch.length - MAX_PATCH_CHARS} more characters; narrow it with path]`, truncated: true };
+}
+
+// "12\t3\tlib/a.js" lines → [{ path, additions, deletions }]; binary files
+// count as null
+function parseNumstat(text) {
+  return text.split('\n').filter(Boolean).map(line => {
+    const [additions, deletions, ...rest] = line.split('\t');
+    return {
+      path: rest.join('\t'),
+      additions: additions === '-' ? null : Number(additions),
+      deletions: deletions === '-' ? null : Number(deletions)
+    };
+  });
+}
+
+async function gitStatus({ path: filePath } = {}, run) {
+  // -z: paths come unquoted, and a rename or copy is "R  new\0old\0"
+  // rather than "R  old -> new"
+  const out = await run(['status', '--porcelain=v1', '-z', '--branch', '--', ...(filePath ? [filePath] : [])]);
+  const result = { branch: null, upstream: null, ahead: 0, behind: 0, staged: [], unstaged: [], untracked: [], conflicted: [] };
+  const records = out.split('\0').filter(Boolean);
+  for (let i = 0; i < records.length; i++) {
+    const line = records[i];
+    if (line.startsWith('## ')) {
+      const match = /^## (.+?)(?:\.\.\.(\S+))?(?: \[(.+)\])?$/.exec(line);
+      if (match) {
+        result.branch = match[1].replace(/^No commits yet on /, '');
+        result.upstream = match[2] || null;
+        result.ahead = Number(/ahead (\d+)/.exec(match[3] || '')?.[1] || 0);
+        result.behind = Number(/behind (\d+)/.exec(match[3] || '')?.[1] || 0);
+      }
+      continue;
+    }
+    const [x, y] = line;
+    const file = line.slice(3);
+    const from = 'RC'.includes(x) || 'RC'.includes(y) ? records[++i] : null;
+    const entry = status => ({ path: file, status: STATUS_NAMES[status] || status, ...(from ? { from } : {}) });
+    if (x === '?') result.untracked.push(file);
+    else if (x === 'U' || y === 'U' || (x === 'A' && y === 'A') || (x === 'D' && y === 'D')) result.conflicted.push(file);
+    else {
+      if (x !== ' ') result.staged.push(entry(x));
+      if (y !== ' ') result.unstaged.push(entry(y));
+    }
+  }
+  result.clean = !result.staged.length && !result.unstaged.length && !result.untracked.length && !result.conflicted.length;
+  return result;
+}
+
+async function gitDiff({ staged = false, from, to, path: filePath, context = 3 } = {}, run) {
+  if (to && !from) throw new Error('"to" needs "from"');
+  const range = [];
+  if (staged) range.push('--cached');
+  if (from) range.push(checkRef(from, 'from'));
+  if (to) range.push(checkRef(to, 'to'));
+  // "--" always, so a ref can't be taken for a path or the other way round
+  const paths = ['--', ...(filePath ? [filePath] : [])];
+  const lines = Math.min(Math.max(Number(context) || 0, 0), 20);
+
+  const files = parseNumstat(await run(['diff', '--no-ext-diff', '--no-textconv', '--numstat', ...range, ...paths]));
+  const patch = await run(['diff', '--no-ext-diff', '--no-textconv', `-U${lines}`, ...range, ...paths]);
+  return {
+    comparing: to ? `${from}..${to}` : from ? `${from} → ${staged ? 'index' : 'working tree'}` : staged ? 'HEAD → index (staged)' : 'index → working tree (unstaged)',
+    files,
+    ...truncatePatch(patch)
+  };
+}
+
+async function gitLog({ ref, path: filePath, limit = DEFAULT_LOG_LIMIT, since } = {}, run) {
+  const count = Math.min(Math.max(Number(limit) || DEFAULT_LOG_LIMIT, 1), MAX_LOG_LIMIT);
+  const args = ['log', `--max-count=${count}`, '--no-show-signature', '--format=%H%x1f%an%x1f%aI%x1f%s%x1e'];
+  if (since) {
+    if (!/^[\w .:-]+$/.test(since)) throw new Error(`Invalid since: ${JSON.stringify(since)} (use a date or "2 weeks ago")`);
+    args.push(`--since=${since}`);
+  }
+  if (ref) args.push(checkRef(ref));
+  args.push('--', ...(filePath ? [filePath] : []));
+
+  const commits = (await run(args)).split('\x1e').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [hash, author, date, subject] = entry.split('\x1f');
+    return { hash: hash.slice(0, 12), author, date, subject };
+  });
+  return { commits, more: commits.length === count };
+}
+
+async function gitShow({ ref, path: filePath } = {}, run) {
+  checkRef(ref);
+  const paths = ['--', ...(filePath ? [filePath] : [])];
+  const [hash, author, date, ...message] = (await run(['show', '-s', '--no-show-signature', '--format=%H%x1f%an%x1f%aI%x1f%B', ref, '--'])).split('\x1f');
+  const files = parseNumstat(await run(['show', '--no-ext-diff', '--no-textconv', '--format=', '--numstat', ref, ...paths]));
+  const patch = await run(['show', '--no-ext-diff', '--no-textconv', '--format=', ref, ...paths]);
+  return { hash, author, date, message: message.join('\x1f').trim(), files, ...truncatePatch(patch) };
+}
+
+async function gitBlame({ path: filePath, startLine = 1, endLine, ref } = {}, run) {
+  if (!filePath) throw new Error('git_blame needs a path');
+  const start = Math.max(Number(startLine) || 1, 1);
+  // Without an end, "-L<start>," runs to the end of the file and the
+  // lines past the cap are dropped below
+  const end = endLine ? Math.min(Number(endLine), start + BLAME_LINES - 1) : '';
+  const args = ['blame', '--porcelain', `-L${start},${end}`];
+  if (ref) args.push(checkRef(ref));
+  args.push('--', filePath);
+  const out = await run(args);
+
+  const commits = new Map();
+  const lines = [];
+  let current = null;
+  for (const line of out.split('\n')) {
+    const header = /^([0-9a-f]{40}) \d+ (\d+)/.exec(line);
+    if (header) {
+      if (!commits.has(header[1])) commits.set(header[1], {});
+      current = { hash: header[1], line: Number(header[2]) };
+    } else if (current && line.startsWith('\t')) {
+      const info = commits.get(current.hash);
+      lines.push({
+        line: current.line,
+        hash: current.hash.slice(0, 12),
+        author: info.author,
+        date: info.time ? new Date(info.time * 1000).toISOString() : null,
+        summary: info.summary,
+        text: line.slice(1)
+      });
+      current = null;
+    } else if (current) {
+      const info = commits.get(current.hash);
+      if (line.startsWith('author ')) info.author = line.slice('author '.length);
+      else if (line.startsWith('author-time ')) info.time = Number(line.slice('author-time '.length));
+      else if (line.startsWith('summary ')) info.summary = line.slice('summary '.length);
+    }
+  }
+  return { path: filePath, lines: lines.slice(0, BLAME_LINES), more: lines.length > BLAME_LINES };
+}
+
+const HANDLERS = {
+  git_status: gitStatus,
+  git_diff: gitDiff,
+  git_log: gitLog,
+  git_show: gitShow,
+  git_blame: gitBlame
+};
+
+/**
+ * Run one of the GIT_TOOLS in `cwd`. Paths in args must already be checked
+ * (the caller's sandbox); refs are checked here. Resolves to a plain
+ * object: parsed lists for status, log and blame, per-file counts plus a
+ * truncated patch for diff and show.
+ */
+async function runGitTool(name, args = {}, { cwd, signal, timeout } = {}) {
+  const handler = HANDLERS[name];
+  if (!handler) throw new Error(`Unknown git tool: ${name}`);
+  return handler(args, gitArgs => runGit(gitArgs, { cwd, signal, timeout }));
+}
+
+// Short label for tool activity: "git diff --staged lib/a.js"
+function describeGitTool(name, args = {}) {
+  const parts = [`git ${name.slice('git_'.length)}`];
+  if (args.staged) parts.push('--staged');
+  for (const value of [args.ref, args.from, args.to, args.path]) {
+    if (value) parts.push(value);
+  }
+  return parts.join(' ');
+}
+
+export { GIT_TOOLS, runGit, runGitTool, describeGitTool };
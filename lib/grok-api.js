@@ -10,6 +10,77 @@ import { execFile } from 'child_process';
 
 import { config } from '../config/config.js';
 import { ToolSandbox } from './tool-sandbox.js';
+import { readStream, parseSSEJson, ChatCompletionStream, AnthropicMessageStream } from './streaming.js';
+import { getProvider, parseModelRef } from './providers/index.js';
+import { withRetry, getLimiter, getRetryOptions } from './retry.js';
+import { TurnResult } from './turn-result.js';
+import { budget, budgetError } from './budget.js';
+import { loadImage } from './images.js';
+import { parseStructured, schemaInstruction, reaskPrompt } from './json-schema.js';
+import { activeCassette } from './cassette.js';
+import { GitforkedError, FALLBACK_CODES, classifyError, toolFailure } from './errors.js';
+import { ModelRouter, stripOverride } from './router.js';
+import { parsePatch, applyPatch, patchPaths, compactDiff } from './patch.js';
+import { checkpointStore } from './checkpoints.js';
+import { GIT_TOOLS, runGitTool } from './git-inspect.js';
+import { repoMap, DEFAULT_MAP_TOKENS } from './repo-map.js';
+import {
+  DEFAULT_CONTEXT_WINDOW, estimateTokens, estimateMessages, needsCompaction, compactMessages, pruneToolOutput
+} from './context-window.js';
+
+// Anthropic rejects thinking budgets below this
+const CLAUDE_MIN_THINKING_BUDGET = 1024;
+
+// Continuations per turn when a reply hits the output limit (config
+// "autoContinue"; 0 turns it off)
+const DEFAULT_AUTO_CONTINUE = 2;
+
+// Sent after a reply cut off by the output limit; the next reply's text is
+// joined straight onto it
+const CONTINUE_PROMPT = 'Your reply was cut off by the output limit. Continue exactly where it stopped: ' +
+  'no repetition, no preamble, and do not reopen a code block that is already open.';
+
+// Tool-free re-asks after a structured reply fails validation (config
+// "jsonRetries"; 0 turns them off)
+const DEFAULT_JSON_RETRIES = 2;
+
+// Output cap for a re-ask when neither the agent nor the model sets one
+const STRUCTURED_MAX_TOKENS = 4096;
+
+// Tools a read-only turn may use
+const READ_ONLY_TOOLS = new Set(['read', 'glob', 'grep', ...GIT_TOOLS]);
+
+// Heads the repository map appended to the system prompt
+const REPO_MAP_HEADER = 'Repository map (files most used by the rest of the project first, with what each exports). ' +
+  'Start from it instead of globbing for the layout, and read a file before changing it:';
+
+// Longest tool-call arguments quoted to a fallback model
+const CARRY_OVER_ARGS = 200;
+
+// Tell the fallback model what the failed attempt already did, so it
+// doesn't redo edits that are on disk
+function carryOverNote(event, toolCalls) {
+  const calls = toolCalls.map(call => {
+    const args = JSON.stringify(call.args || {});
+    const shown = args.length > CARRY_OVER_ARGS ? `${args.slice(0, CARRY_OVER_ARGS)}…` : args;
+    return `- ${call.name} ${shown}${call.success ? '' : ' (failed)'}`;
+  });
+  return `[${event.from} stopped partway through this request (${event.code}). ` +
+    `These tool calls already ran and their changes are in place:\n${calls.join('\n')}\n` +
+    'Continue from there without repeating them.]';
+}
+
+// Fold the failed attempts into the turn that finished: their rounds
+// (tagged with provider and model) count toward usage and cost, and their
+// tool calls and files stay on record
+function mergeAttempts(turn, spent, switches, last) {
+  const offset = spent.rounds.length;
+  turn.rounds = [...spent.rounds, ...turn.rounds.map(round => ({ ...round, ...last }))];
+  turn.toolCalls = [...spent.toolCalls, ...turn.toolCalls.map(call => ({ ...call, round: call.round + offset }))];
+  turn.filesTouched = [...spent.filesTouched, ...turn.filesTouched.filter(file => !spent.filesTouched.includes(file))];
+  turn.fallbacks = switches;
+  return turn;
+}
 
 class GrokAPI {
   constructor(options = {}) {
@@ -19,73 +90,79 @@ class GrokAPI {
       projectRoot: options.directory || process.cwd(),
       safeMode: options.safeMode ?? true,
       maxRounds: options.maxRounds || 10,
-      bashTimeout: options.bashTimeout || 10000
+      bashTimeout: options.bashTimeout || 10000,
+      maxImageSize: options.maxImageSize
     });
+    // Spend caps (lib/budget.js); shared across the process unless given
+    this.budget = options.budget || budget;
     this.setupClient();
   }
 
+  // Client setup is owned by the provider adapter (lib/providers)
   setupClient() {
-    const provider = this.provider;
-    if (provider === 'grok') {
-      this.baseURL = process.env.GROK_BASE_URL || 'https://api.x.ai/v1';
-      this.apiKey = this._options.apiKey || config.getApiKey('grok');
-      this.client = axios.create({
-        baseURL: this.baseURL,
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
-    } else if (provider === 'groq') {
-      this.baseURL = 'https://api.groq.com/openai/v1';
-      this.apiKey = this._options.apiKey || config.getApiKey('groq');
-      this.client = axios.create({
-        baseURL: this.baseURL,
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
-    } else if (provider === 'gemini') {
-      this.baseURL = 'https://generativelanguage.googleapis.com/v1beta';
-      this.apiKey = this._options.apiKey || config.getApiKey('gemini');
-      this.client = axios.create({
-        baseURL: this.baseURL,
-        params: { key: this.apiKey }
-      });
-    } else if (provider === 'claude') {
-      this.baseURL = 'https://api.anthropic.com/v1';
-      this.apiKey = this._options.apiKey || config.getApiKey('claude');
-      this.client = axios.create({
-        baseURL: this.baseURL,
-        headers: {
-          'x-api-key': this.apiKey,
-          'anthropic-version': '2023-06-01',
-          'Content-Type': 'application/json'
-        }
-      });
-    } else if (provider === 'ollama') {
-      this.baseURL = this._options.ollamaBaseUrl || config.getOllamaBaseUrl?.() || 'http://localhost:11434';
-      this.apiKey = null;
-      this.client = axios.create({
-        baseURL: `${this.baseURL}/v1`,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
+    this.adapter = getProvider(this.provider);
+    if (!this.adapter) {
+      this.client = null;
+      return;
     }
+    this.baseURL = this.adapter.resolveBaseURL(this._options);
+    this.apiKey = this.adapter.resolveApiKey(this._options);
+    this.client = this.adapter.createClient({ baseURL: this.baseURL, apiKey: this.apiKey });
+  }
+
+  // Every provider request goes through here: 429/5xx/network failures are
+  // retried with backoff, honouring Retry-After and rate-limit headers.
+  // With a cassette (lib/cassette.js) requests are recorded or replayed.
+  async _post(url, data, requestConfig, options = {}) {
+    const limiter = getLimiter(this.provider);
+    const { signal } = options;
+    const cassette = this._options.cassette || activeCassette();
+    return withRetry(async () => {
+      let response;
+      try {
+        response = cassette
+          ? await cassette.post(this.adapter.id, this.client, url, data, { ...requestConfig, signal })
+          : await this.client.post(url, data, { ...requestConfig, signal });
+      } catch (error) {
+        // A streamed request's error body is a stream too; read it so
+        // classifyError sees the provider's message
+        if (typeof error.response?.data?.[Symbol.asyncIterator] === 'function') {
+          error.response.data = await readStream(error.response.data).catch(() => '');
+        }
+        throw error;
+      }
+      limiter.noteHeaders(response.headers);
+      return response;
+    }, { ...getRetryOptions(), ...this._options.retry, onRetry: options.onRetry, signal });
+  }
+
+  // Run one round inside the provider's shared concurrency limit; the slot
+  // is held until a streamed body has been fully read
+  _withProviderSlot(fn, signal) {
+    return getLimiter(this.provider).run(fn, signal);
+  }
+
+  // Tear down a streamed body when the turn is cancelled so the SSE reader
+  // stops mid-response. Returns a detach function.
+  _destroyOnAbort(stream, signal) {
+    if (!signal || typeof stream?.destroy !== 'function') return () => {};
+    const onAbort = () => stream.destroy(signal.reason);
+    if (signal.aborted) onAbort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+    return () => signal.removeEventListener('abort', onAbort);
   }
 
   async chat(message, options = {}) {
     const { model = 'grok-4-1-fast-reasoning', directory, mode = 'plan' } = options;
 
     try {
-       const response = await this.client.post('/chat/completions', {
+      const system = await this._systemPrompt(directory, options);
+      const response = await this._withProviderSlot(() => this._post('/chat/completions', {
         model,
         messages: [
           {
             role: 'system',
-            content: this.getSystemPrompt(directory, options.mode)
+            content: system
           },
           {
             role: 'user',
@@ -94,25 +171,51 @@ class GrokAPI {
         ],
         stream: false,
         temperature: 0
-      });
+      }, undefined, options));
 
       return response.data.choices[0].message.content;
     } catch (error) {
-      if (error.response?.status === 404) {
-        throw new Error('Endpoint not found: The requested model or API version may not be available.');
-      }
-      if (error.response?.status === 400) {
-        if (error.response.data?.error?.includes('API key')) {
-          throw new Error('Unauthorized: Please check your API key');
-        }
-        throw new Error('Bad request: Check model name, parameters, or API key validity.');
-      }
-      throw new Error(`API Error: ${error.message}`);
+      throw classifyError(error, { adapter: this.adapter, model, signal: options.signal });
     }
   }
 
+  // Legacy entry point: the turn's transcript with a "Tokens/Cost" footer.
+  // New code should use runPrompt and read the TurnResult instead.
+  // With options.jsonSchema it resolves to the parsed, validated JSON and
+  // throws (error.validationErrors) when the reply never matched.
   async processPrompt(prompt, options = {}) {
-    const { model = config.getModel(), directory, messages = [] } = options;
+    const turn = await this.runPrompt(prompt, options);
+    if (!options.jsonSchema) return turn.toString();
+    if (turn.jsonErrors.length > 0) {
+      const error = new Error(`Reply does not match the JSON schema:\n${turn.jsonErrors.map(e => `- ${e}`).join('\n')}`);
+      error.validationErrors = turn.jsonErrors;
+      error.turn = turn;
+      throw error;
+    }
+    return turn.json;
+  }
+
+  // Run one turn through the provider's tool loop. Resolves to a TurnResult
+  // (lib/turn-result.js) with text, per-round usage, cost and tool calls.
+  async runPrompt(prompt, options = {}) {
+    // Files this turn's tools change are saved to one checkpoint
+    // (lib/checkpoints.js), shared by routed and fallback attempts
+    const checkpoint = options.checkpoint || { id: null, label: prompt };
+    options = { ...options, checkpoint };
+
+    let turn;
+    const router = this._router(options);
+    const fallbacks = router ? [] : this._fallbacks(options);
+    if (router) turn = await this._runRouted(router, prompt, options);
+    else if (fallbacks.length > 0) turn = await this._runWithFallbacks(fallbacks, prompt, options);
+    else turn = await this._runTurn(prompt, options);
+    turn.checkpoint = checkpoint.id;
+    return turn;
+  }
+
+  // One turn on this provider, no routing or fallbacks
+  async _runTurn(prompt, options = {}) {
+    const { directory, messages = [] } = options;
 
     // Update sandbox project root if directory changed
     if (directory) {
@@ -131,19 +234,157 @@ class GrokAPI {
       conversationHistory.push({ role: 'user', content: prompt });
     }
 
+    // Image attachments ride on the prompt's turn
+    if (options.images?.length) {
+      conversationHistory[conversationHistory.length - 1].images = this._attachImages(options.images, options.model);
+    }
+
+    // Structured output: every provider gets the schema in the prompt, and
+    // those with a native JSON mode also get it in the request
+    if (options.jsonSchema) {
+      const last = conversationHistory[conversationHistory.length - 1];
+      last.content = `${last.content}\n\n${schemaInstruction(options.jsonSchema)}`;
+    }
+
+    // Over budget: refuse the turn before spending anything
+    const exceeded = this.budget.check({ agentId: options.agentId, agentName: options.agentName });
+    if (exceeded) throw budgetError(exceeded);
+
     try {
-      // Route to appropriate handler based on provider
-      if (this.provider === 'grok') {
-        return await this._processWithToolLoop_Grok(conversationHistory, options);
-      } else if (this.provider === 'claude') {
-        return await this._processWithToolLoop_Claude(conversationHistory, options);
-      } else {
-        // Groq, Gemini, Ollama — no tool support
-        return await this._processSinglePass(conversationHistory, options);
+      if (!this.adapter) {
+        throw new Error(`Unknown provider: ${this.provider}`);
       }
+      // Route to the tool loop for the adapter's wire protocol
+      let turn;
+      switch (this.adapter.protocol) {
+        case 'anthropic':
+          turn = await this._processWithToolLoop_Claude(conversationHistory, options);
+          break;
+        case 'gemini':
+          turn = await this._processWithToolLoop_Gemini(conversationHistory, options);
+          break;
+        default:
+          turn = await this._processWithToolLoop_Grok(conversationHistory, options);
+      }
+      if (options.jsonSchema) await this._settleStructured(turn, prompt, options);
+      return turn;
     } catch (error) {
-      throw new Error(`API Error: ${error.message}`);
+      // Typed (lib/errors.js) with the provider, status and a fix to show
+      const typed = classifyError(error, { adapter: this.adapter, model: options.model || config.getModel(), signal: options.signal });
+      if (error.partialTurn) typed.partialTurn = error.partialTurn;
+      throw typed;
+    }
+  }
+
+  // Routing mode (lib/router.js) is on when the `router` option or config
+  // "router" has enabled: true; options.route === false skips it for a turn
+  _router(options) {
+    if (options.route === false) return null;
+    const settings = this._options.router ?? config.get('router');
+    return settings?.enabled ? new ModelRouter(settings) : null;
+  }
+
+  // Pick the tier's model for this prompt and run the turn there. A tier on
+  // another provider runs on a GrokAPI for that provider, kept for reuse.
+  async _runRouted(router, prompt, options) {
+    const route = await router.route(prompt, options, (question) => {
+      const cheap = router.target('cheap') || {};
+      return this._apiFor(cheap.provider).complete(question, {
+        model: cheap.model || options.model, maxTokens: 16, signal: options.signal, agentId: options.agentId
+      });
+    });
+    route.provider = route.provider || this.provider;
+    route.model = route.model || options.model || config.getModel();
+    options.onRoute?.(route);
+
+    // The @tier prefix is for the router, not the model
+    const messages = (options.messages || []).map(msg => msg.role === 'user' ? { ...msg, content: stripOverride(msg.content) } : msg);
+    const turn = await this._apiFor(route.provider).runPrompt(route.prompt, {
+      ...options, messages, model: route.model, route: false
+    });
+    turn.route = route;
+    return turn;
+  }
+
+  // Ordered "provider/model" entries to try when this provider fails: the
+  // `fallbacks` option (per turn or per GrokAPI, e.g. an agent's), else
+  // config "fallbacks"
+  _fallbacks(options) {
+    const list = options.fallbacks ?? this._options.fallbacks ?? config.get('fallbacks') ?? [];
+    if (!Array.isArray(list)) throw new Error('"fallbacks" must be a list of "provider/model" entries');
+    return list.map(parseModelRef);
+  }
+
+  // Run the turn on this provider, then on each fallback in order while the
+  // failure is the provider's (lib/errors.js FALLBACK_CODES). The history
+  // is provider-neutral, so each adapter translates it afresh; tool calls a
+  // failed attempt already ran are kept and listed for the next model.
+  async _runWithFallbacks(fallbacks, prompt, options) {
+    const chain = [{ provider: this.provider, model: options.model || config.getModel() }, ...fallbacks]
+      .map(entry => ({ provider: entry.provider || this.provider, model: entry.model || options.model || config.getModel() }));
+    const switches = [];
+    const spent = { rounds: [], toolCalls: [], filesTouched: [] };
+    let attemptPrompt = prompt;
+    let messages = options.messages || [];
+
+    for (let i = 0; ; i++) {
+      const { provider, model } = chain[i];
+      try {
+        const turn = await this._apiFor(provider)._runTurn(attemptPrompt, { ...options, messages, model });
+        return switches.length > 0 ? mergeAttempts(turn, spent, switches, { provider, model }) : turn;
+      } catch (error) {
+        if (i === chain.length - 1 || !FALLBACK_CODES.has(error.code)) throw error;
+        const next = chain[i + 1];
+        const event = {
+          from: `${provider}/${model}`,
+          to: `${next.provider}/${next.model}`,
+          code: error.code,
+          message: error.message
+        };
+        switches.push(event);
+        options.onFallback?.(event);
+
+        const partial = error.partialTurn;
+        if (partial) {
+          const offset = spent.rounds.length;
+          spent.rounds.push(...partial.rounds.map(round => ({ ...round, provider, model })));
+          spent.toolCalls.push(...partial.toolCalls.map(call => ({ ...call, round: call.round + offset })));
+          spent.filesTouched.push(...partial.filesTouched.filter(file => !spent.filesTouched.includes(file)));
+        }
+        if (spent.toolCalls.length > 0) {
+          // The prompt is restated with what already ran, so drop its copy
+          // from the history
+          if (messages.at(-1)?.content === prompt) messages = messages.slice(0, -1);
+          attemptPrompt = `${prompt}\n\n${carryOverNote(event, spent.toolCalls)}`;
+        }
+      }
+    }
+  }
+
+  // This GrokAPI for its own provider, else one for the other provider
+  // (sharing options and budget), kept for reuse. Used by routing and
+  // fallbacks. An explicit apiKey belongs to this provider only.
+  _apiFor(provider) {
+    if (!provider || getProvider(provider)?.id === this.provider) return this;
+    this._siblings = this._siblings || new Map();
+    if (!this._siblings.has(provider)) {
+      const { apiKey, ...shared } = this._options;
+      this._siblings.set(provider, new GrokAPI({ ...shared, provider, router: false, budget: this.budget }));
+    }
+    return this._siblings.get(provider);
+  }
+
+  // Paths are read through the sandbox (project root, type, size limit);
+  // already-loaded images pass through. Throws when the model can't see them.
+  _attachImages(images, model = config.getModel()) {
+    if (!this.adapter) throw new Error(`Unknown provider: ${this.provider}`);
+    if (!this.adapter.supportsVision(model)) {
+      const suggestion = this.adapter.models.find(m => this.adapter.supportsVision(m));
+      throw new Error(`${this.adapter.label} model ${model} does not accept images. ` +
+        (suggestion ? `Switch to a vision model such as ${this.adapter.id}/${suggestion}, ` : 'Switch to a vision provider such as claude or gemini, ') +
+        'or send the prompt without the image.');
     }
+    return images.map(image => typeof image === 'string' ? loadImage(image, this.sandbox) : image);
   }
 
   // Multi-round tool loop for Grok/OpenAI-compatible APIs
@@ -152,37 +393,79 @@ class GrokAPI {
     const onToolCall = options.onToolCall || (() => {});
     const onToolResult = options.onToolResult || (() => {});
     const onPermissionRequired = options.onPermissionRequired || (async () => true);
+    const onDelta = options.onDelta || (() => {});
 
-    const loopMessages = [
-      { role: 'system', content: this.getSystemPrompt(directory, options.mode) },
-      ...conversationHistory
-    ];
+    const { messages: loopMessages } = this.adapter.translateMessages(
+      conversationHistory, await this._systemPrompt(directory, options)
+    );
 
     let totalRounds = 0;
     let totalToolCalls = 0;
     let accumulatedText = '';
-    let lastUsage = null;
+    let continuing = false; // this round's text carries on from a cut-off reply
+    const turn = new TurnResult({ provider: this.provider, model, directory });
     const maxTotalToolCalls = this.sandbox.maxRounds * this.sandbox.maxToolCallsPerRound;
+    const maxContinuations = this._autoContinue(options);
 
     while (totalRounds < this.sandbox.maxRounds) {
+      if (options.signal?.aborted) {
+        turn.stopReason = 'cancelled';
+        break;
+      }
+      if (this._stopForBudget(turn, options)) break;
+      this._fitLoopContext(loopMessages, model);
+
       const requestData = {
         model,
         messages: loopMessages,
         temperature: 0,
-        stream: false,
-        tools: this.getAgentTools(),
+        tools: this.adapter.translateTools(this._toolsFor(options)),
         tool_choice: 'auto'
       };
+      const maxTokens = this._maxOutputTokens(model, options);
+      if (maxTokens) requestData.max_tokens = maxTokens;
+      if (options.jsonSchema) {
+        Object.assign(requestData, this.adapter.structuredOutput(options.jsonSchema, { tools: true }));
+      }
 
-      const response = await this.client.post('/chat/completions', requestData);
-      if (response.data.usage) lastUsage = response.data.usage;
+      let round;
+      try {
+        round = await this._withProviderSlot(() => this._requestRound_Grok(
+          requestData, options, onDelta, accumulatedText.length > 0 && !continuing
+        ), options.signal);
+      } catch (error) {
+        if (!options.signal?.aborted) {
+          // What the turn did before failing, for a fallback to carry over
+          error.partialTurn = turn;
+          throw error;
+        }
+        accumulatedText = this._appendPartial(accumulatedText, error);
+        turn.stopReason = 'cancelled';
+        break;
+      }
+      const { message: assistantMessage, reasoning, usage, finishReason } = round;
+      this._recordRound(turn, usage, finishReason, options, reasoning);
+      turn.addReasoning(reasoning);
 
-      const assistantMessage = response.data.choices[0].message;
       loopMessages.push(assistantMessage);
 
       // Accumulate any text content
       if (assistantMessage.content) {
-        accumulatedText += (accumulatedText ? '\n\n' : '') + assistantMessage.content;
+        accumulatedText += (accumulatedText && !continuing ? '\n\n' : '') + assistantMessage.content;
+      }
+      continuing = false;
+
+      // Cut off by the output limit: a half-streamed tool call can't run, so
+      // drop it and ask for the rest of the reply
+      if (turn.truncated) {
+        if (turn.continuations >= maxContinuations) break;
+        delete assistantMessage.tool_calls;
+        assistantMessage.content = assistantMessage.content || '';
+        loopMessages.push({ role: 'user', content: CONTINUE_PROMPT });
+        turn.continuations++;
+        continuing = true;
+        totalRounds++;
+        continue;
       }
 
       // If no tool calls, we're done
@@ -192,7 +475,7 @@ class GrokAPI {
 
       // Execute tool calls
       const toolResults = await this.executeToolCalls(
-        assistantMessage.tool_calls, options, { onToolCall, onToolResult, onPermissionRequired }
+        assistantMessage.tool_calls, options, { onToolCall, onToolResult, onPermissionRequired }, turn
       );
 
       for (const tr of toolResults) {
@@ -215,18 +498,18 @@ class GrokAPI {
       totalRounds++;
 
       if (totalToolCalls >= maxTotalToolCalls) {
-        accumulatedText += '\n\n[Tool limit: max tool calls reached]';
+        turn.limits.maxToolCalls = true;
+        turn.stopReason = 'max_tool_calls';
         break;
       }
     }
 
-    if (totalRounds >= this.sandbox.maxRounds) {
-      accumulatedText += '\n\n[Tool limit: max rounds reached]';
+    if (turn.stopReason === 'end' && totalRounds >= this.sandbox.maxRounds) {
+      turn.limits.maxRounds = true;
+      turn.stopReason = 'max_rounds';
     }
-
-    // Append usage footer
-    accumulatedText += this._formatUsageFooter(lastUsage);
-    return accumulatedText;
+    turn.text = accumulatedText;
+    return turn;
   }
 
   // Multi-round tool loop for Claude/Anthropic API
@@ -235,39 +518,97 @@ class GrokAPI {
     const onToolCall = options.onToolCall || (() => {});
     const onToolResult = options.onToolResult || (() => {});
     const onPermissionRequired = options.onPermissionRequired || (async () => true);
+    const onDelta = options.onDelta || (() => {});
 
-    const loopMessages = [...conversationHistory];
+    const { system, messages: loopMessages } = this.adapter.translateMessages(
+      conversationHistory, await this._systemPrompt(directory, options)
+    );
+    const requestedBudget = this._thinkingBudget(options);
+    const thinkingBudget = requestedBudget && Math.max(requestedBudget, CLAUDE_MIN_THINKING_BUDGET);
     let totalRounds = 0;
     let totalToolCalls = 0;
     let accumulatedText = '';
-    let lastUsage = null;
+    let continuing = false; // this round's text carries on from a cut-off reply
+    const turn = new TurnResult({ provider: this.provider, model, directory });
     const maxTotalToolCalls = this.sandbox.maxRounds * this.sandbox.maxToolCallsPerRound;
+    const maxContinuations = this._autoContinue(options);
 
     while (totalRounds < this.sandbox.maxRounds) {
-      const requestData = {
+      if (options.signal?.aborted) {
+        turn.stopReason = 'cancelled';
+        break;
+      }
+      if (this._stopForBudget(turn, options)) break;
+      this._fitLoopContext(loopMessages, model, system);
+
+      const maxTokens = this._maxOutputTokens(model, options);
+      let requestData = {
         model,
-        max_tokens: 4096,
-        system: this.getSystemPrompt(directory, options.mode),
+        max_tokens: maxTokens,
+        system,
         messages: loopMessages,
         temperature: 0,
-        tools: this.getClaudeTools()
+        tools: this.adapter.translateTools(this._toolsFor(options))
       };
+      if (thinkingBudget) {
+        // The thinking budget comes out of max_tokens, and the API only
+        // accepts the default temperature alongside it
+        delete requestData.temperature;
+        requestData.max_tokens = thinkingBudget + maxTokens;
+        requestData.thinking = { type: 'enabled', budget_tokens: thinkingBudget };
+      }
+      if (this._promptCaching(options) && this.adapter.withCacheBreakpoints) {
+        requestData = { ...requestData, ...this.adapter.withCacheBreakpoints(requestData) };
+      }
 
-      const response = await this.client.post('/messages', requestData);
-      if (response.data.usage) lastUsage = response.data.usage;
-
-      const content = response.data.content || [];
-      const stopReason = response.data.stop_reason;
-
-      // Build assistant message for history
-      loopMessages.push({ role: 'assistant', content });
+      let responseData;
+      try {
+        responseData = await this._withProviderSlot(() => this._requestRound_Claude(
+          requestData, options, onDelta, accumulatedText.length > 0 && !continuing
+        ), options.signal);
+      } catch (error) {
+        if (!options.signal?.aborted) {
+          error.partialTurn = turn;
+          throw error;
+        }
+        accumulatedText = this._appendPartial(accumulatedText, error);
+        turn.stopReason = 'cancelled';
+        break;
+      }
+      const content = responseData.content || [];
+      const stopReason = responseData.stop_reason;
+      const reasoning = content
+        .filter(b => b.type === 'thinking' && b.thinking)
+        .map(b => b.thinking)
+        .join('\n\n');
+      this._recordRound(turn, responseData.usage, stopReason, options, reasoning);
+      turn.addReasoning(reasoning);
+
+      // Build assistant message for history. Thinking and redacted_thinking
+      // blocks stay in it with their signatures: a tool round must send them
+      // back unchanged. A tool_use cut off by the output limit is dropped, as
+      // it would need a result.
+      const kept = turn.truncated ? content.filter(b => b.type !== 'tool_use') : content;
+      if (kept.length > 0) loopMessages.push({ role: 'assistant', content: kept });
 
       // Extract text blocks
       for (const block of content) {
         if (block.type === 'text' && block.text) {
-          accumulatedText += (accumulatedText ? '\n\n' : '') + block.text;
+          accumulatedText += (accumulatedText && !continuing ? '\n\n' : '') + block.text;
+          continuing = false;
         }
       }
+      continuing = false;
+
+      // Cut off by the output limit: ask for the rest of the reply
+      if (turn.truncated) {
+        if (turn.continuations >= maxContinuations) break;
+        loopMessages.push({ role: 'user', content: CONTINUE_PROMPT });
+        turn.continuations++;
+        continuing = true;
+        totalRounds++;
+        continue;
+      }
 
       // If stop reason is not tool_use, we're done
       if (stopReason !== 'tool_use') break;
@@ -287,33 +628,12 @@ class GrokAPI {
           continue;
         }
 
-        const toolName = toolUse.name;
-        const args = toolUse.input || {};
-
-        onToolCall(toolName, args);
-
-        try {
-          const result = await this._dispatchTool(toolName, args, options);
-          const truncated = this.sandbox.truncateResult(result);
-          this.sandbox.logToolCall(options.agentId || null, toolName, args, truncated, true);
-          onToolResult(toolName, true);
-
-          toolResultContent.push({
-            type: 'tool_result',
-            tool_use_id: toolUse.id,
-            content: truncated
-          });
-        } catch (error) {
-          this.sandbox.logToolCall(options.agentId || null, toolName, args, error.message, false);
-          onToolResult(toolName, false);
-
-          toolResultContent.push({
-            type: 'tool_result',
-            tool_use_id: toolUse.id,
-            content: `Error: ${error.message}`,
-            is_error: true
-          });
-        }
+        const { result, success } = await this._runTool(
+          toolUse.name, toolUse.input || {}, options, { onToolCall, onToolResult, onPermissionRequired }, turn
+        );
+        const block = { type: 'tool_result', tool_use_id: toolUse.id, content: result };
+        if (!success) block.is_error = true;
+        toolResultContent.push(block);
         totalToolCalls++;
       }
 
@@ -321,150 +641,537 @@ class GrokAPI {
       totalRounds++;
 
       if (totalToolCalls >= maxTotalToolCalls) {
-        accumulatedText += '\n\n[Tool limit: max tool calls reached]';
+        turn.limits.maxToolCalls = true;
+        turn.stopReason = 'max_tool_calls';
         break;
       }
     }
 
-    if (totalRounds >= this.sandbox.maxRounds) {
-      accumulatedText += '\n\n[Tool limit: max rounds reached]';
+    if (turn.stopReason === 'end' && totalRounds >= this.sandbox.maxRounds) {
+      turn.limits.maxRounds = true;
+      turn.stopReason = 'max_rounds';
+    }
+    turn.text = accumulatedText;
+    return turn;
+  }
+
+  // One chat/completions round. Streams by default so text and tool-call
+  // deltas reach onDelta as they arrive; pass stream: false to disable.
+  async _requestRound_Grok(requestData, options, onDelta, hasPriorText) {
+    if (options.stream === false) {
+      const response = await this._post('/chat/completions', { ...requestData, stream: false }, undefined, options);
+      // Reasoning stays out of the history the loop sends back
+      const { reasoning_content: reasoningContent, reasoning: reasoningText, ...message } = response.data.choices[0].message;
+      const reasoning = reasoningContent || (typeof reasoningText === 'string' ? reasoningText : '');
+      if (reasoning) onDelta({ type: 'reasoning', text: reasoning });
+      if (message.content) {
+        onDelta({ type: 'text', text: (hasPriorText ? '\n\n' : '') + message.content });
+      }
+      if (response.data.usage) onDelta({ type: 'usage', usage: response.data.usage });
+      return { message, reasoning, usage: response.data.usage || null, finishReason: response.data.choices[0].finish_reason };
+    }
+
+    const response = await this._post('/chat/completions', {
+      ...requestData,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { responseType: 'stream' }, options);
+
+    const stream = new ChatCompletionStream();
+    let textStarted = false;
+    const detach = this._destroyOnAbort(response.data, options.signal);
+    try {
+      for await (const { payload } of parseSSEJson(response.data)) {
+        for (const delta of stream.push(payload)) {
+          // Keep streamed text identical to the accumulated transcript
+          if (delta.type === 'text' && !textStarted) {
+            if (hasPriorText) onDelta({ type: 'text', text: '\n\n' });
+            textStarted = true;
+          }
+          onDelta(delta);
+        }
+      }
+    } catch (error) {
+      error.partialText = stream.content;
+      throw error;
+    } finally {
+      detach();
+    }
+
+    return { message: stream.message(), reasoning: stream.reasoning, usage: stream.usage, finishReason: stream.finishReason };
+  }
+
+  // One /messages round, streamed unless options.stream === false
+  async _requestRound_Claude(requestData, options, onDelta, hasPriorText) {
+    if (options.stream === false) {
+      const response = await this._post('/messages', requestData, undefined, options);
+      for (const block of response.data.content || []) {
+        if (block.type === 'thinking' && block.thinking) onDelta({ type: 'reasoning', text: block.thinking });
+      }
+      const text = (response.data.content || [])
+        .filter(b => b.type === 'text' && b.text)
+        .map(b => b.text)
+        .join('\n\n');
+      if (text) onDelta({ type: 'text', text: (hasPriorText ? '\n\n' : '') + text });
+      if (response.data.usage) onDelta({ type: 'usage', usage: response.data.usage });
+      return response.data;
+    }
+
+    const response = await this._post('/messages', { ...requestData, stream: true }, { responseType: 'stream' }, options);
+
+    const stream = new AnthropicMessageStream();
+    let hasText = hasPriorText;
+    let lastTextBlock = -1;
+    const detach = this._destroyOnAbort(response.data, options.signal);
+    try {
+      for await (const { payload } of parseSSEJson(response.data)) {
+        for (const delta of stream.push(payload)) {
+          // Text blocks are joined with a blank line in the transcript
+          if (delta.type === 'text' && payload.index !== lastTextBlock) {
+            if (hasText) onDelta({ type: 'text', text: '\n\n' });
+            hasText = true;
+            lastTextBlock = payload.index;
+          }
+          onDelta(delta);
+        }
+      }
+    } catch (error) {
+      error.partialText = stream.message().content
+        .filter(b => b.type === 'text' && b.text)
+        .map(b => b.text)
+        .join('\n\n');
+      throw error;
+    } finally {
+      detach();
     }
 
-    accumulatedText += this._formatUsageFooter(lastUsage);
-    return accumulatedText;
+    return stream.message();
   }
 
-  // Single-pass (no tools) for Groq, Gemini, Ollama
-  async _processSinglePass(conversationHistory, options = {}) {
+  // Multi-round tool loop for Gemini (functionDeclarations)
+  async _processWithToolLoop_Gemini(conversationHistory, options = {}) {
     const { model = config.getModel(), directory } = options;
-    let requestData, endpoint, responseHandler;
+    const onToolCall = options.onToolCall || (() => {});
+    const onToolResult = options.onToolResult || (() => {});
+    const onPermissionRequired = options.onPermissionRequired || (async () => true);
+    const onDelta = options.onDelta || (() => {});
 
-    if (this.provider === 'groq') {
-      requestData = {
-        model,
-        messages: [
-          { role: 'system', content: this.getSystemPrompt(directory, options.mode) },
-          ...conversationHistory
-        ],
-        temperature: 0,
-        stream: false
-      };
-      endpoint = '/chat/completions';
-      responseHandler = (response) => response.data.choices[0].message.content || '';
-    } else if (this.provider === 'gemini') {
-      const historyText = conversationHistory.map(m =>
-        `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`
-      ).join('\n\n');
-
-      requestData = {
-        contents: [{
-          parts: [{ text: `${this.getSystemPrompt(directory, options.mode)}\n\n${historyText}` }]
-        }],
+    const { system, messages: loopContents } = this.adapter.translateMessages(
+      conversationHistory, await this._systemPrompt(directory, options)
+    );
+    const thinkingBudget = this._thinkingBudget(options);
+
+    let totalRounds = 0;
+    let totalToolCalls = 0;
+    let accumulatedText = '';
+    let continuing = false; // this round's text carries on from a cut-off reply
+    const turn = new TurnResult({ provider: this.provider, model, directory });
+    const maxTotalToolCalls = this.sandbox.maxRounds * this.sandbox.maxToolCallsPerRound;
+    const maxContinuations = this._autoContinue(options);
+
+    while (totalRounds < this.sandbox.maxRounds) {
+      if (options.signal?.aborted) {
+        turn.stopReason = 'cancelled';
+        break;
+      }
+      if (this._stopForBudget(turn, options)) break;
+      this._fitLoopContext(loopContents, model, system);
+
+      const requestData = {
+        systemInstruction: system,
+        contents: loopContents,
+        tools: this.adapter.translateTools(this._toolsFor(options)),
+        toolConfig: { functionCallingConfig: { mode: 'AUTO' } },
         generationConfig: {
-          temperature: 0,
-          maxOutputTokens: 4096
+          temperature: 0
         }
       };
-      endpoint = `/models/${model}:generateContent`;
-      responseHandler = (response) => response.data.candidates?.[0]?.content?.parts?.[0]?.text || 'No response';
-    } else if (this.provider === 'ollama') {
-      requestData = {
-        model,
-        messages: [
-          { role: 'system', content: this.getSystemPrompt(directory, options.mode) },
-          ...conversationHistory
-        ],
-        temperature: 0,
-        stream: false
-      };
-      endpoint = '/chat/completions';
-      responseHandler = (response) => response.data.choices[0].message.content || '';
+      const maxTokens = this._maxOutputTokens(model, options);
+      if (maxTokens) requestData.generationConfig.maxOutputTokens = maxTokens;
+      if (thinkingBudget) {
+        if (maxTokens) requestData.generationConfig.maxOutputTokens += thinkingBudget;
+        requestData.generationConfig.thinkingConfig = { thinkingBudget, includeThoughts: true };
+      }
+
+      let response;
+      try {
+        response = await this._withProviderSlot(() =>
+          this._post(`/models/${model}:generateContent`, requestData, undefined, options), options.signal
+        );
+      } catch (error) {
+        if (!options.signal?.aborted) {
+          error.partialTurn = turn;
+          throw error;
+        }
+        turn.stopReason = 'cancelled';
+        break;
+      }
+      if (response.data.usageMetadata) {
+        onDelta({ type: 'usage', usage: response.data.usageMetadata });
+      }
+      this._recordRound(turn, response.data.usageMetadata, response.data.candidates?.[0]?.finishReason, options);
+
+      const candidateContent = response.data.candidates?.[0]?.content || { role: 'model', parts: [] };
+      const parts = candidateContent.parts || [];
+      // Echo the model turn back verbatim so function calls stay paired with
+      // their thought signatures; a call cut off by the output limit can't
+      // run, so it is dropped
+      const kept = turn.truncated ? parts.filter(p => !p.functionCall) : parts;
+      if (kept.length > 0) loopContents.push({ role: 'model', parts: kept });
+
+      // Thought summaries come back as text parts flagged thought: true
+      const reasoning = parts.filter(p => p.thought && p.text).map(p => p.text).join('');
+      if (reasoning) {
+        onDelta({ type: 'reasoning', text: reasoning });
+        turn.addReasoning(reasoning);
+      }
+
+      const text = parts.filter(p => p.text && !p.thought).map(p => p.text).join('');
+      if (text) {
+        const separator = accumulatedText && !continuing ? '\n\n' : '';
+        onDelta({ type: 'text', text: separator + text });
+        accumulatedText += separator + text;
+      }
+      continuing = false;
+
+      // Cut off by the output limit: ask for the rest of the reply
+      if (turn.truncated) {
+        if (turn.continuations >= maxContinuations) break;
+        loopContents.push({ role: 'user', parts: [{ text: CONTINUE_PROMPT }] });
+        turn.continuations++;
+        continuing = true;
+        totalRounds++;
+        continue;
+      }
+
+      const functionCalls = parts.filter(p => p.functionCall).map(p => p.functionCall);
+      if (functionCalls.length === 0) break;
+
+      const responseParts = [];
+      for (const call of functionCalls) {
+        let content;
+        if (totalToolCalls >= maxTotalToolCalls) {
+          content = '[Tool limit reached: max tool calls exceeded]';
+        } else {
+          ({ result: content } = await this._runTool(
+            call.name, call.args || {}, options, { onToolCall, onToolResult, onPermissionRequired }, turn
+          ));
+        }
+        const functionResponse = { name: call.name, response: { content } };
+        if (call.id) functionResponse.id = call.id;
+        responseParts.push({ functionResponse });
+        totalToolCalls++;
+      }
+
+      loopContents.push({ role: 'user', parts: responseParts });
+      totalRounds++;
+
+      if (totalToolCalls >= maxTotalToolCalls) {
+        turn.limits.maxToolCalls = true;
+        turn.stopReason = 'max_tool_calls';
+        break;
+      }
     }
 
-    const response = await this.client.post(endpoint, requestData);
-    let finalContent = await responseHandler(response);
-    finalContent += this._formatUsageFooter(response.data.usage);
-    return finalContent;
+    if (turn.stopReason === 'end' && totalRounds >= this.sandbox.maxRounds) {
+      turn.limits.maxRounds = true;
+      turn.stopReason = 'max_rounds';
+    }
+    turn.text = accumulatedText;
+    return turn;
+  }
+
+  // Prompt caching is on unless the turn, this client (an agent's config)
+  // or config "promptCaching" turns it off
+  _promptCaching(options = {}) {
+    return options.promptCaching ?? this._options.promptCaching ?? config.get('promptCaching') ?? true;
   }
 
-  // Format usage/cost footer from API response
-  _formatUsageFooter(usage) {
-    if (!usage) return '';
-
-    const inputTokens = usage.input_tokens || usage.prompt_tokens || 0;
-    const outputTokens = usage.output_tokens || usage.completion_tokens || 0;
-    const totalTokens = inputTokens + outputTokens;
-
-    let inputCost = 0, outputCost = 0;
-    if (this.provider === 'grok') {
-      inputCost = (inputTokens / 1000000) * 0.10;
-      outputCost = (outputTokens / 1000000) * 0.30;
-    } else if (this.provider === 'groq') {
-      inputCost = (inputTokens / 1000000) * 0.05;
-      outputCost = (outputTokens / 1000000) * 0.08;
-    } else if (this.provider === 'claude') {
-      inputCost = (inputTokens / 1000000) * 3.00;
-      outputCost = (outputTokens / 1000000) * 15.00;
-    } else if (this.provider === 'gemini') {
-      inputCost = (inputTokens / 1000000) * 0.50;
-      outputCost = (outputTokens / 1000000) * 1.50;
-    } else if (this.provider === 'ollama') {
-      inputCost = 0;
-      outputCost = 0;
+  // Extended thinking budget in tokens, or null when off: the turn's
+  // option, then this client's (an agent's config), then config
+  // "thinkingBudget". 0 turns it off without falling through.
+  _thinkingBudget(options = {}) {
+    const value = Number(options.thinkingBudget ?? this._options.thinkingBudget ?? config.get('thinkingBudget') ?? 0);
+    return Number.isFinite(value) && value > 0 ? Math.floor(value) : null;
+  }
+
+  // Reply length cap in tokens, or null to leave it to the provider: the
+  // turn's option, then this client's (an agent's config), then the
+  // adapter's limit for the model (config "outputLimits")
+  _maxOutputTokens(model, options = {}) {
+    const value = Number(options.maxOutputTokens ?? this._options.maxOutputTokens ?? this.adapter.outputLimit(model) ?? 0);
+    return Number.isFinite(value) && value > 0 ? Math.floor(value) : null;
+  }
+
+  // How many times one turn asks for the rest of a reply cut off by the
+  // output limit: the turn's option, this client's, config "autoContinue"
+  _autoContinue(options = {}) {
+    const value = Number(options.autoContinue ?? this._options.autoContinue ?? config.get('autoContinue') ?? DEFAULT_AUTO_CONTINUE);
+    return Number.isFinite(value) && value > 0 ? Math.floor(value) : 0;
+  }
+
+  // Re-asks for a reply that fails the JSON schema: the turn's option,
+  // this client's, config "jsonRetries"
+  _jsonRetries(options = {}) {
+    const value = Number(options.jsonRetries ?? this._options.jsonRetries ?? config.get('jsonRetries') ?? DEFAULT_JSON_RETRIES);
+    return Number.isFinite(value) && value > 0 ? Math.floor(value) : 0;
+  }
+
+  // Validate the turn's answer against options.jsonSchema. A reply that
+  // doesn't parse or match is asked for again without tools, so native
+  // JSON mode applies on every provider that has one, and the errors are
+  // quoted back. Sets turn.json, or turn.jsonErrors when retries run out.
+  async _settleStructured(turn, prompt, options) {
+    const schema = options.jsonSchema;
+    let reply = turn.text;
+    let { value, errors } = parseStructured(reply, schema);
+
+    const retries = this._jsonRetries(options);
+    while (errors.length > 0 && turn.jsonRetries < retries) {
+      if (turn.cancelled || options.signal?.aborted || this._stopForBudget(turn, options)) break;
+      const round = await this._completeRound(reaskPrompt(prompt, reply, errors, schema), {
+        ...options,
+        maxTokens: this._maxOutputTokens(turn.model, options) || STRUCTURED_MAX_TOKENS
+      });
+      this._recordRound(turn, round.usage, round.stopReason, options);
+      turn.jsonRetries++;
+      reply = round.text;
+      ({ value, errors } = parseStructured(reply, schema));
     }
-    const totalCost = inputCost + outputCost;
 
-    return `\n\n---\nTokens: ${totalTokens} (${inputTokens} in, ${outputTokens} out)\nCost: $${totalCost.toFixed(6)}`;
+    // The latest answer is the turn's answer
+    if (turn.jsonRetries > 0) turn.text = reply;
+    turn.json = errors.length === 0 ? value : null;
+    turn.jsonErrors = errors;
+  }
+
+  // Context length of a model on this provider, in tokens
+  contextLimit(model = config.getModel()) {
+    return this.adapter?.contextLimit(model) || DEFAULT_CONTEXT_WINDOW;
+  }
+
+  // Long tool loops: once the request outgrows the context window, blank the
+  // output of older tool rounds (the calls themselves stay in place)
+  _fitLoopContext(loopMessages, model, system = null) {
+    const reserveTokens = estimateTokens(system) + estimateTokens(this.getAgentTools());
+    if (needsCompaction(loopMessages, this.contextLimit(model), { reserveTokens })) {
+      pruneToolOutput(loopMessages);
+    }
+  }
+
+  /**
+   * Summarise older turns of `messages` once they no longer fit comfortably
+   * in the model's context window, or unconditionally with force: true.
+   * Resolves to { messages, compacted, summarizedCount, before, after } with
+   * token estimates; the caller decides whether to keep the new history.
+   */
+  async compactHistory(messages, options = {}) {
+    const { model = config.getModel(), force = false } = options;
+    const limit = this.contextLimit(model);
+    const before = estimateMessages(messages);
+
+    if (!force && !needsCompaction(messages, limit)) {
+      return { messages, compacted: false, summarizedCount: 0, before, after: before };
+    }
+
+    const result = await compactMessages(messages, (prompt) => this.complete(prompt, options), { limit });
+    return { ...result, before, after: estimateMessages(result.messages) };
+  }
+
+  // One request without tools or streaming, for housekeeping calls such as
+  // summarising history. Resolves to the reply text.
+  async complete(prompt, options = {}) {
+    const { text, usage } = await this._completeRound(prompt, options);
+    this._charge(usage ? this.adapter.normalizeUsage(usage) : null, options.model || config.getModel(), options);
+    return text;
+  }
+
+  // The request behind complete(): { text, usage (raw), stopReason }.
+  // options.jsonSchema adds the provider's native JSON mode.
+  async _completeRound(prompt, options = {}) {
+    const { model = config.getModel(), maxTokens = 2048 } = options;
+    if (!this.adapter) {
+      throw new Error(`Unknown provider: ${this.provider}`);
+    }
+    const { system, messages } = this.adapter.translateMessages(
+      [{ role: 'user', content: prompt }],
+      options.system || 'You are a precise assistant. Follow the instructions exactly.'
+    );
+    const native = options.jsonSchema ? this.adapter.structuredOutput(options.jsonSchema) : null;
+
+    const response = await this._withProviderSlot(() => {
+      switch (this.adapter.protocol) {
+        case 'anthropic':
+          return this._post('/messages', { model, max_tokens: maxTokens, system, messages, temperature: 0 }, undefined, options);
+        case 'gemini':
+          return this._post(`/models/${model}:generateContent`, {
+            systemInstruction: system,
+            contents: messages,
+            generationConfig: { temperature: 0, maxOutputTokens: maxTokens, ...native?.generationConfig }
+          }, undefined, options);
+        default:
+          return this._post('/chat/completions', {
+            model, messages, temperature: 0, max_tokens: maxTokens, stream: false, ...native
+          }, undefined, options);
+      }
+    }, options.signal);
+
+    const data = response.data;
+    const usage = data.usage || data.usageMetadata || null;
+    switch (this.adapter.protocol) {
+      case 'anthropic':
+        return {
+          text: (data.content || []).filter(b => b.type === 'text').map(b => b.text).join('\n\n'),
+          usage,
+          stopReason: data.stop_reason
+        };
+      case 'gemini': {
+        const candidate = data.candidates?.[0];
+        return {
+          text: (candidate?.content?.parts || []).filter(p => p.text && !p.thought).map(p => p.text).join(''),
+          usage,
+          stopReason: candidate?.finishReason
+        };
+      }
+      default:
+        return {
+          text: data.choices?.[0]?.message?.content || '',
+          usage,
+          stopReason: data.choices?.[0]?.finish_reason
+        };
+    }
+  }
+
+  // Keep text a round streamed before it was cancelled, so the partial
+  // transcript matches what was shown
+  _appendPartial(accumulatedText, error) {
+    if (!error.partialText) return accumulatedText;
+    return accumulatedText + (accumulatedText ? '\n\n' : '') + error.partialText;
+  }
+
+  // Add a round's usage (raw provider payload, may be missing) and stop
+  // reason to the turn. Providers that bill thinking as output without
+  // breaking it out (Claude) get reasoningTokens estimated from the
+  // round's reasoning text — a lower bound, as it may be a summary.
+  _recordRound(turn, usage, stopReason, options = {}, reasoning = '') {
+    const normalized = usage ? this.adapter.normalizeUsage(usage) : null;
+    if (normalized && reasoning && !normalized.reasoningTokens) {
+      normalized.reasoningTokens = Math.min(normalized.outputTokens, estimateTokens(reasoning));
+    }
+    turn.addRound({
+      usage: normalized,
+      cost: this._charge(normalized, turn.model, options),
+      stopReason: stopReason || null
+    });
+  }
+
+  // Price normalised usage for the model and count it against the budget
+  _charge(usage, model, options = {}) {
+    const cost = usage ? this.adapter.cost(usage, model) : 0;
+    this.budget.record(cost, { agentId: options.agentId, agentName: options.agentName });
+    return cost;
+  }
+
+  // Checked before every round: once a spend cap is reached the turn stops
+  // with the reason instead of starting another request
+  _stopForBudget(turn, options) {
+    const exceeded = this.budget.check({ agentId: options.agentId, agentName: options.agentName });
+    if (!exceeded) return false;
+    turn.budget = exceeded;
+    turn.stopReason = 'budget';
+    return true;
   }
 
   // Execute tool calls from Grok/OpenAI format, returns structured results
-  async executeToolCalls(toolCalls, options = {}, callbacks = {}) {
-    const { onToolCall = () => {}, onToolResult = () => {}, onPermissionRequired = async () => true } = callbacks;
+  async executeToolCalls(toolCalls, options = {}, callbacks = {}, turn = null) {
     const results = [];
 
     for (const toolCall of toolCalls) {
       if (toolCall.type !== 'function') continue;
 
       const functionName = toolCall.function.name;
-      const args = JSON.parse(toolCall.function.arguments || '{}');
-
-      onToolCall(functionName, args);
-
+      let args;
       try {
-        const result = await this._dispatchTool(functionName, args, options);
-        const truncated = this.sandbox.truncateResult(result);
-        this.sandbox.logToolCall(options.agentId || null, functionName, args, truncated, true);
-        onToolResult(functionName, true);
-
-        results.push({
-          toolCallId: toolCall.id,
-          toolName: functionName,
-          result: truncated,
-          success: true
-        });
+        args = JSON.parse(toolCall.function.arguments || '{}');
       } catch (error) {
-        this.sandbox.logToolCall(options.agentId || null, functionName, args, error.message, false);
-        onToolResult(functionName, false);
-
-        results.push({
-          toolCallId: toolCall.id,
-          toolName: functionName,
-          result: `Error: ${error.message}`,
-          success: false
-        });
+        // Malformed arguments go back to the model like any tool error
+        const { result, success } = this._refuseTool(functionName, `arguments are not valid JSON (${error.message}); call the tool again with a JSON object`, options, callbacks, turn);
+        results.push({ toolCallId: toolCall.id, toolName: functionName, result, success });
+        continue;
       }
+      const { result, success } = await this._runTool(functionName, args, options, callbacks, turn);
+
+      results.push({
+        toolCallId: toolCall.id,
+        toolName: functionName,
+        result,
+        success
+      });
     }
 
     return results;
   }
 
+  // Run one tool call through the sandboxed dispatcher, with callbacks and logging.
+  // Shared by every provider loop; errors are returned as text for the model.
+  // The call is recorded on `turn` (a TurnResult) when one is given.
+  async _runTool(toolName, args, options = {}, callbacks = {}, turn = null) {
+    const { onToolCall = () => {}, onToolResult = () => {} } = callbacks;
+
+    // Cancelled turn: skip the remaining calls without running them
+    if (options.signal?.aborted) {
+      return { result: '[Cancelled]', success: false };
+    }
+
+    onToolCall(toolName, args);
+
+    try {
+      const result = await this._dispatchTool(toolName, args, options);
+      const truncated = this.sandbox.truncateResult(result);
+      this.sandbox.logToolCall(options.agentId || null, toolName, args, truncated, true);
+      // Sandbox refusals come back as text; they didn't touch anything
+      const blocked = String(truncated).startsWith('Blocked:')
+        ? toolFailure(toolName, String(truncated).slice('Blocked:'.length).trim(), { blocked: true })
+        : null;
+      onToolResult(toolName, true, blocked);
+      turn?.addToolCall(toolName, args, !blocked, blocked);
+      return { result: truncated, success: true };
+    } catch (error) {
+      this.sandbox.logToolCall(options.agentId || null, toolName, args, error.message, false);
+      const failure = error instanceof GitforkedError ? error : toolFailure(toolName, error.message);
+      onToolResult(toolName, false, failure);
+      turn?.addToolCall(toolName, args, false, failure);
+      return { result: `Error: ${error.message}`, success: false };
+    }
+  }
+
+  // A call that never reached the dispatcher, reported as a failed tool call
+  _refuseTool(toolName, message, options = {}, callbacks = {}, turn = null) {
+    const failure = toolFailure(toolName, message);
+    this.sandbox.logToolCall(options.agentId || null, toolName, {}, message, false);
+    callbacks.onToolResult?.(toolName, false, failure);
+    turn?.addToolCall(toolName, {}, false, failure);
+    return { result: `Error: ${message}`, success: false };
+  }
+
+  // Tools offered this turn: with options.readOnly only those that can't
+  // change anything (used by comparisons)
+  _toolsFor(options = {}) {
+    const tools = this.getAgentTools();
+    return options.readOnly ? tools.filter(tool => READ_ONLY_TOOLS.has(tool.function.name)) : tools;
+  }
+
   // Central tool dispatcher — all validation goes through sandbox
   async _dispatchTool(toolName, args, options = {}) {
     const directory = options.directory || process.cwd();
 
+    if (options.readOnly && !READ_ONLY_TOOLS.has(toolName)) {
+      return `Blocked: ${toolName} is not available in a read-only turn`;
+    }
+
     switch (toolName) {
       case 'bash':
-        return await this.executeBash(args.command, args.workdir || directory, args.timeout);
+        return await this.executeBash(args.command, args.workdir || directory, args.timeout, options.signal);
       case 'read':
         return await this.executeRead(args.filePath, args.offset, args.limit);
       case 'glob':
@@ -472,16 +1179,62 @@ class GrokAPI {
       case 'grep':
         return await this.executeGrep(args.pattern, args.path || directory, args.include);
       case 'edit':
+        this._checkpoint([args.filePath], options);
         return await this.executeEdit(args.filePath, args.oldString, args.newString, args.replaceAll);
       case 'write':
+        this._checkpoint([args.filePath], options);
         return await this.executeWrite(args.filePath, args.content);
+      case 'apply_patch':
+        this._checkpoint(patchPaths(parsePatch(args.patch || '')), options);
+        return await this.executeApplyPatch(args.patch);
       case 'webfetch':
         return await this.executeWebFetch(args.url, args.format, args.timeout);
+      case 'git_status':
+      case 'git_diff':
+      case 'git_log':
+      case 'git_show':
+      case 'git_blame':
+        return await this.executeGitTool(toolName, args, directory, options.signal);
       default:
         return `Unknown tool: ${toolName}`;
     }
   }
 
+  // Save the files a tool is about to change to the turn's checkpoint, in
+  // the `checkpoints` option's store (false turns them off) or the
+  // project's. Paths the sandbox refuses are left to the tool to report.
+  _checkpoint(filePaths, options) {
+    const store = options.checkpoint && (this._options.checkpoints ?? checkpointStore(this.sandbox.projectRoot));
+    if (!store) return;
+    const files = filePaths
+      .filter(filePath => filePath && this.sandbox.validatePath(filePath).allowed)
+      .map(filePath => path.resolve(this.sandbox.projectRoot, filePath));
+    if (files.length === 0) return;
+    options.checkpoint.id = store.snapshot(files, {
+      checkpoint: options.checkpoint.id,
+      agent: options.agentName || null,
+      label: options.checkpoint.label
+    });
+  }
+
+  // getSystemPrompt plus, when the turn's option, this client's (an
+  // agent's config) or config "repoMap" has enabled: true, a map of the
+  // project (lib/repo-map.js) fitted to its tokens. Agents with their own
+  // prompt get it too; the turn's repoMap: false leaves it out. The
+  // `repoMapRoot` option moves the map cache out of ~/.opengrok/repo-maps.
+  async _systemPrompt(directory, options = {}) {
+    const prompt = this.getSystemPrompt(directory, options.mode);
+    const settings = options.repoMap ?? this._options.repoMap ?? config.get('repoMap');
+    if (!settings?.enabled) return prompt;
+    try {
+      const map = await repoMap(directory || this.sandbox.projectRoot, { root: this._options.repoMapRoot }).render({ tokens: settings.tokens ?? DEFAULT_MAP_TOKENS });
+      return map ? `${prompt}\n\n${REPO_MAP_HEADER}\n${map}` : prompt;
+    } catch {
+      // The map only saves the model some exploring; the turn goes ahead without it
+      return prompt;
+    }
+  }
+
   getSystemPrompt(directory, mode = 'plan', role = 'general') {
     if (this._options.systemPromptOverride) {
       return this._options.systemPromptOverride;
@@ -535,8 +1288,10 @@ GENERAL GUIDELINES (apply in both modes):
   • read → read file content
   • write → create/overwrite files
   • edit → make targeted changes (preferred when preserving surrounding code)
+  • apply_patch → many changes at once: several hunks, files, adds, deletes or renames in one call
   • glob → list files matching patterns
   • grep → search inside files efficiently
+  • git_status, git_diff, git_log, git_show, git_blame → look at the repository's state and history (read-only; use these instead of git in bash)
   • webfetch → grab online resources when genuinely useful (cite source if relevant)
 - Never commit changes unless explicitly asked.
 - Do not add comments to code unless the user specifically requests them.
@@ -549,7 +1304,7 @@ GENERAL GUIDELINES (apply in both modes):
   • "Another one-liner? Respect the art form… but maybe let's make it readable too."
 - Acknowledge mode switches with personality (e.g., "Switching to BUILD? Finally done planning world domination?")
 
-Available tools: bash, read, write, edit, glob, grep, webfetch
+Available tools: bash, read, write, edit, apply_patch, glob, grep, git_status, git_diff, git_log, git_show, git_blame, webfetch
 
 Respond helpfully to the user's request with expertise, clarity, and a bit of fun.`;
   }
@@ -666,7 +1421,7 @@ Respond helpfully to the user's request with expertise, clarity, and a bit of fu
         "type": "function",
         "function": {
           "name": "edit",
-          "description": "Performs exact string replacements in files.",
+          "description": "Performs exact string replacements in files. Fails if oldString is not found, or if it matches more than once without replaceAll. Returns the number of replacements and a diff of the change.",
           "parameters": {
             "type": "object",
             "properties": {
@@ -713,6 +1468,158 @@ Respond helpfully to the user's request with expertise, clarity, and a bit of fu
             "additionalProperties": false
           }
         }
+      },
+      {
+        "type": "function",
+        "function": {
+          "name": "apply_patch",
+          "description": "Applies a patch that can change several files at once: a unified diff (as from git diff) or a '*** Begin Patch' envelope with '*** Add File:', '*** Update File:' (optionally '*** Move to:') and '*** Delete File:' sections. Hunks are matched by their context lines, tolerating shifted line numbers and whitespace differences; a hunk whose lines occur in several places fails unless an '@@ <line above it>' header (such as its function's signature) picks one. Applies all or nothing; on failure it reports each hunk that did not apply.",
+          "parameters": {
+            "type": "object",
+            "properties": {
+              "patch": {
+                "description": "The patch text; paths are relative to the project root",
+                "type": "string"
+              }
+            },
+            "required": ["patch"],
+            "additionalProperties": false
+          }
+        }
+      },
+      {
+        "type": "function",
+        "function": {
+          "name": "git_status",
+          "description": "Shows the current branch, its upstream and ahead/behind counts, and the staged, unstaged, untracked and conflicted files. Read-only.",
+          "parameters": {
+            "type": "object",
+            "properties": {
+              "path": {
+                "description": "Only report files under this path",
+                "type": "string"
+              }
+            },
+            "required": [],
+            "additionalProperties": false
+          }
+        }
+      },
+      {
+        "type": "function",
+        "function": {
+          "name": "git_diff",
+          "description": "Shows changes as per-file line counts plus a patch (truncated when long): unstaged changes by default, staged ones with staged, or between refs with from/to. Read-only.",
+          "parameters": {
+            "type": "object",
+            "properties": {
+              "staged": {
+                "description": "Diff the index against HEAD (what would be committed)",
+                "type": "boolean"
+              },
+              "from": {
+                "description": "Ref to diff from (branch, tag, hash, HEAD~2); alone, it is diffed against the working tree",
+                "type": "string"
+              },
+              "to": {
+                "description": "Ref to diff to, with from",
+                "type": "string"
+              },
+              "path": {
+                "description": "Only diff this file or directory",
+                "type": "string"
+              },
+              "context": {
+                "description": "Context lines around each change (default 3)",
+                "type": "number"
+              }
+            },
+            "required": [],
+            "additionalProperties": false
+          }
+        }
+      },
+      {
+        "type": "function",
+        "function": {
+          "name": "git_log",
+          "description": "Lists commits (hash, author, date, subject), newest first, optionally only those touching a path. Read-only.",
+          "parameters": {
+            "type": "object",
+            "properties": {
+              "ref": {
+                "description": "Branch, tag or hash to start from (default HEAD)",
+                "type": "string"
+              },
+              "path": {
+                "description": "Only commits that touch this file or directory",
+                "type": "string"
+              },
+              "limit": {
+                "description": "Number of commits (default 20, max 100)",
+                "type": "number"
+              },
+              "since": {
+                "description": "Only commits after this date, e.g. \"2 weeks ago\" or \"2026-01-01\"",
+                "type": "string"
+              }
+            },
+            "required": [],
+            "additionalProperties": false
+          }
+        }
+      },
+      {
+        "type": "function",
+        "function": {
+          "name": "git_show",
+          "description": "Shows one commit: hash, author, date, full message, per-file line counts and its patch (truncated when long). Read-only.",
+          "parameters": {
+            "type": "object",
+            "properties": {
+              "ref": {
+                "description": "The commit: hash, branch, tag or an expression like HEAD~1",
+                "type": "string"
+              },
+              "path": {
+                "description": "Only show the changes to this file or directory",
+                "type": "string"
+              }
+            },
+            "required": ["ref"],
+            "additionalProperties": false
+          }
+        }
+      },
+      {
+        "type": "function",
+        "function": {
+          "name": "git_blame",
+          "description": "Shows who last changed each line of a file: commit, author, date and summary per line, up to 200 lines. Read-only.",
+          "parameters": {
+            "type": "object",
+            "properties": {
+              "path": {
+                "description": "The file to blame",
+                "type": "string"
+              },
+              "startLine": {
+                "description": "First line (1-based, default 1)",
+                "type": "number"
+              },
+              "endLine": {
+                "description": "Last line (default startLine + 199)",
+                "type": "number"
+              },
+              "ref": {
+                "description": "Blame the file as of this commit instead of the working tree",
+                "type": "string"
+              }
+            },
+            "required": ["path"],
+            "additionalProperties": false
+          }
+        }
       }
     ];
   }
@@ -754,11 +1661,12 @@ Respond helpfully to the user's request with expertise, clarity, and a bit of fu
 
   // Convert OpenAI tool format to Claude tool format
   getClaudeTools() {
-    return this.getAgentTools().map(t => ({
-      name: t.function.name,
-      description: t.function.description,
-      input_schema: t.function.parameters
-    }));
+    return getProvider('claude').translateTools(this.getAgentTools());
+  }
+
+  // Convert OpenAI tool format to Gemini functionDeclarations
+  getGeminiTools() {
+    return getProvider('gemini').translateTools(this.getAgentTools())[0].functionDeclarations;
   }
 
   getToolsFor(toolType) {
@@ -881,7 +1789,7 @@ Respond helpfully to the user's request with expertise, clarity, and a bit of fu
   }
 
   // Tools that require permission before execution
-  dangerousTools = ['bash', 'write', 'edit', 'read', 'glob', 'grep', 'webfetch'];
+  dangerousTools = ['bash', 'write', 'edit', 'apply_patch', 'read', 'glob', 'grep', 'webfetch'];
 
   getPermissionDetails(toolName, args, directory) {
     switch (toolName) {
@@ -902,25 +1810,35 @@ Respond helpfully to the user's request with expertise, clarity, and a bit of fu
           oldString: args.oldString ? args.oldString.slice(0, 100) : '',
           newString: args.newString ? args.newString.slice(0, 100) : ''
         };
+      case 'apply_patch':
+        return {
+          patchPreview: args.patch ? args.patch.slice(0, 400) + (args.patch.length > 400 ? '...' : '') : ''
+        };
       default:
         return args;
     }
   }
 
   // Hardened: validates through sandbox, uses execFile with timeout
-  async executeBash(command, workdir, timeout) {
+  async executeBash(command, workdir, timeout, signal) {
     const validation = this.sandbox.validateBash(command);
     if (!validation.allowed) {
       return `Blocked: ${validation.reason}`;
     }
+    signal?.throwIfAborted();
 
     return new Promise((resolve, reject) => {
-      execFile('bash', ['-c', command], {
+      // Own process group so cancellation can take down anything the command spawned
+      const child = execFile('bash', ['-c', command], {
         cwd: workdir,
         timeout: Math.min(timeout || this.sandbox.bashTimeout, 120000),
-        maxBuffer: this.sandbox.maxResultSize
+        maxBuffer: this.sandbox.maxResultSize,
+        detached: true
       }, (error, stdout, stderr) => {
-        if (error) {
+        signal?.removeEventListener('abort', onAbort);
+        if (signal?.aborted) {
+          resolve('Command cancelled');
+        } else if (error) {
           if (error.killed) {
             resolve(`Command timed out after ${timeout || this.sandbox.bashTimeout}ms`);
           } else {
@@ -930,6 +1848,15 @@ Respond helpfully to the user's request with expertise, clarity, and a bit of fu
           resolve(this.sandbox.truncateResult(stdout || stderr));
         }
       });
+
+      function onAbort() {
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (e) {
+          child.kill('SIGKILL');
+        }
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
     });
   }
 
@@ -998,21 +1925,35 @@ Respond helpfully to the user's request with expertise, clarity, and a bit of fu
     return results;
   }
 
-  // Hardened: validates path through sandbox
+  // Hardened: validates path through sandbox. oldString must match exactly
+  // once (with replaceAll, at least once); newString goes in literally, so
+  // "$&" and friends are just text
   async executeEdit(filePath, oldString, newString, replaceAll) {
     const validation = this.sandbox.validatePath(filePath);
     if (!validation.allowed) {
       return `Blocked: ${validation.reason}`;
     }
+    if (!oldString) {
+      throw new Error('oldString is empty; use write to create or overwrite a file');
+    }
+    if (typeof newString !== 'string') {
+      throw new Error('newString is missing; give the replacement text ("" deletes oldString)');
+    }
 
-    let content = fs.readFileSync(validation.resolvedPath, 'utf8');
-    if (replaceAll) {
-      content = content.replace(new RegExp(oldString.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), newString);
-    } else {
-      content = content.replace(oldString, newString);
+    const content = fs.readFileSync(validation.resolvedPath, 'utf8');
+    const parts = content.split(oldString);
+    const count = parts.length - 1;
+    if (count === 0) {
+      throw new Error(`oldString was not found in ${filePath}; read the file again and copy the text exactly, whitespace included`);
     }
-    fs.writeFileSync(validation.resolvedPath, content);
-    return 'File edited successfully';
+    if (count > 1 && !replaceAll) {
+      throw new Error(`oldString matches ${count} places in ${filePath}; include more surrounding lines to pick one, or set replaceAll to change every one`);
+    }
+
+    const edited = parts.join(newString);
+    fs.writeFileSync(validation.resolvedPath, edited);
+    const diff = compactDiff(content, edited) || '(no change: newString is the same as oldString)';
+    return `Edited ${filePath}: ${count === 1 ? '1 replacement' : `${count} replacements`}\n${diff}`;
   }
 
   // Hardened: validates path through sandbox, creates directories safely
@@ -1030,6 +1971,37 @@ Respond helpfully to the user's request with expertise, clarity, and a bit of fu
     return 'File written successfully';
   }
 
+  // Read-only git (lib/git-inspect.js): git runs through execFile with an
+  // argument array, and a path argument goes through the sandbox first
+  async executeGitTool(toolName, args, directory, signal) {
+    const gitArgs = { ...args };
+    if (args.path) {
+      const validation = this.sandbox.validatePath(args.path);
+      if (!validation.allowed) {
+        return `Blocked: ${validation.reason}`;
+      }
+      gitArgs.path = validation.resolvedPath;
+    }
+    const result = await runGitTool(toolName, gitArgs, { cwd: directory, signal, timeout: this.sandbox.bashTimeout });
+    return JSON.stringify(result);
+  }
+
+  // Every path is checked before anything is written; the patch applies in
+  // full or not at all (lib/patch.js)
+  async executeApplyPatch(patch) {
+    const resolved = new Map();
+    for (const filePath of patchPaths(parsePatch(patch || ''))) {
+      const validation = this.sandbox.validatePath(filePath);
+      if (!validation.allowed) {
+        return `Blocked: ${validation.reason}`;
+      }
+      resolved.set(filePath, validation.resolvedPath);
+    }
+
+    const { summary } = applyPatch(patch, { resolve: filePath => resolved.get(filePath) });
+    return `Patch applied: ${summary.join(', ')}`;
+  }
+
   // Hardened: validates URL through sandbox
   async executeWebFetch(url, format, timeout) {
     const validation = this.sandbox.validateUrl(url);
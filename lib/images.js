@@ -0,0 +1,55 @@
+import fs from 'fs';
+import path from 'path';
+
+// Formats every vision provider accepts, by extension
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+// The real type from the file's first bytes; providers reject an image whose
+// declared type doesn't match (a .png that is really a JPEG screenshot)
+function sniffImageType(buffer) {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.subarray(0, 6).toString('latin1'))) return 'image/gif';
+  if (buffer.length >= 12 && buffer.subarray(0, 4).toString('latin1') === 'RIFF' &&
+      buffer.subarray(8, 12).toString('latin1') === 'WEBP') return 'image/webp';
+  return null;
+}
+
+/**
+ * Read an image attachment through a ToolSandbox, which checks that it is
+ * inside the project, a supported type and within the size limit.
+ * Resolves to { name, path, mediaType, data, size } with base64 data; the
+ * provider adapters turn that into their own message format.
+ */
+function loadImage(filePath, sandbox) {
+  const check = sandbox.validateImage(filePath);
+  if (!check.allowed) throw new Error(check.reason);
+
+  const buffer = fs.readFileSync(check.resolvedPath);
+  const mediaType = sniffImageType(buffer);
+  if (!mediaType) {
+    throw new Error(`Not a PNG, JPEG, GIF or WebP image: ${filePath}`);
+  }
+  return {
+    name: path.basename(check.resolvedPath),
+    path: check.resolvedPath,
+    mediaType,
+    data: buffer.toString('base64'),
+    size: buffer.length
+  };
+}
+
+// e.g. "screenshot.png, 182 KB"
+function describeImage(image) {
+  const kb = image.size / 1024;
+  const size = kb >= 1024 ? `${(kb / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(kb))} KB`;
+  return `${image.name}, ${size}`;
+}
+
+export { IMAGE_TYPES, sniffImageType, loadImage, describeImage };
@@ -0,0 +1,180 @@
+import fs from 'fs';
+
+// Replies longer than this are cut when quoted back in a re-ask
+const MAX_QUOTED_REPLY = 4000;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// "#/$defs/finding" or "#/definitions/finding" within the root schema
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`);
+  let node = root;
+  for (const part of ref.slice(2).split('/')) {
+    node = node?.[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+  }
+  if (!node) throw new Error(`Unresolved $ref: ${ref}`);
+  return node;
+}
+
+function check(value, schema, at, root, errors) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push(`${at}: not allowed`);
+    return;
+  }
+  if (schema.$ref) {
+    check(value, resolveRef(schema.$ref, root), at, root, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${at}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) errors.push(`${at}: does not match ${schema.pattern}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: less than ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: greater than ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${at}: must be greater than ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push(`${at}: must be less than ${schema.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: more than ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => check(item, schema.items, `${at}[${i}]`, root, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing required property "${key}"`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const where = /^[A-Za-z_$][\w$]*$/.test(key) ? `${at}.${key}` : `${at}[${JSON.stringify(key)}]`;
+      if (key in properties) {
+        check(item, properties[key], where, root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(item, schema.additionalProperties, where, root, errors);
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) check(value, sub, at, root, errors);
+  if (schema.anyOf && !schema.anyOf.some(sub => validateJSON(value, sub, root).length === 0)) {
+    errors.push(`${at}: does not match any allowed shape`);
+  }
+  if (schema.oneOf && schema.oneOf.filter(sub => validateJSON(value, sub, root).length === 0).length !== 1) {
+    errors.push(`${at}: must match exactly one allowed shape`);
+  }
+}
+
+/**
+ * Check a parsed value against a JSON Schema. Covers the keywords used for
+ * output shapes (type, enum, const, properties, required,
+ * additionalProperties, items, string/number/array bounds, pattern,
+ * allOf/anyOf/oneOf and local $ref); unknown keywords are ignored.
+ * Returns error strings such as '$.findings[0].line: expected integer,
+ * got string' — empty when the value matches.
+ */
+function validateJSON(value, schema, root = schema) {
+  const errors = [];
+  check(value, schema, '$', root, errors);
+  return errors;
+}
+
+// The JSON value in a reply: the whole text, else the last ```json block,
+// else the last balanced {...} or [...]. Returns undefined when none parses.
+function extractJSON(text) {
+  const candidates = [text.trim()];
+  const fences = [...text.matchAll(/```(?:json)?\s*\n([\s\S]*?)```/g)];
+  if (fences.length) candidates.push(fences[fences.length - 1][1].trim());
+
+  for (let end = text.length - 1; end >= 0; end--) {
+    const close = text[end];
+    if (close !== '}' && close !== ']') continue;
+    const open = close === '}' ? '{' : '[';
+    let depth = 0;
+    for (let start = end; start >= 0; start--) {
+      if (text[start] === close) depth++;
+      else if (text[start] === open && --depth === 0) {
+        candidates.push(text.slice(start, end + 1));
+        break;
+      }
+    }
+    break;
+  }
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch { /* try the next one */ }
+  }
+  return undefined;
+}
+
+// Parse a reply and validate it: { value, errors }
+function parseStructured(text, schema) {
+  const value = extractJSON(text || '');
+  if (value === undefined) return { value: undefined, errors: ['$: the reply is not valid JSON'] };
+  return { value, errors: validateJSON(value, schema) };
+}
+
+// Added to the prompt for every provider; with native JSON mode it only
+// repeats what the request already enforces
+function schemaInstruction(schema) {
+  return 'Answer with a single JSON value that matches this JSON Schema, and nothing else: ' +
+    'no prose and no code fences.\n\n' + JSON.stringify(schema, null, 2);
+}
+
+// Tool-free follow-up after a reply failed validation
+function reaskPrompt(prompt, reply, errors, schema) {
+  const quoted = reply.length > MAX_QUOTED_REPLY ? reply.slice(-MAX_QUOTED_REPLY) : reply;
+  return `The request was:\n\n${prompt}\n\n` +
+    `Your answer was:\n\n${quoted}\n\n` +
+    `It does not match the required JSON Schema:\n${errors.map(error => `- ${error}`).join('\n')}\n\n` +
+    `Reply again with the corrected answer. ${schemaInstruction(schema)}`;
+}
+
+// A schema file for --json-schema
+function loadSchema(filePath) {
+  let schema;
+  try {
+    schema = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read JSON Schema ${filePath}: ${error.message}`);
+  }
+  if (typeOf(schema) !== 'object') {
+    throw new Error(`JSON Schema ${filePath} must be an object`);
+  }
+  return schema;
+}
+
+export { validateJSON, extractJSON, parseStructured, schemaInstruction, reaskPrompt, loadSchema };
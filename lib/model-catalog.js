@@ -0,0 +1,144 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/config.js';
+import { getProvider } from './providers/index.js';
+
+const DEFAULT_TTL_HOURS = 24;
+
+// e.g. 131072 → "131K", 2000000 → "2M"
+function formatTokens(count) {
+  if (count >= 1000000) return `${+(count / 1000000).toFixed(1)}M`;
+  if (count >= 1000) return `${Math.round(count / 1000)}K`;
+  return String(count);
+}
+
+// One line of detail for pickers: "131K ctx · $0.2 in / $0.5 out per 1M"
+function describeModel(entry) {
+  const parts = [];
+  if (entry.contextWindow) parts.push(`${formatTokens(entry.contextWindow)} ctx`);
+  if (entry.pricing) {
+    const { input, output } = entry.pricing;
+    parts.push(input === 0 && output === 0 ? 'free' : `$${input} in / $${output} out per 1M`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Model lists per provider, discovered from each provider's listing endpoint
+ * (adapter.fetchModels) and cached in ~/.opengrok/models-cache.json.
+ *
+ * Entries are { id, provider, contextWindow, pricing, source } where source
+ * is 'live', 'cache' or 'builtin' and pricing is null when unknown. Offline
+ * or without a key, a stale cache wins over the adapter's built-in list.
+ */
+class ModelCatalog {
+  constructor({ cachePath, now = () => Date.now() } = {}) {
+    this.cachePath = cachePath || path.join(path.dirname(config.configPath), 'models-cache.json');
+    this.now = now;
+    this._cache = null;
+    this._inFlight = new Map();
+  }
+
+  // Freshness of a cached listing in ms: the adapter's own, else config
+  // "modelCatalog": { "ttlHours": 24 }
+  ttlFor(adapter) {
+    if (adapter.modelListTTL !== null && adapter.modelListTTL !== undefined) return adapter.modelListTTL;
+    const hours = Number(config.get('modelCatalog')?.ttlHours ?? DEFAULT_TTL_HOURS);
+    return (Number.isFinite(hours) ? hours : DEFAULT_TTL_HOURS) * 3600000;
+  }
+
+  async list(providerName, { refresh = false } = {}) {
+    const adapter = getProvider(providerName);
+    if (!adapter) return [];
+
+    const cached = this._read()[adapter.id];
+    if (!refresh && cached && this.now() - cached.fetchedAt < this.ttlFor(adapter)) {
+      return this._entries(adapter, cached.models, 'cache');
+    }
+
+    if (adapter.hasCredentials()) {
+      try {
+        const models = await this._fetch(adapter);
+        if (models.length > 0) return this._entries(adapter, models, 'live');
+      } catch (e) { /* offline, bad key or no listing endpoint */ }
+    }
+    return cached ? this._entries(adapter, cached.models, 'cache') : this._builtin(adapter);
+  }
+
+  // Synchronous view for code that can't wait (blessed list renders): the
+  // cached listing of any age, else the built-in list
+  peek(providerName) {
+    const adapter = getProvider(providerName);
+    if (!adapter) return [];
+    const cached = this._read()[adapter.id];
+    return cached ? this._entries(adapter, cached.models, 'cache') : this._builtin(adapter);
+  }
+
+  async ids(providerName, options) {
+    return (await this.list(providerName, options)).map(entry => entry.id);
+  }
+
+  // One request per provider at a time, however many pickers ask
+  _fetch(adapter) {
+    if (!this._inFlight.has(adapter.id)) {
+      const request = adapter.fetchModels()
+        .then(models => {
+          if (models.length > 0) this._write(adapter.id, models);
+          return models;
+        })
+        .finally(() => this._inFlight.delete(adapter.id));
+      this._inFlight.set(adapter.id, request);
+    }
+    return this._inFlight.get(adapter.id);
+  }
+
+  _builtin(adapter) {
+    return this._entries(adapter, adapter.models.map(id => ({ id, contextWindow: null })), 'builtin');
+  }
+
+  // Curated built-in models first in their usual order, then anything else
+  // the provider offers, alphabetically
+  _entries(adapter, models, source) {
+    const rank = id => {
+      const index = adapter.models.indexOf(id);
+      return index === -1 ? adapter.models.length : index;
+    };
+    const sorted = [...models].sort((a, b) => rank(a.id) - rank(b.id) || a.id.localeCompare(b.id));
+
+    return sorted.map(({ id, contextWindow }) => {
+      // A context length the provider reported beats the built-in table
+      if (contextWindow) adapter.reportedContextWindows[id] = contextWindow;
+      return {
+        id,
+        provider: adapter.id,
+        contextWindow: adapter.contextLimit(id),
+        pricing: adapter.knownPricing(id),
+        source
+      };
+    });
+  }
+
+  _read() {
+    if (!this._cache) {
+      try {
+        this._cache = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+      } catch {
+        this._cache = {};
+      }
+    }
+    return this._cache;
+  }
+
+  _write(providerId, models) {
+    const cache = this._read();
+    cache[providerId] = { fetchedAt: this.now(), models };
+    try {
+      fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+      fs.writeFileSync(this.cachePath, JSON.stringify(cache, null, 2));
+    } catch (e) { /* the in-memory copy still serves this run */ }
+  }
+}
+
+const modelCatalog = new ModelCatalog();
+
+export { ModelCatalog, modelCatalog, describeModel, formatTokens };
@@ -0,0 +1,595 @@
+import fs from 'fs';
+import path from 'path';
+
+// Line comparisons tried in order when looking for a hunk: exact, then
+// ignoring trailing whitespace, then ignoring all differences in whitespace
+const MATCHERS = [
+  line => line,
+  line => line.trimEnd(),
+  line => line.trim().replace(/\s+/g, ' ')
+];
+
+// Outer context lines a hunk may lose and still apply (like patch's fuzz)
+const MAX_FUZZ = 2;
+
+// Lines of a hunk quoted in a "could not find" error
+const QUOTED_LINES = 6;
+
+// Lines of a compact diff shown before the rest is cut
+const MAX_DIFF_LINES = 40;
+
+// Longest changed region (in lines) diffed line by line; a longer one is
+// shown as all removed, then all added
+const MAX_LCS_LINES = 2000;
+
+const ENVELOPE_FILE = /^\*\*\* (Add|Delete|Update) File: (.+)$/;
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Parse a patch into the files it changes:
+ *
+ *   { type: 'add' | 'delete' | 'update', path, moveTo, content, hunks }
+ *
+ * content is the whole file for 'add'; moveTo is the new path of a rename.
+ * Each hunk is { header, oldStart, anchor, lines: [{ op: ' ' | '-' | '+', text }] }:
+ * oldStart (1-based) where a unified header gives one, anchor the text
+ * after an envelope's "@@" (a line above the hunk, like a function's).
+ *
+ * Takes a unified diff (git's, with renames and /dev/null for added and
+ * deleted files, or plain diff -u) or a patch envelope:
+ *
+ *   *** Begin Patch
+ *   *** Update File: lib/a.js
+ *   *** Move to: lib/b.js
+ *   @@ function a() {
+ *   -  return 1;
+ *   +  return 2;
+ *   *** Add File: lib/c.js
+ *   +export const c = 3;
+ *   *** Delete File: lib/d.js
+ *   *** End Patch
+ *
+ * Throws when the text is neither.
+ */
+function parsePatch(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const files = lines.some(line => line.trim() === '*** Begin Patch') ? parseEnvelope(lines) : parseUnified(lines);
+  if (files.length === 0) throw new Error('No file changes found in the patch');
+  return files;
+}
+
+function parseEnvelope(lines) {
+  const files = [];
+  let i = lines.findIndex(line => line.trim() === '*** Begin Patch') + 1;
+  while (i < lines.length && lines[i].trim() !== '*** End Patch') {
+    const match = ENVELOPE_FILE.exec(lines[i]);
+    if (!match) {
+      if (lines[i].trim()) {
+        throw new Error(`Patch line ${i + 1}: expected "*** Add File:", "*** Update File:" or "*** Delete File:", got "${lines[i]}"`);
+      }
+      i++;
+      continue;
+    }
+    const [, action, filePath] = match;
+    const file = { type: action.toLowerCase(), path: filePath.trim(), moveTo: null, content: null, hunks: [] };
+    i++;
+    if (file.type === 'update' && lines[i]?.startsWith('*** Move to: ')) {
+      file.moveTo = lines[i].slice('*** Move to: '.length).trim();
+      i++;
+    }
+
+    const body = [];
+    while (i < lines.length && !ENVELOPE_FILE.test(lines[i]) && lines[i].trim() !== '*** End Patch') {
+      body.push({ text: lines[i], number: i + 1 });
+      i++;
+    }
+    if (file.type === 'add') {
+      file.content = body
+        .filter(line => line.text !== '')
+        .map(line => {
+          if (!line.text.startsWith('+')) throw new Error(`Patch line ${line.number}: lines of an added file start with "+"`);
+          return line.text.slice(1);
+        })
+        .join('\n') + '\n';
+    } else if (file.type === 'update') {
+      file.hunks = envelopeHunks(body);
+      if (file.hunks.length === 0 && !file.moveTo) throw new Error(`Update of ${file.path} has no changes`);
+    }
+    files.push(file);
+  }
+  return files;
+}
+
+// Envelope hunks are split on "@@" lines and carry no line numbers; the
+// text after "@@" names a line above the hunk, to tell apart places where
+// its lines occur more than once
+function envelopeHunks(body) {
+  const hunks = [];
+  let hunk = null;
+  for (const { text, number } of body) {
+    if (text.startsWith('@@')) {
+      hunk = { header: text, oldStart: null, anchor: text.slice(2).trim() || null, lines: [] };
+      hunks.push(hunk);
+      continue;
+    }
+    if (text === '*** End of File') continue;
+    if (!hunk) {
+      hunk = { header: '@@', oldStart: null, anchor: null, lines: [] };
+      hunks.push(hunk);
+    }
+    hunk.lines.push(diffLine(text, number));
+  }
+  return hunks.filter(h => trimBlankTail(h).lines.length > 0);
+}
+
+function parseUnified(lines) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+
+  const startFile = () => {
+    file = { type: 'update', path: null, moveTo: null, content: null, hunks: [], oldPath: null, newPath: null };
+    files.push(file);
+    hunk = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const git = /^diff --git a\/(.+) b\/(.+)$/.exec(line);
+    if (git) {
+      startFile();
+      file.oldPath = git[1];
+      file.newPath = git[2];
+      continue;
+    }
+    if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      // A plain diff -u has no "diff --git" line before each file
+      if (!file || file.hunks.length > 0) startFile();
+      file.oldPath = diffPath(line.slice(4));
+      file.newPath = diffPath(lines[i + 1].slice(4));
+      hunk = null;
+      i++;
+      continue;
+    }
+    if (file && !hunk) {
+      if (line.startsWith('rename from ')) file.oldPath = line.slice('rename from '.length);
+      else if (line.startsWith('rename to ')) file.newPath = line.slice('rename to '.length);
+      else if (line.startsWith('new file mode')) file.oldPath = null;
+      else if (line.startsWith('deleted file mode')) file.newPath = null;
+    }
+    const header = HUNK_HEADER.exec(line);
+    if (header) {
+      if (!file) throw new Error(`Patch line ${i + 1}: hunk before any "--- a/file" / "+++ b/file" header`);
+      hunk = { header: header[0], oldStart: Number(header[1]), anchor: null, lines: [] };
+      file.hunks.push(hunk);
+      continue;
+    }
+    if (hunk && (line === '' || ' -+'.includes(line[0]))) {
+      hunk.lines.push(diffLine(line, i + 1));
+    } else if (hunk && line.startsWith('\\')) {
+      // "\ No newline at end of file": the file keeps its own line ending
+    } else {
+      hunk = null;
+    }
+  }
+
+  for (const entry of files) {
+    entry.hunks.forEach(trimBlankTail);
+    if (!entry.oldPath && !entry.newPath) throw new Error('Patch has a file without a path');
+    if (!entry.oldPath) {
+      entry.type = 'add';
+      entry.path = entry.newPath;
+      const body = entry.hunks.flatMap(h => h.lines).filter(l => l.op === '+').map(l => l.text);
+      entry.content = body.length > 0 ? `${body.join('\n')}\n` : '';
+    } else if (!entry.newPath) {
+      entry.type = 'delete';
+      entry.path = entry.oldPath;
+    } else {
+      entry.path = entry.oldPath;
+      if (entry.newPath !== entry.oldPath) entry.moveTo = entry.newPath;
+    }
+    delete entry.oldPath;
+    delete entry.newPath;
+    if (entry.type !== 'update') entry.hunks = [];
+  }
+  return files;
+}
+
+// "a/lib/x.js\t2024-01-01 ..." → "lib/x.js"; "/dev/null" → null
+function diffPath(text) {
+  const name = text.split('\t')[0].trim();
+  if (name === '/dev/null') return null;
+  return name.replace(/^[ab]\//, '');
+}
+
+function diffLine(text, number) {
+  // A blank line inside a hunk is an unchanged blank line whose leading
+  // space was lost
+  if (text === '') return { op: ' ', text: '' };
+  if (!' -+'.includes(text[0])) throw new Error(`Patch line ${number}: expected a line starting with " ", "-" or "+", got "${text}"`);
+  return { op: text[0], text: text.slice(1) };
+}
+
+// Blank lines after a hunk are usually the gap before the next file
+function trimBlankTail(hunk) {
+  while (hunk.lines.length > 0) {
+    const last = hunk.lines[hunk.lines.length - 1];
+    if (last.op !== ' ' || last.text !== '') break;
+    hunk.lines.pop();
+  }
+  return hunk;
+}
+
+function splitLines(content) {
+  if (content === '') return [];
+  const lines = content.split('\n');
+  if (content.endsWith('\n')) lines.pop();
+  return lines;
+}
+
+const collapse = MATCHERS[MATCHERS.length - 1];
+
+/**
+ * Where `before` occurs in `lines`, trying each matcher in turn and
+ * keeping matches at or after `from` (the end of the previous hunk). Of
+ * those, the one closest to `hint` wins; without a hint, the first after
+ * each line containing `anchor`. Returns { index } for a single match,
+ * { ambiguous: [indexes] } when several remain, { above: [indexes] } when
+ * the lines only occur before `from`, or null.
+ */
+function locate(lines, before, { from, hint, anchor }) {
+  let above = null;
+  for (const normalise of MATCHERS) {
+    const wanted = before.map(normalise);
+    const found = [];
+    for (let i = 0; i + wanted.length <= lines.length; i++) {
+      let j = 0;
+      while (j < wanted.length && normalise(lines[i + j]) === wanted[j]) j++;
+      if (j === wanted.length) found.push(i);
+    }
+    if (found.length === 0) continue;
+    let pool = found.filter(i => i >= from);
+    if (pool.length === 0) {
+      above = above || found;
+      continue;
+    }
+    if (hint != null) {
+      const nearest = Math.min(...pool.map(i => Math.abs(i - hint)));
+      pool = pool.filter(i => Math.abs(i - hint) === nearest);
+    } else if (anchor && pool.length > 1) {
+      const anchors = [];
+      for (let i = from; i < lines.length; i++) {
+        if (collapse(lines[i]).includes(collapse(anchor))) anchors.push(i);
+      }
+      const picked = [...new Set(anchors.map(a => pool.find(i => i >= a)).filter(i => i !== undefined))];
+      if (picked.length > 0) pool = picked;
+    }
+    return pool.length === 1 ? { index: pool[0] } : { ambiguous: pool };
+  }
+  return above ? { above } : null;
+}
+
+// The hunk without `lead` context lines at the start and `trail` at the
+// end, or null when those lines aren't all context
+function fuzzed(hunkLines, lead, trail) {
+  const inner = hunkLines.slice(lead, hunkLines.length - trail);
+  const dropped = [...hunkLines.slice(0, lead), ...hunkLines.slice(hunkLines.length - trail)];
+  if (dropped.some(line => line.op !== ' ')) return null;
+  if (!inner.some(line => line.op !== ' ')) return null;
+  return inner;
+}
+
+// The position where most of `before` lines up with the file, for errors
+function closestMatch(lines, before) {
+  let best = null;
+  for (let i = 0; i < Math.max(lines.length - before.length + 1, 1); i++) {
+    let matched = 0;
+    let firstDiff = -1;
+    for (let j = 0; j < before.length; j++) {
+      if ((lines[i + j] ?? '').trim() === before[j].trim()) matched++;
+      else if (firstDiff === -1) firstDiff = j;
+    }
+    if (!best || matched > best.matched) best = { index: i, matched, firstDiff };
+  }
+  return best && best.matched > 0 ? best : null;
+}
+
+const lineList = indexes => indexes.map(i => i + 1).join(', ');
+
+function hunkError(filePath, number, count, hunk, lines, before, hint, found) {
+  const quoted = before.slice(0, QUOTED_LINES).map(line => `    ${line}`);
+  if (before.length > QUOTED_LINES) quoted.push(`    … ${before.length - QUOTED_LINES} more`);
+  const label = `${filePath}: hunk ${number} of ${count} (${hunk.header})`;
+  if (found?.ambiguous) {
+    return `${label} is ambiguous — its ${before.length} lines match at lines ${lineList(found.ambiguous)}:\n${quoted.join('\n')}\n` +
+      '  Add context lines, or an "@@" line with text from above the place meant (its function or block)';
+  }
+  if (found?.above) {
+    return `${label} did not apply — its lines only occur at line ${lineList(found.above)}, above hunk ${number - 1}; ` +
+      'hunks must come in file order';
+  }
+  const where = hint != null ? ` near line ${hint + 1}` : '';
+  let message = `${label} did not apply — these ${before.length} lines were not found${where}:\n${quoted.join('\n')}`;
+  const closest = closestMatch(lines, before);
+  if (closest) {
+    const line = closest.index + closest.firstDiff;
+    message += `\n  Closest: line ${closest.index + 1}, ${closest.matched} of ${before.length} lines match; ` +
+      `line ${line + 1} is "${lines[line] ?? ''}" where the patch expects "${before[closest.firstDiff]}"`;
+  }
+  return message;
+}
+
+/**
+ * Apply an update's hunks to `content`, in order. Context lines keep the
+ * file's own text, so a hunk matched while ignoring whitespace doesn't
+ * reformat them. Returns { content, errors }, one error per hunk that
+ * didn't apply.
+ */
+function applyHunks(content, hunks, filePath) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const hadFinalNewline = content.endsWith('\n') || content === '';
+  const lines = splitLines(content.replace(/\r\n/g, '\n'));
+  const errors = [];
+  let from = 0;
+  // Lines added minus lines removed so far, to move later hunks' hints
+  let shift = 0;
+
+  hunks.forEach((hunk, k) => {
+    const hint = hunk.oldStart != null ? Math.max(hunk.oldStart - 1 + shift, 0) : null;
+    const before = hunk.lines.filter(line => line.op !== '+').map(line => line.text);
+
+    let index = -1;
+    let hunkLines = hunk.lines;
+    // Why the hunk didn't apply, when its lines were found but not usable
+    let found = null;
+    if (before.length === 0) {
+      index = hint != null ? Math.min(hunk.oldStart + shift, lines.length) : lines.length;
+    } else {
+      // Less context only finds more places, so an ambiguous match stops
+      // the search rather than going on to fuzz
+      fuzz: for (let fuzz = 0; fuzz <= MAX_FUZZ; fuzz++) {
+        for (let lead = fuzz; lead >= 0; lead--) {
+          const candidate = fuzz === 0 ? hunk.lines : fuzzed(hunk.lines, lead, fuzz - lead);
+          if (!candidate) continue;
+          const wanted = candidate.filter(line => line.op !== '+').map(line => line.text);
+          const result = locate(lines, wanted, { from, hint: hint != null ? hint + lead : null, anchor: hunk.anchor });
+          if (result?.index !== undefined) {
+            index = result.index;
+            hunkLines = candidate;
+            break fuzz;
+          }
+          if (result?.ambiguous) {
+            found = result;
+            break fuzz;
+          }
+          found = found || result;
+        }
+      }
+    }
+    if (index === -1) {
+      errors.push(hunkError(filePath, k + 1, hunks.length, hunk, lines, before, hint, found));
+      return;
+    }
+
+    const replacement = [];
+    let at = index;
+    for (const line of hunkLines) {
+      if (line.op === ' ') replacement.push(lines[at++]);
+      else if (line.op === '-') at++;
+      else replacement.push(line.text);
+    }
+    lines.splice(index, at - index, ...replacement);
+    from = index + replacement.length;
+    shift += replacement.length - (at - index);
+  });
+
+  const text = lines.join(eol);
+  return { content: lines.length > 0 && hadFinalNewline ? text + eol : text, errors };
+}
+
+/**
+ * Work out every file a patch writes, without writing anything. resolve
+ * maps a path in the patch to an absolute one (throwing to refuse it).
+ * Returns { changes: [{ path, target, content }], summary, errors }:
+ * content null deletes target, and a rename is a delete plus a write.
+ */
+function planPatch(files, resolve) {
+  const changes = [];
+  const summary = [];
+  const errors = [];
+  // Later files in the patch see what earlier ones did to the same path
+  const staged = target => changes.findLast(change => change.target === target);
+  const exists = target => staged(target) ? staged(target).content !== null : fs.existsSync(target);
+  const read = target => staged(target)?.content ?? fs.readFileSync(target, 'utf8');
+
+  for (const file of files) {
+    const target = resolve(file.path);
+    if (file.type === 'add') {
+      if (exists(target)) {
+        errors.push(`${file.path}: cannot add, the file already exists`);
+        continue;
+      }
+      changes.push({ path: file.path, target, content: file.content });
+      summary.push(`added ${file.path}`);
+      continue;
+    }
+    if (!exists(target)) {
+      errors.push(`${file.path}: cannot ${file.type}, the file does not exist`);
+      continue;
+    }
+    if (file.type === 'delete') {
+      changes.push({ path: file.path, target, content: null });
+      summary.push(`deleted ${file.path}`);
+      continue;
+    }
+
+    const { content, errors: hunkErrors } = applyHunks(read(target), file.hunks, file.path);
+    errors.push(...hunkErrors);
+    if (hunkErrors.length > 0) continue;
+    const hunks = file.hunks.length === 1 ? '1 hunk' : `${file.hunks.length} hunks`;
+    if (file.moveTo) {
+      const destination = resolve(file.moveTo);
+      if (destination !== target && exists(destination)) {
+        errors.push(`${file.path}: cannot move to ${file.moveTo}, that file already exists`);
+        continue;
+      }
+      changes.push({ path: file.path, target, content: null });
+      changes.push({ path: file.moveTo, target: destination, content });
+      summary.push(`moved ${file.path} → ${file.moveTo}${file.hunks.length > 0 ? ` (${hunks})` : ''}`);
+    } else {
+      changes.push({ path: file.path, target, content });
+      summary.push(`updated ${file.path} (${hunks})`);
+    }
+  }
+  return { changes, summary, errors };
+}
+
+/**
+ * Write planned changes all together: if any write fails, the files
+ * already written are put back as they were and the error rethrown.
+ */
+function commitChanges(changes) {
+  const originals = new Map();
+  for (const { target } of changes) {
+    if (!originals.has(target)) originals.set(target, fs.existsSync(target) ? fs.readFileSync(target) : null);
+  }
+  try {
+    for (const { target, content } of changes) {
+      if (content === null) {
+        fs.rmSync(target, { force: true });
+      } else {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, content);
+      }
+    }
+  } catch (error) {
+    for (const [target, original] of originals) {
+      try {
+        if (original === null) fs.rmSync(target, { force: true });
+        else fs.writeFileSync(target, original);
+      } catch {
+        // Put back as much as possible
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Parse and apply a patch, all or nothing. Throws with every hunk that
+ * didn't apply and leaves the files untouched; otherwise returns
+ * { files, summary }, files being the absolute paths written.
+ */
+function applyPatch(text, { resolve = p => path.resolve(p) } = {}) {
+  const { changes, summary, errors } = planPatch(parsePatch(text), resolve);
+  if (errors.length > 0) {
+    throw new Error(`Patch not applied, no files were changed:\n${errors.map(error => `- ${error}`).join('\n')}`);
+  }
+  commitChanges(changes);
+  return {
+    files: [...new Set(changes.filter(change => change.content !== null).map(change => change.target))],
+    summary
+  };
+}
+
+// [{ op: ' ' | '-' | '+', text }] turning lines a into lines b, from the
+// longest common subsequence of the region between their common ends
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map(text => ({ op: ' ', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  if (midA.length > MAX_LCS_LINES || midB.length > MAX_LCS_LINES) {
+    ops.push(...midA.map(text => ({ op: '-', text })), ...midB.map(text => ({ op: '+', text })));
+  } else {
+    const width = midB.length + 1;
+    const lcs = new Uint16Array((midA.length + 1) * width);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * width + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        ops.push({ op: ' ', text: midA[i++] });
+        j++;
+      } else if (i < midA.length && (j === midB.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        ops.push({ op: '-', text: midA[i++] });
+      } else {
+        ops.push({ op: '+', text: midB[j++] });
+      }
+    }
+  }
+  ops.push(...a.slice(endA).map(text => ({ op: ' ', text })));
+  return ops;
+}
+
+/**
+ * The change from `before` to `after` as unified diff hunks with `context`
+ * unchanged lines around each, cut after maxLines. '' when nothing changed.
+ */
+function compactDiff(before, after, { context = 2, maxLines = MAX_DIFF_LINES } = {}) {
+  const ops = diffLines(splitLines(before), splitLines(after));
+
+  // Line numbers in before and after where each op starts
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const { op } of ops) {
+    positions.push([oldLine, newLine]);
+    if (op !== '+') oldLine++;
+    if (op !== '-') newLine++;
+  }
+
+  // Changes less than two contexts apart share a hunk
+  const ranges = [];
+  ops.forEach(({ op }, k) => {
+    if (op === ' ') return;
+    const last = ranges[ranges.length - 1];
+    if (last && k - last.end - 1 <= context * 2) last.end = k;
+    else ranges.push({ start: k, end: k });
+  });
+
+  const out = [];
+  for (const { start, end } of ranges) {
+    const from = Math.max(start - context, 0);
+    const hunk = ops.slice(from, Math.min(end + context, ops.length - 1) + 1);
+    const oldCount = hunk.filter(line => line.op !== '+').length;
+    const newCount = hunk.filter(line => line.op !== '-').length;
+    out.push(`@@ -${positions[from][0]},${oldCount} +${positions[from][1]},${newCount} @@`);
+    out.push(...hunk.map(line => `${line.op}${line.text}`));
+  }
+  if (out.length > maxLines) {
+    return [...out.slice(0, maxLines), `… ${out.length - maxLines} more diff lines`].join('\n');
+  }
+  return out.join('\n');
+}
+
+// Every path a patch names (renames give two), for sandbox checks
+function patchPaths(files) {
+  return files.flatMap(file => file.moveTo ? [file.path, file.moveTo] : [file.path]);
+}
+
+// Short label for a patch in tool activity: "lib/a.js" or "lib/a.js +2 more"
+function describePatch(text) {
+  try {
+    const paths = patchPaths(parsePatch(text || ''));
+    return paths.length > 1 ? `${paths[0]} +${paths.length - 1} more` : paths[0];
+  } catch {
+    return 'patch';
+  }
+}
+
+export { parsePatch, applyHunks, planPatch, applyPatch, patchPaths, describePatch, compactDiff };
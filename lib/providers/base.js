@@ -0,0 +1,218 @@
+import axios from 'axios';
+import { config } from '../../config/config.js';
+
+// Model listings are a quick GET; don't let a dead endpoint stall a picker
+const MODEL_LIST_TIMEOUT = 5000;
+
+// Listed by /models endpoints but not usable for chat
+const NON_CHAT_MODEL = /whisper|tts|embed|image|imagine|guard|moderation/i;
+
+/**
+ * Base class for provider adapters. An adapter owns everything that differs
+ * between LLM APIs: client setup, message and tool schema translation, usage
+ * normalisation, pricing and model discovery. GrokAPI picks its tool loop
+ * from `protocol` ('openai', 'anthropic' or 'gemini').
+ */
+class ProviderAdapter {
+  constructor({
+    id,
+    label,
+    alias,
+    protocol = 'openai',
+    baseURL,
+    requiresApiKey = true,
+    models = [],
+    defaultModel,
+    pricing = { input: 0, output: 0 },
+    modelPricing = {},
+    contextWindow = 128000,
+    contextWindows = {},
+    maxOutputTokens = null,
+    vision = false,
+    jsonMode = null,
+    jsonModeWithTools = true
+  }) {
+    this.id = id;
+    this.label = label || id;
+    // Alternative name accepted by /switch and /models (e.g. "xai" for grok)
+    this.alias = alias || id;
+    this.protocol = protocol;
+    this.baseURL = baseURL;
+    this.requiresApiKey = requiresApiKey;
+    this.models = models;
+    this.defaultModel = defaultModel || models[0];
+    // USD per 1M tokens: { input, output, cachedInput?, reasoning? } as the
+    // provider default plus per-model rates
+    this.pricing = pricing;
+    this.modelPricing = modelPricing;
+    // One rate for every model (local or self-priced servers), so the
+    // default counts as known pricing
+    this.flatPricing = false;
+    // How long a live model listing stays fresh, in ms; null uses the
+    // catalog default (config modelCatalog.ttlHours)
+    this.modelListTTL = null;
+    // Context length in tokens: the provider default plus per-model exceptions
+    this.contextWindow = contextWindow;
+    this.contextWindows = contextWindows;
+    // Filled in by the model catalog from the provider's own listing
+    this.reportedContextWindows = {};
+    // Reply length cap sent with tool-loop requests; null leaves it to the
+    // provider
+    this.maxOutputTokens = maxOutputTokens;
+    // Which models accept images: true, false or a RegExp over model ids
+    this.vision = vision;
+    // Native structured output: 'json_schema' (the reply is held to the
+    // schema), 'json_object' (any JSON) or null (instructions only), and
+    // whether the provider accepts it alongside tools
+    this.jsonMode = jsonMode;
+    this.jsonModeWithTools = jsonModeWithTools;
+  }
+
+  resolveApiKey(options = {}) {
+    return options.apiKey || config.getApiKey(this.id) || null;
+  }
+
+  resolveBaseURL(options = {}) {
+    return this.baseURL;
+  }
+
+  hasCredentials() {
+    return !this.requiresApiKey || !!config.getApiKey(this.id);
+  }
+
+  createClient({ baseURL, apiKey }) {
+    return axios.create({
+      baseURL,
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  // Conversation history ({ role, content }) → { system, messages } in the
+  // provider's request shape
+  translateMessages(history, systemPrompt) {
+    return {
+      system: null,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        ...history.map(msg => ({
+          role: msg.role,
+          content: msg.images?.length ? this.encodeImages(msg.content, msg.images) : msg.content
+        }))
+      ]
+    };
+  }
+
+  // A user turn with images (lib/images.js loadImage) as message content:
+  // chat/completions takes them as base64 data URLs
+  encodeImages(text, images) {
+    return [
+      { type: 'text', text },
+      ...images.map(image => ({ type: 'image_url', image_url: { url: `data:${image.mediaType};base64,${image.data}` } }))
+    ];
+  }
+
+  // config "vision" ({ model: true|false }) overrides the provider's list
+  supportsVision(model) {
+    const overrides = config.get('vision') || {};
+    const override = overrides[`${this.id}/${model}`] ?? overrides[model];
+    if (typeof override === 'boolean') return override;
+    return this.vision instanceof RegExp ? this.vision.test(model || '') : !!this.vision;
+  }
+
+  // Request fields that ask for JSON in the provider's own way, or null
+  // when it has none (the prompt's instructions and re-asks still apply)
+  structuredOutput(schema, { tools = false } = {}) {
+    if (!this.jsonMode || (tools && !this.jsonModeWithTools)) return null;
+    if (this.jsonMode === 'json_object') return { response_format: { type: 'json_object' } };
+    const name = String(schema.title || 'response').replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 64);
+    return { response_format: { type: 'json_schema', json_schema: { name, schema } } };
+  }
+
+  // Tool definitions arrive in OpenAI function format
+  translateTools(tools) {
+    return tools;
+  }
+
+  // Raw usage payload → { inputTokens, outputTokens, cachedTokens,
+  // cacheWriteTokens, reasoningTokens }. inputTokens includes the cache reads
+  // and writes and outputTokens the reasoning tokens, as all are billed.
+  normalizeUsage(usage) {
+    if (!usage) return { inputTokens: 0, outputTokens: 0, cachedTokens: 0, cacheWriteTokens: 0, reasoningTokens: 0 };
+    return {
+      inputTokens: usage.prompt_tokens || usage.input_tokens || 0,
+      outputTokens: usage.completion_tokens || usage.output_tokens || 0,
+      cachedTokens: usage.prompt_tokens_details?.cached_tokens || 0,
+      cacheWriteTokens: 0,
+      reasoningTokens: usage.completion_tokens_details?.reasoning_tokens || 0
+    };
+  }
+
+  // Context length for a model; config "contextWindows" ({ model: tokens })
+  // overrides what the provider reported, which overrides the built-in figures
+  contextLimit(model) {
+    const overrides = config.get('contextWindows') || {};
+    return overrides[`${this.id}/${model}`] || overrides[model] ||
+      this.reportedContextWindows[model] || this.contextWindows[model] || this.contextWindow;
+  }
+
+  // Reply length cap for a model in tokens, or null; config "outputLimits"
+  // ({ model: tokens }) overrides the provider default
+  outputLimit(model) {
+    const overrides = config.get('outputLimits') || {};
+    return overrides[`${this.id}/${model}`] || overrides[model] || this.maxOutputTokens;
+  }
+
+  // Rates for a model; config "pricing" ({ model: { input, output, ... } })
+  // overrides the built-in table field by field
+  pricingFor(model) {
+    const overrides = config.get('pricing') || {};
+    return {
+      ...this.pricing,
+      ...this.modelPricing[model],
+      ...(overrides[`${this.id}/${model}`] || overrides[model])
+    };
+  }
+
+  // Rates when this provider's pricing for the model is actually known,
+  // otherwise null; for display, where a guessed price would mislead
+  knownPricing(model) {
+    const overrides = config.get('pricing') || {};
+    const known = overrides[`${this.id}/${model}`] || overrides[model] ||
+      this.modelPricing[model] || this.flatPricing;
+    return known ? this.pricingFor(model) : null;
+  }
+
+  // Cache reads are billed at cachedInput, cache writes at cacheWrite and
+  // reasoning tokens at reasoning, each falling back to the plain
+  // input/output rate
+  cost({ inputTokens = 0, outputTokens = 0, cachedTokens = 0, cacheWriteTokens = 0, reasoningTokens = 0 }, model) {
+    const rate = this.pricingFor(model);
+    const cached = Math.min(cachedTokens, inputTokens);
+    const written = Math.min(cacheWriteTokens, inputTokens - cached);
+    const reasoning = Math.min(reasoningTokens, outputTokens);
+    return ((inputTokens - cached - written) * rate.input +
+      cached * (rate.cachedInput ?? rate.input) +
+      written * (rate.cacheWrite ?? rate.input) +
+      (outputTokens - reasoning) * rate.output +
+      reasoning * (rate.reasoning ?? rate.output)) / 1000000;
+  }
+
+  // Live model listing: [{ id, contextWindow }] with contextWindow null when
+  // the endpoint doesn't report it. Throws when the provider can't be
+  // reached; lib/model-catalog.js caches the result.
+  async fetchModels(options = {}) {
+    const { data } = await this._listingClient(options).get('/models', { timeout: MODEL_LIST_TIMEOUT });
+    return (data.data || [])
+      .filter(m => m.id && !NON_CHAT_MODEL.test(m.id))
+      .map(m => ({ id: m.id, contextWindow: m.context_window || m.context_length || null }));
+  }
+
+  _listingClient(options = {}) {
+    return this.createClient({ baseURL: this.resolveBaseURL(options), apiKey: this.resolveApiKey(options) });
+  }
+}
+
+export { ProviderAdapter, MODEL_LIST_TIMEOUT };
@@ -0,0 +1,121 @@
+import axios from 'axios';
+import { ProviderAdapter, MODEL_LIST_TIMEOUT } from './base.js';
+
+// Anthropic Messages API: system prompt is a top-level field and tools use
+// input_schema instead of OpenAI's function wrapper
+class ClaudeAdapter extends ProviderAdapter {
+  constructor() {
+    super({
+      id: 'claude',
+      label: 'Claude (Anthropic)',
+      alias: 'anthropic',
+      protocol: 'anthropic',
+      baseURL: 'https://api.anthropic.com/v1',
+      models: [
+        'claude-opus-4-6',
+        'claude-opus-4-5-20251101',
+        'claude-sonnet-4-5-20250929',
+        'claude-haiku-4-5-20251001'
+      ],
+      // Cache writes (5-minute TTL) cost 1.25x input, reads 0.1x
+      pricing: { input: 3.00, cachedInput: 0.30, cacheWrite: 3.75, output: 15.00 },
+      modelPricing: {
+        'claude-opus-4-6': { input: 5.00, cachedInput: 0.50, cacheWrite: 6.25, output: 25.00 },
+        'claude-opus-4-5-20251101': { input: 5.00, cachedInput: 0.50, cacheWrite: 6.25, output: 25.00 },
+        'claude-sonnet-4-5-20250929': { input: 3.00, cachedInput: 0.30, cacheWrite: 3.75, output: 15.00 },
+        'claude-haiku-4-5-20251001': { input: 1.00, cachedInput: 0.10, cacheWrite: 1.25, output: 5.00 }
+      },
+      contextWindow: 200000,
+      // The Messages API requires max_tokens on every request
+      maxOutputTokens: 4096,
+      vision: true
+    });
+  }
+
+  createClient({ baseURL, apiKey }) {
+    return axios.create({
+      baseURL,
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  translateMessages(history, systemPrompt) {
+    return {
+      system: systemPrompt,
+      messages: history.map(msg => ({
+        role: msg.role,
+        content: msg.images?.length ? this.encodeImages(msg.content, msg.images) : msg.content
+      }))
+    };
+  }
+
+  // Images go first: Claude answers questions about them best that way
+  encodeImages(text, images) {
+    return [
+      ...images.map(image => ({ type: 'image', source: { type: 'base64', media_type: image.mediaType, data: image.data } })),
+      { type: 'text', text }
+    ];
+  }
+
+  translateTools(tools) {
+    return tools.map(t => ({
+      name: t.function.name,
+      description: t.function.description,
+      input_schema: t.function.parameters
+    }));
+  }
+
+  // input_tokens excludes prompt-cache reads and writes; fold them back in
+  normalizeUsage(usage) {
+    if (!usage) return { inputTokens: 0, outputTokens: 0, cachedTokens: 0, cacheWriteTokens: 0, reasoningTokens: 0 };
+    const cachedTokens = usage.cache_read_input_tokens || 0;
+    const cacheWriteTokens = usage.cache_creation_input_tokens || 0;
+    return {
+      inputTokens: (usage.input_tokens || 0) + cachedTokens + cacheWriteTokens,
+      outputTokens: usage.output_tokens || 0,
+      cachedTokens,
+      cacheWriteTokens,
+      reasoningTokens: 0
+    };
+  }
+
+  // Prompt caching: breakpoints after the tool list, the system prompt and
+  // the two latest user turns, so each round reads the prefix the previous
+  // round wrote. Returns a new { system, tools, messages }; the loop's own
+  // messages are left unmarked, as a request may carry at most four.
+  withCacheBreakpoints({ system, tools, messages }) {
+    const mark = block => ({ ...block, cache_control: { type: 'ephemeral' } });
+    const markLast = blocks => blocks.length ? [...blocks.slice(0, -1), mark(blocks[blocks.length - 1])] : blocks;
+    const toBlocks = content => typeof content === 'string' ? [{ type: 'text', text: content }] : content;
+
+    const userTurns = messages
+      .map((msg, index) => msg.role === 'user' ? index : -1)
+      .filter(index => index !== -1)
+      .slice(-2);
+
+    return {
+      system: system ? markLast(toBlocks(system)) : system,
+      tools: tools ? markLast(tools) : tools,
+      messages: messages.map((msg, index) =>
+        userTurns.includes(index) ? { ...msg, content: markLast(toBlocks(msg.content)) } : msg
+      )
+    };
+  }
+
+  // The listing is paged (20 by default) and doesn't report context length
+  async fetchModels(options = {}) {
+    const { data } = await this._listingClient(options).get('/models', {
+      params: { limit: 1000 },
+      timeout: MODEL_LIST_TIMEOUT
+    });
+    return (data.data || []).map(m => ({ id: m.id, contextWindow: null }));
+  }
+}
+
+const claude = new ClaudeAdapter();
+
+export { claude, ClaudeAdapter };
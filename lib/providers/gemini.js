@@ -0,0 +1,122 @@
+import axios from 'axios';
+import { ProviderAdapter, MODEL_LIST_TIMEOUT } from './base.js';
+
+// Gemini accepts only an OpenAPI subset of JSON Schema (no additionalProperties, etc.)
+const GEMINI_SCHEMA_KEYS = ['type', 'description', 'properties', 'required', 'items', 'enum', 'format', 'nullable'];
+
+function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = {};
+  for (const key of GEMINI_SCHEMA_KEYS) {
+    if (schema[key] === undefined) continue;
+    if (key === 'properties') {
+      out.properties = {};
+      for (const [name, prop] of Object.entries(schema.properties)) {
+        out.properties[name] = toGeminiSchema(prop);
+      }
+    } else if (key === 'items') {
+      out.items = toGeminiSchema(schema.items);
+    } else {
+      out[key] = schema[key];
+    }
+  }
+  return out;
+}
+
+// Gemini generateContent API: "model" turns, systemInstruction and
+// functionDeclarations
+class GeminiAdapter extends ProviderAdapter {
+  constructor() {
+    super({
+      id: 'gemini',
+      label: 'Gemini (Google)',
+      alias: 'google',
+      protocol: 'gemini',
+      baseURL: 'https://generativelanguage.googleapis.com/v1beta',
+      models: [
+        'gemini-2.0-flash',
+        'gemini-1.5-pro',
+        'gemini-1.5-flash'
+      ],
+      pricing: { input: 0.50, output: 1.50 },
+      modelPricing: {
+        'gemini-2.0-flash': { input: 0.10, cachedInput: 0.025, output: 0.40 },
+        'gemini-1.5-pro': { input: 1.25, cachedInput: 0.3125, output: 5.00 },
+        'gemini-1.5-flash': { input: 0.075, cachedInput: 0.01875, output: 0.30 }
+      },
+      contextWindow: 1048576,
+      contextWindows: { 'gemini-1.5-pro': 2097152 },
+      maxOutputTokens: 4096,
+      vision: true
+    });
+  }
+
+  createClient({ baseURL, apiKey }) {
+    return axios.create({
+      baseURL,
+      params: { key: apiKey }
+    });
+  }
+
+  translateMessages(history, systemPrompt) {
+    return {
+      system: { parts: [{ text: systemPrompt }] },
+      messages: history.map(msg => ({
+        role: msg.role === 'assistant' ? 'model' : 'user',
+        parts: msg.images?.length ? this.encodeImages(msg.content, msg.images) : [{ text: msg.content }]
+      }))
+    };
+  }
+
+  encodeImages(text, images) {
+    return [
+      ...images.map(image => ({ inlineData: { mimeType: image.mediaType, data: image.data } })),
+      { text }
+    ];
+  }
+
+  // Gemini can't combine a JSON response type with function calling, so
+  // native mode only applies to tool-free requests (re-asks)
+  structuredOutput(schema, { tools = false } = {}) {
+    if (tools) return null;
+    return { generationConfig: { responseMimeType: 'application/json', responseJsonSchema: schema } };
+  }
+
+  translateTools(tools) {
+    return [{
+      functionDeclarations: tools.map(t => ({
+        name: t.function.name,
+        description: t.function.description,
+        parameters: toGeminiSchema(t.function.parameters)
+      }))
+    }];
+  }
+
+  // Thinking tokens are reported apart from candidatesTokenCount
+  normalizeUsage(usage) {
+    if (!usage) return { inputTokens: 0, outputTokens: 0, cachedTokens: 0, cacheWriteTokens: 0, reasoningTokens: 0 };
+    const reasoningTokens = usage.thoughtsTokenCount || 0;
+    return {
+      inputTokens: usage.promptTokenCount || 0,
+      outputTokens: (usage.candidatesTokenCount || 0) + reasoningTokens,
+      cachedTokens: usage.cachedContentTokenCount || 0,
+      cacheWriteTokens: 0,
+      reasoningTokens
+    };
+  }
+
+  // Names come back as "models/<id>"; embedding-only models can't chat
+  async fetchModels(options = {}) {
+    const { data } = await this._listingClient(options).get('/models', {
+      params: { pageSize: 1000 },
+      timeout: MODEL_LIST_TIMEOUT
+    });
+    return (data.models || [])
+      .filter(m => (m.supportedGenerationMethods || []).includes('generateContent'))
+      .map(m => ({ id: m.name.replace(/^models\//, ''), contextWindow: m.inputTokenLimit || null }));
+  }
+}
+
+const gemini = new GeminiAdapter();
+
+export { gemini, GeminiAdapter, toGeminiSchema };
@@ -0,0 +1,46 @@
+import { ProviderAdapter } from './base.js';
+
+const grok = new ProviderAdapter({
+  id: 'grok',
+  label: 'Grok (xAI)',
+  alias: 'xai',
+  baseURL: process.env.GROK_BASE_URL || 'https://api.x.ai/v1',
+  models: [
+    'grok-4-1-fast-reasoning',
+    'grok-4-1-fast-non-reasoning',
+    'grok-4-latest',
+    'grok-4',
+    'grok-3-latest',
+    'grok-3-fast',
+    'grok-3-mini',
+    'grok-3-mini-fast',
+    'grok-beta',
+    'grok-vision-beta'
+  ],
+  pricing: { input: 0.10, output: 0.30 },
+  modelPricing: {
+    'grok-4-1-fast-reasoning': { input: 0.20, cachedInput: 0.05, output: 0.50 },
+    'grok-4-1-fast-non-reasoning': { input: 0.20, cachedInput: 0.05, output: 0.50 },
+    'grok-4-latest': { input: 3.00, cachedInput: 0.75, output: 15.00 },
+    'grok-4': { input: 3.00, cachedInput: 0.75, output: 15.00 },
+    'grok-3-latest': { input: 3.00, cachedInput: 0.75, output: 15.00 },
+    'grok-3-fast': { input: 5.00, cachedInput: 1.25, output: 25.00 },
+    'grok-3-mini': { input: 0.30, cachedInput: 0.075, output: 0.50 },
+    'grok-3-mini-fast': { input: 0.60, cachedInput: 0.15, output: 4.00 },
+    'grok-beta': { input: 5.00, output: 15.00 },
+    'grok-vision-beta': { input: 5.00, output: 15.00 }
+  },
+  contextWindow: 131072,
+  contextWindows: {
+    'grok-4-1-fast-reasoning': 2000000,
+    'grok-4-1-fast-non-reasoning': 2000000,
+    'grok-4-latest': 256000,
+    'grok-4': 256000,
+    'grok-vision-beta': 8192
+  },
+  // The Grok 4 family reads images; of the older models only grok-vision-beta
+  vision: /^grok-4|vision/,
+  jsonMode: 'json_schema'
+});
+
+export { grok };
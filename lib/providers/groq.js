@@ -0,0 +1,31 @@
+import { ProviderAdapter } from './base.js';
+
+const groq = new ProviderAdapter({
+  id: 'groq',
+  label: 'Groq',
+  baseURL: 'https://api.groq.com/openai/v1',
+  models: [
+    'llama-3.3-70b-versatile',
+    'llama-3.1-8b-instant',
+    'mixtral-8x7b-32768',
+    'gemma2-9b-it'
+  ],
+  pricing: { input: 0.05, output: 0.08 },
+  modelPricing: {
+    'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+    'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+    'mixtral-8x7b-32768': { input: 0.24, output: 0.24 },
+    'gemma2-9b-it': { input: 0.20, output: 0.20 }
+  },
+  contextWindow: 131072,
+  contextWindows: {
+    'mixtral-8x7b-32768': 32768,
+    'gemma2-9b-it': 8192
+  },
+  vision: /llama-4|vision/,
+  // Groq's JSON mode can't be combined with tools or streaming
+  jsonMode: 'json_object',
+  jsonModeWithTools: false
+});
+
+export { groq };
@@ -0,0 +1,97 @@
+import { grok } from './grok.js';
+import { groq } from './groq.js';
+import { gemini } from './gemini.js';
+import { claude } from './claude.js';
+import { ollama } from './ollama.js';
+import { mock } from './mock.js';
+import { ProviderAdapter } from './base.js';
+import { OpenAICompatibleAdapter, validateOpenAICompatibleEntry } from './openai-compatible.js';
+import { config } from '../../config/config.js';
+
+// Provider registry. Everything that needs provider-specific behaviour or a
+// model list (GrokAPI, the CLI, both TUIs, the agent dialog) reads from here.
+const registry = new Map();
+
+function registerProvider(adapter) {
+  registry.set(adapter.id, adapter);
+  return adapter;
+}
+
+function unregisterProvider(id) {
+  return registry.delete(id);
+}
+
+// Look up by id or alias ("claude" or "anthropic")
+function getProvider(name) {
+  if (!name) return null;
+  if (registry.has(name)) return registry.get(name);
+  for (const adapter of registry.values()) {
+    if (adapter.alias === name) return adapter;
+  }
+  return null;
+}
+
+// "claude/claude-sonnet-4-5" -> { provider: 'claude', model: 'claude-sonnet-4-5' };
+// a bare model name keeps the current provider (provider: null)
+function parseModelRef(ref) {
+  if (typeof ref !== 'string' || !ref) throw new Error(`Expected "provider/model", got ${JSON.stringify(ref)}`);
+  if (!ref.includes('/')) return { provider: null, model: ref };
+  const [provider, ...model] = ref.split('/');
+  return { provider, model: model.join('/') || null };
+}
+
+function listProviders() {
+  return [...registry.values()];
+}
+
+function providerIds() {
+  return [...registry.keys()];
+}
+
+// Why entries were left out by the last loadConfiguredProviders() call,
+// one message each; the CLI and TUIs show them their own way
+let skipped = [];
+
+// (Re)register the openai-compatible entries from config. Called at startup
+// and after the CLI adds or removes an entry. Returns the skipped messages.
+function loadConfiguredProviders() {
+  for (const adapter of listProviders()) {
+    if (adapter instanceof OpenAICompatibleAdapter) unregisterProvider(adapter.id);
+  }
+  skipped = [];
+  for (const entry of config.getOpenAICompatibleProviders()) {
+    if (getProvider(entry.name)) {
+      skipped.push(`Skipping openai-compatible provider "${entry.name}": name is taken by a built-in provider`);
+      continue;
+    }
+    try {
+      registerProvider(new OpenAICompatibleAdapter(entry));
+    } catch (error) {
+      skipped.push(`Skipping openai-compatible provider: ${error.message}`);
+    }
+  }
+  return skipped;
+}
+
+function skippedProviders() {
+  return skipped;
+}
+
+for (const adapter of [grok, groq, gemini, claude, ollama, mock]) {
+  registerProvider(adapter);
+}
+loadConfiguredProviders();
+
+export {
+  ProviderAdapter,
+  OpenAICompatibleAdapter,
+  validateOpenAICompatibleEntry,
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  parseModelRef,
+  listProviders,
+  providerIds,
+  loadConfiguredProviders,
+  skippedProviders
+};
@@ -0,0 +1,163 @@
+import fs from 'fs';
+import { Readable } from 'stream';
+import { ProviderAdapter } from './base.js';
+import { config } from '../../config/config.js';
+import { estimateTokens, estimateMessages } from '../context-window.js';
+
+/**
+ * Offline provider that answers from a fixture file instead of a server,
+ * so tool loops, team runs and sandbox checks run without a network.
+ * It speaks the OpenAI protocol, streamed or not, and goes through the
+ * same tool loop as any chat/completions provider.
+ *
+ * The fixture stands in for the base URL: the `mockFixture` option, else
+ * GITFORKED_MOCK_FIXTURE, else config "mock": { "fixture": path }.
+ *
+ *   {
+ *     "models": ["mock"],
+ *     "responses": [
+ *       { "text": "Reading it first.", "toolCalls": [{ "name": "read", "args": { "filePath": "a.js" } }] },
+ *       { "when": "Reviewer", "text": "Looks good." },
+ *       { "reasoning": "Short file.", "text": "Done.", "usage": { "inputTokens": 900, "outputTokens": 40 } },
+ *       { "text": "It was cut", "finishReason": "length" },
+ *       { "error": { "status": 429, "message": "Slow down", "retryAfter": 1 } }
+ *     ]
+ *   }
+ *
+ * Each client serves the first unused response whose "when" text (if any)
+ * appears in the request's messages. Usage is estimated when not given.
+ */
+class MockAdapter extends ProviderAdapter {
+  constructor() {
+    super({
+      id: 'mock',
+      label: 'Mock (scripted fixture)',
+      requiresApiKey: false,
+      models: ['mock'],
+      vision: true,
+      jsonMode: 'json_object'
+    });
+    // Scripted replies cost nothing
+    this.flatPricing = true;
+  }
+
+  resolveApiKey() {
+    return null;
+  }
+
+  resolveBaseURL(options = {}) {
+    return options.mockFixture || process.env.GITFORKED_MOCK_FIXTURE || config.get('mock')?.fixture || null;
+  }
+
+  createClient({ baseURL }) {
+    return new MockClient(baseURL);
+  }
+
+  async fetchModels() {
+    const fixture = readFixture(this.resolveBaseURL());
+    return (fixture.models || this.models).map(id => ({ id, contextWindow: null }));
+  }
+}
+
+function readFixture(fixturePath) {
+  if (!fixturePath) {
+    throw new Error('The mock provider needs a fixture file: set GITFORKED_MOCK_FIXTURE or config "mock": { "fixture": "<path>" }');
+  }
+  let fixture;
+  try {
+    fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read mock fixture ${fixturePath}: ${error.message}`);
+  }
+  if (!Array.isArray(fixture.responses)) {
+    throw new Error(`Mock fixture ${fixturePath} needs a "responses" list`);
+  }
+  return fixture;
+}
+
+// Stands in for the axios instance; only post() is used by GrokAPI.
+// requests records every body received, for assertions.
+class MockClient {
+  constructor(fixturePath) {
+    this.fixturePath = fixturePath;
+    this.fixture = null;
+    this.used = new Set();
+    this.requests = [];
+  }
+
+  async post(url, body, requestConfig = {}) {
+    this.fixture = this.fixture || readFixture(this.fixturePath);
+    if (requestConfig.signal?.aborted) throw requestConfig.signal.reason;
+    // A copy: the tool loop keeps appending to the same message array
+    this.requests.push(structuredClone(body));
+
+    const haystack = JSON.stringify(body.messages || []);
+    const index = this.fixture.responses.findIndex((entry, i) =>
+      !this.used.has(i) && (!entry.when || haystack.includes(entry.when)));
+    if (index === -1) {
+      throw new Error(`Mock fixture ${this.fixturePath} has no response left for this request (${this.used.size} served)`);
+    }
+    this.used.add(index);
+    const entry = this.fixture.responses[index];
+
+    if (entry.error) {
+      const { status = 500, message = 'Mock error', retryAfter } = entry.error;
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = {
+        status,
+        data: { error: { message } },
+        headers: retryAfter !== undefined ? { 'retry-after': String(retryAfter) } : {}
+      };
+      throw error;
+    }
+
+    const completion = toCompletion(entry, body);
+    if (requestConfig.responseType === 'stream') {
+      return { status: 200, headers: {}, data: Readable.from(toEvents(completion)) };
+    }
+    return { status: 200, headers: {}, data: completion };
+  }
+}
+
+// A fixture entry as a chat/completions response
+function toCompletion(entry, body) {
+  const message = { role: 'assistant', content: entry.text ?? null };
+  if (entry.reasoning) message.reasoning_content = entry.reasoning;
+  if (entry.toolCalls?.length) {
+    message.tool_calls = entry.toolCalls.map((call, i) => ({
+      id: call.id || `mock_call_${i + 1}`,
+      type: 'function',
+      function: { name: call.name, arguments: JSON.stringify(call.args || {}) }
+    }));
+  }
+  const outputTokens = entry.usage?.outputTokens ??
+    estimateTokens((entry.text || '') + (entry.reasoning || '') + JSON.stringify(entry.toolCalls || []));
+  return {
+    id: 'mock',
+    model: body.model,
+    choices: [{ index: 0, message, finish_reason: entry.finishReason || (message.tool_calls ? 'tool_calls' : 'stop') }],
+    usage: {
+      prompt_tokens: entry.usage?.inputTokens ?? estimateMessages(body.messages || []),
+      completion_tokens: outputTokens
+    }
+  };
+}
+
+// The same response as the SSE chunks a streaming server sends
+function* toEvents(completion) {
+  const { message, finish_reason: finishReason } = completion.choices[0];
+  const chunk = delta => `data: ${JSON.stringify({ id: completion.id, choices: [{ index: 0, delta, finish_reason: null }] })}\n\n`;
+
+  if (message.reasoning_content) yield chunk({ reasoning_content: message.reasoning_content });
+  if (message.content) yield chunk({ role: 'assistant', content: message.content });
+  for (const [index, call] of (message.tool_calls || []).entries()) {
+    yield chunk({ tool_calls: [{ index, ...call }] });
+  }
+  yield `data: ${JSON.stringify({ id: completion.id, choices: [{ index: 0, delta: {}, finish_reason: finishReason }] })}\n\n`;
+  yield `data: ${JSON.stringify({ id: completion.id, choices: [], usage: completion.usage })}\n\n`;
+  yield 'data: [DONE]\n\n';
+}
+
+const mock = new MockAdapter();
+
+export { mock, MockAdapter, MockClient };
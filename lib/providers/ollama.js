@@ -0,0 +1,60 @@
+import axios from 'axios';
+import { ProviderAdapter } from './base.js';
+import { OllamaProvider } from '../ollama-provider.js';
+import { config } from '../../config/config.js';
+
+// Local models through Ollama's OpenAI-compatible /v1 endpoint. The model
+// list is discovered from the running server's /api/tags.
+class OllamaAdapter extends ProviderAdapter {
+  constructor() {
+    super({
+      id: 'ollama',
+      label: 'Ollama (local)',
+      requiresApiKey: false,
+      models: [],
+      // Ollama's default num_ctx is small; raise it via contextWindows in
+      // config when the server is started with a larger one
+      contextWindow: 8192,
+      // Multimodal families in the Ollama library
+      vision: /llava|vision|moondream|minicpm-v|gemma3|qwen2\.5vl|-vl\b/,
+      // Schema-constrained decoding, but not while tools are offered
+      jsonMode: 'json_schema',
+      jsonModeWithTools: false
+    });
+    // Local models are free
+    this.flatPricing = true;
+    // Listing a local server is cheap and `ollama pull` changes it; always
+    // ask, using the cache only when the server is down
+    this.modelListTTL = 0;
+  }
+
+  resolveApiKey() {
+    return null;
+  }
+
+  resolveBaseURL(options = {}) {
+    return options.ollamaBaseUrl || config.getOllamaBaseUrl?.() || 'http://localhost:11434';
+  }
+
+  createClient({ baseURL }) {
+    return axios.create({
+      baseURL: `${baseURL}/v1`,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  async fetchModels(options = {}) {
+    const provider = new OllamaProvider(this.resolveBaseURL(options));
+    if (!await provider.isAvailable()) {
+      throw new Error(`Ollama is not running at ${provider.baseUrl}`);
+    }
+    const models = await provider.listModels();
+    return models.map(m => ({ id: m.name, contextWindow: null }));
+  }
+}
+
+const ollama = new OllamaAdapter();
+
+export { ollama, OllamaAdapter };
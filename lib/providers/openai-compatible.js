@@ -0,0 +1,74 @@
+import axios from 'axios';
+import { ProviderAdapter } from './base.js';
+import { config } from '../../config/config.js';
+
+// Self-hosted or gateway endpoints that speak the OpenAI chat/completions API
+// (vLLM, LM Studio, corporate proxies). One adapter per entry in
+// config.openaiCompatible.
+class OpenAICompatibleAdapter extends ProviderAdapter {
+  constructor(entry) {
+    validateOpenAICompatibleEntry(entry);
+    super({
+      id: entry.name,
+      label: `${entry.name} (OpenAI-compatible)`,
+      baseURL: entry.baseUrl.replace(/\/+$/, ''),
+      // Local servers usually run without a key
+      requiresApiKey: false,
+      models: entry.models || [],
+      pricing: entry.pricing || undefined,
+      contextWindow: entry.contextWindow || undefined,
+      vision: !!entry.vision,
+      jsonMode: entry.jsonMode || null
+    });
+    this.flatPricing = !!entry.pricing;
+    this.apiKeyEnv = entry.apiKeyEnv || null;
+    this.headers = entry.headers || {};
+  }
+
+  // Key lookup order: explicit option, the configured env var, then
+  // `gitforked apikey set -p <name>`
+  resolveApiKey(options = {}) {
+    return options.apiKey ||
+      (this.apiKeyEnv && process.env[this.apiKeyEnv]) ||
+      config.getApiKey(this.id) ||
+      null;
+  }
+
+  createClient({ baseURL, apiKey }) {
+    const headers = { 'Content-Type': 'application/json', ...this.headers };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+    return axios.create({ baseURL, headers });
+  }
+}
+
+// Names double as /switch prefixes ("name/model"), so no slashes or spaces
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+// response_format types a server may support (see ProviderAdapter.jsonMode)
+const JSON_MODES = ['json_schema', 'json_object'];
+
+function validateOpenAICompatibleEntry(entry) {
+  if (!entry || !NAME_PATTERN.test(entry.name || '')) {
+    throw new Error(`Invalid provider name: ${entry?.name}. Use letters, digits, ".", "_" or "-".`);
+  }
+  if (!/^https?:\/\//.test(entry.baseUrl || '')) {
+    throw new Error(`Invalid base URL for ${entry.name}: ${entry.baseUrl}. Expected http(s)://...`);
+  }
+  if (entry.models && !Array.isArray(entry.models)) {
+    throw new Error(`Models for ${entry.name} must be a list`);
+  }
+  if (entry.contextWindow !== undefined && !(Number.isInteger(entry.contextWindow) && entry.contextWindow > 0)) {
+    throw new Error(`Context window for ${entry.name} must be a positive number of tokens`);
+  }
+  if (entry.pricing !== undefined && !['input', 'output'].every(k => typeof entry.pricing?.[k] === 'number')) {
+    throw new Error(`Pricing for ${entry.name} needs numeric "input" and "output" rates (USD per 1M tokens)`);
+  }
+  if (entry.jsonMode !== undefined && !JSON_MODES.includes(entry.jsonMode)) {
+    throw new Error(`JSON mode for ${entry.name} must be one of: ${JSON_MODES.join(', ')}`);
+  }
+  if (entry.headers && typeof entry.headers !== 'object') {
+    throw new Error(`Headers for ${entry.name} must be an object`);
+  }
+}
+
+export { OpenAICompatibleAdapter, validateOpenAICompatibleEntry };
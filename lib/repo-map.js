@@ -0,0 +1,424 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/config.js';
+import { projectKey } from './checkpoints.js';
+import { estimateTokens } from './context-window.js';
+import { runGit } from './git-inspect.js';
+
+// Bumped when what is cached per file changes, so old caches are re-parsed
+const CACHE_VERSION = 1;
+
+const DEFAULT_MAP_TOKENS = 1024;
+
+// Files listed per project, and the largest one parsed for symbols
+const MAX_FILES = 5000;
+const MAX_PARSE_BYTES = 256 * 1024;
+
+// Symbols kept per file and public methods shown per class
+const MAX_SYMBOLS = 20;
+const MAX_MEMBERS = 12;
+
+// Skipped when walking a directory that isn't a git repository (git's own
+// ignore rules apply otherwise)
+const SKIP_DIRS = new Set(['node_modules', 'dist', 'build', 'coverage', 'out', 'target', 'vendor', '__pycache__', 'venv']);
+
+const JS_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx'];
+
+// Top-level declarations other languages export, by line. Enough to say
+// what a file offers; names starting with "_" count as private.
+const PATTERNS = {
+  python: [/^(?<kind>class|def|async def) (?<name>[A-Za-z]\w*)/],
+  go: [/^(?<kind>func) (?<name>[A-Z]\w*)/, /^(?<kind>type) (?<name>[A-Z]\w*)/],
+  rust: [/^pub(?:\([^)]*\))? (?:async |unsafe |const )*(?<kind>fn|struct|enum|trait|type|mod) (?<name>\w+)/],
+  jvm: [/^\s*(?:public |protected )?(?:abstract |final |static |sealed |data |open |partial )*(?<kind>class|interface|enum|record|struct|object|trait) (?<name>[A-Z]\w*)/],
+  ruby: [/^\s*(?<kind>class|module) (?<name>[A-Z][\w:]*)/],
+  php: [/^\s*(?:abstract |final )?(?<kind>class|interface|trait|function) (?<name>[A-Za-z]\w*)/]
+};
+
+const LANGUAGES = {
+  '.py': 'python', '.go': 'go', '.rs': 'rust', '.rb': 'ruby', '.php': 'php',
+  '.java': 'jvm', '.kt': 'jvm', '.scala': 'jvm', '.cs': 'jvm', '.swift': 'jvm'
+};
+
+// The bundled compiler, loaded the first time a JS/TS file is parsed
+let typescript = null;
+
+async function loadTypeScript() {
+  if (!typescript) typescript = (await import('typescript')).default;
+  return typescript;
+}
+
+function isPrivate(name) {
+  return name.startsWith('_') || name.startsWith('#');
+}
+
+function hasModifier(ts, node, kind) {
+  return (ts.canHaveModifiers(node) ? ts.getModifiers(node) : undefined)?.some(m => m.kind === kind) || false;
+}
+
+// "(filePath, { checkpoint }, ...rest)" → "filePath, {…}, ...rest"
+function describeParams(ts, parameters) {
+  return parameters.map(param => {
+    const name = ts.isIdentifier(param.name) ? param.name.text : ts.isObjectBindingPattern(param.name) ? '{…}' : '[…]';
+    return param.dotDotDotToken ? `...${name}` : name;
+  }).join(', ');
+}
+
+function describeClass(ts, source, node, name) {
+  const base = node.heritageClauses?.find(clause => clause.token === ts.SyntaxKind.ExtendsKeyword)?.types[0];
+  const members = [];
+  for (const member of node.members) {
+    if (!member.name || !(ts.isIdentifier(member.name) || ts.isStringLiteral(member.name)) || isPrivate(member.name.text)) continue;
+    if (hasModifier(ts, member, ts.SyntaxKind.PrivateKeyword) || hasModifier(ts, member, ts.SyntaxKind.ProtectedKeyword)) continue;
+    const prefix = hasModifier(ts, member, ts.SyntaxKind.StaticKeyword) ? 'static ' : '';
+    let shown = null;
+    if (ts.isMethodDeclaration(member)) shown = `${prefix}${member.name.text}(${describeParams(ts, member.parameters)})`;
+    else if (ts.isGetAccessorDeclaration(member) || ts.isSetAccessorDeclaration(member)) shown = `${prefix}${member.name.text}`;
+    if (shown && !members.includes(shown)) members.push(shown);
+  }
+  const shownMembers = members.length > MAX_MEMBERS ? [...members.slice(0, MAX_MEMBERS), '…'] : members;
+  return `class ${name}${base ? ` extends ${base.expression.getText(source)}` : ''}` +
+    (shownMembers.length ? ` { ${shownMembers.join(', ')} }` : '');
+}
+
+// One line per top-level declaration, keyed by name
+function describeDeclarations(ts, source, statement) {
+  if (ts.isFunctionDeclaration(statement) && statement.name) {
+    return [[statement.name.text, `function ${statement.name.text}(${describeParams(ts, statement.parameters)})`]];
+  }
+  if (ts.isClassDeclaration(statement) && statement.name) {
+    return [[statement.name.text, describeClass(ts, source, statement, statement.name.text)]];
+  }
+  if (ts.isInterfaceDeclaration(statement)) return [[statement.name.text, `interface ${statement.name.text}`]];
+  if (ts.isTypeAliasDeclaration(statement)) return [[statement.name.text, `type ${statement.name.text}`]];
+  if (ts.isEnumDeclaration(statement)) return [[statement.name.text, `enum ${statement.name.text}`]];
+  if (ts.isVariableStatement(statement)) {
+    const flags = statement.declarationList.flags;
+    const keyword = flags & ts.NodeFlags.Const ? 'const' : flags & ts.NodeFlags.Let ? 'let' : 'var';
+    return statement.declarationList.declarations.filter(d => ts.isIdentifier(d.name)).map(d => {
+      const name = d.name.text;
+      const value = d.initializer;
+      if (value && (ts.isArrowFunction(value) || ts.isFunctionExpression(value))) {
+        return [name, `function ${name}(${describeParams(ts, value.parameters)})`];
+      }
+      if (value && ts.isClassExpression(value)) return [name, describeClass(ts, source, value, name)];
+      return [name, `${keyword} ${name}`];
+    });
+  }
+  return [];
+}
+
+// What a JS/TS module exports: `export` declarations, export lists,
+// `export default`, and CommonJS module.exports / exports.x
+function jsSymbols(ts, source) {
+  const declared = new Map();
+  for (const statement of source.statements) {
+    for (const [name, line] of describeDeclarations(ts, source, statement)) declared.set(name, line);
+  }
+  const named = name => declared.get(name) || name;
+
+  const symbols = [];
+  for (const statement of source.statements) {
+    if (hasModifier(ts, statement, ts.SyntaxKind.ExportKeyword)) {
+      const lines = describeDeclarations(ts, source, statement).map(([, line]) => line);
+      const isDefault = hasModifier(ts, statement, ts.SyntaxKind.DefaultKeyword);
+      symbols.push(...(isDefault ? lines.map(line => `default ${line}`) : lines));
+      if (isDefault && lines.length === 0) symbols.push('default');
+    } else if (ts.isExportDeclaration(statement)) {
+      const from = statement.moduleSpecifier ? ` (from ${statement.moduleSpecifier.text})` : '';
+      if (!statement.exportClause) symbols.push(`*${from}`);
+      else if (ts.isNamedExports(statement.exportClause)) {
+        for (const element of statement.exportClause.elements) {
+          const local = (element.propertyName || element.name).text;
+          const name = element.name.text;
+          symbols.push(from ? `${name}${from}` : local === name ? named(name) : name);
+        }
+      }
+    } else if (ts.isExportAssignment(statement)) {
+      symbols.push(ts.isIdentifier(statement.expression) ? `default ${named(statement.expression.text)}` : 'default');
+    } else if (ts.isExpressionStatement(statement) && ts.isBinaryExpression(statement.expression) &&
+      statement.expression.operatorToken.kind === ts.SyntaxKind.EqualsToken) {
+      const target = statement.expression.left.getText(source);
+      const value = statement.expression.right;
+      if (target === 'module.exports' && ts.isObjectLiteralExpression(value)) {
+        for (const property of value.properties) {
+          if (property.name && ts.isIdentifier(property.name)) symbols.push(named(property.name.text));
+        }
+      } else if (target === 'module.exports' && ts.isIdentifier(value)) {
+        symbols.push(named(value.text));
+      } else if (/^(module\.)?exports\.\w+$/.test(target)) {
+        symbols.push(named(target.split('.').pop()));
+      }
+    }
+  }
+  return [...new Set(symbols)];
+}
+
+async function parseJs(file, text) {
+  const ts = await loadTypeScript();
+  const ext = path.extname(file);
+  const kind = ext === '.tsx' || ext === '.jsx' ? ts.ScriptKind.TSX
+    : ['.ts', '.mts', '.cts'].includes(ext) ? ts.ScriptKind.TS : ts.ScriptKind.JS;
+  const source = ts.createSourceFile(file, text, ts.ScriptTarget.Latest, true, kind);
+  // Relative specifiers only; packages don't rank project files
+  const imports = ts.preProcessFile(text, true, true).importedFiles
+    .map(imported => imported.fileName)
+    .filter(specifier => specifier.startsWith('.'));
+  return { symbols: jsSymbols(ts, source), imports: [...new Set(imports)] };
+}
+
+function parseOther(language, text) {
+  const symbols = [];
+  for (const line of text.split('\n')) {
+    for (const pattern of PATTERNS[language]) {
+      const match = pattern.exec(line);
+      if (match) {
+        symbols.push(`${match.groups.kind} ${match.groups.name}`);
+        break;
+      }
+    }
+  }
+  return { symbols: [...new Set(symbols)], imports: [] };
+}
+
+/**
+ * Symbols and relative imports of one file: { symbols, imports }. JS/TS
+ * go through the TypeScript parser, a few other languages through
+ * PATTERNS; anything else (or too large, or unparseable) has neither.
+ */
+async function parseFile(file, text) {
+  const ext = path.extname(file).toLowerCase();
+  let parsed = { symbols: [], imports: [] };
+  try {
+    if (JS_EXTENSIONS.includes(ext)) parsed = await parseJs(file, text);
+    else if (LANGUAGES[ext]) parsed = parseOther(LANGUAGES[ext], text);
+  } catch {
+    // A file the parser chokes on is still listed, just without symbols
+  }
+  if (parsed.symbols.length > MAX_SYMBOLS) parsed.symbols = [...parsed.symbols.slice(0, MAX_SYMBOLS), '…'];
+  return parsed;
+}
+
+// "./retry" imported from "lib/grok-api.js" → "lib/retry.js", when that
+// file is in the project. Tries the extensions Node and TypeScript would,
+// including ".js" specifiers that name a ".ts" source, and index files.
+function resolveImport(from, specifier, files) {
+  const base = path.posix.join(path.posix.dirname(from), specifier);
+  const stem = base.replace(/\.(m|c)?jsx?$/, '');
+  const candidates = [base, ...JS_EXTENSIONS.map(ext => `${stem}${ext}`), ...JS_EXTENSIONS.map(ext => `${base}/index${ext}`)];
+  return candidates.find(candidate => files.has(candidate)) || null;
+}
+
+// package.json main, module and bin: where someone reading the project
+// would start
+function entryPoints(projectRoot) {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf8'));
+    const bins = typeof pkg.bin === 'string' ? [pkg.bin] : Object.values(pkg.bin || {});
+    return new Set([pkg.main, pkg.module, ...bins].filter(Boolean).map(file => path.posix.normalize(file)));
+  } catch {
+    return new Set();
+  }
+}
+
+/**
+ * Order files by how central they are: how many project files import each
+ * one, then entry points, files with symbols, and shallow paths. Returns
+ * paths, most central first.
+ */
+function rankFiles(files, projectRoot) {
+  const paths = new Set(Object.keys(files));
+  const importers = new Map();
+  for (const [file, entry] of Object.entries(files)) {
+    const targets = new Set(entry.imports.map(specifier => resolveImport(file, specifier, paths)));
+    for (const target of targets) {
+      if (target && target !== file) importers.set(target, (importers.get(target) || 0) + 1);
+    }
+  }
+  const entries = entryPoints(projectRoot);
+  const score = file => (importers.get(file) || 0) * 3 + (entries.has(file) ? 5 : 0) +
+    (files[file].symbols.length ? 1 : 0) - file.split('/').length * 0.5;
+  const scores = new Map([...paths].map(file => [file, score(file)]));
+  return [...paths].sort((a, b) => scores.get(b) - scores.get(a) || a.localeCompare(b));
+}
+
+const indent = depth => '  '.repeat(depth);
+
+// Tokens one rendered line costs, newline included
+const lineTokens = line => estimateTokens(`${line}\n`);
+
+/**
+ * A ranked, token-budgeted outline of a project: its files as a tree, each
+ * with the functions, classes and types it exports.
+ *
+ *   lib/
+ *     retry.js
+ *       function withRetry(fn, {…})
+ *       class RetryError extends Error
+ *
+ * Files come from `git ls-files` (tracked and untracked, minus ignored), or
+ * a walk of the directory outside git. Parsed symbols are cached in
+ * ~/.opengrok/repo-maps/<project>.json with each file's mtime and size, so
+ * a refresh only re-parses what changed.
+ */
+class RepoMap {
+  constructor({ projectRoot = process.cwd(), root } = {}) {
+    this.projectRoot = path.resolve(projectRoot);
+    this.cacheFile = path.join(root || path.join(path.dirname(config.configPath), 'repo-maps'), `${projectKey(this.projectRoot)}.json`);
+    this._files = null;
+    this._refreshing = null;
+  }
+
+  // Bring the cache up to date with the project. Resolves to
+  // { [path]: { mtimeMs, size, symbols, imports } }.
+  refresh() {
+    // Agents in one team start their turns together; they share one refresh
+    if (!this._refreshing) {
+      this._refreshing = this._refresh().finally(() => { this._refreshing = null; });
+    }
+    return this._refreshing;
+  }
+
+  /**
+   * The map as text, fitted to `tokens`. Files go in most central first,
+   * with their symbols when those fit and bare when only the path does;
+   * the files left over are counted on a last line.
+   */
+  async render({ tokens = DEFAULT_MAP_TOKENS } = {}) {
+    const files = await this.refresh();
+    const ranked = rankFiles(files, this.projectRoot);
+    const shown = new Map();
+    const dirs = new Set();
+    let used = 0;
+
+    for (const file of ranked) {
+      const parts = file.split('/');
+      const depth = parts.length - 1;
+      const newDirs = parts.slice(0, -1).map((part, i) => [parts.slice(0, i + 1).join('/'), `${indent(i)}${part}/`])
+        .filter(([dir]) => !dirs.has(dir));
+      const bare = newDirs.reduce((sum, [, line]) => sum + lineTokens(line), 0) + lineTokens(`${indent(depth)}${parts[depth]}`);
+      const full = files[file].symbols.reduce((sum, symbol) => sum + lineTokens(`${indent(depth + 1)}${symbol}`), bare);
+
+      if (used + full <= tokens) {
+        shown.set(file, files[file].symbols);
+        used += full;
+      } else if (used + bare <= tokens) {
+        shown.set(file, []);
+        used += bare;
+      } else {
+        break;
+      }
+      for (const [dir] of newDirs) dirs.add(dir);
+    }
+
+    const lines = [];
+    const emitted = new Set();
+    for (const file of [...shown.keys()].sort()) {
+      const parts = file.split('/');
+      const depth = parts.length - 1;
+      for (let i = 0; i < depth; i++) {
+        const dir = parts.slice(0, i + 1).join('/');
+        if (!emitted.has(dir)) {
+          emitted.add(dir);
+          lines.push(`${indent(i)}${parts[i]}/`);
+        }
+      }
+      lines.push(`${indent(depth)}${parts[depth]}`);
+      for (const symbol of shown.get(file)) lines.push(`${indent(depth + 1)}${symbol}`);
+    }
+    const left = ranked.length - shown.size;
+    if (left > 0) lines.push(`… ${left} more file${left === 1 ? '' : 's'}`);
+    return lines.join('\n');
+  }
+
+  async _refresh() {
+    const previous = this._files || this._load();
+    const next = {};
+    let changed = false;
+
+    for (const file of await this._listFiles()) {
+      let stat;
+      try {
+        stat = fs.statSync(path.join(this.projectRoot, file));
+      } catch {
+        continue; // deleted since git listed it
+      }
+      if (!stat.isFile()) continue;
+      const cached = previous[file];
+      if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+        next[file] = cached;
+        continue;
+      }
+      const text = stat.size <= MAX_PARSE_BYTES ? fs.readFileSync(path.join(this.projectRoot, file), 'utf8') : '';
+      next[file] = { mtimeMs: stat.mtimeMs, size: stat.size, ...await parseFile(file, text) };
+      changed = true;
+    }
+
+    changed = changed || Object.keys(previous).some(file => !(file in next));
+    this._files = next;
+    if (changed) this._save();
+    return next;
+  }
+
+  // Project-relative paths with "/" separators, at most MAX_FILES
+  async _listFiles() {
+    let files;
+    try {
+      const out = await runGit(['ls-files', '-z', '--cached', '--others', '--exclude-standard'], { cwd: this.projectRoot });
+      files = out.split('\0').filter(Boolean);
+    } catch {
+      files = this._walk();
+    }
+    return files.filter(file => !file.split('/').some(part => SKIP_DIRS.has(part))).slice(0, MAX_FILES);
+  }
+
+  _walk(dir = '', files = []) {
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(this.projectRoot, dir), { withFileTypes: true });
+    } catch {
+      return files;
+    }
+    for (const entry of entries) {
+      if (files.length >= MAX_FILES) break;
+      const file = dir ? `${dir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith('.') && !SKIP_DIRS.has(entry.name)) this._walk(file, files);
+      } else if (entry.isFile()) {
+        files.push(file);
+      }
+    }
+    return files;
+  }
+
+  _load() {
+    try {
+      const cache = JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+      return cache.version === CACHE_VERSION ? cache.files || {} : {};
+    } catch {
+      return {};
+    }
+  }
+
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+      fs.writeFileSync(this.cacheFile, JSON.stringify({ version: CACHE_VERSION, project: this.projectRoot, files: this._files }));
+    } catch {
+      // Only the cache is lost; the next refresh parses again
+    }
+  }
+}
+
+// One map per project directory (and cache root), shared by every GrokAPI
+// in the process
+const maps = new Map();
+
+function repoMap(projectRoot = process.cwd(), { root } = {}) {
+  const projectDir = path.resolve(projectRoot);
+  const key = root ? `${projectDir}\0${path.resolve(root)}` : projectDir;
+  if (!maps.has(key)) maps.set(key, new RepoMap({ projectRoot: projectDir, root }));
+  return maps.get(key);
+}
+
+export { RepoMap, repoMap, parseFile, DEFAULT_MAP_TOKENS };
@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import { checkpointStore } from './checkpoints.js';
 
 /**
  * Parses agent responses for markdown code blocks with file paths
@@ -12,13 +13,21 @@ import path from 'path';
  *   <!-- index.html -->\n inside block first line
  */
 class ResponseFileWriter {
-  constructor(baseDir) {
+  // checkpoints: the CheckpointStore (lib/checkpoints.js) files are saved
+  // to before they are overwritten, false for none; default the project's
+  constructor(baseDir, { checkpoints } = {}) {
     this.baseDir = baseDir || process.cwd();
+    this.checkpoints = checkpoints;
+    // Paths the last processResponse call refused to write
+    this.refused = [];
+    // Checkpoint holding what the last writeFiles call overwrote, or null
+    this.checkpoint = null;
   }
 
   /**
    * Parse a response and extract file blocks.
-   * Returns array of { filePath, content, language }
+   * Returns array of { filePath, content, language, complete } where
+   * complete is false for a block the response ended inside
    */
   extractFiles(response) {
     const files = [];
@@ -82,6 +91,7 @@ class ResponseFileWriter {
         contentLines.push(lines[i]);
         i++;
       }
+      const complete = i < lines.length;
       i++; // skip closing fence
 
       // Pattern 3: Check first line of content for <!-- filename --> or // filename
@@ -100,7 +110,8 @@ class ResponseFileWriter {
         files.push({
           filePath,
           content: contentLines.join('\n'),
-          language: language || this.guessLanguage(filePath)
+          language: language || this.guessLanguage(filePath),
+          complete
         });
       }
     }
@@ -110,10 +121,14 @@ class ResponseFileWriter {
 
   /**
    * Write extracted files to disk. Returns array of written paths.
+   * Each file is saved to a checkpoint first: `checkpoint` (e.g. the
+   * TurnResult's, to group with what that turn's tools changed) or a new
+   * one for `agent` and `label`.
    */
-  writeFiles(files, baseDir) {
+  writeFiles(files, baseDir, { agent = null, label = 'files from the response', checkpoint = null } = {}) {
     const dir = baseDir || this.baseDir;
     const written = [];
+    const store = this.checkpoints ?? checkpointStore(dir);
 
     for (const file of files) {
       try {
@@ -135,6 +150,8 @@ class ResponseFileWriter {
           continue;
         }
 
+        if (store) checkpoint = store.snapshot([fullPath], { checkpoint, agent, label });
+
         // Create directories
         const fileDir = path.dirname(fullPath);
         if (!fs.existsSync(fileDir)) {
@@ -148,16 +165,23 @@ class ResponseFileWriter {
       }
     }
 
+    this.checkpoint = checkpoint;
     return written;
   }
 
   /**
    * Parse response and write any found files. Returns list of written paths.
+   * With truncated: true (the reply hit the output limit, see
+   * TurnResult.truncated) a block the response ends inside is a partial
+   * file: it is not written and its path goes to this.refused instead.
+   * agent and checkpoint are passed on to writeFiles.
    */
-  processResponse(response, baseDir) {
+  processResponse(response, baseDir, { truncated = false, agent, checkpoint } = {}) {
     const files = this.extractFiles(response);
-    if (files.length === 0) return [];
-    return this.writeFiles(files, baseDir);
+    this.refused = truncated ? files.filter(f => !f.complete).map(f => f.filePath) : [];
+    const whole = truncated ? files.filter(f => f.complete) : files;
+    if (whole.length === 0) return [];
+    return this.writeFiles(whole, baseDir, { agent, checkpoint });
   }
 
   guessLanguage(filePath) {
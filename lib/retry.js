@@ -0,0 +1,240 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { config } from '../config/config.js';
+
+// Statuses worth retrying: rate limits, transient server errors and
+// Anthropic's 529 "overloaded"
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504, 529]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH']);
+
+const DEFAULT_RETRY = {
+  retries: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000
+};
+
+const DEFAULT_CONCURRENCY = 4;
+
+// The ConcurrencyLimiter slot held by the current call, so a retry's
+// backoff can hand it to other requests while it waits
+const heldSlot = new AsyncLocalStorage();
+
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (status) return RETRYABLE_STATUS.has(status);
+  return RETRYABLE_CODES.has(error.code);
+}
+
+// Parse durations like "1s", "6m0s", "250ms", "1h2m3.5s" (OpenAI/Groq
+// x-ratelimit-reset-* headers) into milliseconds
+function parseDuration(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const re = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  let total = 0;
+  let matched = '';
+  let match;
+  while ((match = re.exec(value)) !== null) {
+    total += parseFloat(match[1]) * units[match[2]];
+    matched += match[0];
+  }
+  if (matched !== value.trim()) return null;
+  return total;
+}
+
+// Headers → milliseconds to wait, or null if none say anything useful
+function delayFromHeaders(headers = {}, now = Date.now()) {
+  const get = (name) => headers[name] ?? headers[name.toLowerCase()];
+
+  const retryAfterMs = parseFloat(get('retry-after-ms'));
+  if (Number.isFinite(retryAfterMs)) return Math.max(0, retryAfterMs);
+
+  const retryAfter = get('retry-after');
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - now);
+  }
+
+  // OpenAI / Groq / xAI
+  const resets = ['x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens']
+    .map(name => parseDuration(get(name)))
+    .filter(ms => ms !== null);
+  if (resets.length > 0) return Math.max(...resets);
+
+  // Anthropic: RFC 3339 timestamps
+  const anthropicResets = ['anthropic-ratelimit-requests-reset', 'anthropic-ratelimit-tokens-reset',
+    'anthropic-ratelimit-input-tokens-reset', 'anthropic-ratelimit-output-tokens-reset']
+    .map(name => Date.parse(get(name)))
+    .filter(ms => !Number.isNaN(ms));
+  if (anthropicResets.length > 0) return Math.max(0, Math.max(...anthropicResets) - now);
+
+  return null;
+}
+
+// Exponential backoff with full jitter, unless the server told us how long
+function computeDelay(error, attempt, options = {}) {
+  const { baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY, ...options };
+  const random = options.random || Math.random;
+
+  const hinted = delayFromHeaders(error.response?.headers);
+  if (hinted !== null) return Math.min(hinted, maxDelayMs);
+
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
+
+// Resolves after ms, or rejects with the abort reason as soon as signal fires
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// A backoff wait: inside ConcurrencyLimiter.run the slot is given up for
+// the wait and queued for again afterwards
+function backoff(ms, signal) {
+  const slot = heldSlot.getStore();
+  return slot?.held ? slot.limiter._idle(slot, ms, signal) : sleep(ms, signal);
+}
+
+/**
+ * Run fn, retrying retryable failures with backoff. onRetry receives
+ * { attempt, retries, delayMs, status, error } before each wait. An aborted
+ * options.signal stops retrying and interrupts the wait. Run inside a
+ * ConcurrencyLimiter, the wait doesn't hold the limiter's slot.
+ */
+async function withRetry(fn, options = {}) {
+  const { retries, signal } = { ...DEFAULT_RETRY, ...options };
+  const onRetry = options.onRetry || (() => {});
+  const wait = options.sleep || backoff;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (signal?.aborted || attempt >= retries || !isRetryable(error)) throw error;
+      const delayMs = computeDelay(error, attempt, options);
+      onRetry({ attempt: attempt + 1, retries, delayMs, status: error.response?.status || null, error });
+      await wait(delayMs, signal);
+    }
+  }
+}
+
+/**
+ * Caps in-flight requests for one provider. When a response reports that
+ * the request quota is exhausted, new requests are held until it resets.
+ */
+class ConcurrencyLimiter {
+  constructor(maxConcurrent = DEFAULT_CONCURRENCY) {
+    this.maxConcurrent = maxConcurrent;
+    this.active = 0;
+    this.queue = [];
+    this.pausedUntil = 0;
+  }
+
+  get pending() {
+    return this.queue.length;
+  }
+
+  async run(fn, signal) {
+    await this._acquire(signal);
+    const slot = { limiter: this, held: true };
+    try {
+      await this._waitForQuota(signal);
+      return await heldSlot.run(slot, fn);
+    } finally {
+      if (slot.held) this._release();
+    }
+  }
+
+  // Sleep without the slot (a retry's backoff), then queue for it again.
+  // Cancelled mid-wait, the call ends without one.
+  async _idle(slot, ms, signal) {
+    slot.held = false;
+    this._release();
+    await sleep(ms, signal);
+    await this._acquire(signal);
+    slot.held = true;
+    await this._waitForQuota(signal);
+  }
+
+  async _waitForQuota(signal) {
+    const pauseMs = this.pausedUntil - Date.now();
+    if (pauseMs > 0) await sleep(pauseMs, signal);
+  }
+
+  // Look at rate-limit headers on a successful response
+  noteHeaders(headers = {}) {
+    const remaining = headers['x-ratelimit-remaining-requests'] ?? headers['anthropic-ratelimit-requests-remaining'];
+    if (remaining === undefined || Number(remaining) > 0) return;
+    const delayMs = delayFromHeaders(headers);
+    if (delayMs) this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delayMs);
+  }
+
+  _acquire(signal) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      // Leave the queue without taking a slot
+      const onAbort = () => {
+        this.queue = this.queue.filter(w => w !== waiter);
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(waiter);
+    });
+  }
+
+  _release() {
+    const next = this.queue.shift();
+    if (next) {
+      next(); // hand the slot straight to the next waiter
+    } else {
+      this.active--;
+    }
+  }
+}
+
+// One limiter per provider, shared by every GrokAPI instance in the process
+const limiters = new Map();
+
+function getLimiter(provider) {
+  if (!limiters.has(provider)) {
+    const settings = config.get('concurrency') || {};
+    limiters.set(provider, new ConcurrencyLimiter(settings[provider] || settings.default || DEFAULT_CONCURRENCY));
+  }
+  return limiters.get(provider);
+}
+
+// Retry settings from config ({ retries, baseDelayMs, maxDelayMs })
+function getRetryOptions() {
+  return { ...DEFAULT_RETRY, ...(config.get('retry') || {}) };
+}
+
+export {
+  withRetry,
+  isRetryable,
+  computeDelay,
+  delayFromHeaders,
+  parseDuration,
+  ConcurrencyLimiter,
+  getLimiter,
+  getRetryOptions
+};
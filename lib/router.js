@@ -0,0 +1,133 @@
+import { parseModelRef } from './providers/index.js';
+
+// Model tiers, cheapest first
+const TIERS = ['cheap', 'default', 'strong'];
+
+// "@strong why does this deadlock?" picks the tier for one message
+const OVERRIDE_PREFIX = /^@(cheap|default|strong)\b[ \t]*/i;
+
+// Prompt lengths (characters) the heuristics treat as short and long
+const SHORT_PROMPT = 240;
+const LONG_PROMPT = 2000;
+
+// Files mentioned in one build prompt that suggest a multi-file change
+const MANY_FILES = 3;
+
+const EDIT_WORDS = /\b(implement|refactor|rewrite|fix|add|create|write|build|migrate|rename|remove|delete|update|change|convert|port)\b/i;
+const HARD_WORDS = /\b(architecture|design|race condition|deadlock|memory leak|performance|optimi[sz]e|security|concurrency|root cause)\b/i;
+const QUESTION_START = /^(what|where|which|who|when|why|how|is|are|does|do|can|explain|show|list|summari[sz]e|describe)\b/i;
+const FILE_MENTION = /[\w./-]+\.(?:js|mjs|cjs|ts|tsx|jsx|py|go|rs|java|rb|php|c|cc|cpp|h|cs|swift|kt|md|json|ya?ml|toml|css|scss|html)\b/g;
+
+const CLASSIFIER_PROMPT = `Classify how capable a model this coding request needs. Answer with one word:
+cheap    a quick question or explanation; no code changes
+default  an ordinary change or a question that needs some reading
+strong   a hard change: many files, design work, subtle bugs, concurrency, security
+
+Request:
+`;
+
+function stripOverride(text) {
+  return typeof text === 'string' ? text.replace(OVERRIDE_PREFIX, '') : text;
+}
+
+/**
+ * Local guess at the tier a prompt needs: { tier, reason }. Looks at the
+ * prompt's length, the chat mode ('build' can edit files), words that
+ * suggest an edit or a hard problem, and how many files it names.
+ */
+function classifyPrompt(prompt, { mode, images } = {}) {
+  const length = prompt.length;
+  const build = String(mode || '').toLowerCase() === 'build';
+  const files = new Set(prompt.match(FILE_MENTION) || []).size;
+  const editsLikely = build && EDIT_WORDS.test(prompt);
+  const hard = prompt.match(HARD_WORDS);
+
+  if (length > LONG_PROMPT) return { tier: 'strong', reason: `long prompt (${length} chars)` };
+  if (hard) return { tier: 'strong', reason: `mentions ${hard[0].toLowerCase()}` };
+  if (editsLikely && files >= MANY_FILES) return { tier: 'strong', reason: `edits likely across ${files} files` };
+  if (editsLikely) return { tier: 'default', reason: 'build mode, file edits likely' };
+  if (length <= SHORT_PROMPT && !images?.length && (!build || QUESTION_START.test(prompt.trim()))) {
+    return { tier: 'cheap', reason: 'short question, no edits likely' };
+  }
+  return { tier: 'default', reason: 'general request' };
+}
+
+/**
+ * Picks a model per prompt in routing mode. settings is the config
+ * "router" entry (or GrokAPI's `router` option):
+ *
+ *   {
+ *     "enabled": true,
+ *     "classifier": "heuristic",            // or "model": ask the cheap model
+ *     "cheap": "groq/llama-3.1-8b-instant",
+ *     "default": "xai/grok-4-1-fast-reasoning",
+ *     "strong": "claude/claude-opus-4-1"
+ *   }
+ *
+ * A tier given as a bare model name stays on the current provider; a tier
+ * left out falls back to "default", then to the model the turn asked for.
+ */
+class ModelRouter {
+  constructor(settings = {}) {
+    for (const tier of TIERS) {
+      if (settings[tier] !== undefined && typeof settings[tier] !== 'string') {
+        throw new Error(`Router tier "${tier}" must be "provider/model"`);
+      }
+    }
+    if (settings.classifier && !['heuristic', 'model'].includes(settings.classifier)) {
+      throw new Error(`Router classifier must be heuristic or model, not ${settings.classifier}`);
+    }
+    this.settings = settings;
+  }
+
+  // { provider, model } for a tier (provider null = current), or null
+  target(tier) {
+    return this.settings[tier] ? parseModelRef(this.settings[tier]) : null;
+  }
+
+  /**
+   * Resolves to { tier, reason, provider, model, prompt } where prompt has
+   * any @tier prefix removed. classify(question) sends the classifier
+   * prompt to a model and resolves to its reply; it is only used with
+   * "classifier": "model", and the heuristics stand in when it fails.
+   */
+  async route(prompt, { mode, images } = {}, classify = null) {
+    const override = prompt.match(OVERRIDE_PREFIX);
+    const text = stripOverride(prompt);
+    let choice;
+
+    if (override) {
+      choice = { tier: override[1].toLowerCase(), reason: `@${override[1].toLowerCase()} prefix` };
+    } else if (this.settings.classifier === 'model' && classify) {
+      try {
+        choice = await this._classifyWithModel(text, classify);
+      } catch (error) {
+        choice = classifyPrompt(text, { mode, images });
+        choice.reason += ` (classifier failed: ${error.message})`;
+      }
+    } else {
+      choice = classifyPrompt(text, { mode, images });
+    }
+
+    let target = this.target(choice.tier);
+    if (!target && choice.tier !== 'default') {
+      target = this.target('default');
+      if (target) choice.reason += `; no ${choice.tier} model set, using default`;
+    }
+    return { ...choice, provider: target?.provider || null, model: target?.model || null, prompt: text };
+  }
+
+  async _classifyWithModel(prompt, classify) {
+    const reply = String(await classify(CLASSIFIER_PROMPT + prompt)).toLowerCase();
+    const tier = TIERS.find(t => new RegExp(`\\b${t}\\b`).test(reply));
+    if (!tier) throw new Error(`unexpected answer "${reply.trim().slice(0, 40)}"`);
+    return { tier, reason: 'classified by the cheap model' };
+  }
+}
+
+// One line for the chat: "cheap → groq/llama-3.1-8b-instant (short question, no edits likely)"
+function describeRoute(route) {
+  return `${route.tier} → ${route.provider}/${route.model} (${route.reason})`;
+}
+
+export { ModelRouter, classifyPrompt, describeRoute, stripOverride, TIERS };
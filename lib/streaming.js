@@ -0,0 +1,259 @@
+import { StringDecoder } from 'string_decoder';
+
+// A whole byte stream as text (an error body sent while streaming, or a
+// body being recorded)
+async function readStream(stream) {
+  let text = '';
+  for await (const chunk of stream) text += typeof chunk === 'string' ? chunk : chunk.toString('utf8');
+  return text;
+}
+
+/**
+ * Parse a Server-Sent Events byte stream into { event, data } records.
+ * Accepts any async iterable of Buffers/strings (e.g. an axios response
+ * with responseType: 'stream').
+ */
+async function* parseSSE(stream) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let eventName = null;
+  let dataLines = [];
+
+  function* flush() {
+    if (dataLines.length > 0) {
+      yield { event: eventName || 'message', data: dataLines.join('\n') };
+    }
+    eventName = null;
+    dataLines = [];
+  }
+
+  function* processLine(line) {
+    if (line === '') {
+      yield* flush();
+      return;
+    }
+    if (line.startsWith(':')) return; // comment / keep-alive
+
+    const colonIdx = line.indexOf(':');
+    const field = colonIdx === -1 ? line : line.slice(0, colonIdx);
+    let value = colonIdx === -1 ? '' : line.slice(colonIdx + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'event') eventName = value;
+    else if (field === 'data') dataLines.push(value);
+  }
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    let match;
+    while ((match = /\r\n|\n|\r/.exec(buffer)) !== null) {
+      // A trailing \r may be the first half of \r\n — wait for more data
+      if (match[0] === '\r' && match.index === buffer.length - 1) break;
+      const line = buffer.slice(0, match.index);
+      buffer = buffer.slice(match.index + match[0].length);
+      yield* processLine(line);
+    }
+  }
+
+  buffer += decoder.end();
+  if (buffer) yield* processLine(buffer.replace(/\r$/, ''));
+  yield* flush();
+}
+
+/**
+ * Yield parsed JSON payloads from an SSE stream, stopping at the
+ * OpenAI-style "[DONE]" sentinel.
+ */
+async function* parseSSEJson(stream) {
+  for await (const { event, data } of parseSSE(stream)) {
+    if (data === '[DONE]') return;
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch {
+      continue; // Skip malformed keep-alive payloads
+    }
+    yield { event, payload };
+  }
+}
+
+/**
+ * Rebuilds an OpenAI chat.completions assistant message from streamed
+ * chunks. push() returns the delta events to surface through onDelta.
+ */
+class ChatCompletionStream {
+  constructor() {
+    this.content = '';
+    this.reasoning = '';
+    this.toolCalls = [];
+    this.usage = null;
+    this.finishReason = null;
+  }
+
+  push(chunk) {
+    const events = [];
+
+    if (chunk.usage) {
+      this.usage = chunk.usage;
+      events.push({ type: 'usage', usage: chunk.usage });
+    }
+
+    const choice = chunk.choices?.[0];
+    if (!choice) return events;
+
+    const delta = choice.delta || {};
+    // Reasoning models stream their thinking ahead of the answer: xAI and
+    // DeepSeek as reasoning_content, OpenRouter and others as reasoning
+    const reasoning = delta.reasoning_content || delta.reasoning;
+    if (typeof reasoning === 'string' && reasoning) {
+      this.reasoning += reasoning;
+      events.push({ type: 'reasoning', text: reasoning });
+    }
+    if (delta.content) {
+      this.content += delta.content;
+      events.push({ type: 'text', text: delta.content });
+    }
+
+    for (const tc of delta.tool_calls || []) {
+      const index = tc.index ?? 0;
+      if (!this.toolCalls[index]) {
+        this.toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+      }
+      const slot = this.toolCalls[index];
+      if (tc.id) slot.id = tc.id;
+      if (tc.function?.name) slot.function.name += tc.function.name;
+      const argumentsDelta = tc.function?.arguments || '';
+      slot.function.arguments += argumentsDelta;
+
+      events.push({
+        type: 'tool_call',
+        index,
+        id: slot.id,
+        name: slot.function.name,
+        argumentsDelta
+      });
+    }
+
+    if (choice.finish_reason) {
+      this.finishReason = choice.finish_reason;
+    }
+
+    return events;
+  }
+
+  // Assistant message in the same shape a non-streamed response would have,
+  // minus the reasoning (kept in this.reasoning, never sent back)
+  message() {
+    const message = { role: 'assistant', content: this.content || null };
+    const toolCalls = this.toolCalls.filter(Boolean);
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls;
+    }
+    return message;
+  }
+}
+
+/**
+ * Rebuilds an Anthropic Messages API response from streamed events.
+ * push() returns the delta events to surface through onDelta.
+ */
+class AnthropicMessageStream {
+  constructor() {
+    this.blocks = [];
+    this.partialJson = {};
+    this.usage = {};
+    this.stopReason = null;
+  }
+
+  push(evt) {
+    const events = [];
+
+    switch (evt.type) {
+      case 'message_start':
+        Object.assign(this.usage, evt.message?.usage || {});
+        events.push({ type: 'usage', usage: { ...this.usage } });
+        break;
+
+      case 'content_block_start': {
+        const block = { ...evt.content_block };
+        this.blocks[evt.index] = block;
+        if (block.type === 'tool_use') {
+          block.input = {};
+          this.partialJson[evt.index] = '';
+          events.push({ type: 'tool_call', index: evt.index, id: block.id, name: block.name, argumentsDelta: '' });
+        } else if (block.type === 'text' && block.text) {
+          events.push({ type: 'text', text: block.text });
+        } else if (block.type === 'thinking' && block.thinking) {
+          events.push({ type: 'reasoning', text: block.thinking });
+        }
+        break;
+      }
+
+      case 'content_block_delta': {
+        const block = this.blocks[evt.index];
+        if (!block) break;
+        const delta = evt.delta || {};
+        if (delta.type === 'text_delta') {
+          block.text = (block.text || '') + delta.text;
+          events.push({ type: 'text', text: delta.text });
+        } else if (delta.type === 'thinking_delta') {
+          block.thinking = (block.thinking || '') + delta.thinking;
+          events.push({ type: 'reasoning', text: delta.thinking });
+        } else if (delta.type === 'signature_delta') {
+          // The signature must go back unchanged with the thinking block on
+          // the next tool round, or the API rejects the request
+          block.signature = (block.signature || '') + delta.signature;
+        } else if (delta.type === 'input_json_delta') {
+          this.partialJson[evt.index] += delta.partial_json;
+          events.push({
+            type: 'tool_call',
+            index: evt.index,
+            id: block.id,
+            name: block.name,
+            argumentsDelta: delta.partial_json
+          });
+        }
+        break;
+      }
+
+      case 'content_block_stop': {
+        const block = this.blocks[evt.index];
+        if (block?.type === 'tool_use') {
+          const json = this.partialJson[evt.index];
+          delete this.partialJson[evt.index];
+          try {
+            block.input = json ? JSON.parse(json) : {};
+          } catch {
+            // Arguments cut off by max_tokens: drop the call, the way the
+            // tool loop drops an unfinished one from a non-streamed reply
+            this.blocks[evt.index] = undefined;
+          }
+        }
+        break;
+      }
+
+      case 'message_delta':
+        if (evt.delta?.stop_reason) this.stopReason = evt.delta.stop_reason;
+        Object.assign(this.usage, evt.usage || {});
+        events.push({ type: 'usage', usage: { ...this.usage } });
+        break;
+
+      case 'error':
+        throw new Error(evt.error?.message || 'Stream error');
+    }
+
+    return events;
+  }
+
+  // Response body in the same shape a non-streamed /messages call returns
+  message() {
+    return {
+      content: this.blocks.filter(Boolean),
+      stop_reason: this.stopReason,
+      usage: { ...this.usage }
+    };
+  }
+}
+
+export { readStream, parseSSE, parseSSEJson, ChatCompletionStream, AnthropicMessageStream };
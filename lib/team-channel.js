@@ -1,4 +1,9 @@
 import { EventEmitter } from 'events';
+import { DEFAULT_CONTEXT_WINDOW, SUMMARY_HEADER, estimateTokens, buildSummaryPrompt } from './context-window.js';
+import { budget, budgetError } from './budget.js';
+
+// Share of an agent's context window the teammate section may fill
+const TEAM_CONTEXT_SHARE = 0.5;
 
 class TeamChannel extends EventEmitter {
   constructor(teamManager) {
@@ -6,6 +11,8 @@ class TeamChannel extends EventEmitter {
     this.teamManager = teamManager;
     this.sharedMessages = [];
     this.maxContextMessages = 50;
+    this.summary = null; // model-written summary of compacted rounds
+    this.budget = budget; // spend caps checked before each agent's turn
   }
 
   async broadcastToAll(userMessage, options = {}) {
@@ -14,6 +21,13 @@ class TeamChannel extends EventEmitter {
       throw new Error('No agents in team. Add agents first.');
     }
 
+    // Session or daily cap already reached: refuse before the round starts
+    const exceeded = this.budget.check();
+    if (exceeded) throw budgetError(exceeded);
+
+    // Summarise earlier rounds before they crowd out this one
+    await this._compactIfNeeded(agents[0], options);
+
     // Append user message to shared history
     this.sharedMessages.push({
       agentId: null,
@@ -27,6 +41,18 @@ class TeamChannel extends EventEmitter {
 
     // Sequential dispatch - each agent sees prior agent responses
     for (const agent of agents) {
+      // Broadcast stopped: skip the agents that haven't started
+      if (options.signal?.aborted) break;
+
+      // A cap reached mid-round: skip an agent over its own budget, stop
+      // the round for session and daily caps
+      const agentExceeded = this.budget.check({ agentId: agent.id, agentName: agent.name });
+      if (agentExceeded) {
+        this.emit('budget-exceeded', agent, agentExceeded);
+        if (agentExceeded.scope === 'agent') continue;
+        break;
+      }
+
       try {
         this.emit('agent-thinking', agent);
         agent.status = 'thinking';
@@ -34,20 +60,31 @@ class TeamChannel extends EventEmitter {
         // Build context prompt with all shared messages so far
         const contextPrompt = this.buildContextPrompt(userMessage, agent);
 
-        const response = await agent.sendMessage(contextPrompt, {
+        const result = await agent.sendMessage(contextPrompt, {
           directory: options.directory || process.cwd(),
           mode: options.mode || 'build',
           includeHistory: false,
           safeMode: options.safeMode ?? true,
+          signal: options.signal,
+          images: options.images,
           onToolCall: (toolName, args) => {
             agent.status = 'tool';
             this.emit('agent-tool-call', agent, toolName, args);
           },
-          onToolResult: (toolName, success) => {
-            this.emit('agent-tool-result', agent, toolName, success);
+          onToolResult: (toolName, success, error) => {
+            this.emit('agent-tool-result', agent, toolName, success, error);
           },
           onPermissionRequired: async (toolName, details) => {
             return true;
+          },
+          onDelta: (delta) => {
+            this.emit('agent-delta', agent, delta);
+          },
+          onRetry: (info) => {
+            this.emit('agent-retry', agent, info);
+          },
+          onFallback: (event) => {
+            this.emit('agent-fallback', agent, event);
           }
         });
 
@@ -56,13 +93,13 @@ class TeamChannel extends EventEmitter {
           agentId: agent.id,
           agentName: agent.name,
           role: agent.role,
-          content: response,
+          content: result.transcript,
           timestamp: new Date().toISOString()
         });
 
         agent.status = 'idle';
-        this.emit('agent-responded', agent, response);
-        responses.push({ agent, response });
+        this.emit('agent-responded', agent, result);
+        responses.push({ agent, response: result.transcript, result });
 
       } catch (error) {
         agent.status = 'error';
@@ -88,19 +125,43 @@ class TeamChannel extends EventEmitter {
     // Get recent shared messages for context (up to maxContextMessages)
     const recentMessages = this.sharedMessages.slice(-this.maxContextMessages);
 
-    // Separate prior teammate responses from user messages
-    const priorAgentResponses = recentMessages.filter(m => m.agentId !== null);
+    // Replies to the current request come first (cut down when the round
+    // alone is over budget); earlier rounds fill what is left of the
+    // budget, newest first
+    const lastRequest = recentMessages.map(m => m.agentId).lastIndexOf(null);
+    const earlier = recentMessages.slice(0, Math.max(lastRequest, 0)).filter(m => m.agentId !== null);
+
+    let remaining = this._contextBudget(agent) - estimateTokens(this.summary) - estimateTokens(userMessage);
+    const currentRound = [];
+    for (const msg of recentMessages.slice(lastRequest + 1).reverse()) {
+      currentRound.unshift(this._fitResponse(msg, remaining));
+      remaining -= estimateTokens(msg.content);
+    }
+    const keptEarlier = [];
+    for (let i = earlier.length - 1; i >= 0; i--) {
+      remaining -= estimateTokens(earlier[i].content);
+      if (remaining < 0) break;
+      keptEarlier.unshift(earlier[i]);
+    }
+    const omitted = earlier.length - keptEarlier.length;
+
+    const priorAgentResponses = [...keptEarlier, ...currentRound];
     const isFirstAgent = priorAgentResponses.length === 0;
 
     let contextStr = '== USER REQUEST ==\n';
     contextStr += `${userMessage}\n\n`;
 
+    if (this.summary) {
+      contextStr += `== EARLIER DISCUSSION (summary) ==\n${this.summary}\n\n`;
+    }
+
     if (!isFirstAgent) {
       contextStr += '== TEAMMATE RESPONSES (read carefully — build on their work, don\'t repeat it) ==\n';
-      for (const msg of recentMessages) {
-        if (msg.agentId !== null) {
-          contextStr += `--- ${msg.agentName} (${msg.role}) ---\n${msg.content}\n\n`;
-        }
+      if (omitted > 0) {
+        contextStr += `[${omitted} earlier response(s) omitted to fit the context window]\n\n`;
+      }
+      for (const msg of priorAgentResponses) {
+        contextStr += `--- ${msg.agentName} (${msg.role}) ---\n${msg.content}\n\n`;
       }
     }
 
@@ -118,12 +179,76 @@ class TeamChannel extends EventEmitter {
     return contextStr;
   }
 
+  /**
+   * Replace every round before the latest request with a summary written by
+   * `agent`'s model. The summary is folded into later context prompts.
+   * Resolves to { compacted, summarizedCount }.
+   */
+  async compact(agent, options = {}) {
+    const lastRequest = this.sharedMessages.map(m => m.agentId).lastIndexOf(null);
+    const older = this.sharedMessages.slice(0, Math.max(lastRequest, 0));
+    if (older.length === 0) {
+      return { compacted: false, summarizedCount: 0 };
+    }
+
+    let transcript = older
+      .map(m => m.agentId === null ? `User: ${m.content}` : `${m.agentName} (${m.role}): ${m.content}`)
+      .join('\n\n');
+    if (this.summary) {
+      transcript = `${SUMMARY_HEADER}\n${this.summary}\n\n${transcript}`;
+    }
+    // Newest part wins if the transcript doesn't fit the summariser
+    const maxChars = this._contextBudget(agent) * 4;
+    if (transcript.length > maxChars) {
+      transcript = '[...]\n' + transcript.slice(-maxChars);
+    }
+
+    const summary = await agent.grokAPI.complete(buildSummaryPrompt(transcript), {
+      model: agent.model,
+      signal: options.signal
+    });
+    this.summary = summary.trim();
+    this.sharedMessages = this.sharedMessages.slice(older.length);
+    return { compacted: true, summarizedCount: older.length };
+  }
+
+  async _compactIfNeeded(agent, options) {
+    const used = estimateTokens(this.summary) +
+      this.sharedMessages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+    if (used <= this._contextBudget(agent)) return;
+
+    try {
+      const result = await this.compact(agent, options);
+      if (result.compacted) this.emit('compacted', result);
+    } catch (error) {
+      // buildContextPrompt still trims to the budget; just report it
+      if (!options.signal?.aborted) this.emit('compact-error', error);
+    }
+  }
+
+  // `msg` cut to its opening when its content is over `tokens`; the newest
+  // replies of a round get the room first, so the oldest are cut
+  _fitResponse(msg, tokens) {
+    if (estimateTokens(msg.content) <= tokens) return msg;
+    const kept = Math.max(tokens, 0) * 4; // estimateTokens counts ~4 characters each
+    const content = kept > 0
+      ? `${msg.content.slice(0, kept)}\n[... ${msg.content.length - kept} more characters cut to fit the context window]`
+      : '[Response cut to fit the context window]';
+    return { ...msg, content };
+  }
+
+  _contextBudget(agent) {
+    const limit = agent.grokAPI?.contextLimit?.(agent.model) || DEFAULT_CONTEXT_WINDOW;
+    return Math.floor(limit * TEAM_CONTEXT_SHARE);
+  }
+
   getSharedMessages() {
     return [...this.sharedMessages];
   }
 
   clearHistory() {
     this.sharedMessages = [];
+    this.summary = null;
   }
 }
 
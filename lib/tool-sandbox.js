@@ -1,6 +1,10 @@
 import path from 'path';
 import fs from 'fs';
 import { URL } from 'url';
+import { IMAGE_TYPES } from './images.js';
+
+// Anthropic's per-image cap; the strictest of the vision providers
+const DEFAULT_MAX_IMAGE_SIZE = 5 * 1024 * 1024;
 
 class ToolSandbox {
   constructor(options = {}) {
@@ -10,6 +14,7 @@ class ToolSandbox {
     this.maxToolCallsPerRound = options.maxToolCallsPerRound || 5;
     this.bashTimeout = options.bashTimeout || 10000;
     this.maxResultSize = options.maxResultSize || 10240;
+    this.maxImageSize = options.maxImageSize || DEFAULT_MAX_IMAGE_SIZE;
     this.toolLog = [];
 
     // Blocked bash patterns (deny-list)
@@ -80,6 +85,31 @@ class ToolSandbox {
     }
   }
 
+  // Image attachments: a file inside the project with an image extension,
+  // no larger than maxImageSize
+  validateImage(filePath) {
+    const check = this.validatePath(filePath);
+    if (!check.allowed) return check;
+
+    if (!IMAGE_TYPES[path.extname(check.resolvedPath).toLowerCase()]) {
+      return { allowed: false, reason: `Not a supported image type (png, jpg, gif, webp): ${filePath}` };
+    }
+    let stat;
+    try {
+      stat = fs.statSync(check.resolvedPath);
+    } catch {
+      return { allowed: false, reason: `Image not found: ${filePath}` };
+    }
+    if (!stat.isFile()) {
+      return { allowed: false, reason: `Not a file: ${filePath}` };
+    }
+    if (stat.size > this.maxImageSize) {
+      const mb = bytes => (bytes / 1024 / 1024).toFixed(1);
+      return { allowed: false, reason: `Image too large: ${filePath} is ${mb(stat.size)} MB (limit ${mb(this.maxImageSize)} MB)` };
+    }
+    return { allowed: true, resolvedPath: check.resolvedPath, size: stat.size };
+  }
+
   validateBash(command) {
     // Check against blocked command patterns
     for (const pattern of this.blockedCommands) {
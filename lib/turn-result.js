@@ -0,0 +1,179 @@
+import path from 'path';
+import { parsePatch, patchPaths } from './patch.js';
+
+// Tools whose successful calls change files on disk
+const FILE_TOOLS = new Set(['write', 'edit']);
+
+// Provider stop reasons meaning "ran out of output tokens"
+const LENGTH_STOPS = new Set(['length', 'max_tokens', 'MAX_TOKENS']);
+
+const EMPTY_USAGE = { inputTokens: 0, outputTokens: 0, cachedTokens: 0, cacheWriteTokens: 0, reasoningTokens: 0 };
+
+/**
+ * What one processPrompt turn produced. GrokAPI.runPrompt resolves to this;
+ * processPrompt still resolves to the legacy string (toString()).
+ *
+ *   text        model text, without markers or the usage footer
+ *   reasoning   the model's thinking (Claude thinking blocks, reasoning_content,
+ *               Gemini thoughts); shown apart from text, never in history
+ *   rounds      [{ usage, cost, stopReason }] per provider request; usage is
+ *               { inputTokens, outputTokens, cachedTokens, cacheWriteTokens,
+ *               reasoningTokens }
+ *   usage/cost  totals over all rounds
+ *   toolCalls   [{ name, args, success, round, error? }] in call order; error
+ *               is the ToolFailureError (lib/errors.js) of a failed call
+ *   filesTouched absolute paths written, edited or patched by tools (a patch's
+ *               deleted and renamed files too)
+ *   stopReason  'end' | 'length' | 'cancelled' | 'max_rounds' | 'max_tool_calls' | 'budget'
+ *   limits      { maxRounds, maxToolCalls } — true when the loop hit that cap
+ *   continuations  times a reply cut off by the output limit was continued;
+ *               if the last one was cut off too, stopReason is 'length' and
+ *               truncated is true
+ *   budget      the spend cap that stopped the turn ({ scope, limit, spent,
+ *               message }, see lib/budget.js), or null
+ *   json        with a jsonSchema, the parsed answer once it validates, else null
+ *   jsonErrors  validation errors of the last answer (lib/json-schema.js)
+ *   jsonRetries tool-free re-asks made to fix an answer that didn't validate
+ *   route       in routing mode, { tier, reason, provider, model, prompt } that
+ *               picked the model (lib/router.js), else null
+ *   fallbacks   [{ from, to, code, message }] for each provider that failed
+ *               before this one finished the turn; rounds then carry their
+ *               provider and model
+ *   checkpoint  id of the checkpoint (lib/checkpoints.js) holding the files
+ *               as they were before this turn's tools changed them, or null
+ */
+class TurnResult {
+  constructor({ provider = null, model = null, directory = process.cwd() } = {}) {
+    this.provider = provider;
+    this.model = model;
+    this.directory = directory;
+    this.text = '';
+    this.reasoning = '';
+    this.rounds = [];
+    this.toolCalls = [];
+    this.filesTouched = [];
+    this.stopReason = 'end';
+    this.limits = { maxRounds: false, maxToolCalls: false };
+    this.continuations = 0;
+    this.budget = null;
+    this.json = null;
+    this.jsonErrors = [];
+    this.jsonRetries = 0;
+    this.route = null;
+    this.fallbacks = [];
+    this.checkpoint = null;
+  }
+
+  // usage is already normalised by the provider adapter
+  addRound({ usage, cost = 0, stopReason = null }) {
+    this.rounds.push({ usage: { ...EMPTY_USAGE, ...(usage || {}) }, cost, stopReason });
+    // The latest round decides whether the answer was cut short
+    if (this.stopReason === 'end' || this.stopReason === 'length') {
+      this.stopReason = LENGTH_STOPS.has(stopReason) ? 'length' : 'end';
+    }
+  }
+
+  addReasoning(text) {
+    if (text) this.reasoning += (this.reasoning ? '\n\n' : '') + text;
+  }
+
+  // error: the ToolFailureError (lib/errors.js) for a failed or refused call
+  addToolCall(name, args, success, error = null) {
+    const call = { name, args, success, round: this.rounds.length };
+    if (error) call.error = error;
+    this.toolCalls.push(call);
+    if (success && FILE_TOOLS.has(name) && args?.filePath) {
+      this._touch(args.filePath);
+    } else if (success && name === 'apply_patch' && args?.patch) {
+      patchPaths(parsePatch(args.patch)).forEach(file => this._touch(file));
+    }
+  }
+
+  _touch(filePath) {
+    const file = path.resolve(this.directory, filePath);
+    if (!this.filesTouched.includes(file)) this.filesTouched.push(file);
+  }
+
+  get usage() {
+    const total = { ...EMPTY_USAGE };
+    for (const { usage } of this.rounds) {
+      for (const key of Object.keys(total)) total[key] += usage[key] || 0;
+    }
+    total.totalTokens = total.inputTokens + total.outputTokens;
+    return total;
+  }
+
+  get cost() {
+    return this.rounds.reduce((sum, round) => sum + round.cost, 0);
+  }
+
+  get cancelled() {
+    return this.stopReason === 'cancelled';
+  }
+
+  // The model stopped on its output-token limit rather than finishing
+  get truncated() {
+    return this.stopReason === 'length';
+  }
+
+  // Text plus the status markers older callers expect; this is what goes
+  // into conversation history
+  get transcript() {
+    let text = this.text;
+    if (this.cancelled) text += '\n\n[Cancelled]';
+    if (this.truncated) text += '\n\n[Truncated: output limit reached]';
+    if (this.limits.maxToolCalls) text += '\n\n[Tool limit: max tool calls reached]';
+    else if (this.limits.maxRounds) text += '\n\n[Tool limit: max rounds reached]';
+    if (this.budget) text += `\n\n[Stopped: ${this.budget.message}]`;
+    return text;
+  }
+
+  // e.g. "Tokens: 1200 (1000 in, 200 out)\nCost: $0.000160", with prompt
+  // cache reads and writes and reasoning tokens when there were any, and
+  // the providers tried when the turn fell back; empty when the provider
+  // reported no usage
+  formatUsage() {
+    if (this.rounds.every(round => round.usage.inputTokens === 0 && round.usage.outputTokens === 0)) return '';
+    const { inputTokens, outputTokens, cachedTokens, cacheWriteTokens, reasoningTokens, totalTokens } = this.usage;
+    let detail = `${inputTokens} in, ${outputTokens} out`;
+    if (cachedTokens) detail += `, ${cachedTokens} cache read`;
+    if (cacheWriteTokens) detail += `, ${cacheWriteTokens} cache write`;
+    if (reasoningTokens) detail += `, ${reasoningTokens} reasoning`;
+    const text = `Tokens: ${totalTokens} (${detail})\nCost: $${this.cost.toFixed(6)}`;
+    if (this.fallbacks.length === 0) return text;
+    const chain = [this.fallbacks[0].from, ...this.fallbacks.map(f => f.to)].join(' → ');
+    return `${text}\nFell back: ${chain}`;
+  }
+
+  // Legacy processPrompt string: transcript plus the usage footer
+  toString() {
+    const footer = this.formatUsage();
+    const text = this.transcript + (footer ? `\n\n---\n${footer}` : '');
+    return text || 'No response';
+  }
+
+  toJSON() {
+    return {
+      provider: this.provider,
+      model: this.model,
+      text: this.text,
+      reasoning: this.reasoning,
+      stopReason: this.stopReason,
+      truncated: this.truncated,
+      continuations: this.continuations,
+      limits: this.limits,
+      budget: this.budget,
+      json: this.json,
+      jsonErrors: this.jsonErrors,
+      route: this.route,
+      fallbacks: this.fallbacks,
+      usage: this.usage,
+      cost: this.cost,
+      rounds: this.rounds,
+      toolCalls: this.toolCalls,
+      filesTouched: this.filesTouched
+    };
+  }
+}
+
+export { TurnResult };
@@ -6,11 +6,28 @@ import chalk from 'chalk';
 import ora from 'ora';
 import figlet from 'figlet';
 import clear from 'clear';
+import fs from 'fs';
+import path from 'path';
 import { grokAPI } from '../lib/grok-api.js';
 import { fileTools } from '../tools/file-tools.js';
 import { codeTools } from '../tools/code-tools.js';
 import { gitTools } from '../tools/git-tools.js';
 import { mcpTools } from '../tools/mcp-tools.js';
+import {
+  getProvider, listProviders, providerIds, loadConfiguredProviders, skippedProviders,
+  OpenAICompatibleAdapter, validateOpenAICompatibleEntry
+} from '../lib/providers/index.js';
+
+import { budget, formatUSD } from '../lib/budget.js';
+import { modelCatalog, describeModel } from '../lib/model-catalog.js';
+import { loadImage, describeImage } from '../lib/images.js';
+import { ToolSandbox } from '../lib/tool-sandbox.js';
+import { loadSchema } from '../lib/json-schema.js';
+import { Cassette, useCassette } from '../lib/cassette.js';
+import { describeRoute } from '../lib/router.js';
+import { parseCompareArgs, runComparison, compareAnswers, formatColumns, toMarkdown } from '../lib/compare.js';
+import { checkpointStore, formatCheckpoint, formatUndo } from '../lib/checkpoints.js';
+import { repoMap, DEFAULT_MAP_TOKENS } from '../lib/repo-map.js';
 
 // Load configuration
 import { config } from '../config/config.js';
@@ -27,6 +44,11 @@ program
    .description('A Grok-powered CLI for developers who give a fork')
   .version('1.0.0');
 
+// Config "openaiCompatible" entries that couldn't be registered at startup
+program.hook('preAction', () => {
+  for (const message of skippedProviders()) console.log(chalk.yellow(`⚠️  ${message}`));
+});
+
 // Chat command
 program
   .command('chat')
@@ -36,8 +58,19 @@ program
   .option('-v, --verbose', 'Enable verbose logging')
   .option('-t, --tui', 'Use Terminal User Interface mode')
   .option('-a, --teams', 'Launch Agent Teams TUI mode')
+  .option('-i, --image <path...>', 'Attach an image to the first message (repeatable)')
+  .option('-j, --json-schema <file>', 'Answer every prompt with JSON matching this schema (line mode)')
+  .option('--record <cassette>', 'Save every provider request and response to a cassette file')
+  .option('--replay <cassette>', 'Answer from a recorded cassette instead of the provider (no network)')
   .action(async (options) => {
     try {
+      // Record/replay covers every agent's requests, so it is set up first
+      if (options.record || options.replay) {
+        const mode = options.record ? 'record' : 'replay';
+        useCassette(new Cassette(options.record || options.replay, { mode }));
+        console.log(`📼 ${mode === 'record' ? 'Recording to' : 'Replaying'} ${options.record || options.replay}`);
+      }
+
       // Agent Teams TUI mode (bypass single-provider API key check)
       if (options.teams) {
         const isTTY = process.stdout.isTTY;
@@ -63,8 +96,8 @@ program
         }
       }
 
-      // Validate API key for standard modes
-      if (!process.env.GROK_API_KEY && !config.getApiKey()) {
+      // Validate API key for standard modes (a replay never calls out)
+      if (!options.replay && !process.env.GROK_API_KEY && !config.getApiKey()) {
         console.log('❌ Grok API key not found. Please set GROK_API_KEY environment variable or configure it.');
         console.log('Run: export GROK_API_KEY=your_api_key');
         return;
@@ -125,23 +158,31 @@ program
   .command('model <operation>')
   .description('Model management')
   .option('-m, --model <model>', 'Model name to set')
+  .option('-p, --provider <provider>', 'Only list this provider (list)')
+  .option('-r, --refresh', 'Ask the providers again instead of using the cached list (list)')
   .action(async (operation, options) => {
     try {
       switch (operation) {
-        case 'list':
-          const models = [
-            { name: 'grok-3-latest', desc: 'Latest Grok 3 (recommended)' },
-            { name: 'grok-3-fast', desc: 'Fast Grok 3 for quick tasks' },
-            { name: 'grok-3-mini', desc: 'Lightweight for simple tasks' },
-            { name: 'grok-3-mini-fast', desc: 'Fastest, for basic queries' },
-            { name: 'grok-2-latest', desc: 'Grok 2 stable' },
-            { name: 'grok-beta', desc: 'Beta features' }
-          ];
+        case 'list': {
+          const adapters = options.provider ? [getProvider(options.provider)].filter(Boolean) : listProviders();
+          if (adapters.length === 0) {
+            console.log(`❌ Unknown provider: ${options.provider}`);
+            return;
+          }
           console.log('🤖 Available Models:');
-          models.forEach(m => {
-            console.log(`  ${chalk.cyan(m.name.padEnd(25))} ${chalk.gray(m.desc)}`);
-          });
+          for (const adapter of adapters) {
+            const entries = await modelCatalog.list(adapter.id, { refresh: options.refresh });
+            const note = entries[0]?.source === 'builtin' ? chalk.gray(' (built-in list — offline or no API key)') : '';
+            console.log(chalk.bold(`  ${adapter.label}`) + note);
+            for (const entry of entries) {
+              console.log(`    ${chalk.cyan(entry.id.padEnd(30))} ${chalk.gray(`${adapter.alias}/${entry.id}`.padEnd(40))} ${chalk.gray(describeModel(entry))}`);
+            }
+            if (entries.length === 0) {
+              console.log(chalk.gray('    No models found'));
+            }
+          }
           break;
+        }
         case 'set':
           if (!options.model) {
             console.log('❌ Please specify a model with --model');
@@ -161,28 +202,94 @@ program
 
 // Provider command
 program
-  .command('provider <operation>')
+  .command('provider')
   .description('Provider management')
-  .argument('<operation>', 'Operation: set, list')
-  .option('-p, --provider <provider>', 'Provider name (grok, gemini, claude)')
+  .argument('<operation>', 'Operation: set, list, add, remove')
+  .option('-p, --provider <provider>', `Provider name (${providerIds().join(', ')})`)
+  .option('-u, --base-url <url>', 'Base URL for an openai-compatible provider (add)')
+  .option('-m, --models <models>', 'Comma-separated model list (add)')
+  .option('-H, --header <header...>', 'Extra request header as "Name: value" (add, repeatable)')
+  .option('-e, --api-key-env <var>', 'Environment variable holding the API key (add)')
+  .option('--context-window <tokens>', 'Context length of the served models, in tokens (add)')
+  .option('--vision', 'The served models accept images (add)')
   .action(async (operation, options) => {
     try {
       switch (operation) {
-        case 'set':
+        case 'set': {
           if (!options.provider) {
             console.log('❌ Please specify --provider');
             return;
           }
-          config.setProvider(options.provider);
-          console.log(`✅ Provider set to ${options.provider}`);
+          const adapter = getProvider(options.provider);
+          if (!adapter) {
+            console.log(`❌ Unknown provider: ${options.provider}`);
+            console.log(`Available providers: ${providerIds().join(', ')}`);
+            return;
+          }
+          config.setProvider(adapter.id);
+          console.log(`✅ Provider set to ${adapter.id}`);
+          // Keep the active model valid for the new provider
+          const models = await modelCatalog.ids(adapter.id);
+          if (models.length > 0 && !models.includes(config.getModel())) {
+            const model = models.includes(adapter.defaultModel) ? adapter.defaultModel : models[0];
+            config.setModel(model);
+            console.log(`✅ Model set to ${model}`);
+          }
           break;
+        }
         case 'list':
-          console.log('🤖 Available providers: grok, groq, gemini, claude');
+          console.log(`🤖 Available providers: ${providerIds().join(', ')}`);
+          for (const entry of config.getOpenAICompatibleProviders()) {
+            console.log(`  ${chalk.cyan(entry.name)} ${chalk.gray(`openai-compatible → ${entry.baseUrl}`)}`);
+          }
           console.log(`Current provider: ${config.getProvider()}`);
           break;
+        case 'add': {
+          const headers = {};
+          for (const header of options.header || []) {
+            const idx = header.indexOf(':');
+            if (idx === -1) {
+              console.log(`❌ Invalid header "${header}". Use "Name: value"`);
+              return;
+            }
+            headers[header.slice(0, idx).trim()] = header.slice(idx + 1).trim();
+          }
+          const entry = {
+            name: options.provider,
+            baseUrl: options.baseUrl,
+            models: options.models ? options.models.split(',').map(m => m.trim()).filter(Boolean) : [],
+            headers
+          };
+          if (options.apiKeyEnv) entry.apiKeyEnv = options.apiKeyEnv;
+          if (options.contextWindow) entry.contextWindow = Number(options.contextWindow);
+          if (options.vision) entry.vision = true;
+
+          validateOpenAICompatibleEntry(entry);
+          const existing = getProvider(entry.name);
+          if (existing && !(existing instanceof OpenAICompatibleAdapter)) {
+            console.log(`❌ ${entry.name} is a built-in provider name`);
+            return;
+          }
+          config.setOpenAICompatibleProvider(entry);
+          loadConfiguredProviders().forEach(message => console.log(chalk.yellow(`⚠️  ${message}`)));
+          console.log(`✅ Added openai-compatible provider ${entry.name} (${entry.baseUrl})`);
+          break;
+        }
+        case 'remove':
+          if (!options.provider) {
+            console.log('❌ Please specify --provider');
+            return;
+          }
+          if (!config.removeOpenAICompatibleProvider(options.provider)) {
+            console.log(`❌ No openai-compatible provider named ${options.provider}`);
+            return;
+          }
+          loadConfiguredProviders().forEach(message => console.log(chalk.yellow(`⚠️  ${message}`)));
+          console.log(`✅ Removed provider ${options.provider}`);
+          break;
         default:
           console.log(`❌ Unknown operation: ${operation}`);
-          console.log('Available operations: set, list');
+          console.log('Available operations: set, list, add, remove');
       }
     } catch (error) {
       console.log(`❌ Error: ${error.message}`);
@@ -191,7 +298,7 @@ program
 
 // API key command
 program
-  .command('apikey <operation>')
+  .command('apikey')
   .description('API key management')
   .argument('<operation>', 'Operation: set, list')
   .option('-p, --provider <provider>', 'Provider name')
@@ -209,10 +316,9 @@ program
           break;
         case 'list':
           console.log('🔑 API Keys:');
-          const providers = ['grok', 'groq', 'gemini', 'claude'];
-          for (const p of providers) {
-            const key = await config.getApiKey(p);
-            console.log(`${p}: ${key ? 'Set' : 'Not set'}`);
+          for (const adapter of listProviders().filter(a => a.requiresApiKey)) {
+            const key = await config.getApiKey(adapter.id);
+            console.log(`${adapter.id}: ${key ? 'Set' : 'Not set'}`);
           }
           break;
         default:
@@ -226,7 +332,7 @@ program
 
 // Configuration command
 program
-  .command('config <operation>')
+  .command('config')
   .description('Configuration management')
   .argument('<operation>', 'Operation: set, get, list')
   .option('-k, --key <key>', 'Configuration key')
@@ -281,6 +387,189 @@ program
     }
   });
 
+// Budget command
+program
+  .command('budget')
+  .description('Spending limits per session, day and agent')
+  .argument('<operation>', 'Operation: show, set')
+  .option('--session <usd>', 'Limit for one gitforked session (0 removes it)')
+  .option('--day <usd>', 'Limit per calendar day, across runs (0 removes it)')
+  .option('--agent <usd>', 'Limit per team agent per day, across runs (0 removes it)')
+  .option('-n, --name <agent>', 'With --agent: limit only this agent')
+  .action(async (operation, options) => {
+    try {
+      const limits = { ...config.get('budget') };
+      switch (operation) {
+        case 'show': {
+          const spent = budget.spent();
+          const line = (label, limit, amount) =>
+            console.log(`  ${label.padEnd(10)} ${limit ? formatUSD(Number(limit)) : chalk.gray('no limit')}` +
+              (amount === undefined ? '' : chalk.gray(`  (${formatUSD(amount)} spent)`)));
+          console.log('💰 Budget:');
+          line('session', limits.session);
+          line('day', limits.day, spent.day);
+          line('agent', limits.agent);
+          // Agent spend is today's, like the daily total; a named limit
+          // matches the agent's name or id
+          const named = limits.agents || {};
+          const agents = budget.agentSpend();
+          for (const [name, limit] of Object.entries(named)) {
+            line(name, limit, agents.filter(a => a.name === name || a.agentId === name).reduce((sum, a) => sum + a.spent, 0));
+          }
+          for (const agent of agents.filter(a => !(a.name in named) && !(a.agentId in named))) {
+            line(agent.name, limits.agent, agent.spent);
+          }
+          break;
+        }
+        case 'set': {
+          const parse = (value) => {
+            const amount = Number(value);
+            if (!Number.isFinite(amount) || amount < 0) {
+              throw new Error(`Invalid amount: ${value}. Use a number of US dollars, or 0 to remove the limit.`);
+            }
+            return amount || undefined;
+          };
+          if (options.session === undefined && options.day === undefined && options.agent === undefined) {
+            console.log('❌ Please specify --session, --day or --agent');
+            return;
+          }
+          if (options.session !== undefined) limits.session = parse(options.session);
+          if (options.day !== undefined) limits.day = parse(options.day);
+          if (options.agent !== undefined) {
+            if (options.name) limits.agents = { ...limits.agents, [options.name]: parse(options.agent) };
+            else limits.agent = parse(options.agent);
+          }
+          config.set('budget', limits);
+          console.log('✅ Budget updated');
+          break;
+        }
+        default:
+          console.log(`❌ Unknown operation: ${operation}`);
+          console.log('Available operations: show, set');
+      }
+    } catch (error) {
+      console.log(`❌ Error: ${error.message}`);
+    }
+  });
+
+// Compare command
+program
+  .command('compare')
+  .description('Ask several models the same prompt, read-only, and compare the answers side by side')
+  .argument('<models...>', 'provider/model entries, then -- and the prompt')
+  .option('-d, --directory <directory>', 'Directory the models may read', process.cwd())
+  .option('-o, --output <file>', 'Also save the comparison as markdown')
+  .option('-w, --width <columns>', 'Width of the side-by-side view (default: the terminal width)')
+  .action(async (items, options) => {
+    try {
+      // Commander drops the "--" itself; the words after it are the prompt
+      const dashes = process.argv.indexOf('--');
+      const promptWords = dashes === -1 ? [] : process.argv.slice(dashes + 1);
+      const { models, prompt } = parseCompareArgs(dashes === -1
+        ? items.join(' ')
+        : `${items.slice(0, items.length - promptWords.length).join(' ')} -- ${promptWords.join(' ')}`);
+
+      const spinner = ora(`Asking ${models.join(', ')}...`).start();
+      const results = await runComparison(models, prompt, {
+        directory: path.resolve(options.directory),
+        onResult: (result) => { spinner.text = `${result.ref} ${result.error ? 'failed' : 'answered'}...`; }
+      });
+      spinner.stop();
+
+      console.log(formatColumns(results, Number(options.width) || process.stdout.columns || 120).join('\n'));
+      for (const { result, runs, similarity } of compareAnswers(results)) {
+        console.log('');
+        console.log(chalk.bold(`Diff vs first answer: ${result.ref}`) + chalk.gray(` (${Math.round(similarity * 100)}% same words)`));
+        console.log(runs.map(run => run.type === 'removed' ? chalk.red.strikethrough(run.text)
+          : run.type === 'added' ? chalk.green(run.text) : run.text).join(' '));
+      }
+      if (options.output) {
+        fs.writeFileSync(options.output, toMarkdown(prompt, results));
+        console.log(`\n📝 Saved comparison to ${options.output}`);
+      }
+    } catch (error) {
+      console.log(`❌ Error: ${error.message}`);
+    }
+  });
+
+// Checkpoints command
+program
+  .command('checkpoints [operation] [id]')
+  .description('Files saved before agents changed them: list, diff <id>, restore <id>, undo [n]')
+  .option('-d, --directory <directory>', 'Project directory', process.cwd())
+  .action(async (operation = 'list', id, options) => {
+    try {
+      const store = checkpointStore(path.resolve(options.directory));
+      if (!store) {
+        console.log('Checkpoints are off: config "checkpoints" has enabled: false');
+        return;
+      }
+      const number = (value, what) => {
+        const parsed = Number(value);
+        if (!Number.isInteger(parsed) || parsed < 1) throw new Error(`Please give ${what}`);
+        return parsed;
+      };
+      switch (operation) {
+        case 'list': {
+          const checkpoints = store.list();
+          if (checkpoints.length === 0) {
+            console.log('No checkpoints yet: one is made each turn an agent changes files.');
+            return;
+          }
+          console.log('🕓 Checkpoints (newest first):');
+          for (const checkpoint of checkpoints) {
+            console.log(`  ${formatCheckpoint(checkpoint)}`);
+            console.log(chalk.gray(`      ${checkpoint.files.map(file => file.path).join(', ')}`));
+          }
+          break;
+        }
+        case 'diff': {
+          for (const file of store.diff(number(id, 'a checkpoint id'))) {
+            console.log(chalk.bold(`${file.path}`) + chalk.gray(` (${file.status} since the checkpoint)`));
+            for (const line of file.diff.split('\n').filter(Boolean)) {
+              console.log(line.startsWith('+') ? chalk.green(line) : line.startsWith('-') ? chalk.red(line)
+                : line.startsWith('@@') ? chalk.cyan(line) : line);
+            }
+          }
+          break;
+        }
+        case 'restore':
+          for (const checkpoint of store.restore(number(id, 'a checkpoint id'))) console.log(`↩️  ${formatUndo(checkpoint)}`);
+          break;
+        case 'undo':
+          for (const checkpoint of store.undo(id === undefined ? 1 : number(id, 'how many checkpoints to undo'))) {
+            console.log(`↩️  ${formatUndo(checkpoint)}`);
+          }
+          break;
+        default:
+          console.log(`❌ Unknown operation: ${operation}`);
+          console.log('Available operations: list, diff <id>, restore <id>, undo [n]');
+      }
+    } catch (error) {
+      console.log(`❌ Error: ${error.message}`);
+    }
+  });
+
+// Repository map command
+program
+  .command('map')
+  .description('Show the repository map agents get in their system prompt (config "repoMap")')
+  .option('-d, --directory <directory>', 'Project directory', process.cwd())
+  .option('-t, --tokens <tokens>', 'Token budget (default: config "repoMap" tokens)')
+  .action(async (options) => {
+    try {
+      const settings = config.get('repoMap') || {};
+      const tokens = Number(options.tokens ?? settings.tokens ?? DEFAULT_MAP_TOKENS);
+      if (!Number.isInteger(tokens) || tokens < 1) throw new Error('--tokens must be a positive whole number');
+      console.log(await repoMap(path.resolve(options.directory)).render({ tokens }));
+      if (!settings.enabled) {
+        console.log(chalk.gray('\nNot in system prompts yet: set config "repoMap" to { "enabled": true, "tokens": 1024 }'));
+      }
+    } catch (error) {
+      console.log(`❌ Error: ${error.message}`);
+    }
+  });
+
 // Settings command
 program
   .command('settings')
@@ -294,30 +583,24 @@ program
           type: 'list',
           name: 'provider',
           message: 'Choose LLM provider:',
-          choices: ['grok', 'groq', 'gemini', 'claude']
+          choices: providerIds()
         }
       ]);
 
       config.setProvider(provider);
 
-      let models = [];
-      if (provider === 'grok') {
-        models = ['grok-3-latest', 'grok-3-fast', 'grok-3-mini', 'grok-3-mini-fast', 'grok-2-latest', 'grok-beta'];
-      } else if (provider === 'groq') {
-        models = ['llama-3.3-70b-versatile', 'llama-3.1-8b-instant', 'mixtral-8x7b-32768', 'gemma2-9b-it'];
-      } else if (provider === 'gemini') {
-        models = ['gemini-2.0-flash', 'gemini-1.5-pro', 'gemini-1.5-flash'];
-      } else if (provider === 'claude') {
-        models = ['claude-sonnet-4-20250514', 'claude-3-5-sonnet-20241022', 'claude-3-5-haiku-20241022'];
-      }
+      const models = await modelCatalog.list(provider);
 
+      // Providers without a known catalog (e.g. a fresh openai-compatible entry) take a typed name
       const { model } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'model',
-          message: 'Choose model:',
-          choices: models
-        }
+        models.length > 0
+          ? {
+            type: 'list',
+            name: 'model',
+            message: 'Choose model:',
+            choices: models.map(entry => ({ name: `${entry.id.padEnd(30)} ${chalk.gray(describeModel(entry))}`, value: entry.id }))
+          }
+          : { type: 'input', name: 'model', message: 'Model name:' }
       ]);
 
       config.setModel(model);
@@ -432,6 +715,31 @@ async function launchCLI(options) {
   console.log('Current model: ' + options.model + ', mode: Plan');
   console.log('Working directory: ' + options.directory);
 
+  // --json-schema: every answer is validated JSON, printed as such
+  let jsonSchema = null;
+  if (options.jsonSchema) {
+    try {
+      jsonSchema = loadSchema(options.jsonSchema);
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+      return;
+    }
+    console.log(`🧾 Answers follow the JSON Schema in ${options.jsonSchema}`);
+  }
+
+  // --image: sent with the first message
+  let images = [];
+  const sandbox = new ToolSandbox({ projectRoot: options.directory });
+  for (const imagePath of options.image || []) {
+    try {
+      const image = loadImage(imagePath, sandbox);
+      images.push(image);
+      console.log(`🖼  Attached ${describeImage(image)}`);
+    } catch (error) {
+      console.log(`❌ Image not attached: ${error.message}`);
+    }
+  }
+
   const readline = await import('readline');
   const rl = readline.createInterface({
     input: process.stdin,
@@ -456,7 +764,7 @@ async function launchCLI(options) {
        console.log('- git [status|commit|push|pull|add|checkout|branch|merge]: Git operations');
        console.log('- code [run|test|analyze|debug|format]: Code operations');
        console.log('- model [list|set]: Model management');
-       console.log('- provider [set|list]: Provider management');
+       console.log('- provider [set|list|add|remove]: Provider management');
        console.log('- apikey [set|list]: API key management');
        console.log('- settings: Interactive settings configuration');
        console.log('- config [set|get|list]: Configuration management');
@@ -468,11 +776,17 @@ async function launchCLI(options) {
       const response = await grokAPI.processPrompt(input, {
         model: options.model,
         directory: options.directory,
-        mode
+        mode,
+        images,
+        jsonSchema,
+        onRoute: (route) => console.log(`🧭 ${describeRoute(route)}`),
+        onFallback: (event) => console.log(`⚠️  ${event.from} failed (${event.code}), continuing on ${event.to}`)
       });
-      console.log(response);
+      images = [];
+      console.log(jsonSchema ? JSON.stringify(response, null, 2) : response);
     } catch (error) {
       console.log(`❌ Error: ${error.message}`);
+      if (error.hint) console.log(`💡 ${error.hint}`);
       if (options.verbose) {
         console.log('Debug info:', error.stack);
       }
@@ -60,10 +60,28 @@ describe('Agent', function() {
         provider: 'groq',
         model: 'llama-3.3-70b-versatile',
         apiKey: '__config__',
-        ollamaBaseUrl: null
+        ollamaBaseUrl: null,
+        promptCaching: true,
+        thinkingBudget: null,
+        maxOutputTokens: null,
+        fallbacks: null
       });
     });
 
+    it('should keep an agent with prompt caching turned off', function() {
+      const agent = Agent.fromJSON(new Agent({ name: 'Bot', provider: 'claude', promptCaching: false }).toJSON());
+      expect(agent.promptCaching).to.be.false;
+      expect(agent.init().grokAPI._promptCaching()).to.be.false;
+    });
+
+    it('should keep an agent\'s thinking budget', function() {
+      const agent = Agent.fromJSON(new Agent({ name: 'Bot', provider: 'claude', thinkingBudget: 8000 }).toJSON());
+      expect(agent.thinkingBudget).to.equal(8000);
+      expect(agent.init().grokAPI._thinkingBudget()).to.equal(8000);
+      // 0 means off, not "use the config default"
+      expect(new Agent({ name: 'Off', thinkingBudget: 0 }).init().grokAPI._thinkingBudget({})).to.be.null;
+    });
+
     it('should not include messages or GrokAPI instance in JSON', function() {
       const agent = new Agent({ name: 'Bot' });
       agent.messages.push({ role: 'user', content: 'test' });
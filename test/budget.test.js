@@ -0,0 +1,160 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BudgetTracker } from '../lib/budget.js';
+import { getProvider, OpenAICompatibleAdapter } from '../lib/providers/index.js';
+import { GrokAPI } from '../lib/grok-api.js';
+import { TeamChannel } from '../lib/team-channel.js';
+import { TeamManager } from '../lib/team-manager.js';
+import { TurnResult } from '../lib/turn-result.js';
+import { config } from '../config/config.js';
+
+function toolCallReply(cost) {
+  return {
+    headers: {},
+    data: {
+      choices: [{ message: { role: 'assistant', content: 'Working.', tool_calls: [{ id: 'c1', type: 'function', function: { name: 'noop', arguments: '{}' } }] }, finish_reason: 'tool_calls' }],
+      // llama-3.1-8b-instant: $0.05 per 1M input tokens
+      usage: { prompt_tokens: cost / 0.05 * 1000000, completion_tokens: 0 }
+    }
+  };
+}
+
+describe('Pricing and budgets', function() {
+  let dir;
+  let saved;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitforked-budget-'));
+    saved = config.config.pricing;
+  });
+
+  afterEach(function() {
+    // In-memory only: never write the user's config from tests
+    config.config.pricing = saved;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('pricing', function() {
+    it('should price each model at its own rate', function() {
+      const claude = getProvider('claude');
+      const usage = { inputTokens: 1000000, outputTokens: 1000000 };
+      expect(claude.cost(usage, 'claude-opus-4-6')).to.equal(30);
+      expect(claude.cost(usage, 'claude-haiku-4-5-20251001')).to.equal(6);
+      expect(claude.cost(usage, 'unknown-model')).to.equal(18);
+    });
+
+    it('should bill cached and reasoning tokens at their rates', function() {
+      const haiku = getProvider('claude').cost({ inputTokens: 1000000, outputTokens: 0, cachedTokens: 500000 }, 'claude-haiku-4-5-20251001');
+      expect(haiku).to.be.closeTo(0.55, 1e-9);
+
+      config.config.pricing = { 'acme-r1': { input: 1, output: 2, reasoning: 8 } };
+      const acme = new OpenAICompatibleAdapter({ name: 'acme', baseUrl: 'http://x' });
+      expect(acme.cost({ inputTokens: 0, outputTokens: 1000000, reasoningTokens: 250000 }, 'acme-r1')).to.equal(3.5);
+    });
+
+    it('should let config override a rate field by field', function() {
+      config.config.pricing = { 'claude/claude-opus-4-6': { output: 20 } };
+      expect(getProvider('claude').pricingFor('claude-opus-4-6')).to.include({ input: 5, output: 20, cachedInput: 0.5 });
+      expect(() => new OpenAICompatibleAdapter({ name: 'bad', baseUrl: 'http://x', pricing: { input: 'free' } }))
+        .to.throw('Pricing for bad');
+    });
+  });
+
+  describe('BudgetTracker', function() {
+    it('should refuse once a session limit is reached', function() {
+      const tracker = new BudgetTracker({ ledgerPath: path.join(dir, 'spend.json'), limits: { session: 1 } });
+      tracker.record(0.6);
+      expect(tracker.check()).to.be.null;
+      tracker.record(0.6);
+
+      const exceeded = tracker.check();
+      expect(exceeded).to.include({ scope: 'session', limit: 1 });
+      expect(exceeded.message).to.match(/^Session budget reached \(\$1\.20 of \$1\.00 spent\)/);
+      // Session spend is not persisted
+      expect(fs.existsSync(tracker.ledgerPath)).to.be.false;
+    });
+
+    it('should carry daily and per-agent spend across runs', function() {
+      const ledgerPath = path.join(dir, 'spend.json');
+      const limits = { day: 5, agent: 1, agents: { Reviewer: 0.25 } };
+      new BudgetTracker({ ledgerPath, limits }).record(0.3, { agentId: 'r1', agentName: 'Reviewer' });
+
+      const next = new BudgetTracker({ ledgerPath, limits });
+      expect(next.spent({ agentId: 'r1' })).to.include({ session: 0, day: 0.3, agent: 0.3 });
+      expect(next.agentSpend()).to.deep.equal([{ agentId: 'r1', name: 'Reviewer', spent: 0.3 }]);
+      expect(next.check({ agentId: 'r1', agentName: 'Reviewer' })).to.include({ scope: 'agent', limit: 0.25 });
+      expect(next.check({ agentId: 'r1', agentName: 'Dev' })).to.be.null;
+
+      // Both reset at midnight
+      const tomorrow = new BudgetTracker({ ledgerPath, limits, now: () => new Date(Date.now() + 86400000) });
+      expect(tomorrow.spent({ agentId: 'r1' })).to.include({ day: 0, agent: 0 });
+      expect(tomorrow.agentSpend()).to.deep.equal([]);
+      expect(tomorrow.check({ agentId: 'r1', agentName: 'Reviewer' })).to.be.null;
+    });
+  });
+
+  describe('enforcement', function() {
+    it('should refuse a turn that starts over budget', async function() {
+      const tracker = new BudgetTracker({ ledgerPath: path.join(dir, 'spend.json'), limits: { session: 1 } });
+      tracker.record(2);
+      const api = new GrokAPI({ provider: 'groq', apiKey: 'test', budget: tracker });
+      api.client = { post: async () => expect.fail('should not call the provider') };
+
+      try {
+        await api.runPrompt('hi', { model: 'llama-3.1-8b-instant', directory: dir });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.match(/^Session budget reached/);
+        expect(error.budget.scope).to.equal('session');
+      }
+    });
+
+    it('should stop the tool loop when a round crosses the limit', async function() {
+      const tracker = new BudgetTracker({ ledgerPath: path.join(dir, 'spend.json'), limits: { session: 1 } });
+      const api = new GrokAPI({ provider: 'groq', apiKey: 'test', budget: tracker });
+      let calls = 0;
+      api.client = { post: async () => { calls++; return toolCallReply(0.6); } };
+
+      const result = await api.runPrompt('loop', { model: 'llama-3.1-8b-instant', directory: dir, stream: false });
+      expect(calls).to.equal(2);
+      expect(result.stopReason).to.equal('budget');
+      expect(result.budget.scope).to.equal('session');
+      expect(result.transcript).to.match(/\[Stopped: Session budget reached \(\$1\.20 of \$1\.00 spent\)/);
+    });
+
+    it('should skip agents over their own budget and stop the round on a daily limit', async function() {
+      const tm = new TeamManager();
+      tm.createTeam('budget-team');
+      const agents = ['Planner', 'Reviewer', 'Dev', 'Tester'].map(name => tm.addAgent({ name, provider: 'groq', model: 'x' }));
+      const channel = new TeamChannel(tm);
+      channel.budget = new BudgetTracker({ ledgerPath: path.join(dir, 'spend.json'), limits: { day: 1, agents: { Reviewer: 0.1 } } });
+      channel.budget.record(0.2, { agentId: agents[1].id });
+
+      const prompted = [];
+      for (const agent of agents) {
+        agent.grokAPI = {
+          runPrompt: async () => {
+            prompted.push(agent.name);
+            channel.budget.record(0.5, { agentId: agent.id });
+            return Object.assign(new TurnResult(), { text: 'done' });
+          }
+        };
+      }
+      const refused = [];
+      channel.on('budget-exceeded', (agent, exceeded) => refused.push(`${agent.name}:${exceeded.scope}`));
+
+      await channel.broadcastToAll('go', { directory: dir });
+      expect(prompted).to.deep.equal(['Planner', 'Dev']);
+      expect(refused).to.deep.equal(['Reviewer:agent', 'Tester:day']);
+
+      try {
+        await channel.broadcastToAll('again', { directory: dir });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.match(/^Daily budget reached/);
+      }
+    });
+  });
+});
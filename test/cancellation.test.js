@@ -0,0 +1,178 @@
+import { expect } from 'chai';
+import { Readable } from 'stream';
+import { withRetry, ConcurrencyLimiter } from '../lib/retry.js';
+import { GrokAPI } from '../lib/grok-api.js';
+import { Agent } from '../lib/agent.js';
+import { TeamChannel } from '../lib/team-channel.js';
+import { TeamManager } from '../lib/team-manager.js';
+import { TurnResult } from '../lib/turn-result.js';
+
+function cancelledTurn(text) {
+  return Object.assign(new TurnResult(), { text, stopReason: 'cancelled' });
+}
+
+function sse(payloads) {
+  const text = payloads.map(p => `data: ${JSON.stringify(p)}\n\n`).join('') + 'data: [DONE]\n\n';
+  return Readable.from([Buffer.from(text)]);
+}
+
+// A body that sends its first chunk and then stalls until destroyed
+function stalledBody(payload) {
+  const body = new Readable({ read() {} });
+  body.push(Buffer.from(`data: ${JSON.stringify(payload)}\n\n`));
+  return body;
+}
+
+function toolCall(id, command) {
+  return { index: Number(id.slice(-1)), id, type: 'function', function: { name: 'bash', arguments: JSON.stringify({ command }) } };
+}
+
+describe('Cancellation', function() {
+  this.timeout(5000);
+
+  describe('GrokAPI', function() {
+    it('should stop a streamed round and keep the partial text', async function() {
+      const api = new GrokAPI({ provider: 'groq', apiKey: 'test' });
+      api.client = { post: async () => ({ headers: {}, data: stalledBody({ choices: [{ delta: { content: 'Half an ans' } }] }) }) };
+
+      const controller = new AbortController();
+      const result = await api.processPrompt('hi', {
+        model: 'x',
+        directory: process.cwd(),
+        signal: controller.signal,
+        onDelta: (delta) => { if (delta.type === 'text') controller.abort(); }
+      });
+
+      expect(result).to.equal('Half an ans\n\n[Cancelled]');
+    });
+
+    it('should skip the remaining tool calls once aborted', async function() {
+      const api = new GrokAPI({ provider: 'groq', apiKey: 'test' });
+      let calls = 0;
+      api.client = {
+        post: async () => {
+          calls++;
+          return {
+            headers: {},
+            data: sse([{
+              choices: [{ delta: { content: 'Running.', tool_calls: [toolCall('call_1', 'echo one'), toolCall('call_2', 'echo two')] }, finish_reason: 'tool_calls' }]
+            }])
+          };
+        }
+      };
+
+      const controller = new AbortController();
+      const started = [];
+      const result = await api.processPrompt('hi', {
+        model: 'x',
+        directory: process.cwd(),
+        signal: controller.signal,
+        onToolCall: (name, args) => {
+          started.push(args.command);
+          controller.abort();
+        }
+      });
+
+      expect(started).to.deep.equal(['echo one']);
+      expect(calls).to.equal(1);
+      expect(result).to.equal('Running.\n\n[Cancelled]');
+    });
+
+    it('should kill a running bash command', async function() {
+      const api = new GrokAPI({ provider: 'groq', apiKey: 'test' });
+      const controller = new AbortController();
+      const started = Date.now();
+      setTimeout(() => controller.abort(), 50);
+
+      const result = await api.executeBash('sleep 5', process.cwd(), 10000, controller.signal);
+      expect(result).to.equal('Command cancelled');
+      expect(Date.now() - started).to.be.below(2000);
+    });
+  });
+
+  describe('retry and concurrency', function() {
+    it('should interrupt a backoff wait', async function() {
+      const controller = new AbortController();
+      let calls = 0;
+      setTimeout(() => controller.abort(), 20);
+      try {
+        await withRetry(async () => {
+          calls++;
+          const error = new Error('busy');
+          error.response = { status: 503, headers: { 'retry-after': '30' } };
+          throw error;
+        }, { signal: controller.signal });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.name).to.equal('AbortError');
+      }
+      expect(calls).to.equal(1);
+    });
+
+    it('should drop an aborted caller from the queue', async function() {
+      const limiter = new ConcurrencyLimiter(1);
+      let release;
+      const first = limiter.run(() => new Promise(resolve => { release = resolve; }));
+
+      const controller = new AbortController();
+      const queued = limiter.run(async () => 'ran', controller.signal);
+      expect(limiter.pending).to.equal(1);
+      controller.abort();
+
+      try {
+        await queued;
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.name).to.equal('AbortError');
+      }
+      expect(limiter.pending).to.equal(0);
+      release();
+      await first;
+      expect(limiter.active).to.equal(0);
+    });
+  });
+
+  describe('agents', function() {
+    it('should stop an agent mid-turn', async function() {
+      const agent = new Agent({ name: 'Bot', provider: 'groq', model: 'x' });
+      agent.grokAPI = {
+        runPrompt: (msg, options) => new Promise(resolve => {
+          options.signal.addEventListener('abort', () => resolve(cancelledTurn('partial')));
+        })
+      };
+
+      expect(agent.stop()).to.be.false;
+      const pending = agent.sendMessage('hi', { directory: process.cwd() });
+      expect(agent.busy).to.be.true;
+      expect(agent.stop()).to.be.true;
+
+      expect((await pending).cancelled).to.be.true;
+      expect(agent.busy).to.be.false;
+      expect(agent.messages[1].content).to.equal('partial\n\n[Cancelled]');
+    });
+
+    it('should skip the agents that have not started when a broadcast is stopped', async function() {
+      const tm = new TeamManager();
+      tm.createTeam('cancel-team');
+      const first = tm.addAgent({ name: 'First', provider: 'groq', model: 'x' });
+      const second = tm.addAgent({ name: 'Second', provider: 'groq', model: 'x' });
+
+      const controller = new AbortController();
+      const prompted = [];
+      for (const agent of [first, second]) {
+        agent.grokAPI = {
+          runPrompt: async (msg, options) => {
+            prompted.push(agent.name);
+            controller.abort();
+            return options.signal.aborted ? cancelledTurn('partial') : Object.assign(new TurnResult(), { text: 'done' });
+          }
+        };
+      }
+
+      const responses = await new TeamChannel(tm).broadcastToAll('go', { directory: process.cwd(), signal: controller.signal });
+      expect(prompted).to.deep.equal(['First']);
+      expect(responses).to.have.length(1);
+      expect(responses[0].response).to.include('[Cancelled]');
+    });
+  });
+});
@@ -0,0 +1,75 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Cassette } from '../lib/cassette.js';
+import { GrokAPI } from '../lib/grok-api.js';
+
+const SCRIPT = [
+  { error: { status: 429, message: 'Slow down', retryAfter: 0 } },
+  { toolCalls: [{ name: 'write', args: { filePath: 'notes.md', content: '# Notes' } }] },
+  { text: 'Saved the notes.', usage: { inputTokens: 50, outputTokens: 4 } }
+];
+
+describe('Cassettes', function() {
+  let dir;
+  let fixture;
+
+  function script(responses) {
+    fs.writeFileSync(fixture, JSON.stringify({ responses }));
+  }
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitforked-cassette-'));
+    fixture = path.join(dir, 'fixture.json');
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function run(cassette, stream) {
+    const api = new GrokAPI({ provider: 'mock', mockFixture: fixture, cassette, retry: { baseDelayMs: 1, maxDelayMs: 1 }, checkpoints: false });
+    return api.runPrompt('save notes', { model: 'mock', directory: dir, stream });
+  }
+
+  it('should replay a recorded turn without calling the provider', async function() {
+    for (const stream of [false, true]) {
+      const file = path.join(dir, `turn-${stream}.json`);
+      script(SCRIPT);
+      const recorded = await run(new Cassette(file, { mode: 'record' }), stream);
+
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      expect(saved.interactions.map(i => i.response.status)).to.deep.equal([429, 200, 200]);
+      expect(saved.interactions[0]).to.include({ provider: 'mock' });
+      expect(saved.interactions[0].response.headers).to.deep.equal({ 'retry-after': '0' });
+      expect(JSON.stringify(saved)).to.not.include('Authorization');
+
+      fs.rmSync(path.join(dir, 'notes.md'));
+      script([]); // the provider has nothing left to say
+      const cassette = new Cassette(file);
+      const replayed = await run(cassette, stream);
+
+      expect(replayed.text).to.equal(recorded.text);
+      expect(replayed.usage).to.deep.equal(recorded.usage);
+      expect(replayed.toolCalls).to.deep.equal(recorded.toolCalls);
+      expect(fs.readFileSync(path.join(dir, 'notes.md'), 'utf8')).to.equal('# Notes');
+      expect(cassette.remaining).to.equal(0);
+    }
+  });
+
+  it('should say which request a cassette has no answer for', async function() {
+    const file = path.join(dir, 'empty.json');
+    fs.writeFileSync(file, JSON.stringify({ version: 1, interactions: [] }));
+    script(SCRIPT);
+
+    try {
+      await run(new Cassette(file), false);
+      expect.fail('should have thrown');
+    } catch (error) {
+      expect(error.message).to.equal('API Error: Cassette empty.json has no recorded response for POST /chat/completions (mock)');
+    }
+    expect(() => new Cassette(path.join(dir, 'missing.json'))).to.throw('Cannot read cassette');
+    expect(() => new Cassette(file, { mode: 'rewind' })).to.throw('must be record or replay');
+  });
+});
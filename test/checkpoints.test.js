@@ -0,0 +1,113 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GrokAPI } from '../lib/grok-api.js';
+import { ResponseFileWriter } from '../lib/response-file-writer.js';
+import { CheckpointStore, formatCheckpoint, formatUndo } from '../lib/checkpoints.js';
+
+describe('Checkpoints', function() {
+  let dir;
+  let project;
+  let store;
+
+  const file = name => path.join(project, name);
+  const read = name => fs.readFileSync(file(name), 'utf8');
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitforked-checkpoints-'));
+    project = path.join(dir, 'project');
+    fs.mkdirSync(project);
+    store = new CheckpointStore({ projectRoot: project, root: path.join(dir, 'store'), now: () => new Date(2026, 9, 19, 14, 3) });
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should group a turn\'s files and undo them, newest first', function() {
+    fs.writeFileSync(file('a.js'), 'v1');
+    const first = store.snapshot([file('a.js')], { agent: 'Coder', label: 'make a  v2' });
+    fs.writeFileSync(file('a.js'), 'v2');
+    // A second copy of a.js in the same turn keeps the first
+    expect(store.snapshot([file('a.js'), file('new.js')], { checkpoint: first })).to.equal(first);
+    fs.writeFileSync(file('a.js'), 'v2.1');
+    fs.writeFileSync(file('new.js'), 'new');
+
+    const second = store.snapshot([file('a.js')], { agent: 'Reviewer', label: 'make a v3' });
+    fs.writeFileSync(file('a.js'), 'v3');
+
+    expect(store.list().map(c => c.id)).to.deep.equal([second, first]);
+    expect(formatCheckpoint(store.get(first))).to.equal('#1  2026-10-19 14:03  Coder  2 files  make a v2');
+    expect(store.get(first).files.map(f => [f.path, f.blob === null])).to.deep.equal([['a.js', false], ['new.js', true]]);
+
+    const [undone] = store.undo();
+    expect(formatUndo(undone)).to.equal('Undid #2 (Reviewer): restored a.js');
+    expect(read('a.js')).to.equal('v2.1');
+
+    expect(store.undo(5).map(c => c.id)).to.deep.equal([first]);
+    expect(read('a.js')).to.equal('v1');
+    expect(fs.existsSync(file('new.js'))).to.be.false;
+    expect(store.list()).to.deep.equal([]);
+    expect(fs.readdirSync(path.join(store.dir, 'blobs'))).to.deep.equal([]);
+    expect(() => store.undo()).to.throw('No checkpoints to undo');
+  });
+
+  it('should diff against the saved copy and restore back to before a checkpoint', function() {
+    fs.writeFileSync(file('a.js'), 'one\ntwo\n');
+    const first = store.snapshot([file('a.js')], { label: 'edit' });
+    fs.writeFileSync(file('a.js'), 'one\n2\n');
+    store.snapshot([file('b.js')], { label: 'add b' });
+    fs.writeFileSync(file('b.js'), 'b\n');
+
+    expect(store.diff(first)).to.deep.equal([
+      { path: 'a.js', status: 'modified', diff: '@@ -1,2 +1,2 @@\n one\n-two\n+2' }
+    ]);
+    expect(store.restore(first).map(c => c.id)).to.deep.equal([2, 1]);
+    expect(read('a.js')).to.equal('one\ntwo\n');
+    expect(fs.existsSync(file('b.js'))).to.be.false;
+    expect(() => store.diff(first)).to.throw('No checkpoint #1');
+  });
+
+  it('should keep only the latest checkpoints', function() {
+    const small = new CheckpointStore({ projectRoot: project, root: path.join(dir, 'store'), keep: 2 });
+    for (const version of ['1', '2', '3']) {
+      fs.writeFileSync(file('a.js'), version);
+      small.snapshot([file('a.js')], { label: `v${version}` });
+    }
+    expect(small.list().map(c => c.label)).to.deep.equal(['v3', 'v2']);
+    expect(fs.readdirSync(path.join(small.dir, 'blobs'))).to.have.length(2);
+  });
+
+  it('should save what a turn\'s tools and its response files change to one checkpoint', async function() {
+    fs.writeFileSync(file('a.js'), 'const a = 1;\n');
+    const mockFixture = path.join(dir, 'fixture.json');
+    fs.writeFileSync(mockFixture, JSON.stringify({
+      responses: [
+        {
+          toolCalls: [
+            { name: 'edit', args: { filePath: 'a.js', oldString: '1', newString: '2' } },
+            { name: 'write', args: { filePath: 'b.js', content: 'b' } },
+            { name: 'write', args: { filePath: '../outside.js', content: 'no' } }
+          ]
+        },
+        { text: 'Done.\n\n```js:c.js\nconst c = 3;\n```' }
+      ]
+    }));
+    const api = new GrokAPI({ provider: 'mock', mockFixture, checkpoints: store });
+    const turn = await api.runPrompt('change a, add b and c', { model: 'mock', directory: project, stream: false, agentName: 'Coder' });
+    expect(turn.checkpoint).to.equal(1);
+
+    const writer = new ResponseFileWriter(project, { checkpoints: store });
+    expect(writer.processResponse(turn.text, project, { agent: 'Coder', checkpoint: turn.checkpoint })).to.deep.equal(['c.js']);
+    expect(writer.checkpoint).to.equal(1);
+
+    expect(store.list()).to.have.length(1);
+    expect(store.get(1)).to.include({ agent: 'Coder', label: 'change a, add b and c' });
+    expect(store.get(1).files.map(f => f.path)).to.deep.equal(['a.js', 'b.js', 'c.js']);
+
+    store.undo();
+    expect(read('a.js')).to.equal('const a = 1;\n');
+    expect(fs.readdirSync(project)).to.deep.equal(['a.js']);
+  });
+});
@@ -0,0 +1,66 @@
+import { expect } from 'chai';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const entry = fileURLToPath(new URL('../src/index.js', import.meta.url));
+
+describe('CLI', function() {
+  this.timeout(20000);
+
+  let home;
+
+  // A throwaway home directory so the commands never touch the real config
+  const gitforked = (...args) => execFileSync(process.execPath, [entry, ...args], {
+    env: { ...process.env, HOME: home },
+    timeout: 15000
+  }).toString();
+
+  beforeEach(function() {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'gitforked-cli-'));
+  });
+
+  afterEach(function() {
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  it('should add, select, list and remove an openai-compatible provider', function() {
+    expect(gitforked('provider', 'add', '-p', 'local', '-u', 'http://127.0.0.1:9/v1', '-m', 'm1,m2'))
+      .to.include('✅ Added openai-compatible provider local (http://127.0.0.1:9/v1)');
+    expect(gitforked('provider', 'list')).to.include('local openai-compatible → http://127.0.0.1:9/v1');
+
+    const selected = gitforked('provider', 'set', '-p', 'local');
+    expect(selected).to.include('✅ Provider set to local').and.to.include('✅ Model set to m1');
+
+    expect(gitforked('provider', 'remove', '-p', 'local')).to.include('✅ Removed provider local');
+    expect(gitforked('provider', 'list')).to.not.include('openai-compatible');
+  });
+
+  it('should set API keys and config values', function() {
+    expect(gitforked('apikey', 'set', '-p', 'groq', '-k', 'gsk-123456789')).to.include('✅ API key set for groq');
+    expect(gitforked('apikey', 'list')).to.include('groq: Set');
+
+    expect(gitforked('config', 'set', '-k', 'editor', '-v', 'vim')).to.include('✅ Set editor to vim');
+    expect(gitforked('config', 'get', '-k', 'editor')).to.include('editor: vim');
+  });
+
+  it('should set and show budget limits', function() {
+    expect(gitforked('budget', 'set', '--day', '5')).to.include('✅ Budget updated');
+    gitforked('budget', 'set', '--agent', '0.25', '-n', 'Reviewer');
+
+    // Today's spend from an earlier run, in the ledger next to config.json
+    const today = new Date();
+    const day = [today.getFullYear(), today.getMonth() + 1, today.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+    fs.writeFileSync(path.join(home, '.opengrok', 'spend.json'), JSON.stringify({
+      days: { [day]: 0.5 },
+      agents: { [day]: { r1: { name: 'Reviewer', spent: 0.2 }, d1: { name: 'Dev', spent: 0.3 } } }
+    }));
+
+    const shown = gitforked('budget', 'show');
+    expect(shown).to.match(/day\s+\$5\.00  \(\$0\.50 spent\)/);
+    expect(shown).to.match(/Reviewer\s+\$0\.25  \(\$0\.20 spent\)/);
+    expect(shown).to.match(/Dev\s+no limit  \(\$0\.30 spent\)/);
+  });
+});
@@ -0,0 +1,98 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GrokAPI } from '../lib/grok-api.js';
+import {
+  parseCompareArgs, runComparison, wordDiff, similarity, formatColumns, toMarkdown
+} from '../lib/compare.js';
+
+describe('Model comparison', function() {
+  let dir;
+  let mockFixture;
+
+  function script(responses) {
+    fs.writeFileSync(mockFixture, JSON.stringify({ responses }));
+  }
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitforked-compare-'));
+    mockFixture = path.join(dir, 'fixture.json');
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should split the models from the prompt', function() {
+    expect(parseCompareArgs('grok/grok-4 claude/claude-sonnet-4-5 -- explain -- flags in lib/retry.js')).to.deep.equal({
+      models: ['grok/grok-4', 'claude/claude-sonnet-4-5'],
+      prompt: 'explain -- flags in lib/retry.js'
+    });
+    expect(() => parseCompareArgs('grok/grok-4 claude/x')).to.throw('Usage: compare');
+    expect(() => parseCompareArgs('grok/grok-4 -- hi')).to.throw('at least two models');
+    expect(() => parseCompareArgs('grok/grok-4 nope/x -- hi')).to.throw('unknown provider nope');
+    expect(() => parseCompareArgs('grok/grok-4 claude/x --  ')).to.throw('prompt after -- is empty');
+  });
+
+  it('should diff answers word by word', function() {
+    const runs = wordDiff('Retries use exponential backoff.', 'Retries use capped exponential backoff with jitter.');
+    expect(runs).to.deep.equal([
+      { type: 'same', text: 'Retries use' },
+      { type: 'added', text: 'capped' },
+      { type: 'same', text: 'exponential' },
+      { type: 'removed', text: 'backoff.' },
+      { type: 'added', text: 'backoff with jitter.' }
+    ]);
+    expect(similarity(runs)).to.be.closeTo(6 / 11, 0.001);
+    expect(similarity(wordDiff('same words', 'same  words'))).to.equal(1);
+  });
+
+  it('should ask every model read-only and report latency, tokens and cost', async function() {
+    script([
+      { text: 'Retries use exponential backoff.', usage: { inputTokens: 120, outputTokens: 5 } },
+      { text: 'Retries use capped exponential backoff.', usage: { inputTokens: 120, outputTokens: 6 } },
+      { error: { status: 404, message: 'model not found' } }
+    ]);
+    const finished = [];
+    const results = await runComparison(['mock/fast', 'mock/smart', 'mock/gone'], 'how do retries work?', {
+      directory: dir,
+      apiOptions: { mockFixture },
+      onResult: result => finished.push(result.ref)
+    });
+
+    expect(results.map(r => r.ref)).to.deep.equal(['mock/fast', 'mock/smart', 'mock/gone']);
+    expect(finished).to.have.members(['mock/fast', 'mock/smart', 'mock/gone']);
+    expect(results[0]).to.include({ provider: 'mock', model: 'fast', text: 'Retries use exponential backoff.', cost: 0, error: null });
+    expect(results[0].usage).to.include({ inputTokens: 120, outputTokens: 5 });
+    expect(results[0].latencyMs).to.be.a('number');
+    expect(results[2].error.code).to.equal('model_not_found');
+
+    const columns = formatColumns(results, 80);
+    expect(columns[0]).to.match(/^mock\/fast\s+mock\/smart\s+mock\/gone$/);
+    expect(columns.every(line => line.length <= 80)).to.be.true;
+
+    const markdown = toMarkdown('how do retries work?', results);
+    expect(markdown).to.include('| mock/fast | ');
+    expect(markdown).to.include(' | 120 / 5 | $0.0000 | baseline |');
+    expect(markdown).to.include(' | 120 / 6 | $0.0000 | 89% |');
+    expect(markdown).to.include('| mock/gone | ');
+    expect(markdown).to.include('## Differences from mock/fast\n\n### mock/smart\n\nRetries use **capped** exponential backoff.');
+  });
+
+  it('should keep a read-only turn from changing files', async function() {
+    script([
+      { toolCalls: [{ name: 'write', args: { filePath: 'out.txt', content: 'nope' } }] },
+      { text: 'I could not write it.' }
+    ]);
+    const api = new GrokAPI({ provider: 'mock', mockFixture });
+    const turn = await api.runPrompt('write out.txt', { model: 'mock', directory: dir, stream: false, readOnly: true });
+
+    expect(api.client.requests[0].tools.map(t => t.function.name)).to.deep.equal([
+      'read', 'glob', 'grep', 'git_status', 'git_diff', 'git_log', 'git_show', 'git_blame'
+    ]);
+    expect(fs.existsSync(path.join(dir, 'out.txt'))).to.be.false;
+    expect(turn.toolCalls[0]).to.include({ name: 'write', success: false });
+    expect(turn.toolCalls[0].error.message).to.equal('write is not available in a read-only turn');
+  });
+});
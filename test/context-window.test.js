@@ -0,0 +1,267 @@
+import { expect } from 'chai';
+import { Readable } from 'stream';
+import {
+  SUMMARY_HEADER, DROPPED_TOOL_OUTPUT, estimateTokens, estimateMessages, needsCompaction, splitHistory,
+  compactMessages, pruneToolOutput
+} from '../lib/context-window.js';
+import { getProvider, OpenAICompatibleAdapter } from '../lib/providers/index.js';
+import { GrokAPI } from '../lib/grok-api.js';
+import { Agent } from '../lib/agent.js';
+import { TeamChannel } from '../lib/team-channel.js';
+import { TeamManager } from '../lib/team-manager.js';
+import { config } from '../config/config.js';
+
+function conversation(turns, size = 40) {
+  const messages = [];
+  for (let i = 1; i <= turns; i++) {
+    messages.push({ role: 'user', content: `question ${i} ` + 'q'.repeat(size) });
+    messages.push({ role: 'assistant', content: `answer ${i} ` + 'a'.repeat(size) });
+  }
+  return messages;
+}
+
+describe('Context window', function() {
+  describe('estimates', function() {
+    it('should estimate about four characters per token', function() {
+      expect(estimateTokens('abcdefgh')).to.equal(2);
+      expect(estimateTokens(null)).to.equal(0);
+      expect(estimateMessages([{ role: 'user', content: 'abcd' }, { role: 'model', parts: [{ text: 'x' }] }]))
+        .to.be.greaterThan(estimateTokens('abcd'));
+    });
+
+    it('should flag histories past the threshold', function() {
+      const messages = conversation(10, 400);
+      expect(needsCompaction(messages, 1000000)).to.be.false;
+      expect(needsCompaction(messages, 2000)).to.be.true;
+    });
+
+    it('should split on user turns', function() {
+      const { older, recent } = splitHistory(conversation(5), 2);
+      expect(older).to.have.length(6);
+      expect(recent[0].content).to.match(/^question 4/);
+    });
+  });
+
+  describe('compactMessages', function() {
+    it('should replace older turns with a summary and keep recent ones verbatim', async function() {
+      const messages = conversation(6);
+      messages[1].content += '\n\n---\nTokens: 10 (5 in, 5 out)\nCost: $0.000001';
+      let prompt;
+      const result = await compactMessages(messages, async (p) => { prompt = p; return ' They talked. '; });
+
+      expect(result.compacted).to.be.true;
+      expect(result.summarizedCount).to.equal(4);
+      expect(result.messages[0]).to.deep.equal({ role: 'user', content: `${SUMMARY_HEADER}\nThey talked.` });
+      expect(result.messages[1].role).to.equal('assistant');
+      expect(result.messages.slice(2)).to.deep.equal(messages.slice(4));
+      expect(prompt).to.include('User: question 1').and.include('Assistant: answer 2');
+      expect(prompt).to.not.include('Tokens:');
+      expect(messages).to.have.length(12);
+    });
+
+    it('should do nothing when every turn is recent', async function() {
+      const messages = conversation(2);
+      const result = await compactMessages(messages, async () => expect.fail('should not summarise'));
+      expect(result.compacted).to.be.false;
+      expect(result.messages).to.equal(messages);
+    });
+
+    it('should keep fewer recent turns when they are very long', async function() {
+      const messages = conversation(4, 4000);
+      const result = await compactMessages(messages, async () => 'short', { limit: 8000 });
+      expect(result.messages.slice(2)).to.deep.equal(messages.slice(6));
+    });
+  });
+
+  describe('pruneToolOutput', function() {
+    it('should blank older OpenAI tool results', function() {
+      const loop = [{ role: 'system', content: 'S' }, { role: 'user', content: 'go' }];
+      for (let round = 1; round <= 3; round++) {
+        loop.push({ role: 'assistant', content: null, tool_calls: [{ id: `a${round}` }, { id: `b${round}` }] });
+        loop.push({ role: 'tool', tool_call_id: `a${round}`, content: `out a${round}` });
+        loop.push({ role: 'tool', tool_call_id: `b${round}`, content: `out b${round}` });
+      }
+
+      expect(pruneToolOutput(loop, 2)).to.equal(2);
+      expect(loop[3].content).to.equal(DROPPED_TOOL_OUTPUT);
+      expect(loop[4]).to.include({ tool_call_id: 'b1', content: DROPPED_TOOL_OUTPUT });
+      expect(loop[6].content).to.equal('out a2');
+      expect(pruneToolOutput(loop, 2)).to.equal(0);
+    });
+
+    it('should blank older Claude and Gemini tool results', function() {
+      const claude = [
+        { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', content: 'old' }] },
+        { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't2', content: 'new' }] }
+      ];
+      pruneToolOutput(claude, 1);
+      expect(claude[0].content[0]).to.include({ tool_use_id: 't1', content: DROPPED_TOOL_OUTPUT });
+      expect(claude[1].content[0].content).to.equal('new');
+
+      const gemini = [
+        { role: 'user', parts: [{ functionResponse: { name: 'read', response: { content: 'old' } } }] },
+        { role: 'user', parts: [{ functionResponse: { name: 'read', response: { content: 'new' } } }] }
+      ];
+      pruneToolOutput(gemini, 1);
+      expect(gemini[0].parts[0].functionResponse).to.deep.equal({ name: 'read', response: { content: DROPPED_TOOL_OUTPUT } });
+      expect(gemini[1].parts[0].functionResponse.response.content).to.equal('new');
+    });
+  });
+
+  describe('per-model limits', function() {
+    let saved;
+
+    beforeEach(function() {
+      saved = config.config.contextWindows;
+    });
+
+    afterEach(function() {
+      // In-memory only: never write the user's config from tests
+      config.config.contextWindows = saved;
+    });
+
+    it('should know each provider window and let config override it', function() {
+      expect(getProvider('claude').contextLimit('claude-opus-4-6')).to.equal(200000);
+      expect(getProvider('groq').contextLimit('gemma2-9b-it')).to.equal(8192);
+      expect(getProvider('groq').contextLimit('llama-3.3-70b-versatile')).to.equal(131072);
+      expect(new OpenAICompatibleAdapter({ name: 'v', baseUrl: 'http://x', contextWindow: 32768 }).contextLimit('m'))
+        .to.equal(32768);
+
+      config.config.contextWindows = { 'gemma2-9b-it': 16384, 'ollama/qwen': 32768 };
+      expect(getProvider('groq').contextLimit('gemma2-9b-it')).to.equal(16384);
+      expect(getProvider('ollama').contextLimit('qwen')).to.equal(32768);
+    });
+
+    it('should drop stale tool output when a tool loop outgrows the window', async function() {
+      config.config.contextWindows = { tiny: 7000 };
+      const api = new GrokAPI({ provider: 'groq', apiKey: 'test' });
+      const sent = [];
+      let round = 0;
+      api.client = {
+        post: async (url, data) => {
+          sent.push(data.messages.filter(m => m.role === 'tool').map(m => m.content));
+          round++;
+          const delta = round < 4
+            ? { tool_calls: [{ index: 0, id: `call_${round}`, type: 'function', function: { name: 'bash', arguments: JSON.stringify({ command: 'printf "%04000d" 0' }) } }] }
+            : { content: 'done' };
+          return {
+            headers: {},
+            data: Readable.from([Buffer.from(`data: ${JSON.stringify({ choices: [{ delta, finish_reason: 'stop' }] })}\n\ndata: [DONE]\n\n`)])
+          };
+        }
+      };
+
+      const result = await api.processPrompt('hi', { model: 'tiny', directory: process.cwd() });
+      expect(result).to.equal('done');
+      expect(sent[3]).to.have.length(3);
+      expect(sent[3][0]).to.equal(DROPPED_TOOL_OUTPUT);
+      expect(sent[3][2]).to.match(/^0{4000}/);
+    });
+  });
+
+  describe('GrokAPI.compactHistory', function() {
+    it('should only summarise near the limit unless forced', async function() {
+      const api = new GrokAPI({ provider: 'groq', apiKey: 'test' });
+      const requests = [];
+      api.client = {
+        post: async (url, data) => {
+          requests.push({ url, data });
+          return { headers: {}, data: { choices: [{ message: { content: 'Summary text' } }] } };
+        }
+      };
+
+      const history = conversation(6);
+      const idle = await api.compactHistory(history, { model: 'llama-3.3-70b-versatile' });
+      expect(idle.compacted).to.be.false;
+      expect(requests).to.be.empty;
+
+      const forced = await api.compactHistory(history, { model: 'llama-3.3-70b-versatile', force: true });
+      expect(forced.compacted).to.be.true;
+      expect(forced.after).to.be.below(forced.before);
+      expect(forced.messages[0].content).to.equal(`${SUMMARY_HEADER}\nSummary text`);
+      expect(requests[0].url).to.equal('/chat/completions');
+      expect(requests[0].data).to.not.have.property('tools');
+      expect(requests[0].data.stream).to.be.false;
+    });
+
+    it('should summarise through the Claude messages API', async function() {
+      const api = new GrokAPI({ provider: 'claude', apiKey: 'test' });
+      api.client = {
+        post: async (url, data) => {
+          expect(url).to.equal('/messages');
+          expect(data.system).to.be.a('string');
+          return { headers: {}, data: { content: [{ type: 'text', text: 'Claude summary' }] } };
+        }
+      };
+      const result = await api.compactHistory(conversation(6), { model: 'claude-haiku-4-5-20251001', force: true });
+      expect(result.messages[0].content).to.include('Claude summary');
+    });
+  });
+
+  describe('agents and the team channel', function() {
+    it('should compact an agent history in place', async function() {
+      const agent = new Agent({ name: 'Bot', provider: 'groq', model: 'llama-3.3-70b-versatile' });
+      agent.init();
+      agent.messages = conversation(6);
+      agent.grokAPI.complete = async () => 'Agent summary';
+
+      const result = await agent.compact({ force: true });
+      expect(result.compacted).to.be.true;
+      expect(agent.messages).to.have.length(10);
+      expect(agent.messages[0].content).to.include('Agent summary');
+    });
+
+    it('should fit earlier teammate responses into the budget and keep the current round', function() {
+      const channel = new TeamChannel(new TeamManager());
+      const agent = { name: 'Dev', role: 'Developer', model: 'm', grokAPI: { contextLimit: () => 2000 } };
+      const push = (agentName, content) => channel.sharedMessages.push({
+        agentId: agentName ? agentName.toLowerCase() : null, agentName, role: 'Role', content
+      });
+
+      push(null, 'first request');
+      push('Old', 'o'.repeat(6000));
+      push(null, 'second request');
+      push('Planner', 'Current plan');
+
+      const prompt = channel.buildContextPrompt('second request', agent);
+      expect(prompt).to.include('Current plan');
+      expect(prompt).to.not.include('ooooo');
+      expect(prompt).to.include('1 earlier response(s) omitted');
+    });
+
+    it('should cut down a current round that alone is over the budget', function() {
+      const channel = new TeamChannel(new TeamManager());
+      const agent = { name: 'Tester', role: 'QA', model: 'm', grokAPI: { contextLimit: () => 2000 } };
+      channel.sharedMessages = [
+        { agentId: null, agentName: null, role: 'user', content: 'build it' },
+        { agentId: 'p', agentName: 'Planner', role: 'Planner', content: 'PLAN ' + 'p'.repeat(6000) },
+        { agentId: 'd', agentName: 'Dev', role: 'Developer', content: 'Wrote app.js and its tests.' }
+      ];
+
+      // 1000 tokens for the teammates: the newest reply whole, the plan cut
+      const prompt = channel.buildContextPrompt('build it', agent);
+      expect(prompt).to.include('Wrote app.js and its tests.');
+      expect(prompt).to.include('--- Planner (Planner) ---\nPLAN ppp');
+      expect(prompt).to.match(/\[\.\.\. \d+ more characters cut to fit the context window\]/);
+      expect(prompt.length).to.be.below(1000 * 4 + 1000);
+      expect(channel.sharedMessages[1].content).to.have.length(6005);
+    });
+
+    it('should summarise earlier rounds of the team channel', async function() {
+      const channel = new TeamChannel(new TeamManager());
+      const agent = { name: 'Dev', role: 'Developer', model: 'm', grokAPI: { contextLimit: () => 100000, complete: async () => 'Round one agreed on X.' } };
+      channel.sharedMessages = [
+        { agentId: null, agentName: null, role: 'user', content: 'round one' },
+        { agentId: 'a', agentName: 'A', role: 'Planner', content: 'X it is' },
+        { agentId: null, agentName: null, role: 'user', content: 'round two' }
+      ];
+
+      const result = await channel.compact(agent);
+      expect(result).to.deep.equal({ compacted: true, summarizedCount: 2 });
+      expect(channel.sharedMessages).to.have.length(1);
+
+      const prompt = channel.buildContextPrompt('round two', agent);
+      expect(prompt).to.include('== EARLIER DISCUSSION (summary) ==\nRound one agreed on X.');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GrokAPI } from '../lib/grok-api.js';
+import { compactDiff } from '../lib/patch.js';
+
+describe('edit tool', function() {
+  let dir;
+  let api;
+  let file;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitforked-edit-'));
+    file = path.join(dir, 'price.js');
+    fs.writeFileSync(file, 'const a = 1;\nconst price = 5;\nconst b = 2;\nconst price2 = 5;\n');
+    api = new GrokAPI({ directory: dir });
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should refuse edits that match nothing or more than one place, or lack a replacement', async function() {
+    const before = fs.readFileSync(file, 'utf8');
+    try {
+      await api.executeEdit(file, 'const missing = 0;', 'x');
+      expect.fail('should have thrown');
+    } catch (error) {
+      expect(error.message).to.include('oldString was not found in');
+    }
+    try {
+      await api.executeEdit(file, '= 5;', '= 6;');
+      expect.fail('should have thrown');
+    } catch (error) {
+      expect(error.message).to.include('oldString matches 2 places');
+    }
+    try {
+      await api.executeEdit(file, 'const a = 1;', undefined);
+      expect.fail('should have thrown');
+    } catch (error) {
+      expect(error.message).to.include('newString is missing');
+    }
+    expect(fs.readFileSync(file, 'utf8')).to.equal(before);
+  });
+
+  it('should report replacements with a diff and insert "$" literally', async function() {
+    const result = await api.executeEdit(file, 'price = 5;', 'price = "$&5";');
+    expect(fs.readFileSync(file, 'utf8')).to.include('const price = "$&5";\n');
+    expect(result).to.equal([
+      `Edited ${file}: 1 replacement`,
+      '@@ -1,4 +1,4 @@',
+      ' const a = 1;',
+      '-const price = 5;',
+      '+const price = "$&5";',
+      ' const b = 2;',
+      ' const price2 = 5;'
+    ].join('\n'));
+
+    const all = await api.executeEdit(file, 'const', 'let', true);
+    expect(all.split('\n')[0]).to.equal(`Edited ${file}: 4 replacements`);
+  });
+
+  it('should keep distant changes in separate hunks', function() {
+    const before = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+    const after = before.replace('line 2\n', 'line two\n').replace('line 18\n', 'line eighteen\n');
+    expect(compactDiff(before, after, { context: 1 })).to.equal([
+      '@@ -1,3 +1,3 @@',
+      ' line 1',
+      '-line 2',
+      '+line two',
+      ' line 3',
+      '@@ -17,3 +17,3 @@',
+      ' line 17',
+      '-line 18',
+      '+line eighteen',
+      ' line 19'
+    ].join('\n'));
+    expect(compactDiff(before, before)).to.equal('');
+  });
+});
@@ -0,0 +1,145 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { getProvider } from '../lib/providers/index.js';
+import { GrokAPI } from '../lib/grok-api.js';
+import { budgetError } from '../lib/budget.js';
+import {
+  GitforkedError, AuthError, RateLimitError, ContextLengthError, ModelNotFoundError,
+  NetworkError, CancelledError, BudgetExceededError, ProviderError, classifyError
+} from '../lib/errors.js';
+
+// An axios-style HTTP failure
+function httpError(status, message, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data: { error: { message } } };
+  return error;
+}
+
+describe('Error taxonomy', function() {
+  let dir;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitforked-errors-'));
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should type provider failures with a fix for each', function() {
+    const claude = getProvider('claude');
+    const auth = classifyError(httpError(401, 'invalid x-api-key'), { adapter: claude });
+    expect(auth).to.be.instanceOf(AuthError);
+    expect(auth).to.include({ code: 'auth', provider: 'claude', status: 401, retryable: false });
+    expect(auth.hint).to.equal('Run: gitforked apikey set -p claude');
+
+    const limited = classifyError(httpError(429, 'Slow down', { 'retry-after': '12' }), { adapter: claude });
+    expect(limited).to.be.instanceOf(RateLimitError);
+    expect(limited).to.include({ retryable: true, retryAfterMs: 12000 });
+    expect(limited.hint).to.match(/wait 12s/);
+
+    const tooLong = classifyError(httpError(400, 'prompt is too long: 210000 tokens > 200000 maximum'), { adapter: claude, model: 'claude-sonnet-4-5' });
+    expect(tooLong).to.be.instanceOf(ContextLengthError);
+    expect(tooLong.hint).to.match(/\/compact/);
+
+    const ollama = getProvider('ollama');
+    const missing = classifyError(httpError(404, 'model "llama9" not found, try pulling it first'), { adapter: ollama, model: 'llama9' });
+    expect(missing).to.be.instanceOf(ModelNotFoundError);
+    expect(missing.hint).to.equal('Run: ollama pull llama9');
+    expect(classifyError(httpError(404, 'Not found'), { adapter: getProvider('groq'), model: 'old' }).hint)
+      .to.match(/gitforked model list -p groq --refresh/);
+
+    const refused = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:11434'), { code: 'ECONNREFUSED' });
+    const offline = classifyError(refused, { adapter: ollama });
+    expect(offline).to.be.instanceOf(NetworkError);
+    expect(offline).to.include({ retryable: true, hint: 'Start Ollama with: ollama serve (or set ollamaBaseUrl in the config)' });
+
+    const overloaded = classifyError(httpError(503, 'Overloaded'), { adapter: claude });
+    expect(overloaded).to.be.instanceOf(ProviderError);
+    expect(overloaded).to.include({ message: 'API Error: Request failed with status code 503', retryable: true, hint: null });
+
+    const aborted = Object.assign(new Error('canceled'), { name: 'CanceledError' });
+    expect(classifyError(aborted)).to.be.instanceOf(CancelledError);
+    expect(classifyError(auth)).to.equal(auth);
+    expect(JSON.parse(JSON.stringify(auth))).to.include({ name: 'AuthError', code: 'auth', status: 401 });
+  });
+
+  it('should throw typed errors from runPrompt', async function() {
+    const mockFixture = path.join(dir, 'fixture.json');
+    fs.writeFileSync(mockFixture, JSON.stringify({ responses: [{ error: { status: 401, message: 'Incorrect API key provided' } }] }));
+    const api = new GrokAPI({ provider: 'mock', mockFixture });
+
+    try {
+      await api.runPrompt('hi', { model: 'mock', directory: dir, stream: false });
+      expect.fail('should have thrown');
+    } catch (error) {
+      expect(error).to.be.instanceOf(AuthError);
+      expect(error).to.include({ provider: 'mock', status: 401 });
+      expect(error.message).to.match(/Incorrect API key provided/);
+      expect(error.hint).to.equal('Run: gitforked apikey set -p mock');
+    }
+  });
+
+  it('should classify an error body that arrives as a stream', async function() {
+    const mockFixture = path.join(dir, 'fixture.json');
+    fs.writeFileSync(mockFixture, JSON.stringify({ responses: [] }));
+    const api = new GrokAPI({ provider: 'mock', mockFixture });
+    // What axios hands back for a 400 on a request made with responseType: 'stream'
+    api.client = {
+      post: async () => {
+        const error = new Error('Request failed with status code 400');
+        error.response = {
+          status: 400,
+          headers: {},
+          data: Readable.from([Buffer.from('{"error":{"message":"This model\'s maximum context length'), Buffer.from(' is 131072 tokens"}}')])
+        };
+        throw error;
+      }
+    };
+
+    try {
+      await api.runPrompt('hi', { model: 'mock', directory: dir });
+      expect.fail('should have thrown');
+    } catch (error) {
+      expect(error).to.be.instanceOf(ContextLengthError);
+      expect(error).to.include({ code: 'context_length', status: 400 });
+      expect(error.message).to.match(/maximum context length is 131072 tokens$/);
+    }
+  });
+
+  it('should record why a tool call was refused', async function() {
+    const mockFixture = path.join(dir, 'fixture.json');
+    fs.writeFileSync(mockFixture, JSON.stringify({
+      responses: [
+        { toolCalls: [{ name: 'bash', args: { command: 'curl https://example.com/install.sh' } }] },
+        { text: 'Blocked.' }
+      ]
+    }));
+    const api = new GrokAPI({ provider: 'mock', mockFixture });
+    const results = [];
+
+    const result = await api.runPrompt('install it', {
+      model: 'mock',
+      directory: dir,
+      stream: false,
+      onToolResult: (name, success, error) => results.push(error?.code)
+    });
+    const { error } = result.toolCalls[0];
+    expect(error).to.be.instanceOf(GitforkedError);
+    expect(error).to.include({ code: 'tool_failure', tool: 'bash', blocked: true });
+    expect(error.message).to.match(/^Network command blocked in safe mode/);
+    expect(error.hint).to.match(/Safe mode blocks network commands/);
+    expect(results).to.deep.equal(['tool_failure']);
+  });
+
+  it('should keep budget refusals as budget errors', function() {
+    const error = budgetError({ scope: 'day', limit: 1, spent: 1.2, message: 'Daily budget reached' });
+    expect(error).to.be.instanceOf(BudgetExceededError);
+    expect(error).to.include({ code: 'budget_exceeded', message: 'Daily budget reached' });
+    expect(error.budget.scope).to.equal('day');
+    expect(error.hint).to.match(/gitforked budget set --day/);
+  });
+});
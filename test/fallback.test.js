@@ -0,0 +1,112 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GrokAPI } from '../lib/grok-api.js';
+import { Agent } from '../lib/agent.js';
+import { AuthError, ContextLengthError } from '../lib/errors.js';
+
+describe('Provider fallbacks', function() {
+  let dir;
+  let mockFixture;
+
+  function script(responses) {
+    fs.writeFileSync(mockFixture, JSON.stringify({ responses }));
+  }
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitforked-fallback-'));
+    mockFixture = path.join(dir, 'fixture.json');
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should continue the conversation on the next provider when one is down', async function() {
+    script([{ text: 'Answered by the backup.' }]);
+    const api = new GrokAPI({ provider: 'claude', apiKey: 'sk-test', mockFixture, fallbacks: ['mock/mock-backup'], retry: { retries: 0 }, checkpoints: false });
+    api.client.post = async () => {
+      throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    };
+    const events = [];
+    const messages = [
+      { role: 'user', content: 'What is in lib/?' },
+      { role: 'assistant', content: 'The modules.' },
+      { role: 'user', content: 'And in test/?' }
+    ];
+
+    const turn = await api.runPrompt('And in test/?', {
+      model: 'claude-sonnet-4-5', directory: dir, stream: false, messages, onFallback: e => events.push(e)
+    });
+    expect(turn.text).to.equal('Answered by the backup.');
+    expect(turn).to.include({ provider: 'mock', model: 'mock-backup' });
+    expect(events).to.have.length(1);
+    expect(events[0]).to.include({ from: 'claude/claude-sonnet-4-5', to: 'mock/mock-backup', code: 'network' });
+    expect(turn.fallbacks).to.deep.equal(events);
+    expect(turn.rounds[0]).to.include({ provider: 'mock', model: 'mock-backup' });
+    expect(turn.formatUsage()).to.match(/\nFell back: claude\/claude-sonnet-4-5 → mock\/mock-backup$/);
+
+    // The history went over in the backup's wire format, the key did not
+    const backup = api._apiFor('mock');
+    expect(backup.apiKey).to.equal(null);
+    expect(backup.client.requests[0].messages.filter(m => m.role !== 'system').map(m => m.content))
+      .to.deep.equal(['What is in lib/?', 'The modules.', 'And in test/?']);
+  });
+
+  it('should keep what a failed attempt already did', async function() {
+    script([
+      { toolCalls: [{ name: 'write', args: { filePath: 'plan.md', content: '# Plan' } }], usage: { inputTokens: 300, outputTokens: 20 } },
+      { error: { status: 400, message: 'Malformed tool state' } },
+      { when: 'already ran', text: 'Plan written.' }
+    ]);
+    const api = new GrokAPI({ provider: 'mock', mockFixture, fallbacks: ['mock/mock-backup'], checkpoints: false });
+    const messages = [{ role: 'user', content: 'write the plan' }];
+
+    const turn = await api.runPrompt('write the plan', { model: 'mock', directory: dir, stream: false, messages });
+    expect(turn.text).to.equal('Plan written.');
+    expect(fs.readFileSync(path.join(dir, 'plan.md'), 'utf8')).to.equal('# Plan');
+    expect(turn.toolCalls.map(c => [c.name, c.round])).to.deep.equal([['write', 1]]);
+    expect(turn.filesTouched).to.deep.equal([path.join(dir, 'plan.md')]);
+    expect(turn.rounds.map(r => r.model)).to.deep.equal(['mock', 'mock-backup']);
+    expect(turn.usage.inputTokens).to.be.at.least(300);
+
+    const retried = api.client.requests[2].messages.filter(m => m.role === 'user');
+    expect(retried).to.have.length(1);
+    expect(retried[0].content).to.match(/^write the plan\n\n\[mock\/mock stopped partway through this request \(provider\)/);
+    expect(retried[0].content).to.include('- write {"filePath":"plan.md","content":"# Plan"}');
+  });
+
+  it('should stop on failures another provider would not fix, or at the end of the chain', async function() {
+    script([{ error: { status: 413, message: 'Request too large' } }]);
+    const api = new GrokAPI({ provider: 'mock', mockFixture, fallbacks: ['mock/mock-backup'], checkpoints: false });
+    try {
+      await api.runPrompt('summarise everything', { model: 'mock', directory: dir, stream: false });
+      expect.fail('should have thrown');
+    } catch (error) {
+      expect(error).to.be.instanceOf(ContextLengthError);
+    }
+    expect(api.client.requests).to.have.length(1);
+
+    script([
+      { error: { status: 401, message: 'Bad key' } },
+      { error: { status: 401, message: 'Bad key' } }
+    ]);
+    const events = [];
+    const chained = new GrokAPI({ provider: 'mock', mockFixture, fallbacks: ['mock/mock-backup'], checkpoints: false });
+    try {
+      await chained.runPrompt('hi', { model: 'mock', directory: dir, stream: false, onFallback: e => events.push(e) });
+      expect.fail('should have thrown');
+    } catch (error) {
+      expect(error).to.be.instanceOf(AuthError);
+    }
+    expect(events.map(e => e.to)).to.deep.equal(['mock/mock-backup']);
+  });
+
+  it('should save an agent\'s fallbacks with the team', function() {
+    const agent = new Agent({ name: 'Coder', provider: 'grok', model: 'grok-4', fallbacks: ['claude/claude-sonnet-4-5'] }).init();
+    expect(agent.grokAPI._options.fallbacks).to.deep.equal(['claude/claude-sonnet-4-5']);
+    expect(Agent.fromJSON(agent.toJSON()).fallbacks).to.deep.equal(['claude/claude-sonnet-4-5']);
+    expect(new Agent({ name: 'Plain' }).init().grokAPI._options).to.not.have.property('fallbacks');
+  });
+});
@@ -0,0 +1,137 @@
+import { expect } from 'chai';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GrokAPI } from '../lib/grok-api.js';
+import { runGitTool, describeGitTool } from '../lib/git-inspect.js';
+
+describe('Git tools', function() {
+  let dir;
+
+  const git = (...args) => execFileSync('git', args, {
+    cwd: dir,
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'Ada', GIT_AUTHOR_EMAIL: 'ada@example.com', GIT_AUTHOR_DATE: '2026-01-02T03:04:05Z',
+      GIT_COMMITTER_NAME: 'Ada', GIT_COMMITTER_EMAIL: 'ada@example.com', GIT_COMMITTER_DATE: '2026-01-02T03:04:05Z'
+    }
+  }).toString();
+  const write = (name, content) => fs.writeFileSync(path.join(dir, name), content);
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitforked-git-'));
+    git('init', '-q', '-b', 'main');
+    write('a.js', 'const a = 1;\nconst b = 2;\n');
+    git('add', 'a.js');
+    git('commit', '-q', '-m', 'Add a.js', '-m', 'With two constants.');
+    write('a.js', 'const a = 1;\nconst b = 3;\n');
+    git('commit', '-q', '-am', 'Bump b');
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should report status and diffs as structured output', async function() {
+    write('a.js', 'const a = 10;\nconst b = 3;\n');
+    write('new.js', 'x');
+    write('staged.js', 'y');
+    git('add', 'staged.js');
+
+    const status = await runGitTool('git_status', {}, { cwd: dir });
+    expect(status).to.deep.include({
+      branch: 'main',
+      upstream: null,
+      staged: [{ path: 'staged.js', status: 'added' }],
+      unstaged: [{ path: 'a.js', status: 'modified' }],
+      untracked: ['new.js'],
+      clean: false
+    });
+
+    git('mv', 'a.js', 'moved.js');
+    const renamed = await runGitTool('git_status', {}, { cwd: dir });
+    expect(renamed.staged).to.deep.include({ path: 'moved.js', status: 'renamed', from: 'a.js' });
+    git('mv', 'moved.js', 'a.js');
+
+    const unstaged = await runGitTool('git_diff', {}, { cwd: dir });
+    expect(unstaged.files).to.deep.equal([{ path: 'a.js', additions: 1, deletions: 1 }]);
+    expect(unstaged.patch).to.include('-const a = 1;\n+const a = 10;');
+    expect(unstaged.truncated).to.be.false;
+
+    const staged = await runGitTool('git_diff', { staged: true }, { cwd: dir });
+    expect(staged.files.map(f => f.path)).to.deep.equal(['staged.js']);
+
+    const between = await runGitTool('git_diff', { from: 'HEAD~1', to: 'HEAD', context: 0 }, { cwd: dir });
+    expect(between.comparing).to.equal('HEAD~1..HEAD');
+    expect(between.patch).to.match(/@@ -2 \+2 @@.*\n-const b = 2;\n\+const b = 3;/);
+  });
+
+  it('should list, show and blame commits', async function() {
+    write('b.js', 'b\n');
+    git('add', 'b.js');
+    git('commit', '-q', '-m', 'Add b.js');
+
+    const log = await runGitTool('git_log', { path: 'a.js' }, { cwd: dir });
+    expect(log.commits.map(c => [c.author, c.subject])).to.deep.equal([['Ada', 'Bump b'], ['Ada', 'Add a.js']]);
+    expect(log.commits[0].hash).to.have.length(12);
+    expect(log.more).to.be.false;
+    expect((await runGitTool('git_log', { limit: 1 }, { cwd: dir })).more).to.be.true;
+
+    const show = await runGitTool('git_show', { ref: 'HEAD~2' }, { cwd: dir });
+    expect(show).to.include({ author: 'Ada', message: 'Add a.js\n\nWith two constants.' });
+    expect(show.files).to.deep.equal([{ path: 'a.js', additions: 2, deletions: 0 }]);
+
+    const blame = await runGitTool('git_blame', { path: 'a.js', startLine: 2 }, { cwd: dir });
+    expect(blame.lines).to.have.length(1);
+    expect(blame.lines[0]).to.include({ line: 2, author: 'Ada', summary: 'Bump b', text: 'const b = 3;', date: '2026-01-02T03:04:05.000Z' });
+  });
+
+  it('should refuse refs that git would read as options', async function() {
+    for (const ref of ['--output=/tmp/x', '-p', 'HEAD;rm -rf .', '$(id)']) {
+      try {
+        await runGitTool('git_show', { ref }, { cwd: dir });
+        expect.fail(`should have refused ${ref}`);
+      } catch (error) {
+        expect(error.message).to.match(/^Invalid ref/);
+      }
+    }
+    try {
+      await runGitTool('git_show', { ref: 'no-such-branch' }, { cwd: dir });
+      expect.fail('should have thrown');
+    } catch (error) {
+      expect(error.message).to.match(/^git show failed: /);
+    }
+    expect(describeGitTool('git_diff', { staged: true, path: 'a.js' })).to.equal('git diff --staged a.js');
+  });
+
+  it('should give the model the tools in read-only and plan turns, behind the sandbox', async function() {
+    write('a.js', 'changed\n');
+    const mockFixture = path.join(os.tmpdir(), `gitforked-git-fixture-${process.pid}.json`);
+    fs.writeFileSync(mockFixture, JSON.stringify({
+      responses: [
+        {
+          toolCalls: [
+            { name: 'git_diff', args: { path: 'a.js' } },
+            { name: 'git_log', args: { path: '../elsewhere' } }
+          ]
+        },
+        { text: 'a.js was rewritten.' }
+      ]
+    }));
+    try {
+      const api = new GrokAPI({ provider: 'mock', mockFixture });
+      const turn = await api.runPrompt('what changed?', { model: 'mock', directory: dir, stream: false, mode: 'plan', readOnly: true });
+
+      const offered = api.client.requests[0].tools.map(t => t.function.name);
+      expect(offered).to.include.members(['git_status', 'git_diff', 'git_log', 'git_show', 'git_blame']);
+      expect(turn.toolCalls.map(c => [c.name, c.success])).to.deep.equal([['git_diff', true], ['git_log', false]]);
+      expect(turn.toolCalls[1].error).to.include({ blocked: true });
+
+      const toolResult = api.client.requests[1].messages.find(m => m.role === 'tool');
+      expect(JSON.parse(toolResult.content).files).to.deep.equal([{ path: 'a.js', additions: 1, deletions: 2 }]);
+    } finally {
+      fs.rmSync(mockFixture, { force: true });
+    }
+  });
+});
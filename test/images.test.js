@@ -0,0 +1,110 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadImage, describeImage } from '../lib/images.js';
+import { ToolSandbox } from '../lib/tool-sandbox.js';
+import { GrokAPI } from '../lib/grok-api.js';
+import { PendingImages } from '../ui/utils/pending-images.js';
+import { config } from '../config/config.js';
+
+// Smallest valid PNG header; the loader only sniffs the first bytes
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+function capture(api, data) {
+  const requests = [];
+  // Copy the body: the loop keeps appending to the same message array
+  api.client = { post: async (url, body) => { requests.push(structuredClone(body)); return { headers: {}, data }; } };
+  return requests;
+}
+
+describe('Image attachments', function() {
+  let dir;
+  let saved;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitforked-images-'));
+    fs.writeFileSync(path.join(dir, 'shot.png'), PNG);
+    saved = config.config.vision;
+  });
+
+  afterEach(function() {
+    // In-memory only: never write the user's config from tests
+    config.config.vision = saved;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should load an image inside the project as base64', function() {
+    const image = loadImage('shot.png', new ToolSandbox({ projectRoot: dir }));
+    expect(image).to.include({ name: 'shot.png', mediaType: 'image/png', size: PNG.length, data: PNG.toString('base64') });
+    expect(describeImage(image)).to.equal('shot.png, 1 KB');
+  });
+
+  it('should refuse paths outside the project, oversize files and non-images', function() {
+    const sandbox = new ToolSandbox({ projectRoot: dir, maxImageSize: 8 });
+    expect(() => loadImage(path.join(os.tmpdir(), 'elsewhere.png'), sandbox)).to.throw(/outside/i);
+    expect(() => loadImage('shot.png', sandbox)).to.throw(/too large/i);
+
+    fs.writeFileSync(path.join(dir, 'fake.png'), 'not a png');
+    expect(() => loadImage('fake.png', new ToolSandbox({ projectRoot: dir }))).to.throw('Not a PNG, JPEG, GIF or WebP image');
+    expect(() => loadImage('notes.txt', new ToolSandbox({ projectRoot: dir }))).to.throw(/\.txt/);
+  });
+
+  it('should send images as data URLs to OpenAI-format providers', async function() {
+    const api = new GrokAPI({ provider: 'grok', apiKey: 'test' });
+    const requests = capture(api, { choices: [{ message: { role: 'assistant', content: 'A chart.' }, finish_reason: 'stop' }] });
+
+    await api.runPrompt('what is this?', { model: 'grok-4-1-fast-reasoning', directory: dir, stream: false, images: ['shot.png'] });
+    const user = requests[0].messages.at(-1);
+    expect(user.content).to.deep.equal([
+      { type: 'text', text: 'what is this?' },
+      { type: 'image_url', image_url: { url: `data:image/png;base64,${PNG.toString('base64')}` } }
+    ]);
+  });
+
+  it('should send base64 image blocks to Claude and inline data to Gemini', async function() {
+    const claude = new GrokAPI({ provider: 'claude', apiKey: 'test' });
+    const claudeRequests = capture(claude, { content: [{ type: 'text', text: 'ok' }], stop_reason: 'end_turn', usage: { input_tokens: 1, output_tokens: 1 } });
+    await claude.runPrompt('look', { model: 'claude-haiku-4-5-20251001', directory: dir, stream: false, images: ['shot.png'] });
+    const blocks = claudeRequests[0].messages.at(-1).content;
+    expect(blocks[0]).to.deep.equal({ type: 'image', source: { type: 'base64', media_type: 'image/png', data: PNG.toString('base64') } });
+    expect(blocks[1]).to.include({ type: 'text', text: 'look' });
+
+    const gemini = new GrokAPI({ provider: 'gemini', apiKey: 'test' });
+    const geminiRequests = capture(gemini, { candidates: [{ content: { parts: [{ text: 'ok' }] }, finishReason: 'STOP' }] });
+    await gemini.runPrompt('look', { model: 'gemini-2.0-flash', directory: dir, stream: false, images: ['shot.png'] });
+    expect(geminiRequests[0].contents.at(-1).parts).to.deep.equal([
+      { inlineData: { mimeType: 'image/png', data: PNG.toString('base64') } },
+      { text: 'look' }
+    ]);
+  });
+
+  it('should refuse images for a model without vision', async function() {
+    const api = new GrokAPI({ provider: 'groq', apiKey: 'test' });
+    api.client = { post: async () => expect.fail('should not call the provider') };
+
+    try {
+      await api.runPrompt('look', { model: 'llama-3.1-8b-instant', directory: dir, images: [path.join(dir, 'shot.png')] });
+      expect.fail('should have thrown');
+    } catch (error) {
+      expect(error.message).to.match(/^Groq model llama-3\.1-8b-instant does not accept images\. Switch to a vision provider such as claude or gemini/);
+    }
+
+    // config "vision" can vouch for a model the built-in list doesn't know
+    config.config.vision = { 'groq/llama-3.1-8b-instant': true };
+    expect(api.adapter.supportsVision('llama-3.1-8b-instant')).to.be.true;
+  });
+
+  it('should keep attachments from a turn that failed for the next message', function() {
+    fs.writeFileSync(path.join(dir, 'later.png'), PNG);
+    const pending = new PendingImages();
+    pending.command(['shot.png'], dir);
+
+    const sent = pending.take();
+    expect(pending.length).to.equal(0);
+    pending.command(['later.png'], dir);
+    expect(pending.restore(sent)).to.equal('1 image(s) still attached — sent with your next message');
+    expect(pending.take().map(image => image.name)).to.deep.equal(['shot.png', 'later.png']);
+    expect(pending.restore([])).to.be.null;
+  });
+});
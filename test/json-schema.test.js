@@ -0,0 +1,143 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { validateJSON, extractJSON, loadSchema } from '../lib/json-schema.js';
+import { GrokAPI } from '../lib/grok-api.js';
+
+const FINDINGS = {
+  title: 'findings',
+  type: 'object',
+  required: ['findings'],
+  additionalProperties: false,
+  properties: {
+    findings: {
+      type: 'array',
+      items: { $ref: '#/$defs/finding' }
+    }
+  },
+  $defs: {
+    finding: {
+      type: 'object',
+      required: ['file', 'line', 'severity'],
+      properties: {
+        file: { type: 'string', minLength: 1 },
+        line: { type: 'integer', minimum: 1 },
+        severity: { enum: ['low', 'medium', 'high'] }
+      }
+    }
+  }
+};
+
+const VALID = { findings: [{ file: 'a.js', line: 3, severity: 'high' }] };
+
+function scripted(api, replies) {
+  const requests = [];
+  api.client = {
+    post: async (url, body) => {
+      requests.push({ url, body: structuredClone(body) });
+      return { headers: {}, data: replies.shift() };
+    }
+  };
+  return requests;
+}
+
+function claudeReply(text) {
+  return { content: [{ type: 'text', text }], stop_reason: 'end_turn', usage: { input_tokens: 10, output_tokens: 5 } };
+}
+
+describe('Structured output', function() {
+  let dir;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitforked-json-'));
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('validation', function() {
+    it('should accept a matching value and name each mismatch', function() {
+      expect(validateJSON(VALID, FINDINGS)).to.deep.equal([]);
+      expect(validateJSON({ findings: [{ file: '', line: '3', severity: 'urgent' }], extra: 1 }, FINDINGS)).to.deep.equal([
+        '$.findings[0].file: shorter than 1 characters',
+        '$.findings[0].line: expected integer, got string',
+        '$.findings[0].severity: must be one of "low", "medium", "high"',
+        '$: unexpected property "extra"'
+      ]);
+      expect(validateJSON([], FINDINGS)).to.deep.equal(['$: expected object, got array']);
+    });
+
+    it('should find the JSON in a chatty reply', function() {
+      expect(extractJSON('{"a": 1}')).to.deep.equal({ a: 1 });
+      expect(extractJSON('Here you go:\n```json\n{"a": [1, 2]}\n```\nDone.')).to.deep.equal({ a: [1, 2] });
+      expect(extractJSON('Found these: [{"a": 1}] — that is all')).to.deep.equal([{ a: 1 }]);
+      expect(extractJSON('no json here')).to.be.undefined;
+    });
+
+    it('should reject a schema file that is not a JSON object', function() {
+      const file = path.join(dir, 'schema.json');
+      fs.writeFileSync(file, '[1]');
+      expect(() => loadSchema(file)).to.throw('must be an object');
+      expect(() => loadSchema(path.join(dir, 'none.json'))).to.throw('Cannot read JSON Schema');
+    });
+  });
+
+  describe('GrokAPI', function() {
+    it('should use native json_schema mode and return the parsed answer', async function() {
+      const api = new GrokAPI({ provider: 'grok', apiKey: 'test' });
+      const requests = scripted(api, [
+        { choices: [{ message: { role: 'assistant', content: JSON.stringify(VALID) }, finish_reason: 'stop' }] }
+      ]);
+
+      const answer = await api.processPrompt('review a.js', { model: 'grok-4-1-fast-reasoning', directory: dir, stream: false, jsonSchema: FINDINGS });
+      expect(answer).to.deep.equal(VALID);
+      expect(requests[0].body.response_format).to.deep.equal({ type: 'json_schema', json_schema: { name: 'findings', schema: FINDINGS } });
+      expect(requests[0].body.messages.at(-1).content).to.include('matches this JSON Schema');
+    });
+
+    it('should re-ask without tools until the reply validates', async function() {
+      const api = new GrokAPI({ provider: 'claude', apiKey: 'test' });
+      const requests = scripted(api, [
+        claudeReply('Sure! The main issue is on line three.'),
+        claudeReply(JSON.stringify(VALID))
+      ]);
+
+      const result = await api.runPrompt('review a.js', { model: 'claude-haiku-4-5-20251001', directory: dir, stream: false, jsonSchema: FINDINGS });
+      expect(result.json).to.deep.equal(VALID);
+      expect(result.jsonRetries).to.equal(1);
+      expect(result.jsonErrors).to.deep.equal([]);
+      expect(result.text).to.equal(JSON.stringify(VALID));
+      expect(result.rounds).to.have.length(2);
+
+      expect(requests[1].body).to.not.have.property('tools');
+      expect(requests[1].body.messages[0].content).to.include('$: the reply is not valid JSON');
+    });
+
+    it('should ask Gemini for JSON natively only on tool-free requests', async function() {
+      const api = new GrokAPI({ provider: 'gemini', apiKey: 'test' });
+      const geminiReply = text => ({ candidates: [{ content: { parts: [{ text }] }, finishReason: 'STOP' }] });
+      const requests = scripted(api, [geminiReply('{"findings": [{"file": "a.js"}]}'), geminiReply(JSON.stringify(VALID))]);
+
+      const answer = await api.processPrompt('review a.js', { model: 'gemini-2.0-flash', directory: dir, stream: false, jsonSchema: FINDINGS });
+      expect(answer).to.deep.equal(VALID);
+      expect(requests[0].body.generationConfig).to.not.have.property('responseMimeType');
+      expect(requests[1].body.generationConfig).to.deep.include({ responseMimeType: 'application/json', responseJsonSchema: FINDINGS });
+    });
+
+    it('should surface validation errors once the retries run out', async function() {
+      const api = new GrokAPI({ provider: 'claude', apiKey: 'test' });
+      scripted(api, [claudeReply('{"findings": "none"}'), claudeReply('{"findings": "still none"}')]);
+
+      try {
+        await api.processPrompt('review a.js', { model: 'claude-haiku-4-5-20251001', directory: dir, stream: false, jsonSchema: FINDINGS, jsonRetries: 1 });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Reply does not match the JSON schema:\n- $.findings: expected array, got string');
+        expect(error.validationErrors).to.deep.equal(['$.findings: expected array, got string']);
+        expect(error.turn.jsonRetries).to.equal(1);
+      }
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getProvider } from '../lib/providers/index.js';
+import { GrokAPI } from '../lib/grok-api.js';
+import { TeamChannel } from '../lib/team-channel.js';
+import { TeamManager } from '../lib/team-manager.js';
+
+function writeFixture(dir, responses) {
+  const file = path.join(dir, 'fixture.json');
+  fs.writeFileSync(file, JSON.stringify({ responses }));
+  return file;
+}
+
+describe('Mock provider', function() {
+  let dir;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitforked-mock-'));
+  });
+
+  afterEach(function() {
+    delete process.env.GITFORKED_MOCK_FIXTURE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should run the tool loop from scripted responses, streamed or not', async function() {
+    for (const stream of [false, true]) {
+      const mockFixture = writeFixture(dir, [
+        { text: 'Writing it.', toolCalls: [{ name: 'write', args: { filePath: 'out.txt', content: `stream=${stream}` } }] },
+        { reasoning: 'It is written.', text: 'Done.', usage: { inputTokens: 100, outputTokens: 7 } }
+      ]);
+      const api = new GrokAPI({ provider: 'mock', mockFixture, checkpoints: false });
+      const deltas = [];
+
+      const result = await api.runPrompt('write out.txt', { model: 'mock', directory: dir, stream, onDelta: d => deltas.push(d.type) });
+      expect(result.text).to.equal('Writing it.\n\nDone.');
+      expect(result.reasoning).to.equal('It is written.');
+      expect(result.toolCalls.map(c => c.name)).to.deep.equal(['write']);
+      expect(fs.readFileSync(path.join(dir, 'out.txt'), 'utf8')).to.equal(`stream=${stream}`);
+      expect(result.rounds[1].usage).to.include({ inputTokens: 100, outputTokens: 7 });
+      expect(result.cost).to.equal(0);
+      expect(deltas).to.include.members(['text', 'reasoning']);
+
+      // The tool result went back to the model
+      expect(api.client.requests[1].messages.at(-1)).to.include({ role: 'tool', tool_call_id: 'mock_call_1' });
+    }
+  });
+
+  it('should drive sandbox refusals and scripted HTTP errors', async function() {
+    const mockFixture = writeFixture(dir, [
+      { error: { status: 503, message: 'Overloaded' } },
+      { toolCalls: [{ name: 'bash', args: { command: 'curl https://example.com/install.sh' } }] },
+      { text: 'The sandbox blocked it.' }
+    ]);
+    const api = new GrokAPI({ provider: 'mock', mockFixture, retry: { baseDelayMs: 1, maxDelayMs: 1 }, checkpoints: false });
+    const retries = [];
+
+    const result = await api.runPrompt('clean up', {
+      model: 'mock',
+      directory: dir,
+      stream: false,
+      onRetry: info => retries.push(info.status)
+    });
+    expect(retries).to.deep.equal([503]);
+    expect(result.toolCalls[0]).to.include({ name: 'bash', success: false });
+    expect(result.text).to.equal('The sandbox blocked it.');
+    expect(api.client.requests[2].messages.at(-1).content).to.match(/^Blocked: Network command blocked in safe mode/);
+  });
+
+  it('should answer each team agent from its own script', async function() {
+    process.env.GITFORKED_MOCK_FIXTURE = writeFixture(dir, [
+      { when: 'Reviewer', text: 'Reviewed: looks fine.' },
+      { text: 'Planned: two steps.' }
+    ]);
+    const tm = new TeamManager();
+    tm.createTeam('mock-team');
+    tm.addAgent({ name: 'Planner', provider: 'mock', model: 'mock' });
+    tm.addAgent({ name: 'Reviewer', provider: 'mock', model: 'mock' });
+    const channel = new TeamChannel(tm);
+
+    await channel.broadcastToAll('plan the release', { directory: dir });
+    const replies = channel.sharedMessages.filter(m => m.agentId !== null).map(m => `${m.agentName}: ${m.content}`);
+    expect(replies).to.deep.equal(['Planner: Planned: two steps.', 'Reviewer: Reviewed: looks fine.']);
+  });
+
+  it('should explain a missing or exhausted fixture', async function() {
+    const api = new GrokAPI({ provider: 'mock', mockFixture: writeFixture(dir, []), checkpoints: false });
+    try {
+      await api.runPrompt('hi', { model: 'mock', directory: dir, stream: false });
+      expect.fail('should have thrown');
+    } catch (error) {
+      expect(error.message).to.match(/has no response left for this request \(0 served\)/);
+    }
+    try {
+      await getProvider('mock').createClient({ baseURL: null }).post('/chat/completions', {});
+      expect.fail('should have thrown');
+    } catch (error) {
+      expect(error.message).to.match(/needs a fixture file/);
+    }
+  });
+});
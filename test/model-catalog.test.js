@@ -0,0 +1,117 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ModelCatalog, describeModel } from '../lib/model-catalog.js';
+import { ProviderAdapter, registerProvider, unregisterProvider, getProvider } from '../lib/providers/index.js';
+
+function stubListing(adapter, data) {
+  const requests = [];
+  adapter._listingClient = () => ({
+    get: async (url, options) => {
+      requests.push({ url, options });
+      return { data };
+    }
+  });
+  return requests;
+}
+
+describe('Model catalog', function() {
+  let dir;
+  let clock;
+  let catalog;
+  let adapter;
+  let fetches;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitforked-models-'));
+    clock = 1000000;
+    catalog = new ModelCatalog({ cachePath: path.join(dir, 'models-cache.json'), now: () => clock });
+    adapter = registerProvider(new ProviderAdapter({
+      id: 'acme',
+      baseURL: 'https://llm.acme.test/v1',
+      requiresApiKey: false,
+      models: ['acme-large', 'acme-small'],
+      modelPricing: { 'acme-small': { input: 0.1, output: 0.2 } },
+      contextWindow: 32000
+    }));
+    fetches = 0;
+    adapter.fetchModels = async () => {
+      fetches++;
+      return [{ id: 'acme-zeta', contextWindow: 8000 }, { id: 'acme-small', contextWindow: null }, { id: 'acme-alpha', contextWindow: null }];
+    };
+  });
+
+  afterEach(function() {
+    unregisterProvider('acme');
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should list live models with built-in ones first and known details', async function() {
+    const entries = await catalog.list('acme');
+    expect(entries.map(e => e.id)).to.deep.equal(['acme-small', 'acme-alpha', 'acme-zeta']);
+    expect(entries[0]).to.deep.include({ provider: 'acme', contextWindow: 32000, source: 'live' });
+    expect(entries[0].pricing).to.include({ input: 0.1, output: 0.2 });
+    expect(entries[1].pricing).to.be.null;
+
+    // The reported context length now backs the adapter's limit too
+    expect(entries[2].contextWindow).to.equal(8000);
+    expect(adapter.contextLimit('acme-zeta')).to.equal(8000);
+  });
+
+  it('should serve the disk cache until the TTL runs out', async function() {
+    await catalog.list('acme');
+    const fresh = new ModelCatalog({ cachePath: catalog.cachePath, now: () => clock });
+    expect((await fresh.list('acme'))[0].source).to.equal('cache');
+    expect(fetches).to.equal(1);
+
+    clock += 25 * 3600000;
+    expect((await fresh.list('acme'))[0].source).to.equal('live');
+    expect(fetches).to.equal(2);
+
+    expect((await fresh.list('acme', { refresh: true }))[0].source).to.equal('live');
+    expect(fetches).to.equal(3);
+  });
+
+  it('should fall back to a stale cache, then the built-in list, when offline', async function() {
+    await catalog.list('acme');
+    adapter.fetchModels = async () => { throw new Error('getaddrinfo ENOTFOUND'); };
+    clock += 25 * 3600000;
+
+    const stale = await catalog.list('acme');
+    expect(stale.map(e => e.source)).to.deep.equal(['cache', 'cache', 'cache']);
+
+    const empty = new ModelCatalog({ cachePath: path.join(dir, 'none.json') });
+    const builtin = await empty.list('acme');
+    expect(builtin.map(e => e.id)).to.deep.equal(['acme-large', 'acme-small']);
+    expect(builtin[0].source).to.equal('builtin');
+    expect(empty.peek('acme').map(e => e.id)).to.deep.equal(['acme-large', 'acme-small']);
+  });
+
+  it('should parse each provider listing', async function() {
+    const openai = new ProviderAdapter({ id: 'oa', baseURL: 'http://x' });
+    stubListing(openai, { data: [{ id: 'llama-3.3-70b-versatile', context_window: 131072 }, { id: 'whisper-large-v3' }] });
+    expect(await openai.fetchModels()).to.deep.equal([{ id: 'llama-3.3-70b-versatile', contextWindow: 131072 }]);
+
+    const gemini = Object.create(getProvider('gemini'));
+    stubListing(gemini, {
+      models: [
+        { name: 'models/gemini-2.0-flash', inputTokenLimit: 1048576, supportedGenerationMethods: ['generateContent'] },
+        { name: 'models/text-embedding-004', supportedGenerationMethods: ['embedContent'] }
+      ]
+    });
+    expect(await gemini.fetchModels()).to.deep.equal([{ id: 'gemini-2.0-flash', contextWindow: 1048576 }]);
+
+    const claude = Object.create(getProvider('claude'));
+    const requests = stubListing(claude, { data: [{ id: 'claude-opus-4-6', type: 'model' }] });
+    expect(await claude.fetchModels()).to.deep.equal([{ id: 'claude-opus-4-6', contextWindow: null }]);
+    expect(requests[0].options.params).to.deep.equal({ limit: 1000 });
+  });
+
+  it('should describe context length and price', function() {
+    expect(describeModel({ contextWindow: 131072, pricing: { input: 0.2, output: 0.5 } }))
+      .to.equal('131K ctx · $0.2 in / $0.5 out per 1M');
+    expect(describeModel({ contextWindow: 2000000, pricing: { input: 0, output: 0 } })).to.equal('2M ctx · free');
+    expect(describeModel({ contextWindow: null, pricing: null })).to.equal('');
+  });
+});
@@ -0,0 +1,191 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GrokAPI } from '../lib/grok-api.js';
+import { parsePatch, applyHunks, applyPatch } from '../lib/patch.js';
+
+describe('apply_patch', function() {
+  let dir;
+  let mockFixture;
+
+  const file = name => path.join(dir, name);
+  const read = name => fs.readFileSync(file(name), 'utf8');
+  const resolve = name => file(name);
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitforked-patch-'));
+    mockFixture = path.join(dir, 'fixture.json');
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should parse git diffs and patch envelopes alike', function() {
+    const git = parsePatch([
+      'diff --git a/lib/old.js b/lib/new.js',
+      'similarity index 90%',
+      'rename from lib/old.js',
+      'rename to lib/new.js',
+      '--- a/lib/old.js',
+      '+++ b/lib/new.js',
+      '@@ -1,2 +1,2 @@',
+      ' const a = 1;',
+      '-const b = 2;',
+      '+const b = 3;',
+      'diff --git a/gone.js b/gone.js',
+      'deleted file mode 100644',
+      '--- a/gone.js',
+      '+++ /dev/null',
+      '@@ -1 +0,0 @@',
+      '-bye',
+      'diff --git a/new.txt b/new.txt',
+      'new file mode 100644',
+      '--- /dev/null',
+      '+++ b/new.txt',
+      '@@ -0,0 +1,2 @@',
+      '+hello',
+      '+world',
+      ''
+    ].join('\n'));
+    expect(git.map(f => [f.type, f.path, f.moveTo])).to.deep.equal([
+      ['update', 'lib/old.js', 'lib/new.js'],
+      ['delete', 'gone.js', null],
+      ['add', 'new.txt', null]
+    ]);
+    expect(git[0].hunks[0]).to.include({ oldStart: 1 });
+    expect(git[2].content).to.equal('hello\nworld\n');
+
+    const envelope = parsePatch([
+      '*** Begin Patch',
+      '*** Update File: lib/old.js',
+      '*** Move to: lib/new.js',
+      '@@ const a = 1;',
+      '-const b = 2;',
+      '+const b = 3;',
+      '*** Delete File: gone.js',
+      '*** Add File: new.txt',
+      '+hello',
+      '*** End Patch'
+    ].join('\n'));
+    expect(envelope.map(f => [f.type, f.path, f.moveTo])).to.deep.equal(git.map(f => [f.type, f.path, f.moveTo]));
+    expect(envelope[0].hunks[0].lines).to.deep.equal([{ op: '-', text: 'const b = 2;' }, { op: '+', text: 'const b = 3;' }]);
+
+    expect(() => parsePatch('just some text')).to.throw('No file changes found');
+  });
+
+  it('should find hunks that moved or lost their whitespace', function() {
+    const content = ['// header', '// added later', 'function a() {', '\treturn 1;', '}', '', 'function b() {', '  return 2;', '}', ''].join('\n');
+    const [update] = parsePatch([
+      '--- a/x.js',
+      '+++ b/x.js',
+      '@@ -1,3 +1,3 @@',
+      ' function a() {',
+      '-  return 1;',
+      '+  return 10;',
+      ' }',
+      '@@ -5,3 +5,3 @@',
+      ' function b() {',
+      '-  return 2;',
+      '+  return 20;',
+      ' }  '
+    ].join('\n'));
+
+    const { content: patched, errors } = applyHunks(content, update.hunks, 'x.js');
+    expect(errors).to.deep.equal([]);
+    // Context lines keep the file's own text; a trailing newline stays
+    expect(patched).to.equal(['// header', '// added later', 'function a() {', '  return 10;', '}', '', 'function b() {', '  return 20;', '}', ''].join('\n'));
+  });
+
+  it('should refuse hunks whose lines occur in more than one place', function() {
+    const content = ['function a() {', '  if (x) {', '    return 1;', '  }', '}', 'function b() {', '  if (x) {', '    return 1;', '  }', '}', ''].join('\n');
+    const hunk = ['   if (x) {', '-    return 1;', '+    return 2;', '   }'];
+    const envelope = (...body) => parsePatch(['*** Begin Patch', '*** Update File: x.js', ...body, '*** End Patch'].join('\n'))[0].hunks;
+
+    const ambiguous = applyHunks(content, envelope(...hunk), 'x.js');
+    expect(ambiguous.content).to.equal(content);
+    expect(ambiguous.errors).to.deep.equal([[
+      'x.js: hunk 1 of 1 (@@) is ambiguous — its 3 lines match at lines 2, 7:',
+      '      if (x) {',
+      '        return 1;',
+      '      }',
+      '  Add context lines, or an "@@" line with text from above the place meant (its function or block)'
+    ].join('\n')]);
+
+    // The "@@" text picks the place
+    const anchored = applyHunks(content, envelope('@@ function b() {', ...hunk), 'x.js');
+    expect(anchored.errors).to.deep.equal([]);
+    expect(anchored.content.split('\n').slice(5, 8)).to.deep.equal(['function b() {', '  if (x) {', '    return 2;']);
+    expect(anchored.content.split('\n')[2]).to.equal('    return 1;');
+
+    // A later hunk may not go back above an earlier one
+    const backwards = applyHunks(content, envelope('@@ function b() {', ...hunk, '@@', '-function a() {', '+function a2() {'), 'x.js');
+    expect(backwards.errors).to.deep.equal([
+      'x.js: hunk 2 of 2 (@@) did not apply — its lines only occur at line 1, above hunk 1; hunks must come in file order'
+    ]);
+  });
+
+  it('should apply all or nothing and say which hunks failed', function() {
+    fs.writeFileSync(file('a.js'), 'const a = 1;\nconst b = 2;\n');
+    fs.writeFileSync(file('b.js'), 'let x = 1;\nlet y = 2;\nlet z = 3;\n');
+    const patch = [
+      '*** Begin Patch',
+      '*** Update File: a.js',
+      '-const b = 2;',
+      '+const b = 3;',
+      '*** Add File: c.js',
+      '+export default 1;',
+      '*** Update File: b.js',
+      '@@',
+      ' let x = 1;',
+      '-let y = 5;',
+      '+let y = 6;',
+      '*** End Patch'
+    ].join('\n');
+
+    try {
+      applyPatch(patch, { resolve });
+      expect.fail('should have thrown');
+    } catch (error) {
+      expect(error.message).to.equal([
+        'Patch not applied, no files were changed:',
+        '- b.js: hunk 1 of 1 (@@) did not apply — these 2 lines were not found:',
+        '    let x = 1;',
+        '    let y = 5;',
+        '  Closest: line 1, 1 of 2 lines match; line 2 is "let y = 2;" where the patch expects "let y = 5;"'
+      ].join('\n'));
+    }
+    expect(read('a.js')).to.equal('const a = 1;\nconst b = 2;\n');
+    expect(fs.existsSync(file('c.js'))).to.be.false;
+
+    const result = applyPatch(patch.replace('-let y = 5;', '-let y = 2;'), { resolve });
+    expect(result.summary).to.deep.equal(['updated a.js (1 hunk)', 'added c.js', 'updated b.js (1 hunk)']);
+    expect(result.files).to.deep.equal([file('a.js'), file('c.js'), file('b.js')]);
+    expect(read('b.js')).to.equal('let x = 1;\nlet y = 6;\nlet z = 3;\n');
+  });
+
+  it('should give agents the tool behind the sandbox', async function() {
+    fs.writeFileSync(file('a.js'), 'one\ntwo\n');
+    fs.writeFileSync(mockFixture, JSON.stringify({
+      responses: [
+        {
+          toolCalls: [
+            { name: 'apply_patch', args: { patch: '*** Begin Patch\n*** Update File: ../outside.js\n-x\n+y\n*** End Patch' } },
+            { name: 'apply_patch', args: { patch: '*** Begin Patch\n*** Update File: a.js\n*** Move to: b.js\n-two\n+2\n*** End Patch' } }
+          ]
+        },
+        { text: 'Renamed.' }
+      ]
+    }));
+    const api = new GrokAPI({ provider: 'mock', mockFixture, checkpoints: false });
+    const turn = await api.runPrompt('rename a.js', { model: 'mock', directory: dir, stream: false });
+
+    expect(api.client.requests[0].tools.map(t => t.function.name)).to.include('apply_patch');
+    expect(turn.toolCalls.map(c => c.success)).to.deep.equal([false, true]);
+    expect(turn.toolCalls[0].error).to.include({ tool: 'apply_patch', blocked: true });
+    expect(fs.existsSync(file('a.js'))).to.be.false;
+    expect(read('b.js')).to.equal('one\n2\n');
+    expect(turn.filesTouched).to.deep.equal([file('a.js'), file('b.js')]);
+  });
+});
@@ -0,0 +1,257 @@
+import { expect } from 'chai';
+import { Readable } from 'stream';
+import {
+  ProviderAdapter, registerProvider, unregisterProvider, getProvider, listProviders, providerIds,
+  OpenAICompatibleAdapter, validateOpenAICompatibleEntry, loadConfiguredProviders, skippedProviders
+} from '../lib/providers/index.js';
+import { GrokAPI } from '../lib/grok-api.js';
+import { config } from '../config/config.js';
+
+describe('Provider registry', function() {
+  it('should register the built-in providers in picker order', function() {
+    expect(providerIds().slice(0, 5)).to.deep.equal(['grok', 'groq', 'gemini', 'claude', 'ollama']);
+    for (const adapter of listProviders()) {
+      expect(adapter).to.be.instanceOf(ProviderAdapter);
+    }
+  });
+
+  it('should resolve providers by id or alias', function() {
+    expect(getProvider('claude')).to.equal(getProvider('anthropic'));
+    expect(getProvider('xai').id).to.equal('grok');
+    expect(getProvider('google').id).to.equal('gemini');
+    expect(getProvider('nope')).to.be.null;
+  });
+
+  it('should expose a default model from each catalog', function() {
+    expect(getProvider('grok').defaultModel).to.equal('grok-4-1-fast-reasoning');
+    expect(getProvider('groq').models).to.include('llama-3.3-70b-versatile');
+    expect(getProvider('ollama').requiresApiKey).to.be.false;
+  });
+
+  describe('translation', function() {
+    const tools = [{
+      type: 'function',
+      function: {
+        name: 'read',
+        description: 'Read a file',
+        parameters: { type: 'object', properties: { filePath: { type: 'string' } }, additionalProperties: false }
+      }
+    }];
+    const history = [{ role: 'user', content: 'hi' }, { role: 'assistant', content: 'hello' }];
+
+    it('should keep OpenAI-format messages with a leading system message', function() {
+      const { system, messages } = getProvider('groq').translateMessages(history, 'SYS');
+      expect(system).to.be.null;
+      expect(messages[0]).to.deep.equal({ role: 'system', content: 'SYS' });
+      expect(messages).to.have.length(3);
+    });
+
+    it('should translate messages and tools for Claude', function() {
+      const claude = getProvider('claude');
+      expect(claude.translateMessages(history, 'SYS')).to.deep.equal({ system: 'SYS', messages: history });
+      expect(claude.translateTools(tools)[0]).to.have.keys('name', 'description', 'input_schema');
+    });
+
+    it('should translate messages and tools for Gemini', function() {
+      const gemini = getProvider('gemini');
+      const { system, messages } = gemini.translateMessages(history, 'SYS');
+      expect(system).to.deep.equal({ parts: [{ text: 'SYS' }] });
+      expect(messages[1]).to.deep.equal({ role: 'model', parts: [{ text: 'hello' }] });
+
+      const [{ functionDeclarations }] = gemini.translateTools(tools);
+      expect(functionDeclarations[0].parameters).to.not.have.property('additionalProperties');
+    });
+  });
+
+  describe('usage and pricing', function() {
+    it('should normalise each usage shape', function() {
+      expect(getProvider('grok').normalizeUsage({
+        prompt_tokens: 3,
+        completion_tokens: 4,
+        prompt_tokens_details: { cached_tokens: 2 },
+        completion_tokens_details: { reasoning_tokens: 1 }
+      })).to.deep.equal({ inputTokens: 3, outputTokens: 4, cachedTokens: 2, cacheWriteTokens: 0, reasoningTokens: 1 });
+      expect(getProvider('claude').normalizeUsage({ input_tokens: 5, output_tokens: 6, cache_read_input_tokens: 10, cache_creation_input_tokens: 1 }))
+        .to.deep.equal({ inputTokens: 16, outputTokens: 6, cachedTokens: 10, cacheWriteTokens: 1, reasoningTokens: 0 });
+      expect(getProvider('gemini').normalizeUsage({ promptTokenCount: 7, candidatesTokenCount: 8, thoughtsTokenCount: 2 }))
+        .to.deep.equal({ inputTokens: 7, outputTokens: 10, cachedTokens: 0, cacheWriteTokens: 0, reasoningTokens: 2 });
+    });
+
+    it('should price usage per million tokens', function() {
+      expect(getProvider('claude').cost({ inputTokens: 1000000, outputTokens: 1000000 })).to.equal(18);
+      expect(getProvider('ollama').cost({ inputTokens: 1000000, outputTokens: 1000000 })).to.equal(0);
+    });
+
+    it('should price prompt cache reads and writes', function() {
+      // 1M input: 600K uncached at $3, 300K read at $0.30, 100K written at $3.75
+      const usage = getProvider('claude').normalizeUsage({
+        input_tokens: 600000, output_tokens: 0, cache_read_input_tokens: 300000, cache_creation_input_tokens: 100000
+      });
+      expect(getProvider('claude').cost(usage, 'claude-sonnet-4-5-20250929')).to.be.closeTo(1.8 + 0.09 + 0.375, 1e-9);
+    });
+  });
+
+  describe('prompt caching', function() {
+    const tools = [{ name: 'read' }, { name: 'write' }];
+
+    it('should mark the tools, system prompt and two latest user turns', function() {
+      const messages = [
+        { role: 'user', content: 'first' },
+        { role: 'assistant', content: [{ type: 'text', text: 'ok' }] },
+        { role: 'user', content: 'second' },
+        { role: 'assistant', content: [{ type: 'tool_use', id: 't1', name: 'read', input: {} }] },
+        { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', content: 'a' }] }
+      ];
+      const cached = getProvider('claude').withCacheBreakpoints({ system: 'S', tools, messages });
+      const ephemeral = { type: 'ephemeral' };
+
+      expect(cached.system).to.deep.equal([{ type: 'text', text: 'S', cache_control: ephemeral }]);
+      expect(cached.tools[0]).to.not.have.property('cache_control');
+      expect(cached.tools[1].cache_control).to.deep.equal(ephemeral);
+      expect(cached.messages[0]).to.equal(messages[0]);
+      expect(cached.messages[2].content).to.deep.equal([{ type: 'text', text: 'second', cache_control: ephemeral }]);
+      expect(cached.messages[4].content[0]).to.include({ tool_use_id: 't1' }).and.have.property('cache_control');
+      // The loop's own history stays unmarked
+      expect(messages[4].content[0]).to.not.have.property('cache_control');
+      expect(tools[1]).to.not.have.property('cache_control');
+    });
+
+    it('should send breakpoints from the Claude loop unless turned off', async function() {
+      const sent = [];
+      const reply = { content: [{ type: 'text', text: 'hi' }], stop_reason: 'end_turn', usage: { input_tokens: 10, output_tokens: 1, cache_creation_input_tokens: 2000 } };
+
+      const api = new GrokAPI({ provider: 'claude', apiKey: 'test' });
+      api.client = { post: async (url, data) => { sent.push(data); return { headers: {}, data: reply }; } };
+      const result = await api.runPrompt('hello', { model: 'claude-haiku-4-5-20251001', directory: process.cwd(), stream: false });
+      expect(sent[0].system[0].cache_control).to.deep.equal({ type: 'ephemeral' });
+      expect(sent[0].tools[sent[0].tools.length - 1]).to.have.property('cache_control');
+      expect(result.usage.cacheWriteTokens).to.equal(2000);
+      expect(result.formatUsage()).to.match(/^Tokens: 2011 \(2010 in, 1 out, 2000 cache write\)/);
+
+      const uncached = new GrokAPI({ provider: 'claude', apiKey: 'test', promptCaching: false });
+      uncached.client = api.client;
+      await uncached.runPrompt('hello', { model: 'claude-haiku-4-5-20251001', directory: process.cwd(), stream: false });
+      expect(sent[1].system).to.be.a('string');
+      expect(JSON.stringify(sent[1])).to.not.include('cache_control');
+    });
+  });
+
+  describe('custom providers', function() {
+    afterEach(function() {
+      unregisterProvider('acme');
+    });
+
+    it('should let GrokAPI run a newly registered adapter', async function() {
+      registerProvider(new ProviderAdapter({
+        id: 'acme',
+        baseURL: 'https://llm.acme.test/v1',
+        models: ['acme-1'],
+        pricing: { input: 1, output: 1 }
+      }));
+
+      const api = new GrokAPI({ provider: 'acme', apiKey: 'k' });
+      expect(api.baseURL).to.equal('https://llm.acme.test/v1');
+
+      api.client = {
+        post: async () => ({
+          data: Readable.from([Buffer.from(
+            'data: {"choices":[{"delta":{"content":"hi"},"finish_reason":"stop"}],"usage":{"prompt_tokens":1000000,"completion_tokens":0}}\n\ndata: [DONE]\n\n'
+          )])
+        })
+      };
+      const result = await api.processPrompt('hello', { model: 'acme-1', directory: process.cwd() });
+      expect(result).to.match(/^hi/);
+      expect(result).to.include('Cost: $1.000000');
+    });
+
+    it('should reject unknown providers', async function() {
+      const api = new GrokAPI({ provider: 'nope', apiKey: 'k' });
+      try {
+        await api.processPrompt('hello', { directory: process.cwd() });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Unknown provider: nope');
+      }
+    });
+  });
+
+  describe('openai-compatible', function() {
+    let saved;
+
+    beforeEach(function() {
+      saved = config.config.openaiCompatible;
+    });
+
+    afterEach(function() {
+      // In-memory only: never write the user's config from tests
+      config.config.openaiCompatible = saved;
+      loadConfiguredProviders();
+    });
+
+    it('should validate entries', function() {
+      expect(() => validateOpenAICompatibleEntry({ name: 'a/b', baseUrl: 'http://x' })).to.throw('Invalid provider name');
+      expect(() => validateOpenAICompatibleEntry({ name: 'vllm', baseUrl: 'localhost:8000' })).to.throw('Invalid base URL');
+      expect(() => validateOpenAICompatibleEntry({ name: 'vllm', baseUrl: 'http://x', models: 'a' })).to.throw('must be a list');
+      expect(() => validateOpenAICompatibleEntry({ name: 'vllm', baseUrl: 'http://localhost:8000/v1' })).to.not.throw();
+    });
+
+    it('should register every configured entry and skip built-in names', function() {
+      config.config.openaiCompatible = [
+        { name: 'vllm', baseUrl: 'http://localhost:8000/v1/', models: ['qwen'] },
+        { name: 'lmstudio', baseUrl: 'http://localhost:1234/v1' },
+        { name: 'anthropic', baseUrl: 'http://evil.test/v1' }
+      ];
+      const warnings = loadConfiguredProviders();
+
+      expect(getProvider('vllm')).to.be.instanceOf(OpenAICompatibleAdapter);
+      expect(getProvider('vllm').baseURL).to.equal('http://localhost:8000/v1');
+      expect(getProvider('lmstudio').models).to.deep.equal([]);
+      expect(getProvider('anthropic').id).to.equal('claude');
+      expect(warnings).to.deep.equal(['Skipping openai-compatible provider "anthropic": name is taken by a built-in provider']);
+      expect(skippedProviders()).to.equal(warnings);
+
+      config.config.openaiCompatible = [];
+      loadConfiguredProviders();
+      expect(getProvider('vllm')).to.be.null;
+    });
+
+    it('should send configured headers and the referenced API key through the tool loop', async function() {
+      process.env.TEST_GATEWAY_KEY = 'secret';
+      config.config.openaiCompatible = [{
+        name: 'gateway',
+        baseUrl: 'https://gateway.corp.test/openai/v1',
+        apiKeyEnv: 'TEST_GATEWAY_KEY',
+        headers: { 'X-Team': 'core' },
+        models: ['gpt-4o']
+      }];
+      loadConfiguredProviders();
+
+      const api = new GrokAPI({ provider: 'gateway' });
+      expect(api.client.defaults.baseURL).to.equal('https://gateway.corp.test/openai/v1');
+      expect(api.client.defaults.headers['Authorization']).to.equal('Bearer secret');
+      expect(api.client.defaults.headers['X-Team']).to.equal('core');
+      delete process.env.TEST_GATEWAY_KEY;
+
+      const requests = [];
+      api.client = {
+        post: async (url, data) => {
+          requests.push({ url, data });
+          return {
+            data: Readable.from([Buffer.from('data: {"choices":[{"delta":{"content":"ok"},"finish_reason":"stop"}]}\n\ndata: [DONE]\n\n')])
+          };
+        }
+      };
+      const result = await api.processPrompt('hi', { model: 'gpt-4o', directory: process.cwd() });
+      expect(requests[0].url).to.equal('/chat/completions');
+      expect(requests[0].data.tools).to.be.an('array').that.is.not.empty;
+      expect(result).to.equal('ok');
+    });
+
+    it('should omit Authorization when no key is configured', function() {
+      const adapter = new OpenAICompatibleAdapter({ name: 'local', baseUrl: 'http://localhost:1234/v1' });
+      const client = adapter.createClient({ baseURL: adapter.baseURL, apiKey: null });
+      expect(client.defaults.headers).to.not.have.property('Authorization');
+      expect(adapter.hasCredentials()).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GrokAPI } from '../lib/grok-api.js';
+import { RepoMap, repoMap, parseFile } from '../lib/repo-map.js';
+
+describe('Repository map', function() {
+  // The first parse loads the TypeScript compiler
+  this.timeout(10000);
+
+  let dir;
+  let project;
+
+  const write = (name, content) => {
+    fs.mkdirSync(path.dirname(path.join(project, name)), { recursive: true });
+    fs.writeFileSync(path.join(project, name), content);
+  };
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitforked-repo-map-'));
+    project = path.join(dir, 'project');
+    fs.mkdirSync(project);
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should list what JS, TS and other modules export', async function() {
+    const esm = await parseFile('lib/store.js', [
+      "import { helper } from './helper.js';",
+      "import fs from 'fs';",
+      'class Store extends Base {',
+      '  constructor(root) { super(); }',
+      '  get size() { return 0; }',
+      '  save(name, { force }, ...rest) {}',
+      '  _load() {}',
+      '  static open(root) {}',
+      '}',
+      'const open = async (root) => new Store(root);',
+      'function hidden() {}',
+      'export const LIMIT = 5;',
+      'export { Store, open, hidden as visible };'
+    ].join('\n'));
+    expect(esm).to.deep.equal({
+      symbols: [
+        'const LIMIT',
+        'class Store extends Base { size, save(name, {…}, ...rest), static open(root) }',
+        'function open(root)',
+        'visible'
+      ],
+      imports: ['./helper.js']
+    });
+
+    const ts = await parseFile('src/types.ts', [
+      'export interface User { id: string }',
+      'export type Id = string;',
+      'export enum Role { Admin }',
+      'export default function load(id: Id): User { return null as any; }',
+      "export * from './more';"
+    ].join('\n'));
+    expect(ts.symbols).to.deep.equal(['interface User', 'type Id', 'enum Role', 'default function load(id)', '* (from ./more)']);
+
+    const cjs = await parseFile('old.js', "const x = require('./x');\nfunction run(a) {}\nmodule.exports = { run, other };\nexports.extra = 1;");
+    expect(cjs).to.deep.equal({ symbols: ['function run(a)', 'other', 'extra'], imports: ['./x'] });
+
+    const python = await parseFile('app.py', 'class App:\n    def inner(self): pass\ndef main():\n    pass\ndef _private():\n    pass\n');
+    expect(python.symbols).to.deep.equal(['class App', 'def main']);
+    expect(await parseFile('notes.md', '# export function nope() {}')).to.deep.equal({ symbols: [], imports: [] });
+  });
+
+  it('should rank files by how much of the project imports them and fit the budget', async function() {
+    write('package.json', JSON.stringify({ main: 'src/main.js' }));
+    write('src/main.js', "import { util } from './lib/util.js';\nexport function main() {}\n");
+    write('src/lib/util.js', 'export function util(value) {}\nexport function other() {}\n');
+    write('src/feature.js', "import { util } from './lib/util';\nexport function feature() {}\n");
+    write('test/util.test.js', "import { util } from '../src/lib/util.js';\n");
+    const map = new RepoMap({ projectRoot: project, root: path.join(dir, 'cache') });
+
+    expect(await map.render({ tokens: 1000 })).to.equal([
+      'package.json',
+      'src/',
+      '  feature.js',
+      '    function feature()',
+      '  lib/',
+      '    util.js',
+      '      function util(value)',
+      '      function other()',
+      '  main.js',
+      '    function main()',
+      'test/',
+      '  util.test.js'
+    ].join('\n'));
+
+    // util.js (imported three times) first, then the entry point
+    const small = await map.render({ tokens: 30 });
+    expect(small).to.include('      function util(value)');
+    expect(small).to.include('  main.js');
+    expect(small).to.not.include('feature');
+    expect(small.split('\n').pop()).to.match(/^… \d+ more files$/);
+    expect(Math.ceil(small.length / 4)).to.be.at.most(30 + 5);
+  });
+
+  it('should re-parse only files that changed since the cache was written', async function() {
+    write('a.js', 'export function a() {}\n');
+    write('b.js', 'export function b() {}\n');
+    const cache = path.join(dir, 'cache');
+    await new RepoMap({ projectRoot: project, root: cache }).render();
+
+    // A later process trusts the cache for files whose mtime and size match
+    const cacheFile = new RepoMap({ projectRoot: project, root: cache }).cacheFile;
+    const saved = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    saved.files['a.js'].symbols = ['function fromCache()'];
+    fs.writeFileSync(cacheFile, JSON.stringify(saved));
+
+    write('b.js', 'export function bee(x) {}\n');
+    write('c.py', 'class C:\n    pass\n');
+    const again = new RepoMap({ projectRoot: project, root: cache });
+
+    expect(await again.render()).to.equal('a.js\n  function fromCache()\nb.js\n  function bee(x)\nc.py\n  class C');
+    fs.rmSync(path.join(project, 'c.py'));
+    expect(await again.render()).to.not.include('c.py');
+    expect(Object.keys(JSON.parse(fs.readFileSync(again.cacheFile, 'utf8')).files)).to.deep.equal(['a.js', 'b.js']);
+  });
+
+  it('should add the map to every system prompt when enabled, agent prompts included', async function() {
+    write('lib/tool.js', 'export function useTool(name) {}\n');
+    const mockFixture = path.join(dir, 'fixture.json');
+    fs.writeFileSync(mockFixture, JSON.stringify({ responses: [{ text: 'one' }, { text: 'two' }, { text: 'three' }] }));
+    const system = api => api.client.requests.map(request => request.messages.find(m => m.role === 'system').content);
+    const repoMapRoot = path.join(dir, 'cache');
+    const api = new GrokAPI({ provider: 'mock', mockFixture, repoMap: { enabled: true, tokens: 200 }, repoMapRoot });
+    await api.runPrompt('hi', { model: 'mock', directory: project, stream: false });
+    await api.runPrompt('hi', { model: 'mock', directory: project, stream: false, repoMap: false });
+    const agent = new GrokAPI({ provider: 'mock', mockFixture, repoMap: { enabled: true }, systemPromptOverride: 'You are Arch.', repoMapRoot });
+    await agent.runPrompt('hi', { model: 'mock', directory: project, stream: false });
+
+    const [withMap, withoutMap] = system(api);
+    expect(withMap).to.include('Repository map (').and.to.include('lib/\n  tool.js\n    function useTool(name)');
+    expect(withoutMap).to.not.include('Repository map');
+    expect(system(agent)[0]).to.match(/^You are Arch\.\n\nRepository map \(/);
+    expect(fs.existsSync(repoMap(project, { root: repoMapRoot }).cacheFile)).to.be.true;
+    expect(fs.existsSync(repoMap(project).cacheFile)).to.be.false;
+  });
+});
@@ -10,7 +10,7 @@ describe('ResponseFileWriter', function() {
 
   beforeEach(function() {
     tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rfw-test-'));
-    writer = new ResponseFileWriter(tmpDir);
+    writer = new ResponseFileWriter(tmpDir, { checkpoints: false });
   });
 
   afterEach(function() {
@@ -141,5 +141,16 @@ describe('ResponseFileWriter', function() {
       const content = fs.readFileSync(path.join(tmpDir, 'app.js'), 'utf-8');
       expect(content).to.equal('console.log("hello");');
     });
+
+    it('should refuse a file cut off by the output limit', function() {
+      const response = '```a.js\nconst a = 1;\n```\n\n```b.js\nfunction b() {\n  return';
+      expect(writer.processResponse(response, tmpDir, { truncated: true })).to.deep.equal(['a.js']);
+      expect(writer.refused).to.deep.equal(['b.js']);
+      expect(fs.existsSync(path.join(tmpDir, 'b.js'))).to.be.false;
+
+      // Without the flag an unclosed block is still taken as the model's answer
+      expect(writer.processResponse(response, tmpDir)).to.deep.equal(['a.js', 'b.js']);
+      expect(writer.refused).to.deep.equal([]);
+    });
   });
 });
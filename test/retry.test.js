@@ -0,0 +1,196 @@
+import { expect } from 'chai';
+import { Readable } from 'stream';
+import {
+  withRetry, isRetryable, computeDelay, delayFromHeaders, parseDuration, ConcurrencyLimiter, getLimiter
+} from '../lib/retry.js';
+import { GrokAPI } from '../lib/grok-api.js';
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data: {} };
+  return error;
+}
+
+describe('Retry', function() {
+  describe('delay calculation', function() {
+    it('should parse rate-limit reset durations', function() {
+      expect(parseDuration('1s')).to.equal(1000);
+      expect(parseDuration('6m0s')).to.equal(360000);
+      expect(parseDuration('250ms')).to.equal(250);
+      expect(parseDuration('1h2m3.5s')).to.equal(3723500);
+      expect(parseDuration('soon')).to.be.null;
+    });
+
+    it('should honour Retry-After in seconds, as a date, and in milliseconds', function() {
+      const now = Date.parse('2026-01-01T00:00:00Z');
+      expect(delayFromHeaders({ 'retry-after': '7' }, now)).to.equal(7000);
+      expect(delayFromHeaders({ 'retry-after': 'Thu, 01 Jan 2026 00:00:03 GMT' }, now)).to.equal(3000);
+      expect(delayFromHeaders({ 'retry-after-ms': '120' }, now)).to.equal(120);
+    });
+
+    it('should fall back to provider rate-limit reset headers', function() {
+      const now = Date.parse('2026-01-01T00:00:00Z');
+      expect(delayFromHeaders({ 'x-ratelimit-reset-requests': '2s', 'x-ratelimit-reset-tokens': '500ms' }, now)).to.equal(2000);
+      expect(delayFromHeaders({ 'anthropic-ratelimit-requests-reset': '2026-01-01T00:00:04Z' }, now)).to.equal(4000);
+      expect(delayFromHeaders({}, now)).to.be.null;
+    });
+
+    it('should back off exponentially with jitter when no header is given', function() {
+      const opts = { baseDelayMs: 1000, maxDelayMs: 60000 };
+      expect(computeDelay(httpError(503), 0, { ...opts, random: () => 0 })).to.equal(500);
+      expect(computeDelay(httpError(503), 0, { ...opts, random: () => 1 })).to.equal(1000);
+      expect(computeDelay(httpError(503), 3, { ...opts, random: () => 1 })).to.equal(8000);
+      expect(computeDelay(httpError(503), 10, { ...opts, random: () => 1 })).to.equal(60000);
+      expect(computeDelay(httpError(429, { 'retry-after': '120' }), 0, opts)).to.equal(60000);
+    });
+
+    it('should only retry rate limits, server errors and transient network errors', function() {
+      expect(isRetryable(httpError(429))).to.be.true;
+      expect(isRetryable(httpError(529))).to.be.true;
+      expect(isRetryable(httpError(400))).to.be.false;
+      expect(isRetryable(httpError(401))).to.be.false;
+      expect(isRetryable(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).to.be.true;
+      expect(isRetryable(Object.assign(new Error('nope'), { code: 'ENOTFOUND' }))).to.be.false;
+    });
+  });
+
+  describe('withRetry', function() {
+    it('should retry until success and report each wait', async function() {
+      const waits = [];
+      const retries = [];
+      let calls = 0;
+      const result = await withRetry(async () => {
+        calls++;
+        if (calls < 3) throw httpError(429, { 'retry-after': '2' });
+        return 'ok';
+      }, { sleep: async (ms) => waits.push(ms), onRetry: (info) => retries.push(info) });
+
+      expect(result).to.equal('ok');
+      expect(waits).to.deep.equal([2000, 2000]);
+      expect(retries.map(r => [r.attempt, r.status])).to.deep.equal([[1, 429], [2, 429]]);
+    });
+
+    it('should give up after the configured number of retries', async function() {
+      let calls = 0;
+      try {
+        await withRetry(async () => { calls++; throw httpError(503); }, { retries: 2, sleep: async () => {} });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.response.status).to.equal(503);
+      }
+      expect(calls).to.equal(3);
+    });
+
+    it('should not retry client errors', async function() {
+      let calls = 0;
+      try {
+        await withRetry(async () => { calls++; throw httpError(400); }, { sleep: async () => {} });
+      } catch (error) { /* expected */ }
+      expect(calls).to.equal(1);
+    });
+  });
+
+  describe('ConcurrencyLimiter', function() {
+    it('should cap in-flight calls and run queued ones in order', async function() {
+      const limiter = new ConcurrencyLimiter(2);
+      let active = 0;
+      let peak = 0;
+      const order = [];
+      const task = (id) => limiter.run(async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        order.push(id);
+        active--;
+      });
+
+      await Promise.all([1, 2, 3, 4, 5].map(task));
+      expect(peak).to.equal(2);
+      expect(order).to.have.members([1, 2, 3, 4, 5]);
+      expect(limiter.active).to.equal(0);
+    });
+
+    it('should let other calls use the slot while one waits to retry', async function() {
+      const limiter = new ConcurrencyLimiter(1);
+      const order = [];
+      let calls = 0;
+      const throttled = limiter.run(() => withRetry(async () => {
+        calls++;
+        order.push(`throttled ${calls}`);
+        if (calls === 1) throw httpError(429, { 'retry-after-ms': '20' });
+      }));
+      const other = limiter.run(async () => order.push('other'));
+
+      await Promise.all([throttled, other]);
+      expect(order).to.deep.equal(['throttled 1', 'other', 'throttled 2']);
+      expect(limiter.active).to.equal(0);
+
+      // Cancelled during the wait: the slot is not given back twice
+      const controller = new AbortController();
+      const cancelled = limiter.run(() => withRetry(async () => { throw httpError(503, { 'retry-after-ms': '1000' }); }, { signal: controller.signal }), controller.signal);
+      setTimeout(() => controller.abort(new Error('stopped')), 5);
+      try {
+        await cancelled;
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('stopped');
+      }
+      expect(limiter.active).to.equal(0);
+    });
+
+    it('should pause new calls when the request quota is exhausted', function() {
+      const limiter = new ConcurrencyLimiter(2);
+      limiter.noteHeaders({ 'x-ratelimit-remaining-requests': '5', 'x-ratelimit-reset-requests': '10s' });
+      expect(limiter.pausedUntil).to.equal(0);
+      limiter.noteHeaders({ 'x-ratelimit-remaining-requests': '0', 'x-ratelimit-reset-requests': '10s' });
+      expect(limiter.pausedUntil).to.be.greaterThan(Date.now() + 9000);
+    });
+
+    it('should share one limiter per provider', function() {
+      expect(getLimiter('groq')).to.equal(getLimiter('groq'));
+      expect(getLimiter('groq')).to.not.equal(getLimiter('claude'));
+    });
+  });
+
+  describe('GrokAPI', function() {
+    it('should retry a rate-limited round and surface the wait through onRetry', async function() {
+      const api = new GrokAPI({ provider: 'groq', apiKey: 'test', retry: { baseDelayMs: 1 } });
+      let calls = 0;
+      api.client = {
+        post: async () => {
+          calls++;
+          if (calls === 1) throw httpError(429, { 'retry-after-ms': '5' });
+          return {
+            headers: {},
+            data: Readable.from([Buffer.from('data: {"choices":[{"delta":{"content":"ok"},"finish_reason":"stop"}]}\n\ndata: [DONE]\n\n')])
+          };
+        }
+      };
+
+      const retries = [];
+      const result = await api.processPrompt('hi', {
+        model: 'llama-3.3-70b-versatile',
+        directory: process.cwd(),
+        onRetry: (info) => retries.push(info)
+      });
+
+      expect(result).to.equal('ok');
+      expect(calls).to.equal(2);
+      expect(retries).to.have.length(1);
+      expect(retries[0]).to.include({ attempt: 1, status: 429, delayMs: 5 });
+    });
+
+    it('should fail with the API error once retries are exhausted', async function() {
+      const api = new GrokAPI({ provider: 'groq', apiKey: 'test', retry: { retries: 1, baseDelayMs: 1, maxDelayMs: 1 } });
+      api.client = { post: async () => { throw httpError(503); } };
+
+      try {
+        await api.processPrompt('hi', { model: 'x', directory: process.cwd() });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('API Error: Request failed with status code 503');
+      }
+      expect(getLimiter('groq').active).to.equal(0);
+    });
+  });
+});
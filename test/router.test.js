@@ -0,0 +1,94 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GrokAPI } from '../lib/grok-api.js';
+import { ModelRouter, classifyPrompt, describeRoute } from '../lib/router.js';
+
+describe('Model router', function() {
+  let dir;
+  let mockFixture;
+
+  function script(responses) {
+    fs.writeFileSync(mockFixture, JSON.stringify({ responses }));
+  }
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitforked-router-'));
+    mockFixture = path.join(dir, 'fixture.json');
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should pick a tier from the prompt, mode and files mentioned', function() {
+    expect(classifyPrompt('what does parseArgs do?', { mode: 'plan' }).tier).to.equal('cheap');
+    expect(classifyPrompt('explain lib/retry.js', { mode: 'build' }).tier).to.equal('cheap');
+    expect(classifyPrompt('add a --verbose flag to src/index.js', { mode: 'build' }))
+      .to.deep.equal({ tier: 'default', reason: 'build mode, file edits likely' });
+    expect(classifyPrompt('rename run to execute in a.js, b.js and c.js', { mode: 'build' }))
+      .to.deep.equal({ tier: 'strong', reason: 'edits likely across 3 files' });
+    expect(classifyPrompt('why does the limiter deadlock under load?', { mode: 'plan' }).reason).to.equal('mentions deadlock');
+    expect(classifyPrompt('x'.repeat(2500)).reason).to.equal('long prompt (2500 chars)');
+    expect(classifyPrompt('what is in this screenshot?', { images: [{}] }).tier).to.equal('default');
+  });
+
+  it('should send each prompt to its tier\'s model, across providers', async function() {
+    script([{ text: 'It parses flags.' }, { text: 'Fixed.' }]);
+    const api = new GrokAPI({
+      provider: 'grok',
+      mockFixture,
+      router: { enabled: true, cheap: 'mock/mock-small', default: 'mock/mock-mid', strong: 'mock/mock-big' }
+    });
+    const routes = [];
+
+    const answer = await api.runPrompt('what does parseArgs do?', { directory: dir, stream: false, onRoute: r => routes.push(describeRoute(r)) });
+    expect(answer.text).to.equal('It parses flags.');
+    expect(answer).to.include({ provider: 'mock', model: 'mock-small' });
+    expect(answer.route).to.include({ tier: 'cheap', provider: 'mock', model: 'mock-small' });
+
+    const messages = [{ role: 'user', content: '@strong fix it' }];
+    const fixed = await api.runPrompt('@strong fix it', { directory: dir, stream: false, messages, onRoute: r => routes.push(describeRoute(r)) });
+    expect(fixed.route.tier).to.equal('strong');
+    expect(routes).to.deep.equal([
+      'cheap → mock/mock-small (short question, no edits likely)',
+      'strong → mock/mock-big (@strong prefix)'
+    ]);
+
+    // The prefix never reaches the model
+    const { requests } = api._apiFor('mock').client;
+    expect(requests.map(r => r.model)).to.deep.equal(['mock-small', 'mock-big']);
+    expect(requests[1].messages.filter(m => m.role === 'user').map(m => m.content)).to.deep.equal(['fix it']);
+  });
+
+  it('should ask the cheap model when configured, and fall back to heuristics', async function() {
+    script([
+      { when: 'Classify how capable', text: 'strong' },
+      { text: 'Redesigned.' }
+    ]);
+    const api = new GrokAPI({
+      provider: 'mock',
+      mockFixture,
+      router: { enabled: true, classifier: 'model', cheap: 'mock/mock-small', strong: 'mock/mock-big' }
+    });
+    const turn = await api.runPrompt('tidy up the config loader', { directory: dir, stream: false });
+    expect(turn.route).to.include({ tier: 'strong', reason: 'classified by the cheap model', model: 'mock-big' });
+    expect(api.client.requests.map(r => r.model)).to.deep.equal(['mock-small', 'mock-big']);
+
+    const router = new ModelRouter({ classifier: 'model', default: 'mock/mock-mid' });
+    const route = await router.route('what is this?', {}, async () => 'no idea');
+    expect(route).to.include({ tier: 'cheap', model: 'mock-mid' });
+    expect(route.reason).to.equal('short question, no edits likely (classifier failed: unexpected answer "no idea"); no cheap model set, using default');
+
+    expect(() => new ModelRouter({ strong: 42 })).to.throw('must be "provider/model"');
+  });
+
+  it('should leave turns alone when routing is off', async function() {
+    script([{ text: 'Hi.' }]);
+    const api = new GrokAPI({ provider: 'mock', mockFixture, router: { enabled: false, cheap: 'mock/mock-small' } });
+    const turn = await api.runPrompt('hi', { model: 'mock', directory: dir, stream: false });
+    expect(turn.route).to.equal(null);
+    expect(api.client.requests[0].model).to.equal('mock');
+  });
+});
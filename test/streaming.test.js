@@ -0,0 +1,286 @@
+import { expect } from 'chai';
+import { Readable } from 'stream';
+import { parseSSE, ChatCompletionStream, AnthropicMessageStream } from '../lib/streaming.js';
+import { GrokAPI } from '../lib/grok-api.js';
+
+// Build an SSE body from JSON payloads, split into awkward chunks
+function sseBody(payloads, { chunkSize = 7, done = true } = {}) {
+  let text = payloads.map(p => `data: ${JSON.stringify(p)}\n\n`).join('');
+  if (done) text += 'data: [DONE]\n\n';
+  const chunks = [];
+  for (let i = 0; i < text.length; i += chunkSize) {
+    chunks.push(Buffer.from(text.slice(i, i + chunkSize)));
+  }
+  return Readable.from(chunks);
+}
+
+function anthropicBody(events) {
+  const text = events.map(e => `event: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`).join('');
+  return Readable.from([Buffer.from(text)]);
+}
+
+describe('Streaming', function() {
+  describe('parseSSE', function() {
+    it('should parse events split across chunk boundaries', async function() {
+      const stream = Readable.from([Buffer.from('event: ping\nda'), Buffer.from('ta: {"a":1}\r\n\r\n: comment\ndata: two\ndata: lines\n\n')]);
+      const events = [];
+      for await (const evt of parseSSE(stream)) events.push(evt);
+
+      expect(events).to.deep.equal([
+        { event: 'ping', data: '{"a":1}' },
+        { event: 'message', data: 'two\nlines' }
+      ]);
+    });
+
+    it('should flush a final event without a trailing blank line', async function() {
+      const events = [];
+      for await (const evt of parseSSE(Readable.from(['data: last']))) events.push(evt);
+      expect(events).to.deep.equal([{ event: 'message', data: 'last' }]);
+    });
+
+    it('should decode multi-byte characters split between chunks', async function() {
+      const bytes = Buffer.from('data: héllo\n\n');
+      const stream = Readable.from([bytes.subarray(0, 8), bytes.subarray(8)]);
+      const events = [];
+      for await (const evt of parseSSE(stream)) events.push(evt);
+      expect(events[0].data).to.equal('héllo');
+    });
+  });
+
+  describe('ChatCompletionStream', function() {
+    it('should rebuild text and tool calls from deltas', function() {
+      const stream = new ChatCompletionStream();
+      const events = [
+        { choices: [{ delta: { content: 'Let me ' } }] },
+        { choices: [{ delta: { content: 'check.' } }] },
+        { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'read', arguments: '{"file' } }] } }] },
+        { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'Path":"/a.js"}' } }] } }] },
+        { choices: [{ delta: { tool_calls: [{ index: 1, id: 'call_2', function: { name: 'glob', arguments: '{}' } }] } }] },
+        { choices: [{ delta: {}, finish_reason: 'tool_calls' }] },
+        { choices: [], usage: { prompt_tokens: 10, completion_tokens: 5 } }
+      ].flatMap(chunk => stream.push(chunk));
+
+      const message = stream.message();
+      expect(message.content).to.equal('Let me check.');
+      expect(message.tool_calls).to.have.length(2);
+      expect(message.tool_calls[0]).to.deep.equal({
+        id: 'call_1', type: 'function', function: { name: 'read', arguments: '{"filePath":"/a.js"}' }
+      });
+      expect(stream.finishReason).to.equal('tool_calls');
+      expect(stream.usage).to.deep.equal({ prompt_tokens: 10, completion_tokens: 5 });
+
+      expect(events.filter(e => e.type === 'text').map(e => e.text).join('')).to.equal('Let me check.');
+      expect(events.filter(e => e.type === 'tool_call' && e.index === 0).map(e => e.argumentsDelta).join(''))
+        .to.equal('{"filePath":"/a.js"}');
+      expect(events.at(-1)).to.deep.equal({ type: 'usage', usage: { prompt_tokens: 10, completion_tokens: 5 } });
+    });
+
+    it('should omit tool_calls when none were streamed', function() {
+      const stream = new ChatCompletionStream();
+      stream.push({ choices: [{ delta: { content: 'hi' }, finish_reason: 'stop' }] });
+      expect(stream.message()).to.deep.equal({ role: 'assistant', content: 'hi' });
+    });
+  });
+
+  describe('AnthropicMessageStream', function() {
+    it('should rebuild content blocks and merge usage', function() {
+      const stream = new AnthropicMessageStream();
+      const events = [
+        { type: 'message_start', message: { usage: { input_tokens: 20, output_tokens: 1 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Reading' } },
+        { type: 'content_block_stop', index: 0 },
+        { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'tu_1', name: 'read', input: {} } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"filePath":' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"/a.js"}' } },
+        { type: 'content_block_stop', index: 1 },
+        { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 12 } },
+        { type: 'message_stop' }
+      ].flatMap(evt => stream.push(evt));
+
+      expect(stream.message()).to.deep.equal({
+        content: [
+          { type: 'text', text: 'Reading' },
+          { type: 'tool_use', id: 'tu_1', name: 'read', input: { filePath: '/a.js' } }
+        ],
+        stop_reason: 'tool_use',
+        usage: { input_tokens: 20, output_tokens: 12 }
+      });
+      expect(events.filter(e => e.type === 'tool_call')).to.have.length(3);
+    });
+
+    it('should throw on an error event', function() {
+      const stream = new AnthropicMessageStream();
+      expect(() => stream.push({ type: 'error', error: { message: 'Overloaded' } })).to.throw('Overloaded');
+    });
+  });
+
+  describe('GrokAPI tool loops', function() {
+    it('should stream the Grok loop and run rebuilt tool calls', async function() {
+      const api = new GrokAPI({ provider: 'grok', apiKey: 'test' });
+      const bodies = [
+        sseBody([
+          { choices: [{ delta: { content: 'Looking.' } }] },
+          { choices: [{ delta: { tool_calls: [{ index: 0, id: 'c1', type: 'function', function: { name: 'noop', arguments: '{"x":' } }] } }] },
+          { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '1}' } }] }, finish_reason: 'tool_calls' }] }
+        ]),
+        sseBody([
+          { choices: [{ delta: { content: 'Done.' }, finish_reason: 'stop' }] },
+          { choices: [], usage: { prompt_tokens: 3, completion_tokens: 2 } }
+        ])
+      ];
+      const requests = [];
+      api.client = {
+        post: async (url, data, opts) => {
+          requests.push({ url, data: JSON.parse(JSON.stringify(data)), opts });
+          return { data: bodies.shift() };
+        }
+      };
+
+      const toolCalls = [];
+      const deltas = [];
+      const result = await api.processPrompt('hi', {
+        model: 'grok-test',
+        directory: process.cwd(),
+        onToolCall: (name, args) => toolCalls.push({ name, args }),
+        onDelta: (d) => deltas.push(d)
+      });
+
+      expect(requests[0].data.stream).to.equal(true);
+      expect(requests[0].opts.responseType).to.equal('stream');
+      expect(toolCalls).to.deep.equal([{ name: 'noop', args: { x: 1 } }]);
+      expect(requests[1].data.messages.at(-1)).to.include({ role: 'tool', tool_call_id: 'c1' });
+
+      const streamedText = deltas.filter(d => d.type === 'text').map(d => d.text).join('');
+      expect(streamedText).to.equal('Looking.\n\nDone.');
+      expect(result.startsWith(streamedText)).to.be.true;
+      expect(result).to.include('Tokens: 5');
+    });
+
+    it('should stream the Claude loop and send tool results back', async function() {
+      const api = new GrokAPI({ provider: 'claude', apiKey: 'test' });
+      const bodies = [
+        anthropicBody([
+          { type: 'message_start', message: { usage: { input_tokens: 5, output_tokens: 0 } } },
+          { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: 'tu1', name: 'noop', input: {} } },
+          { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"y":2}' } },
+          { type: 'content_block_stop', index: 0 },
+          { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 4 } }
+        ]),
+        anthropicBody([
+          { type: 'message_start', message: { usage: { input_tokens: 9, output_tokens: 0 } } },
+          { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+          { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'All good.' } },
+          { type: 'content_block_stop', index: 0 },
+          { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 3 } }
+        ])
+      ];
+      const requests = [];
+      api.client = {
+        post: async (url, data) => {
+          requests.push({ url, data: JSON.parse(JSON.stringify(data)) });
+          return { data: bodies.shift() };
+        }
+      };
+
+      const deltas = [];
+      const result = await api.processPrompt('hi', {
+        model: 'claude-test',
+        directory: process.cwd(),
+        onDelta: (d) => deltas.push(d)
+      });
+
+      expect(requests[0].url).to.equal('/messages');
+      expect(requests[1].data.messages[1].content[0]).to.deep.include({ type: 'tool_use', input: { y: 2 } });
+      expect(requests[1].data.messages[2].content[0]).to.include({ type: 'tool_result', tool_use_id: 'tu1' });
+      expect(deltas.filter(d => d.type === 'text').map(d => d.text).join('')).to.equal('All good.');
+      expect(result).to.match(/^All good\./);
+    });
+
+    it('should keep signed thinking blocks across Claude tool rounds', async function() {
+      const api = new GrokAPI({ provider: 'claude', apiKey: 'test' });
+      const bodies = [
+        anthropicBody([
+          { type: 'message_start', message: { usage: { input_tokens: 5, output_tokens: 0 } } },
+          { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '', signature: '' } },
+          { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Need to check ' } },
+          { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'the file first.' } },
+          { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'c2lnbmVk' } },
+          { type: 'content_block_stop', index: 0 },
+          { type: 'content_block_start', index: 1, content_block: { type: 'redacted_thinking', data: 'opaque' } },
+          { type: 'content_block_stop', index: 1 },
+          { type: 'content_block_start', index: 2, content_block: { type: 'tool_use', id: 'tu1', name: 'noop', input: {} } },
+          { type: 'content_block_stop', index: 2 },
+          { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 40 } }
+        ]),
+        anthropicBody([
+          { type: 'message_start', message: { usage: { input_tokens: 9, output_tokens: 0 } } },
+          { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+          { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'All good.' } },
+          { type: 'content_block_stop', index: 0 },
+          { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 3 } }
+        ])
+      ];
+      const requests = [];
+      api.client = {
+        post: async (url, data) => {
+          requests.push({ url, data: JSON.parse(JSON.stringify(data)) });
+          return { data: bodies.shift() };
+        }
+      };
+
+      const deltas = [];
+      const result = await api.runPrompt('hi', {
+        model: 'claude-test',
+        directory: process.cwd(),
+        thinkingBudget: 500,
+        onDelta: (d) => deltas.push(d)
+      });
+
+      // Raised to the API minimum, paid for out of max_tokens
+      expect(requests[0].data.thinking).to.deep.equal({ type: 'enabled', budget_tokens: 1024 });
+      expect(requests[0].data.max_tokens).to.equal(1024 + 4096);
+      expect(requests[0].data).to.not.have.property('temperature');
+      expect(requests[1].data.messages[1].content.slice(0, 2)).to.deep.equal([
+        { type: 'thinking', thinking: 'Need to check the file first.', signature: 'c2lnbmVk' },
+        { type: 'redacted_thinking', data: 'opaque' }
+      ]);
+
+      expect(deltas.filter(d => d.type === 'reasoning').map(d => d.text).join('')).to.equal('Need to check the file first.');
+      expect(result.reasoning).to.equal('Need to check the file first.');
+      expect(result.text).to.equal('All good.');
+      expect(result.usage.reasoningTokens).to.be.within(1, 40);
+    });
+
+    it('should show reasoning_content without sending it back', async function() {
+      const api = new GrokAPI({ provider: 'grok', apiKey: 'test' });
+      const bodies = [
+        sseBody([
+          { choices: [{ delta: { reasoning_content: 'Call noop.' } }] },
+          { choices: [{ delta: { tool_calls: [{ index: 0, id: 'c1', type: 'function', function: { name: 'noop', arguments: '{}' } }] }, finish_reason: 'tool_calls' }] }
+        ]),
+        sseBody([
+          { choices: [{ delta: { reasoning_content: 'Done now.' } }] },
+          { choices: [{ delta: { content: 'Finished.' }, finish_reason: 'stop' }] },
+          { choices: [], usage: { prompt_tokens: 3, completion_tokens: 9, completion_tokens_details: { reasoning_tokens: 6 } } }
+        ])
+      ];
+      const requests = [];
+      api.client = {
+        post: async (url, data) => {
+          requests.push({ url, data: JSON.parse(JSON.stringify(data)) });
+          return { data: bodies.shift() };
+        }
+      };
+
+      const deltas = [];
+      const result = await api.runPrompt('hi', { model: 'grok-test', directory: process.cwd(), onDelta: (d) => deltas.push(d) });
+
+      expect(JSON.stringify(requests[1].data.messages)).to.not.include('Call noop.');
+      expect(deltas.filter(d => d.type === 'reasoning').map(d => d.text)).to.deep.equal(['Call noop.', 'Done now.']);
+      expect(result.reasoning).to.equal('Call noop.\n\nDone now.');
+      expect(result.text).to.equal('Finished.');
+      expect(result.formatUsage()).to.match(/6 reasoning/);
+    });
+  });
+});
@@ -0,0 +1,229 @@
+import { expect } from 'chai';
+import { Readable } from 'stream';
+import { GrokAPI } from '../lib/grok-api.js';
+import { config } from '../config/config.js';
+
+function sseBody(payloads) {
+  const text = payloads.map(p => `data: ${JSON.stringify(p)}\n\n`).join('') + 'data: [DONE]\n\n';
+  return Readable.from([Buffer.from(text)]);
+}
+
+// Replace the HTTP client with a scripted one that records request bodies
+function scriptClient(api, responses) {
+  const requests = [];
+  api.client = {
+    post: async (url, data, opts) => {
+      requests.push({ url, data: JSON.parse(JSON.stringify(data)), opts });
+      return { data: responses.shift() };
+    }
+  };
+  return requests;
+}
+
+describe('Provider tool loops', function() {
+  for (const provider of ['groq', 'ollama']) {
+    it(`should run the OpenAI tool loop for ${provider}`, async function() {
+      const api = new GrokAPI({ provider, apiKey: 'test' });
+      const requests = scriptClient(api, [
+        sseBody([{ choices: [{ delta: { tool_calls: [{ index: 0, id: 't1', type: 'function', function: { name: 'noop', arguments: '{}' } }] }, finish_reason: 'tool_calls' }] }]),
+        sseBody([{ choices: [{ delta: { content: 'ok' }, finish_reason: 'stop' }] }])
+      ]);
+
+      const calls = [];
+      const result = await api.processPrompt('hi', {
+        model: 'some-model',
+        directory: process.cwd(),
+        onToolCall: (name) => calls.push(name)
+      });
+
+      expect(requests[0].url).to.equal('/chat/completions');
+      expect(requests[0].data.tools.map(t => t.function.name)).to.include('read');
+      expect(calls).to.deep.equal(['noop']);
+      expect(result).to.equal('ok');
+    });
+  }
+
+  it('should hand malformed tool arguments back to the model as an error', async function() {
+    const api = new GrokAPI({ provider: 'groq', apiKey: 'test' });
+    const requests = scriptClient(api, [
+      sseBody([{ choices: [{ delta: { tool_calls: [{ index: 0, id: 't1', type: 'function', function: { name: 'read', arguments: '{"filePath": "a.js",}' } }] }, finish_reason: 'tool_calls' }] }]),
+      sseBody([{ choices: [{ delta: { content: 'retried' }, finish_reason: 'stop' }] }])
+    ]);
+
+    const result = await api.runPrompt('hi', { model: 'some-model', directory: process.cwd() });
+    const toolMessage = requests[1].data.messages.find(m => m.role === 'tool');
+    expect(toolMessage.content).to.match(/^Error: arguments are not valid JSON/);
+    expect(result.text).to.equal('retried');
+    expect(result.toolCalls[0]).to.include({ name: 'read', success: false });
+  });
+
+  describe('Gemini', function() {
+    it('should translate tools to functionDeclarations without unsupported keys', function() {
+      const api = new GrokAPI({ provider: 'gemini', apiKey: 'test' });
+      const tools = api.getGeminiTools();
+      const read = tools.find(t => t.name === 'read');
+
+      expect(read.parameters.type).to.equal('object');
+      expect(read.parameters.required).to.deep.equal(['filePath']);
+      expect(JSON.stringify(tools)).to.not.include('additionalProperties');
+    });
+
+    it('should run function calls and send functionResponse parts back', async function() {
+      const api = new GrokAPI({ provider: 'gemini', apiKey: 'test' });
+      const requests = scriptClient(api, [
+        {
+          candidates: [{ content: { role: 'model', parts: [{ text: 'Checking.' }, { functionCall: { name: 'noop', args: { a: 1 } } }] } }],
+          usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 2 }
+        },
+        {
+          candidates: [{ content: { role: 'model', parts: [{ text: 'Done.' }] } }],
+          usageMetadata: { promptTokenCount: 20, candidatesTokenCount: 3 }
+        }
+      ]);
+
+      const calls = [];
+      const deltas = [];
+      const result = await api.processPrompt('hi', {
+        model: 'gemini-2.0-flash',
+        directory: process.cwd(),
+        messages: [{ role: 'assistant', content: 'Earlier answer' }],
+        onToolCall: (name, args) => calls.push({ name, args }),
+        onDelta: (d) => deltas.push(d)
+      });
+
+      expect(requests[0].url).to.equal('/models/gemini-2.0-flash:generateContent');
+      expect(requests[0].data.systemInstruction.parts[0].text).to.include('gitforked');
+      expect(requests[0].data.contents[0]).to.deep.equal({ role: 'model', parts: [{ text: 'Earlier answer' }] });
+      expect(requests[0].data.tools[0].functionDeclarations).to.be.an('array').that.is.not.empty;
+
+      expect(calls).to.deep.equal([{ name: 'noop', args: { a: 1 } }]);
+      const toolTurn = requests[1].data.contents.at(-1);
+      expect(toolTurn.role).to.equal('user');
+      expect(toolTurn.parts[0].functionResponse.name).to.equal('noop');
+      expect(toolTurn.parts[0].functionResponse.response.content).to.equal('Unknown tool: noop');
+
+      expect(result).to.match(/^Checking\.\n\nDone\./);
+      expect(result).to.include('Tokens: 35 (30 in, 5 out)');
+      expect(deltas.filter(d => d.type === 'text').map(d => d.text).join('')).to.equal('Checking.\n\nDone.');
+    });
+
+    it('should ask for thoughts and keep them out of the answer', async function() {
+      const api = new GrokAPI({ provider: 'gemini', apiKey: 'test' });
+      const signed = { functionCall: { name: 'noop', args: {} }, thoughtSignature: 'sig1' };
+      const requests = scriptClient(api, [
+        { candidates: [{ content: { role: 'model', parts: [{ text: 'Plan: call noop.', thought: true }, signed] } }] },
+        {
+          candidates: [{ content: { role: 'model', parts: [{ text: 'Looks fine.', thought: true }, { text: 'Done.' }] } }],
+          usageMetadata: { promptTokenCount: 20, candidatesTokenCount: 3, thoughtsTokenCount: 12 }
+        }
+      ]);
+
+      const result = await api.runPrompt('hi', { model: 'gemini-2.5-pro', directory: process.cwd(), thinkingBudget: 2048 });
+
+      expect(requests[0].data.generationConfig).to.deep.include({
+        maxOutputTokens: 4096 + 2048,
+        thinkingConfig: { thinkingBudget: 2048, includeThoughts: true }
+      });
+      // The signed call goes back exactly as it came
+      expect(requests[1].data.contents.at(-2).parts[1]).to.deep.equal(signed);
+      expect(result.text).to.equal('Done.');
+      expect(result.reasoning).to.equal('Plan: call noop.\n\nLooks fine.');
+      expect(result.usage.reasoningTokens).to.equal(12);
+    });
+
+    it('should stop at the round limit', async function() {
+      const api = new GrokAPI({ provider: 'gemini', apiKey: 'test', maxRounds: 2 });
+      const looping = () => ({ candidates: [{ content: { parts: [{ functionCall: { name: 'noop', args: {} } }] } }] });
+      const requests = scriptClient(api, [looping(), looping(), looping()]);
+
+      const result = await api.processPrompt('hi', { model: 'gemini-2.0-flash', directory: process.cwd() });
+      expect(requests).to.have.length(2);
+      expect(result).to.include('[Tool limit: max rounds reached]');
+    });
+  });
+
+  describe('output limit', function() {
+    it('should continue a Claude reply cut off mid-file and stitch it together', async function() {
+      const api = new GrokAPI({ provider: 'claude', apiKey: 'test', maxOutputTokens: 64 });
+      const requests = scriptClient(api, [
+        {
+          content: [{ type: 'text', text: '```js:app.js\nconst a' }, { type: 'tool_use', id: 'cut', name: 'write', input: {} }],
+          stop_reason: 'max_tokens',
+          usage: { input_tokens: 10, output_tokens: 64 }
+        },
+        { content: [{ type: 'text', text: ' = 1;\n```' }], stop_reason: 'end_turn', usage: { input_tokens: 80, output_tokens: 8 } }
+      ]);
+
+      const deltas = [];
+      const result = await api.runPrompt('write app.js', {
+        model: 'claude-test', directory: process.cwd(), stream: false, onDelta: (d) => deltas.push(d)
+      });
+
+      expect(requests[0].data.max_tokens).to.equal(64);
+      // The half-written tool call is not sent back
+      expect(requests[1].data.messages.at(-2).content).to.deep.equal([{ type: 'text', text: '```js:app.js\nconst a' }]);
+      expect(JSON.stringify(requests[1].data.messages.at(-1))).to.match(/cut off by the output limit/);
+      expect(result.text).to.equal('```js:app.js\nconst a = 1;\n```');
+      expect(deltas.filter(d => d.type === 'text').map(d => d.text).join('')).to.equal(result.text);
+      expect(result).to.include({ continuations: 1, truncated: false, stopReason: 'end' });
+    });
+
+    it('should continue a streamed Claude reply whose tool call was cut off', async function() {
+      const api = new GrokAPI({ provider: 'claude', apiKey: 'test', maxOutputTokens: 64 });
+      const requests = scriptClient(api, [
+        sseBody([
+          { type: 'message_start', message: { usage: { input_tokens: 10 } } },
+          { type: 'content_block_start', index: 0, content_block: { type: 'text', text: 'Writing app.js.' } },
+          { type: 'content_block_stop', index: 0 },
+          { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'cut', name: 'write' } },
+          { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"filePath":"app.js","content":"const a' } },
+          { type: 'content_block_stop', index: 1 },
+          { type: 'message_delta', delta: { stop_reason: 'max_tokens' }, usage: { output_tokens: 64 } }
+        ]),
+        sseBody([
+          { type: 'content_block_start', index: 0, content_block: { type: 'text', text: ' Done.' } },
+          { type: 'content_block_stop', index: 0 },
+          { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 4 } }
+        ])
+      ]);
+
+      const result = await api.runPrompt('write app.js', { model: 'claude-test', directory: process.cwd() });
+
+      expect(requests[1].data.messages.at(-2).content).to.deep.equal([{ type: 'text', text: 'Writing app.js.' }]);
+      expect(JSON.stringify(requests[1].data.messages.at(-1))).to.match(/cut off by the output limit/);
+      expect(result.toolCalls).to.deep.equal([]);
+      expect(result.text).to.equal('Writing app.js. Done.');
+      expect(result).to.include({ continuations: 1, truncated: false, stopReason: 'end' });
+    });
+
+    it('should flag the turn truncated once continuations run out', async function() {
+      const api = new GrokAPI({ provider: 'groq', apiKey: 'test', autoContinue: 1 });
+      const cut = (text) => ({ choices: [{ message: { role: 'assistant', content: text }, finish_reason: 'length' }] });
+      const requests = scriptClient(api, [cut('part one'), cut(', part two'), cut('never asked')]);
+
+      const result = await api.runPrompt('long', {
+        model: 'm', directory: process.cwd(), stream: false, maxOutputTokens: 100
+      });
+
+      expect(requests).to.have.length(2);
+      expect(requests[0].data.max_tokens).to.equal(100);
+      expect(result.text).to.equal('part one, part two');
+      expect(result.truncated).to.be.true;
+      expect(result.transcript).to.equal('part one, part two\n\n[Truncated: output limit reached]');
+    });
+
+    it('should take per-model limits from config', function() {
+      const saved = config.config.outputLimits;
+      config.config.outputLimits = { 'claude/claude-opus-4-6': 32000, 'gemini-2.0-flash': 8192 };
+      try {
+        expect(new GrokAPI({ provider: 'claude', apiKey: 'test' })._maxOutputTokens('claude-opus-4-6')).to.equal(32000);
+        expect(new GrokAPI({ provider: 'claude', apiKey: 'test' })._maxOutputTokens('claude-haiku-4-5-20251001')).to.equal(4096);
+        expect(new GrokAPI({ provider: 'gemini', apiKey: 'test' })._maxOutputTokens('gemini-2.0-flash')).to.equal(8192);
+        // OpenAI-compatible servers pick their own unless told
+        expect(new GrokAPI({ provider: 'groq', apiKey: 'test' })._maxOutputTokens('llama-3.1-8b-instant')).to.be.null;
+      } finally {
+        config.config.outputLimits = saved;
+      }
+    });
+  });
+});
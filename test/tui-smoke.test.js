@@ -207,6 +207,44 @@ describe('TUI Smoke Tests', function() {
     });
   });
 
+  describe('StreamWriter', function() {
+    it('should render deltas in place and discard them', async function() {
+      screen = createTestScreen();
+      const { StreamWriter } = await import('../ui/utils/stream-writer.js');
+      const log = blessed.log({ parent: screen, width: '100%', height: '100%' });
+      log.log('before');
+
+      const stream = new StreamWriter(log).begin('AI:');
+      stream.write('Hel');
+      stream.write('lo\nwor');
+      expect(log.getLines()).to.deep.equal(['before', 'AI:', '  Hello', '  wor']);
+
+      // A line logged mid-stream is kept; the partial line continues below it
+      log.log('[read] a.js');
+      stream.write('ld');
+      expect(log.getLines()).to.deep.equal(['before', 'AI:', '  Hello', '  wor', '[read] a.js', '  ld']);
+
+      stream.discard();
+      expect(log.getLines()).to.deep.equal(['before', '[read] a.js']);
+      screen.render();
+    });
+  });
+
+  describe('RetryStatus', function() {
+    it('should describe the wait until it expires', async function() {
+      const { RetryStatus } = await import('../ui/utils/retry-status.js');
+      const status = new RetryStatus();
+      expect(status.label()).to.be.null;
+
+      status.set({ attempt: 2, retries: 4, delayMs: 3000, status: 429 });
+      expect(status.label('Bot: ')).to.equal('Bot: Rate limited (429) — retry 2/4 in 3s');
+
+      status.set({ attempt: 1, retries: 4, delayMs: 0, status: null, error: { code: 'ECONNRESET' } });
+      expect(status.label()).to.be.null;
+      expect(RetryStatus.describe(status.info)).to.equal('Network error (ECONNRESET)');
+    });
+  });
+
   describe('Full AgentTeamsTUI creation', function() {
     it('should import without crashing', async function() {
       const mod = await import('../ui/agent-teams-tui.js');
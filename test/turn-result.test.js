@@ -0,0 +1,112 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TurnResult } from '../lib/turn-result.js';
+import { GrokAPI } from '../lib/grok-api.js';
+
+describe('TurnResult', function() {
+  it('should total usage and cost over rounds', function() {
+    const turn = new TurnResult({ provider: 'groq', model: 'm' });
+    turn.addRound({ usage: { inputTokens: 100, outputTokens: 10, cachedTokens: 40 }, cost: 0.5, stopReason: 'tool_calls' });
+    turn.addRound({ usage: { inputTokens: 200, outputTokens: 20, reasoningTokens: 5 }, cost: 0.25, stopReason: 'stop' });
+
+    expect(turn.usage).to.deep.equal({
+      inputTokens: 300, outputTokens: 30, cachedTokens: 40, cacheWriteTokens: 0, reasoningTokens: 5, totalTokens: 330
+    });
+    expect(turn.cost).to.equal(0.75);
+    expect(turn.stopReason).to.equal('end');
+    expect(turn.formatUsage()).to.equal('Tokens: 330 (300 in, 30 out, 40 cache read, 5 reasoning)\nCost: $0.750000');
+  });
+
+  it('should flag a reply cut short by the output limit', function() {
+    const turn = new TurnResult();
+    turn.addRound({ usage: null, stopReason: 'max_tokens' });
+    expect(turn.truncated).to.be.true;
+    turn.addRound({ usage: null, stopReason: 'end_turn' });
+    expect(turn.truncated).to.be.false;
+  });
+
+  it('should record tool calls and the files they changed', function() {
+    const turn = new TurnResult({ directory: '/work' });
+    turn.addToolCall('read', { filePath: 'a.js' }, true);
+    turn.addToolCall('write', { filePath: 'b.js', content: 'x' }, true);
+    turn.addToolCall('edit', { filePath: '/work/b.js' }, true);
+    turn.addToolCall('edit', { filePath: 'c.js' }, false);
+
+    expect(turn.toolCalls.map(c => c.name)).to.deep.equal(['read', 'write', 'edit', 'edit']);
+    expect(turn.filesTouched).to.deep.equal([path.resolve('/work/b.js')]);
+  });
+
+  it('should render the legacy string with markers and footer', function() {
+    const turn = new TurnResult();
+    turn.text = 'Partial';
+    turn.addRound({ usage: { inputTokens: 3, outputTokens: 4 }, cost: 0 });
+    turn.stopReason = 'cancelled';
+
+    expect(turn.transcript).to.equal('Partial\n\n[Cancelled]');
+    expect(String(turn)).to.equal('Partial\n\n[Cancelled]\n\n---\nTokens: 7 (3 in, 4 out)\nCost: $0.000000');
+    expect(String(new TurnResult())).to.equal('No response');
+    expect(JSON.parse(JSON.stringify(turn))).to.include({ text: 'Partial', stopReason: 'cancelled' });
+  });
+
+  describe('GrokAPI.runPrompt', function() {
+    let dir;
+
+    beforeEach(function() {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitforked-turn-'));
+    });
+
+    afterEach(function() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should return per-round usage, tool calls and touched files', async function() {
+      const api = new GrokAPI({ provider: 'claude', apiKey: 'test', checkpoints: false });
+      const replies = [
+        {
+          content: [{ type: 'tool_use', id: 't1', name: 'write', input: { filePath: 'out.txt', content: 'hi' } }],
+          stop_reason: 'tool_use',
+          usage: { input_tokens: 50, output_tokens: 10, cache_read_input_tokens: 1000 }
+        },
+        {
+          content: [{ type: 'text', text: 'Wrote it.' }],
+          stop_reason: 'end_turn',
+          usage: { input_tokens: 80, output_tokens: 5 }
+        }
+      ];
+      api.client = { post: async () => ({ headers: {}, data: replies.shift() }) };
+
+      const result = await api.runPrompt('write out.txt', {
+        model: 'claude-haiku-4-5-20251001',
+        directory: dir,
+        stream: false
+      });
+
+      expect(result).to.be.instanceOf(TurnResult);
+      expect(result.text).to.equal('Wrote it.');
+      expect(result.rounds.map(r => r.stopReason)).to.deep.equal(['tool_use', 'end_turn']);
+      expect(result.usage).to.include({ inputTokens: 1130, outputTokens: 15, cachedTokens: 1000 });
+      expect(result.cost).to.be.greaterThan(0);
+      expect(result.toolCalls).to.deep.equal([{ name: 'write', args: { filePath: 'out.txt', content: 'hi' }, success: true, round: 1 }]);
+      expect(result.filesTouched).to.deep.equal([path.join(dir, 'out.txt')]);
+      expect(result.stopReason).to.equal('end');
+    });
+
+    it('should report the round limit as a flag', async function() {
+      const api = new GrokAPI({ provider: 'groq', apiKey: 'test', maxRounds: 1, checkpoints: false });
+      api.client = {
+        post: async () => ({
+          headers: {},
+          data: { choices: [{ message: { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'noop', arguments: '{}' } }] }, finish_reason: 'tool_calls' }] }
+        })
+      };
+
+      const result = await api.runPrompt('loop', { model: 'm', directory: dir, stream: false });
+      expect(result.limits).to.deep.equal({ maxRounds: true, maxToolCalls: false });
+      expect(result.stopReason).to.equal('max_rounds');
+      expect(await api.processPrompt('loop', { model: 'm', directory: dir, stream: false }))
+        .to.equal('\n\n[Tool limit: max rounds reached]');
+    });
+  });
+});
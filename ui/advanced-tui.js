@@ -7,6 +7,17 @@ import fs from 'fs';
 import path from 'path';
 import { exec } from 'child_process';
 import { Theme } from './styles/theme.js';
+import { StreamWriter } from './utils/stream-writer.js';
+import { RetryStatus } from './utils/retry-status.js';
+import { ReasoningView } from './utils/reasoning-view.js';
+import { PendingImages } from './utils/pending-images.js';
+import { getProvider, listProviders, skippedProviders } from '../lib/providers/index.js';
+import { modelCatalog, describeModel } from '../lib/model-catalog.js';
+import { describeRoute } from '../lib/router.js';
+import { parseCompareArgs, runComparison, compareAnswers, formatColumns, toMarkdown } from '../lib/compare.js';
+import { describePatch } from '../lib/patch.js';
+import { GIT_TOOLS, describeGitTool } from '../lib/git-inspect.js';
+import { checkpointCommand } from './utils/checkpoint-commands.js';
 
 // Clipboard helper - copies text to system clipboard
 function copyToClipboard(text) {
@@ -39,49 +50,6 @@ const PERMISSION_TYPES = {
   DELETE: 'delete'
 };
 
-// Available models by provider (opencode-inspired)
-const AVAILABLE_MODELS = {
-  xai: [
-    'grok-4-1-fast-reasoning',
-    'grok-4-1-fast-non-reasoning',
-    'grok-4-latest',
-    'grok-4',
-    'grok-3-latest',
-    'grok-3-fast',
-    'grok-3-mini',
-    'grok-3-mini-fast',
-    'grok-beta',
-    'grok-vision-beta'
-  ],
-  anthropic: [
-    'claude-opus-4-6',
-    'claude-opus-4-5-20251101',
-    'claude-sonnet-4-5-20250929',
-    'claude-haiku-4-5-20251001'
-  ],
-  groq: [
-    'llama-3.3-70b-versatile',
-    'llama-3.1-8b-instant',
-    'mixtral-8x7b-32768',
-    'gemma2-9b-it'
-  ],
-  google: [
-    'gemini-2.0-flash',
-    'gemini-1.5-pro',
-    'gemini-1.5-flash'
-  ],
-  ollama: [] // Populated dynamically via OllamaProvider
-};
-
-// Map provider aliases to config keys
-const PROVIDER_MAP = {
-  xai: 'grok',
-  anthropic: 'claude',
-  groq: 'groq',
-  google: 'gemini',
-  ollama: 'ollama'
-};
-
 // Easter egg spinner messages
 const SPINNER_MESSAGES = [
   // Idiocracy refs
@@ -342,6 +310,7 @@ class SimpleTUI {
       } catch (error) {
         this.hideThinking();
         console.log(`\x1b[31m❌ Error: ${error.message}\x1b[0m`);
+        if (error.hint) console.log(`\x1b[36m💡 ${error.hint}\x1b[0m`);
       }
     }
   }
@@ -456,12 +425,21 @@ export class AdvancedTUI {
     this.spinnerInterval = null;
     this.spinnerFrame = 0;
     this.spinnerStartTime = null;
+    this.retryStatus = new RetryStatus();
+    this.abortController = null; // set while a turn is running
     this.currentSpinnerMessage = '';
+    this.pendingImages = new PendingImages();
+    this.lastComparison = null; // { prompt, results } for /compare save
 
     this.initComponents();
+    this.reasoningView = new ReasoningView(this.chatPanel, {
+      escape: (text) => this.escapeContent(text),
+      render: () => this.render()
+    });
     this.setupEventHandlers();
     this.loadConfig();
     this.updateTodoList(); // Initialize tasks panel with placeholder
+    skippedProviders().forEach(message => this.addSystemMessage(message));
     this.render();
   }
 
@@ -805,12 +783,20 @@ export class AdvancedTUI {
   }
 
   setupEventHandlers() {
-    // Exit
+    // Ctrl+C stops a running turn; pressed again (or when idle) it exits
     this.screen.key(['C-c'], () => {
+      if (this.cancelCurrentRequest()) return;
       this.destroy();
       process.exit(0);
     });
 
+    // Esc outside the input box also stops a running turn
+    this.screen.key(['escape'], () => {
+      if (this.screen.focused !== this.inputBox && !this.permissionPending) {
+        this.cancelCurrentRequest();
+      }
+    });
+
     // Mode toggle
     this.screen.key(['C-p'], () => {
       this.mode = this.mode === 'plan' ? 'build' : 'plan';
@@ -882,11 +868,11 @@ export class AdvancedTUI {
       this.render();
     });
 
-    // Escape to clear/cancel
+    // Escape to deny a permission prompt, stop a running turn, or clear input
     this.inputBox.key(['escape'], () => {
       if (this.permissionPending) {
         this.denyPermission();
-      } else {
+      } else if (!this.cancelCurrentRequest()) {
         this.inputBox.clearValue();
         this.render();
       }
@@ -931,6 +917,9 @@ export class AdvancedTUI {
       await this.handleCommand(input);
     } else {
       this.addUserMessage(input);
+      for (const label of this.pendingImages.labels()) {
+        this.chatPanel.log(`  {gray-fg}[image: ${this.escapeContent(label)}]{/}`);
+      }
       await this.processAIRequest(input);
     }
   }
@@ -954,6 +943,19 @@ export class AdvancedTUI {
         this.chatPanel.setContent('');
         this.messages = [];
         break;
+      case 'compact':
+        await this.compactHistory({ force: true });
+        break;
+      case 'thinking':
+        if (!this.reasoningView.expand()) this.addSystemMessage('No reasoning in this session yet');
+        break;
+      case 'image':
+        this.addSystemMessage(this.pendingImages.command(args, this.currentDir));
+        break;
+      case 'undo':
+      case 'checkpoints':
+        checkpointCommand(command, args, this.currentDir).forEach(line => this.addSystemMessage(line));
+        break;
       case 'git':
         await this.handleGitCommand(args);
         break;
@@ -963,8 +965,14 @@ export class AdvancedTUI {
       case 'todo':
         this.manageTodos(args);
         break;
-      case 'models':
-        this.listModels(args[0]);
+      case 'models': {
+        // "/models refresh [provider]" re-queries instead of using the cache
+        const refresh = args[0] === 'refresh';
+        await this.listModels(refresh ? args[1] : args[0], { refresh });
+        break;
+      }
+      case 'compare':
+        await this.compareModels(args.join(' '));
         break;
       case 'switch':
         await this.switchModel(args[0]);
@@ -982,32 +990,111 @@ export class AdvancedTUI {
     this.render();
   }
 
-  listModels(filterProvider) {
+  // /compare <provider/model> <provider/model> ... -- <prompt> runs the
+  // prompt on each model read-only and shows the answers side by side;
+  // /compare save [file] writes the last comparison as markdown
+  async compareModels(input) {
+    if (input === 'save' || input.startsWith('save ')) {
+      if (!this.lastComparison) {
+        this.addSystemMessage('Nothing to save yet: run /compare first');
+        return;
+      }
+      const file = path.resolve(this.currentDir, input.slice(4).trim() || 'comparison.md');
+      fs.writeFileSync(file, toMarkdown(this.lastComparison.prompt, this.lastComparison.results));
+      this.addSystemMessage(`Saved comparison to ${file}`);
+      return;
+    }
+
+    let request;
+    try {
+      request = parseCompareArgs(input);
+    } catch (error) {
+      this.addSystemMessage(error.message);
+      return;
+    }
+
+    this.chatPanel.log(`{bold}{cyan-fg}═══ Compare: ${request.models.length} models (read-only) ═══{/}`);
+    this.chatPanel.log(`{gray-fg}${this.escapeContent(request.prompt)}{/}`);
+    this.startSpinner();
+    this.abortController = new AbortController();
+    try {
+      const results = await runComparison(request.models, request.prompt, {
+        directory: this.currentDir,
+        signal: this.abortController.signal,
+        onResult: (result) => {
+          this.addActivity('compare', result.ref, result.error ? 'failed' : 'completed');
+          this.render();
+        }
+      });
+      this.stopSpinner(true);
+      this.lastComparison = { prompt: request.prompt, results };
+      this.showComparison(results);
+    } catch (error) {
+      this.stopSpinner(false);
+      this.showError(error);
+    } finally {
+      this.abortController = null;
+    }
+  }
+
+  showComparison(results) {
+    const width = typeof this.chatPanel.width === 'number' ? this.chatPanel.width - 4 : 100;
+    this.chatPanel.log('');
+    for (const line of formatColumns(results, width)) {
+      this.chatPanel.log(this.escapeContent(line));
+    }
+    for (const { result, runs, similarity } of compareAnswers(results)) {
+      this.chatPanel.log('');
+      this.chatPanel.log(`{bold}Diff vs first answer: ${this.escapeContent(result.ref)}{/} {gray-fg}(${Math.round(similarity * 100)}% same words){/}`);
+      this.chatPanel.log(runs.map(run => {
+        const text = this.escapeContent(run.text);
+        if (run.type === 'removed') return `{red-fg}-[${text}]{/}`;
+        if (run.type === 'added') return `{green-fg}+[${text}]{/}`;
+        return text;
+      }).join(' '));
+    }
+    const cost = results.reduce((sum, result) => sum + result.cost, 0);
+    if (cost > 0) {
+      this.totalCost += cost;
+      this.updateHeader();
+    }
+    this.chatPanel.log('');
+    this.chatPanel.log('{gray-fg}/compare save [file] writes this comparison as markdown{/}');
+    this.chatPanel.log('');
+    this.render();
+  }
+
+  async listModels(filterProvider, { refresh = false } = {}) {
     this.chatPanel.log('{bold}{cyan-fg}═══ Available Models ═══{/}');
     this.chatPanel.log('');
 
-    const providers = filterProvider ? [filterProvider] : Object.keys(AVAILABLE_MODELS);
+    const adapters = filterProvider ? [getProvider(filterProvider)] : listProviders();
 
-    for (const provider of providers) {
-      if (!AVAILABLE_MODELS[provider]) {
-        this.addSystemMessage(`Unknown provider: ${provider}`);
+    for (const adapter of adapters) {
+      if (!adapter) {
+        this.addSystemMessage(`Unknown provider: ${filterProvider}`);
         continue;
       }
 
-      const configKey = PROVIDER_MAP[provider];
-      const hasKey = config.getApiKey(configKey) ? '{green-fg}✓{/}' : '{red-fg}✗{/}';
-      const isCurrent = this.provider === configKey ? '{yellow-fg}(active){/}' : '';
+      const hasKey = adapter.hasCredentials() ? '{green-fg}✓{/}' : '{red-fg}✗{/}';
+      const isCurrent = this.provider === adapter.id ? '{yellow-fg}(active){/}' : '';
 
-      this.chatPanel.log(`{bold}{cyan-fg}${provider}{/} ${hasKey} ${isCurrent}`);
+      const models = await modelCatalog.list(adapter.id, { refresh });
+      const builtin = models[0]?.source === 'builtin' ? '{gray-fg}(built-in list){/}' : '';
+      this.chatPanel.log(`{bold}{cyan-fg}${adapter.alias}{/} ${hasKey} ${isCurrent} ${builtin}`);
 
-      for (const model of AVAILABLE_MODELS[provider]) {
-        const isActive = this.model === model ? '{yellow-fg}► {/}' : '  ';
-        this.chatPanel.log(`${isActive}{white-fg}${provider}/${model}{/}`);
+      for (const entry of models) {
+        const isActive = this.model === entry.id ? '{yellow-fg}► {/}' : '  ';
+        const detail = describeModel(entry);
+        this.chatPanel.log(`${isActive}{white-fg}${adapter.alias}/${entry.id}{/}${detail ? ` {gray-fg}${detail}{/}` : ''}`);
+      }
+      if (models.length === 0) {
+        this.chatPanel.log(`  {gray-fg}No model list — use /switch ${adapter.alias}/<model>{/}`);
       }
       this.chatPanel.log('');
     }
 
-    this.chatPanel.log('{gray-fg}Usage: /switch provider/model{/}');
+    this.chatPanel.log('{gray-fg}Usage: /switch provider/model   ·   /models refresh to re-query providers{/}');
     this.chatPanel.log('{gray-fg}Example: /switch xai/grok-4-1-fast-reasoning{/}');
     this.chatPanel.log('');
   }
@@ -1022,36 +1109,37 @@ export class AdvancedTUI {
 
     const [providerAlias, ...modelParts] = input.split('/');
     const model = modelParts.join('/');
+    const adapter = getProvider(providerAlias);
 
-    if (!AVAILABLE_MODELS[providerAlias]) {
+    if (!adapter) {
       this.addSystemMessage(`Unknown provider: ${providerAlias}`);
-      this.addSystemMessage(`Available: ${Object.keys(AVAILABLE_MODELS).join(', ')}`);
+      this.addSystemMessage(`Available: ${listProviders().map(a => a.alias).join(', ')}`);
       return;
     }
 
-    if (!AVAILABLE_MODELS[providerAlias].includes(model)) {
+    // Providers without a catalog (openai-compatible servers) accept any model name
+    const models = await modelCatalog.ids(adapter.id);
+    if (!model || (models.length > 0 && !models.includes(model))) {
       this.addSystemMessage(`Unknown model: ${model}`);
       this.addSystemMessage(`Run /models ${providerAlias} to see available models`);
       return;
     }
 
-    const configKey = PROVIDER_MAP[providerAlias];
-
     // Check if API key is set
-    if (!config.getApiKey(configKey)) {
+    if (!adapter.hasCredentials()) {
       this.addSystemMessage(`{red-fg}No API key set for ${providerAlias}{/}`);
       this.addSystemMessage(`Set it in ~/.gitforked/config.json`);
       return;
     }
 
     // Update provider and model
-    this.provider = configKey;
+    this.provider = adapter.id;
     this.model = model;
-    config.setProvider(configKey);
+    config.setProvider(adapter.id);
     config.setModel(model);
 
     // Reinitialize API client with new provider
-    grokAPI.provider = configKey;
+    grokAPI.provider = adapter.id;
     grokAPI.setupClient();
 
     this.updateHeader();
@@ -1059,20 +1147,25 @@ export class AdvancedTUI {
   }
 
   async switchProvider(providerAlias) {
-    const configKey = PROVIDER_MAP[providerAlias] || providerAlias;
+    const adapter = getProvider(providerAlias);
 
-    if (!config.getApiKey(configKey)) {
+    if (!adapter) {
+      this.addSystemMessage(`Unknown provider: ${providerAlias}`);
+      return;
+    }
+
+    if (!adapter.hasCredentials()) {
       this.addSystemMessage(`{red-fg}No API key set for ${providerAlias}{/}`);
       return;
     }
 
-    this.provider = configKey;
-    config.setProvider(configKey);
-    grokAPI.provider = configKey;
+    this.provider = adapter.id;
+    config.setProvider(adapter.id);
+    grokAPI.provider = adapter.id;
     grokAPI.setupClient();
 
     this.updateHeader();
-    this.addSystemMessage(`{green-fg}Switched to provider: ${configKey}{/}`);
+    this.addSystemMessage(`{green-fg}Switched to provider: ${adapter.id}{/}`);
   }
 
   async handleGitCommand(args) {
@@ -1093,19 +1186,67 @@ export class AdvancedTUI {
 
   async processAIRequest(input) {
     this.startSpinner();
+    const stream = new StreamWriter(this.chatPanel, {
+      escape: (text) => this.escapeContent(text),
+      render: () => this.render()
+    });
 
+    this.abortController = new AbortController();
+    const images = this.pendingImages.take();
     try {
-      const response = await this.processPromptWithCallbacks(input);
+      await this.compactHistory({ signal: this.abortController.signal });
+      const result = await this.processPromptWithCallbacks(input, stream, this.abortController.signal, images);
       this.stopSpinner(true);
-      this.addAssistantMessage(response);
-      this.extractCost(response);
+      // Replace the raw streamed text with the final message, its reasoning
+      // collapsed above it
+      this.reasoningView.collapse(result.reasoning, [stream]);
+      this.addAssistantMessage(result.transcript);
+      this.showUsage(result);
     } catch (error) {
       this.stopSpinner(false);
-      this.addSystemMessage(`Error: ${error.message}`);
+      this.reasoningView.detach();
+      this.showError(error);
+      // Kept for the retry: a rate limit or a model without vision
+      // shouldn't cost the user their attachments
+      const restored = this.pendingImages.restore(images);
+      if (restored) this.addSystemMessage(restored);
+    } finally {
+      this.abortController = null;
     }
     this.render();
   }
 
+  // Summarise older turns with the current model. Runs before every turn,
+  // where it only acts near the context limit, and on /compact (force).
+  async compactHistory({ force = false, signal } = {}) {
+    if (force) this.addActivity('compact', 'Summarising earlier conversation', 'running');
+    try {
+      const result = await grokAPI.compactHistory(this.messages, { model: this.model, force, signal });
+      if (force) this.updateActivity('compact', 'completed');
+      if (result.compacted) {
+        this.messages = result.messages;
+        this.addSystemMessage(`Compacted ${result.summarizedCount} earlier messages into a summary (~${result.before} → ~${result.after} tokens)`);
+      } else if (force) {
+        this.addSystemMessage('Nothing to compact yet.');
+      }
+    } catch (error) {
+      if (force) this.updateActivity('compact', 'failed');
+      // Not fatal: the turn goes ahead with the full history
+      if (!signal?.aborted) this.addSystemMessage(`Compaction failed: ${error.message}`);
+    }
+    this.render();
+  }
+
+  // Abort the running turn. Returns false when there is nothing to stop
+  // (no turn in flight, or it is already being cancelled).
+  cancelCurrentRequest() {
+    if (!this.abortController || this.abortController.signal.aborted) return false;
+    this.abortController.abort();
+    this.addActivity('cancel', 'Stopping current turn', null);
+    this.addSystemMessage('Cancelling...');
+    return true;
+  }
+
   startSpinner() {
     this.spinnerStartTime = Date.now();
     this.spinnerFrame = 0;
@@ -1123,10 +1264,11 @@ export class AdvancedTUI {
         this.currentSpinnerMessage = SPINNER_MESSAGES[Math.floor(Math.random() * SPINNER_MESSAGES.length)];
       }
 
-      // Update the input label with spinner
+      // Update the input label with spinner (or the retry countdown)
       const modeColor = this.mode === 'plan' ? 'yellow' : 'green';
-      this.inputBox.setLabel(` ${frame} ${this.currentSpinnerMessage} [${elapsed}s] `);
-      this.inputBox.style.label.fg = modeColor;
+      const retryLabel = this.retryStatus.label();
+      this.inputBox.setLabel(` ${frame} ${retryLabel || this.currentSpinnerMessage} [${elapsed}s] `);
+      this.inputBox.style.label.fg = retryLabel ? 'red' : modeColor;
       this.render();
     }, 80);
 
@@ -1140,6 +1282,7 @@ export class AdvancedTUI {
     }
 
     const elapsed = this.spinnerStartTime ? ((Date.now() - this.spinnerStartTime) / 1000).toFixed(1) : '0.0';
+    this.retryStatus.clear();
 
     // Restore input label
     this.updateInputLabel();
@@ -1152,27 +1295,52 @@ export class AdvancedTUI {
     this.activityPanel.log(`${icon} Completed in ${elapsed}s`);
   }
 
-  async processPromptWithCallbacks(prompt) {
-    return await grokAPI.processPrompt(prompt, {
+  // Resolves to the turn's TurnResult
+  async processPromptWithCallbacks(prompt, stream, signal, images = []) {
+    return await grokAPI.runPrompt(prompt, {
       model: this.model,
+      signal,
       directory: this.currentDir,
       mode: this.mode,
       messages: this.messages, // Pass conversation history
+      images,
+      onRoute: (route) => {
+        this.chatPanel.log(`{gray-fg}Routed: ${this.escapeContent(describeRoute(route))}{/}`);
+        this.render();
+      },
+      onFallback: (event) => {
+        this.chatPanel.log(`{yellow-fg}${this.escapeContent(event.from)} failed (${event.code}), continuing on ${this.escapeContent(event.to)}{/}`);
+        this.render();
+      },
       onToolCall: (toolName, args) => {
         this.addActivity(toolName, this.formatToolArgs(toolName, args), 'running');
         this.render();
       },
-      onToolResult: (toolName, success) => {
-        this.updateActivity(toolName, success ? 'completed' : 'failed');
+      onToolResult: (toolName, success, error) => {
+        this.updateActivity(toolName, success && !error ? 'completed' : 'failed');
+        if (error?.hint) this.showError(error);
         this.render();
       },
       onPermissionRequired: async (type, details) => {
         return await this.requestPermission(type, details);
+      },
+      onDelta: (delta) => {
+        if (!stream) return;
+        if (delta.type === 'reasoning') this.reasoningView.write(delta.text);
+        if (delta.type !== 'text') return;
+        if (!stream.started) stream.begin('{bold}{green-fg}AI:{/}');
+        stream.write(delta.text);
+      },
+      onRetry: (info) => {
+        this.retryStatus.set(info);
+        this.addActivity('retry', `${RetryStatus.describe(info)} — waiting ${(info.delayMs / 1000).toFixed(1)}s (${info.attempt}/${info.retries})`, null);
+        this.render();
       }
     });
   }
 
   formatToolArgs(toolName, args) {
+    if (GIT_TOOLS.has(toolName)) return describeGitTool(toolName, args);
     switch (toolName) {
       case 'bash':
         return `$ ${args.command || ''}`;
@@ -1182,6 +1350,8 @@ export class AdvancedTUI {
         return path.basename(args.filePath || '');
       case 'edit':
         return path.basename(args.filePath || '');
+      case 'apply_patch':
+        return describePatch(args.patch);
       case 'glob':
         return args.pattern || '';
       case 'grep':
@@ -1210,6 +1380,9 @@ export class AdvancedTUI {
         case 'edit':
           content += `{white-fg}Edit file:{/} {cyan-fg}${details.filePath}{/}`;
           break;
+        case 'apply_patch':
+          content += `{white-fg}Apply patch:{/}\n${details.patchPreview}`;
+          break;
         default:
           content += `{white-fg}${type}:{/} ${JSON.stringify(details)}`;
       }
@@ -1314,6 +1487,15 @@ export class AdvancedTUI {
     this.render();
   }
 
+  // A failed turn or tool call, with the fix when the error is a typed one
+  // (lib/errors.js) that knows it
+  showError(error) {
+    const label = error.code === 'tool_failure' ? `${error.tool} failed` : 'Error';
+    this.addSystemMessage(`${label}: ${error.message}`);
+    if (error.hint) this.chatPanel.log(`{cyan-fg}  Fix:{/} ${this.escapeContent(error.hint)}`);
+    this.render();
+  }
+
   escapeContent(content) {
     // Escape blessed tags in user content
     return content.replace(/\{/g, '{{').replace(/\}/g, '}}');
@@ -1325,10 +1507,10 @@ export class AdvancedTUI {
     this.chatPanel.log('{bold}Keyboard Shortcuts:{/}');
     this.chatPanel.log('  {cyan-fg}Ctrl+P{/}     Toggle Plan/Build mode');
     this.chatPanel.log('  {cyan-fg}Ctrl+F{/}     Toggle file browser');
-    this.chatPanel.log('  {cyan-fg}Ctrl+C{/}     Exit');
+    this.chatPanel.log('  {cyan-fg}Ctrl+C{/}     Stop running turn / Exit');
     this.chatPanel.log('  {cyan-fg}Tab{/}        Switch focus between panels');
     this.chatPanel.log('  {cyan-fg}Enter{/}      Send message');
-    this.chatPanel.log('  {cyan-fg}Esc{/}        Clear input / Cancel permission');
+    this.chatPanel.log('  {cyan-fg}Esc{/}        Stop running turn / Clear input / Cancel permission');
     this.chatPanel.log('  {cyan-fg}Y/N{/}        Allow/Deny permission prompts');
     this.chatPanel.log('');
     this.chatPanel.log('{bold}Scroll (when Chat focused):{/}');
@@ -1344,6 +1526,11 @@ export class AdvancedTUI {
     this.chatPanel.log('  {cyan-fg}/help{/}              Show this help');
     this.chatPanel.log('  {cyan-fg}/mode{/}              Toggle Plan/Build mode');
     this.chatPanel.log('  {cyan-fg}/clear{/}             Clear chat history');
+    this.chatPanel.log('  {cyan-fg}/compact{/}           Summarise older turns to free context');
+    this.chatPanel.log('  {cyan-fg}/thinking{/}          Expand the latest reasoning');
+    this.chatPanel.log('  {cyan-fg}/image <path>{/}      Attach an image to the next message');
+    this.chatPanel.log('  {cyan-fg}/undo [n]{/}          Put back the files the last n agent turns changed');
+    this.chatPanel.log('  {cyan-fg}/checkpoints{/}       List the saved checkpoints');
     this.chatPanel.log('  {cyan-fg}/run <cmd>{/}         Execute shell command (requires permission)');
     this.chatPanel.log('  {cyan-fg}/git <cmd>{/}         Git operations');
     this.chatPanel.log('  {cyan-fg}/todo add <text>{/}   Add a task');
@@ -1353,8 +1540,12 @@ export class AdvancedTUI {
     this.chatPanel.log('{bold}Model Switching:{/}');
     this.chatPanel.log('  {cyan-fg}/models{/}            List all available models');
     this.chatPanel.log('  {cyan-fg}/models <provider>{/} List models for a provider');
+    this.chatPanel.log('  {cyan-fg}/models refresh{/}    Re-query the providers\' model lists');
     this.chatPanel.log('  {cyan-fg}/switch <p/m>{/}      Switch to provider/model');
+    this.chatPanel.log('  {cyan-fg}/compare <p/m> <p/m> -- <prompt>{/}  Ask several models at once, read-only');
+    this.chatPanel.log('  {cyan-fg}/compare save [file]{/} Save the last comparison as markdown');
     this.chatPanel.log('  {cyan-fg}/provider{/}          Show current provider');
+    this.chatPanel.log('  {cyan-fg}@cheap <msg>{/}       Routing mode: send one message to the cheap (or @default/@strong) model');
     this.chatPanel.log('');
     this.chatPanel.log('{bold}Examples:{/}');
     this.chatPanel.log('  {gray-fg}/switch xai/grok-4-1-fast-reasoning{/}');
@@ -1449,11 +1640,15 @@ export class AdvancedTUI {
     }
   }
 
-  extractCost(response) {
-    const costMatch = response.match(/Cost: \$([\d.]+)/);
-    if (costMatch) {
-      const cost = parseFloat(costMatch[1]);
-      this.totalCost += cost;
+  // Token/cost line under the answer, and the running total in the header
+  showUsage(result) {
+    const usage = result.formatUsage();
+    if (usage) {
+      this.chatPanel.log(`{gray-fg}${usage.replaceAll('\n', ' · ')}{/}`);
+      this.chatPanel.log('');
+    }
+    if (result.cost > 0) {
+      this.totalCost += result.cost;
       this.updateHeader();
     }
   }
@@ -1476,6 +1671,10 @@ export async function runAdvancedTUI(options = {}) {
   try {
     const tui = new AdvancedTUI();
     await tui.initializePlugins();
+    // chat --image: attached to the first message
+    for (const imagePath of options.image || []) {
+      tui.addSystemMessage(tui.pendingImages.command([imagePath], tui.currentDir));
+    }
 
     // Welcome message with mascot - teal dude with fedora and cigar
     tui.chatPanel.log('');
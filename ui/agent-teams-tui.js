@@ -9,6 +9,14 @@ import { TeamSetupDialog } from './dialogs/team-setup-dialog.js';
 import { AgentConfigDialog } from './dialogs/agent-config-dialog.js';
 import { ResponseFileWriter } from '../lib/response-file-writer.js';
 import { Theme } from './styles/theme.js';
+import { StreamWriter } from './utils/stream-writer.js';
+import { ReasoningView } from './utils/reasoning-view.js';
+import { PendingImages } from './utils/pending-images.js';
+import { RetryStatus } from './utils/retry-status.js';
+import { getProvider, skippedProviders } from '../lib/providers/index.js';
+import { describePatch } from '../lib/patch.js';
+import { GIT_TOOLS, describeGitTool } from '../lib/git-inspect.js';
+import { checkpointCommand } from './utils/checkpoint-commands.js';
 
 const SPINNER_FRAMES = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
 
@@ -64,10 +72,18 @@ class AgentTeamsTUI {
     this.spinnerFrame = 0;
     this.spinnerStartTime = null;
     this.currentSpinnerMessage = '';
+    this.agentStreams = new Map(); // agent ID -> StreamWriter for in-flight responses
+    this.reasoningViews = new Map(); // agent ID -> ReasoningView (streamed and latest reasoning)
+    this.lastReasoningAgent = null; // default target of /thinking in the team channel
+    this.pendingImages = new PendingImages(); // sent with the next DM or broadcast
+    this.retryStatus = new RetryStatus();
+    this.retryAgentName = null;
+    this.broadcastController = null; // aborts the team-channel broadcast in flight
 
     this.initComponents();
     this.setupEventHandlers();
     this.setupTeamChannelEvents();
+    skippedProviders().forEach(message => this.addSystemMessage(this.escapeContent(message)));
     this.render();
   }
 
@@ -396,9 +412,65 @@ class AgentTeamsTUI {
     });
   }
 
+  createStreamWriter() {
+    return new StreamWriter(this.chatPanel, {
+      escape: (text) => this.escapeContent(text),
+      render: () => this.render()
+    });
+  }
+
+  reasoningViewFor(agent) {
+    if (!this.reasoningViews.has(agent.id)) {
+      this.reasoningViews.set(agent.id, new ReasoningView(this.chatPanel, {
+        escape: (text) => this.escapeContent(text),
+        render: () => this.render()
+      }));
+    }
+    return this.reasoningViews.get(agent.id);
+  }
+
+  // Drop the raw streamed text and reasoning for an agent before its final
+  // response is logged; the reasoning collapses to a summary line when the
+  // team channel is on screen
+  collapseAgentStream(agent, result) {
+    const stream = this.agentStreams.get(agent.id);
+    this.reasoningViewFor(agent).collapse(result.reasoning, stream ? [stream] : [], {
+      summary: this.activeView === 'team-channel'
+    });
+    this.agentStreams.delete(agent.id);
+    if (result.reasoning) this.lastReasoningAgent = agent;
+  }
+
+  // The chat panel was cleared: in-flight writers no longer own any lines
+  clearStreams() {
+    this.agentStreams.clear();
+    for (const view of this.reasoningViews.values()) view.detach();
+  }
+
   setupTeamChannelEvents() {
     this.teamChannel.removeAllListeners();
 
+    this.teamChannel.on('agent-delta', (agent, delta) => {
+      if (this.activeView !== 'team-channel') return;
+      if (delta.type === 'reasoning') this.reasoningViewFor(agent).write(delta.text);
+      if (delta.type !== 'text') return;
+      let stream = this.agentStreams.get(agent.id);
+      if (!stream) {
+        const color = AGENT_COLORS[this.getAgentColorIndex(agent)];
+        stream = this.createStreamWriter().begin(`{${color}-fg}{bold}${agent.name}{/} {gray-fg}(${agent.role || agent.provider}){/}`);
+        this.agentStreams.set(agent.id, stream);
+      }
+      stream.write(delta.text);
+    });
+
+    this.teamChannel.on('agent-fallback', (agent, event) => {
+      this.showFallback(agent, event);
+    });
+
+    this.teamChannel.on('agent-retry', (agent, info) => {
+      this.showRetry(agent, info);
+    });
+
     this.teamChannel.on('agent-thinking', (agent) => {
       this.sidebar.updateAgentList(this.teamManager.getAgents());
       // Update spinner to show which agent is working
@@ -406,26 +478,26 @@ class AgentTeamsTUI {
       this.render();
     });
 
-    this.teamChannel.on('agent-responded', (agent, response) => {
+    this.teamChannel.on('agent-responded', (agent, result) => {
       this.sidebar.updateAgentList(this.teamManager.getAgents());
+      this.collapseAgentStream(agent, result);
+      this.addCost(result);
       if (this.activeView === 'team-channel') {
-        const [cleanResponse, cost] = this.stripTokenFooter(response);
-        if (cost > 0) {
-          this.totalCost += cost;
-          this.updateHeader();
-        }
         const colorIndex = this.getAgentColorIndex(agent);
         const color = AGENT_COLORS[colorIndex];
         this.chatPanel.log(`{${color}-fg}{bold}${agent.name}{/} {gray-fg}(${agent.role || agent.provider}){/}`);
-        const formatted = this.formatForChat(cleanResponse);
+        const formatted = this.formatForChat(result.transcript);
         for (const line of formatted) {
           this.chatPanel.log(`  ${line}`);
         }
         // Auto-write any files found in the response
-        const written = this.fileWriter.processResponse(cleanResponse, this.currentDir);
+        const written = this.fileWriter.processResponse(result.text, this.currentDir, {
+          truncated: result.truncated, agent: agent.name, checkpoint: result.checkpoint
+        });
         if (written.length > 0) {
           this.chatPanel.log(`  {green-fg}[Wrote ${written.length} file(s): ${written.join(', ')}]{/}`);
         }
+        this.showRefusedFiles();
         this.chatPanel.log('');
       }
       this.render();
@@ -433,8 +505,12 @@ class AgentTeamsTUI {
 
     this.teamChannel.on('agent-error', (agent, error) => {
       this.sidebar.updateAgentList(this.teamManager.getAgents());
+      // Keep partial output visible
+      this.agentStreams.delete(agent.id);
+      this.reasoningViewFor(agent).detach();
       if (this.activeView === 'team-channel') {
         this.chatPanel.log(`{red-fg}{bold}${agent.name}{/} {red-fg}Error: ${this.escapeContent(error.message)}{/}`);
+        if (error.hint) this.chatPanel.log(`  {cyan-fg}Fix:{/} ${this.escapeContent(error.hint)}`);
         this.chatPanel.log('');
       }
       this.render();
@@ -448,9 +524,23 @@ class AgentTeamsTUI {
       this.render();
     });
 
-    this.teamChannel.on('agent-tool-result', (agent, toolName, success) => {
+    this.teamChannel.on('agent-tool-result', (agent, toolName, success, error) => {
+      if (error?.hint) this.chatPanel.log(`  {red-fg}[${toolName}]{/} ${this.escapeContent(error.message)} {cyan-fg}Fix:{/} ${this.escapeContent(error.hint)}`);
       this.sidebar.updateAgentList(this.teamManager.getAgents());
     });
+
+    this.teamChannel.on('compacted', ({ summarizedCount }) => {
+      this.addSystemMessage(`Team channel: summarised ${summarizedCount} earlier messages to fit the context window`);
+    });
+
+    this.teamChannel.on('compact-error', (error) => {
+      this.addSystemMessage(`Team channel compaction failed: ${error.message}`);
+    });
+
+    this.teamChannel.on('budget-exceeded', (agent, exceeded) => {
+      const action = exceeded.scope === 'agent' ? `Skipped ${agent.name}` : 'Round stopped';
+      this.addSystemMessage(`${action}: ${exceeded.message}`);
+    });
   }
 
   getAgentColorIndex(agent) {
@@ -460,11 +550,13 @@ class AgentTeamsTUI {
   }
 
   formatToolSummary(toolName, args) {
+    if (GIT_TOOLS.has(toolName)) return describeGitTool(toolName, args);
     switch (toolName) {
       case 'bash': return `$ ${(args.command || '').slice(0, 60)}`;
       case 'read': return args.filePath || '';
       case 'write': return args.filePath || '';
       case 'edit': return args.filePath || '';
+      case 'apply_patch': return describePatch(args.patch);
       case 'glob': return args.pattern || '';
       case 'grep': return `/${(args.pattern || '').slice(0, 40)}/`;
       default: return '';
@@ -514,6 +606,7 @@ class AgentTeamsTUI {
     this.activeView = 'team-channel';
     this.chatPanel.setLabel(' Team Channel ');
     this.chatPanel.setContent('');
+    this.clearStreams();
     this.updateInputLabel();
 
     // Redisplay shared messages
@@ -526,8 +619,7 @@ class AgentTeamsTUI {
         const colorIndex = agent ? this.getAgentColorIndex(agent) : 0;
         const color = AGENT_COLORS[colorIndex];
         this.chatPanel.log(`{${color}-fg}{bold}${msg.agentName}{/} {gray-fg}(${msg.role || ''}){/}`);
-        const [clean] = this.stripTokenFooter(msg.content);
-        const formatted = this.formatForChat(clean);
+        const formatted = this.formatForChat(msg.content);
         for (const line of formatted) {
           this.chatPanel.log(`  ${line}`);
         }
@@ -543,6 +635,7 @@ class AgentTeamsTUI {
     this.activeView = agent.id;
     this.chatPanel.setLabel(` DM: ${agent.name} (${agent.role || agent.provider}) `);
     this.chatPanel.setContent('');
+    this.clearStreams();
     this.updateInputLabel();
 
     // Redisplay agent DM history
@@ -550,9 +643,8 @@ class AgentTeamsTUI {
       if (msg.role === 'user') {
         this.chatPanel.log(`{bold}{cyan-fg}You:{/} ${this.escapeContent(msg.content)}`);
       } else {
-        const [clean] = this.stripTokenFooter(msg.content);
         this.chatPanel.log(`{bold}{green-fg}${agent.name}:{/}`);
-        const formatted = this.formatForChat(clean);
+        const formatted = this.formatForChat(msg.content);
         for (const line of formatted) {
           this.chatPanel.log(`  ${line}`);
         }
@@ -588,19 +680,26 @@ class AgentTeamsTUI {
     }
 
     this.chatPanel.log(`{bold}{cyan-fg}You:{/} ${this.escapeContent(input)}`);
+    const images = this.takeImages();
     this.chatPanel.log('');
     this.startSpinner();
+    this.broadcastController = new AbortController();
 
     try {
-      const responses = await this.teamChannel.broadcastToAll(input, {
-        directory: this.currentDir
+      // Costs are added per agent as each one responds
+      await this.teamChannel.broadcastToAll(input, {
+        directory: this.currentDir,
+        signal: this.broadcastController.signal,
+        images
       });
 
       this.stopSpinner(true);
-      this.extractCosts(responses);
     } catch (error) {
       this.stopSpinner(false);
-      this.addSystemMessage(`Error: ${error.message}`);
+      this.showError(error);
+      this.restoreImages(images);
+    } finally {
+      this.broadcastController = null;
     }
     this.render();
   }
@@ -613,52 +712,71 @@ class AgentTeamsTUI {
     }
 
     this.chatPanel.log(`{bold}{cyan-fg}You:{/} ${this.escapeContent(input)}`);
+    const images = this.takeImages();
     this.chatPanel.log('');
     this.startSpinner();
+    const stream = this.createStreamWriter();
 
     try {
       agent.status = 'thinking';
       this.sidebar.updateAgentList(this.teamManager.getAgents());
       this.render();
 
-      const response = await agent.sendMessage(input, {
+      const result = await agent.sendMessage(input, {
         directory: this.currentDir,
         mode: 'build',
         includeHistory: true,
         safeMode: true,
+        images,
         onToolCall: (name, args) => {
           this.chatPanel.log(`  {gray-fg}[${name}]{/} ${this.formatToolSummary(name, args)}`);
           this.render();
         },
-        onToolResult: () => {},
-        onPermissionRequired: async () => true
+        onToolResult: (name, success, error) => {
+          if (!error?.hint) return;
+          this.chatPanel.log(`  {red-fg}[${name}]{/} ${this.escapeContent(error.message)} {cyan-fg}Fix:{/} ${this.escapeContent(error.hint)}`);
+          this.render();
+        },
+        onPermissionRequired: async () => true,
+        onDelta: (delta) => {
+          if (delta.type === 'reasoning') this.reasoningViewFor(agent).write(delta.text);
+          if (delta.type !== 'text') return;
+          if (!stream.started) stream.begin(`{bold}{green-fg}${agent.name}:{/}`);
+          stream.write(delta.text);
+        },
+        onRetry: (info) => this.showRetry(agent, info),
+        onFallback: (event) => this.showFallback(agent, event),
+        onCompact: (result) => this.showCompaction(agent, result)
       });
 
       agent.status = 'idle';
       this.sidebar.updateAgentList(this.teamManager.getAgents());
       this.stopSpinner(true);
+      this.reasoningViewFor(agent).collapse(result.reasoning, [stream]);
+      if (result.reasoning) this.lastReasoningAgent = agent;
 
-      const [cleanResponse, cost] = this.stripTokenFooter(response);
-      if (cost > 0) {
-        this.totalCost += cost;
-        this.updateHeader();
-      }
+      this.addCost(result);
       this.chatPanel.log(`{bold}{green-fg}${agent.name}:{/}`);
-      const formatted = this.formatForChat(cleanResponse);
+      const formatted = this.formatForChat(result.transcript);
       for (const line of formatted) {
         this.chatPanel.log(`  ${line}`);
       }
       // Auto-write any files found in the response
-      const written = this.fileWriter.processResponse(cleanResponse, this.currentDir);
+      const written = this.fileWriter.processResponse(result.text, this.currentDir, {
+        truncated: result.truncated, agent: agent.name, checkpoint: result.checkpoint
+      });
       if (written.length > 0) {
         this.chatPanel.log(`  {green-fg}[Wrote ${written.length} file(s): ${written.join(', ')}]{/}`);
       }
+      this.showRefusedFiles();
       this.chatPanel.log('');
     } catch (error) {
       agent.status = 'error';
       this.sidebar.updateAgentList(this.teamManager.getAgents());
       this.stopSpinner(false);
-      this.addSystemMessage(`Error: ${error.message}`);
+      this.reasoningViewFor(agent).detach();
+      this.showError(error);
+      this.restoreImages(images);
     }
     this.render();
   }
@@ -675,6 +793,7 @@ class AgentTeamsTUI {
 
       case 'clear':
         this.chatPanel.setContent('');
+        this.clearStreams();
         break;
 
       case 'team':
@@ -689,6 +808,27 @@ class AgentTeamsTUI {
         await this.handleOllamaCommand(args);
         break;
 
+      case 'stop':
+        this.handleStopCommand(args);
+        break;
+
+      case 'compact':
+        await this.handleCompactCommand(args);
+        break;
+
+      case 'thinking':
+        this.handleThinkingCommand(args);
+        break;
+
+      case 'image':
+        this.addSystemMessage(this.pendingImages.command(args, this.currentDir));
+        break;
+
+      case 'undo':
+      case 'checkpoints':
+        checkpointCommand(command, args, this.currentDir).forEach(line => this.addSystemMessage(line));
+        break;
+
       default:
         this.addSystemMessage(`Unknown command: ${command}. Type /help for commands.`);
     }
@@ -806,9 +946,193 @@ class AgentTeamsTUI {
         }
         break;
       }
+      case 'cache': {
+        // /agent cache <agent> on|off — Claude prompt caching for one agent
+        const agent = args[1] && this.findAgent(args[1]);
+        if (!agent || !['on', 'off'].includes(args[2])) {
+          this.addSystemMessage('Usage: /agent cache <agent> on|off');
+          return;
+        }
+        agent.promptCaching = args[2] === 'on';
+        agent.init();
+        this.addSystemMessage(`Prompt caching ${args[2]} for ${agent.name}. /team save to keep it.`);
+        break;
+      }
+      case 'thinking': {
+        // /agent thinking <agent> <tokens|off> — extended thinking budget
+        const agent = args[1] && this.findAgent(args[1]);
+        const tokens = Number(args[2]);
+        if (!agent || !(args[2] === 'off' || (Number.isInteger(tokens) && tokens > 0))) {
+          this.addSystemMessage('Usage: /agent thinking <agent> <tokens|off>');
+          return;
+        }
+        agent.thinkingBudget = args[2] === 'off' ? 0 : tokens;
+        agent.init();
+        const state = agent.thinkingBudget ? `${agent.thinkingBudget} thinking tokens` : 'Thinking off';
+        this.addSystemMessage(`${state} for ${agent.name}. /team save to keep it.`);
+        break;
+      }
+      case 'output': {
+        // /agent output <agent> <tokens|default> — reply length cap
+        const agent = args[1] && this.findAgent(args[1]);
+        const tokens = Number(args[2]);
+        if (!agent || !(args[2] === 'default' || (Number.isInteger(tokens) && tokens > 0))) {
+          this.addSystemMessage('Usage: /agent output <agent> <tokens|default>');
+          return;
+        }
+        agent.maxOutputTokens = args[2] === 'default' ? null : tokens;
+        agent.init();
+        const limit = agent.maxOutputTokens ? `${agent.maxOutputTokens} tokens` : 'the model default';
+        this.addSystemMessage(`Output limit for ${agent.name}: ${limit}. /team save to keep it.`);
+        break;
+      }
+      case 'fallback': {
+        // /agent fallback <agent> <provider/model,...|off> — tried in order when its provider fails
+        const agent = args[1] && this.findAgent(args[1]);
+        const refs = (args[2] || '').split(',').map(ref => ref.trim()).filter(Boolean);
+        if (!agent || refs.length === 0 || (args[2] !== 'off' && refs.some(ref => !getProvider(ref.split('/')[0])))) {
+          this.addSystemMessage('Usage: /agent fallback <agent> <provider/model,...|off>');
+          return;
+        }
+        agent.fallbacks = args[2] === 'off' ? null : refs;
+        agent.init();
+        const chain = agent.fallbacks ? agent.fallbacks.join(' → ') : 'none (config default)';
+        this.addSystemMessage(`Fallbacks for ${agent.name}: ${chain}. /team save to keep it.`);
+        break;
+      }
       default:
-        this.addSystemMessage('Usage: /agent add|remove|edit|list');
+        this.addSystemMessage('Usage: /agent add|remove|edit|list|cache|thinking|output|fallback');
+    }
+  }
+
+  // Log and hand over the images attached for this message
+  takeImages() {
+    for (const label of this.pendingImages.labels()) {
+      this.chatPanel.log(`  {gray-fg}[image: ${this.escapeContent(label)}]{/}`);
     }
+    return this.pendingImages.take();
+  }
+
+  // Put back the images of a message that failed, for the retry
+  restoreImages(images) {
+    const restored = this.pendingImages.restore(images);
+    if (restored) this.addSystemMessage(restored);
+  }
+
+  // Files the writer held back because the reply was cut off mid-block
+  showRefusedFiles() {
+    const refused = this.fileWriter.refused;
+    if (refused.length > 0) {
+      this.chatPanel.log(`  {red-fg}[Not written, cut off by the output limit: ${refused.join(', ')}]{/}`);
+    }
+  }
+
+  // /thinking [agent] — expand an agent's latest reasoning; defaults to the
+  // agent in this DM, or the last one that reasoned in the team channel
+  handleThinkingCommand(args) {
+    const target = args.join(' ').trim();
+    const agent = target ? this.findAgent(target)
+      : this.activeView === 'team-channel' ? this.lastReasoningAgent
+      : this.teamManager.getAgent(this.activeView);
+    if (target && !agent) {
+      this.addSystemMessage(`Agent not found: ${target}`);
+      return;
+    }
+    if (!agent || !this.reasoningViewFor(agent).expand()) {
+      this.addSystemMessage('No reasoning to show yet.');
+    }
+  }
+
+  // /stop [agent|all] — with no argument, stops the agent in the current DM,
+  // or the whole broadcast from the team channel
+  handleStopCommand(args) {
+    const target = args.join(' ').trim();
+    const agents = this.teamManager.getAgents();
+
+    if (target === 'all' || (!target && this.activeView === 'team-channel')) {
+      const broadcasting = this.broadcastController !== null;
+      this.broadcastController?.abort();
+      const stopped = agents.filter(a => a.stop());
+      if (!broadcasting && stopped.length === 0) {
+        this.addSystemMessage('Nothing to stop.');
+      } else {
+        this.addSystemMessage(`Stopping ${stopped.length > 0 ? stopped.map(a => a.name).join(', ') : 'broadcast'}...`);
+      }
+      return;
+    }
+
+    const agent = this.findAgent(target);
+    if (!agent) {
+      this.addSystemMessage(`Agent not found: ${target}`);
+      return;
+    }
+    if (agent.stop()) {
+      this.addSystemMessage(`Stopping ${agent.name}...`);
+    } else {
+      this.addSystemMessage(`${agent.name} is not running.`);
+    }
+  }
+
+  // /compact [agent|all] — with no argument, compacts the current DM's
+  // history, or the team channel's shared history
+  async handleCompactCommand(args) {
+    const target = args.join(' ').trim();
+    const agents = this.teamManager.getAgents();
+
+    if (target === 'all' || (!target && this.activeView === 'team-channel')) {
+      if (agents.length === 0) {
+        this.addSystemMessage('No agents in team.');
+        return;
+      }
+      try {
+        const result = await this.teamChannel.compact(agents[0]);
+        this.addSystemMessage(result.compacted
+          ? `Team channel: summarised ${result.summarizedCount} earlier messages`
+          : 'Team channel: nothing to compact yet.');
+      } catch (err) {
+        this.addSystemMessage(`Team channel compaction failed: ${err.message}`);
+      }
+      if (target !== 'all') return;
+      for (const agent of agents) {
+        await this.compactAgent(agent);
+      }
+      return;
+    }
+
+    const agent = this.findAgent(target);
+    if (!agent) {
+      this.addSystemMessage(`Agent not found: ${target}`);
+      return;
+    }
+    await this.compactAgent(agent);
+  }
+
+  async compactAgent(agent) {
+    try {
+      const result = await agent.compact({ force: true });
+      if (result.compacted) {
+        this.showCompaction(agent, result);
+      } else {
+        this.addSystemMessage(`${agent.name}: nothing to compact yet.`);
+      }
+    } catch (err) {
+      this.addSystemMessage(`${agent.name}: compaction failed: ${err.message}`);
+    }
+  }
+
+  showCompaction(agent, result) {
+    if (result.error) {
+      this.addSystemMessage(`${agent.name}: compaction failed: ${result.error.message}`);
+    } else {
+      this.addSystemMessage(`${agent.name}: summarised ${result.summarizedCount} earlier messages (~${result.before} → ~${result.after} tokens)`);
+    }
+  }
+
+  // By id or (case-insensitive) name; no target means the agent in the current DM
+  findAgent(target) {
+    if (!target) return this.teamManager.getAgent(this.activeView);
+    return this.teamManager.getAgent(target) ||
+      this.teamManager.getAgents().find(a => a.name.toLowerCase() === target.toLowerCase());
   }
 
   async handleOllamaCommand(args) {
@@ -860,7 +1184,17 @@ class AgentTeamsTUI {
     this.chatPanel.log('{bold}Commands:{/}');
     this.chatPanel.log('  {cyan-fg}/team create|load|save|list|delete <name>{/}');
     this.chatPanel.log('  {cyan-fg}/agent add|remove|edit|list{/}');
+    this.chatPanel.log('  {cyan-fg}/agent cache <agent> on|off{/}');
+    this.chatPanel.log('  {cyan-fg}/agent thinking <agent> <tokens|off>{/}');
+    this.chatPanel.log('  {cyan-fg}/agent output <agent> <tokens|default>{/}');
+    this.chatPanel.log('  {cyan-fg}/agent fallback <agent> <provider/model,...|off>{/}');
+    this.chatPanel.log('  {cyan-fg}/thinking [agent]{/} Expand the latest reasoning');
+    this.chatPanel.log('  {cyan-fg}/image <path>|clear{/} Attach an image to the next message');
+    this.chatPanel.log('  {cyan-fg}/undo [n]{/} Put back the files the last n agent turns changed');
+    this.chatPanel.log('  {cyan-fg}/checkpoints{/} List the saved checkpoints');
     this.chatPanel.log('  {cyan-fg}/ollama models|status{/}');
+    this.chatPanel.log('  {cyan-fg}/stop [agent|all]{/} Stop a running agent (default: this DM / the broadcast)');
+    this.chatPanel.log('  {cyan-fg}/compact [agent|all]{/} Summarise older history (default: this DM / the team channel)');
     this.chatPanel.log('  {cyan-fg}/help{/}     Show this help');
     this.chatPanel.log('  {cyan-fg}/clear{/}    Clear chat');
     this.chatPanel.log('');
@@ -885,8 +1219,9 @@ class AgentTeamsTUI {
         this.currentSpinnerMessage = SPINNER_MESSAGES[Math.floor(Math.random() * SPINNER_MESSAGES.length)];
       }
 
-      this.inputBox.setLabel(` ${frame} ${this.currentSpinnerMessage} [${elapsed}s] `);
-      this.inputBox.style.label.fg = 'yellow';
+      const retryLabel = this.retryStatus.label(this.retryAgentName ? `${this.retryAgentName}: ` : '');
+      this.inputBox.setLabel(` ${frame} ${retryLabel || this.currentSpinnerMessage} [${elapsed}s] `);
+      this.inputBox.style.label.fg = retryLabel ? 'red' : 'yellow';
       this.render();
     }, 80);
   }
@@ -896,19 +1231,28 @@ class AgentTeamsTUI {
       clearInterval(this.spinnerInterval);
       this.spinnerInterval = null;
     }
+    this.retryStatus.clear();
     this.updateInputLabel();
   }
 
-  extractCosts(responses) {
-    for (const { response } of responses) {
-      this.extractCostFromResponse(response);
-    }
+  // A provider call is backing off — the spinner label counts down the wait
+  showRetry(agent, info) {
+    this.retryStatus.set(info);
+    this.retryAgentName = agent.name;
+    this.chatPanel.log(`  {yellow-fg}[retry]{/} ${agent.name}: ${RetryStatus.describe(info)}, waiting ${(info.delayMs / 1000).toFixed(1)}s (${info.attempt}/${info.retries})`);
+    this.render();
+  }
+
+  // The agent's provider failed and the turn moved to its next fallback
+  showFallback(agent, event) {
+    this.chatPanel.log(`  {yellow-fg}[fallback]{/} ${agent.name}: ${this.escapeContent(event.from)} failed (${event.code}), continuing on ${this.escapeContent(event.to)}`);
+    this.render();
   }
 
-  extractCostFromResponse(response) {
-    const costMatch = response.match(/Cost: \$([\d.]+)/);
-    if (costMatch) {
-      this.totalCost += parseFloat(costMatch[1]);
+  // result is the TurnResult from Agent.sendMessage
+  addCost(result) {
+    if (result.cost > 0) {
+      this.totalCost += result.cost;
       this.updateHeader();
     }
   }
@@ -918,19 +1262,16 @@ class AgentTeamsTUI {
     this.render();
   }
 
-  escapeContent(content) {
-    return content.replace(/\{/g, '{{').replace(/\}/g, '}}');
+  // A failed broadcast or DM, with the fix when the error (lib/errors.js)
+  // knows it
+  showError(error) {
+    this.addSystemMessage(`Error: ${this.escapeContent(error.message)}`);
+    if (error.hint) this.chatPanel.log(`  {cyan-fg}Fix:{/} ${this.escapeContent(error.hint)}`);
+    this.render();
   }
 
-  // Strip the token/cost footer appended by grok-api.js and return [cleanContent, cost]
-  stripTokenFooter(response) {
-    const footerMatch = response.match(/\n\n---\nTokens: (\d+) \((\d+) in, (\d+) out\)\nCost: \$([\d.]+)$/);
-    if (footerMatch) {
-      const clean = response.slice(0, footerMatch.index);
-      const cost = parseFloat(footerMatch[4]);
-      return [clean, cost];
-    }
-    return [response, 0];
+  escapeContent(content) {
+    return content.replace(/\{/g, '{{').replace(/\}/g, '}}');
   }
 
   // Convert basic markdown to blessed tags for readable output
@@ -1005,6 +1346,10 @@ export async function runAgentTeamsTUI(options = {}) {
 
   try {
     const tui = new AgentTeamsTUI();
+    // chat --teams --image: attached to the first message
+    for (const imagePath of options.image || []) {
+      tui.addSystemMessage(tui.pendingImages.command([imagePath], tui.currentDir));
+    }
 
     // Welcome message
     tui.chatPanel.log('');
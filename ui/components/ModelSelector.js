@@ -1,29 +1,28 @@
 import React, { useState } from 'react';
 import { Box, Text } from 'ink';
 import TextInput from 'ink-text-input';
+import { config } from '../../config/config.js';
+import { modelCatalog } from '../../lib/model-catalog.js';
 
 interface ModelSelectorProps {
+  models?: string[];
   onSelect: (model: string) => void;
   onCancel: () => void;
 }
 
-const AVAILABLE_MODELS = [
-  'grok-4-1-fast-reasoning',
-  'grok-4-latest',
-  'grok-4-1-fast-non-reasoning',
-  'grok-4-1-fast',
-  'grok-4',
-  'grok-beta'
-];
-
-export function ModelSelector({ onSelect, onCancel }: ModelSelectorProps) {
+// Defaults to the active provider's cached catalog (lib/model-catalog.js)
+export function ModelSelector({
+  models = modelCatalog.peek(config.getProvider()).map(entry => entry.id),
+  onSelect,
+  onCancel
+}: ModelSelectorProps) {
   const [inputValue, setInputValue] = useState('');
 
   const handleSubmit = (value: string) => {
     const model = value.trim();
     if (model === 'cancel') {
       onCancel();
-    } else if (AVAILABLE_MODELS.includes(model)) {
+    } else if (models.includes(model)) {
       onSelect(model);
     } else {
       // Invalid model, just cancel
@@ -58,7 +57,7 @@ export function ModelSelector({ onSelect, onCancel }: ModelSelectorProps) {
         "Select Model"
       ),
       React.createElement(Text, {}, " "),
-      AVAILABLE_MODELS.map((model, index) =>
+      models.map((model, index) =>
         React.createElement(
           Box,
           { key: model },
@@ -1,6 +1,8 @@
 import blessed from 'blessed';
 import { EventEmitter } from 'events';
 import { Theme } from '../styles/theme.js';
+import { config } from '../../config/config.js';
+import { modelCatalog, describeModel } from '../../lib/model-catalog.js';
 
 export class ModelSelector extends EventEmitter {
   constructor(options = {}) {
@@ -14,14 +16,10 @@ export class ModelSelector extends EventEmitter {
       ...options
     };
 
-    this.models = [
-      'grok-4-latest',
-      'grok-4-1-fast-reasoning',
-      'grok-4-1-fast-non-reasoning',
-      'grok-4-1-fast',
-      'grok-4',
-      'grok-beta'
-    ];
+    // Cached or built-in list right away; loadModels() swaps in the live one
+    this.provider = this.options.provider || config.getProvider();
+    this.entries = modelCatalog.peek(this.provider);
+    this.models = this.entries.map(entry => entry.id);
 
     this.selectedIndex = 0;
     this.createElement();
@@ -71,20 +69,19 @@ export class ModelSelector extends EventEmitter {
     });
   }
 
+  // Fetch the provider's current model list from the catalog
+  async loadModels(provider = this.provider) {
+    this.provider = provider;
+    this.entries = await modelCatalog.list(provider);
+    this.models = this.entries.map(entry => entry.id);
+    this.updateDisplay();
+  }
+
   updateDisplay() {
     const items = this.models.map(model => {
-      // Add descriptions for models
-      const descriptions = {
-        'grok-4-latest': 'Latest Grok 4 model',
-        'grok-4-1-fast-reasoning': 'Fast reasoning with 2M context',
-        'grok-4-1-fast-non-reasoning': 'Fast responses, no reasoning',
-        'grok-4-1-fast': 'General fast model',
-        'grok-4': 'Full Grok 4 capabilities',
-        'grok-beta': 'Beta features and improvements'
-      };
-
-      const desc = descriptions[model] || '';
-      return `${model} - ${desc}`;
+      const entry = this.entries.find(e => e.id === model);
+      const desc = entry ? describeModel(entry) : '';
+      return desc ? `${model} - ${desc}` : model;
     });
 
     this.element.setItems(items);
@@ -1,40 +1,8 @@
 import blessed from 'blessed';
 import { EventEmitter } from 'events';
-import { OllamaProvider } from '../../lib/ollama-provider.js';
+import { getProvider, providerIds } from '../../lib/providers/index.js';
 import { config } from '../../config/config.js';
-
-const PROVIDER_MODELS = {
-  grok: [
-    'grok-4-1-fast-reasoning',
-    'grok-4-1-fast-non-reasoning',
-    'grok-4-latest',
-    'grok-4',
-    'grok-3-latest',
-    'grok-3-fast',
-    'grok-3-mini',
-    'grok-3-mini-fast'
-  ],
-  groq: [
-    'llama-3.3-70b-versatile',
-    'llama-3.1-8b-instant',
-    'mixtral-8x7b-32768',
-    'gemma2-9b-it'
-  ],
-  gemini: [
-    'gemini-2.0-flash',
-    'gemini-1.5-pro',
-    'gemini-1.5-flash'
-  ],
-  claude: [
-    'claude-opus-4-6',
-    'claude-opus-4-5-20251101',
-    'claude-sonnet-4-5-20250929',
-    'claude-haiku-4-5-20251001'
-  ],
-  ollama: []
-};
-
-const PROVIDERS = ['grok', 'groq', 'gemini', 'claude', 'ollama'];
+import { modelCatalog, describeModel } from '../../lib/model-catalog.js';
 
 // Step-by-step wizard using explicit readInput() calls.
 // NO inputOnFocus — we control when the textbox enters input mode.
@@ -42,12 +10,12 @@ class AgentConfigDialog extends EventEmitter {
   constructor(screen) {
     super();
     this.screen = screen;
-    this.ollamaProvider = new OllamaProvider(config.getOllamaBaseUrl());
     this.editingAgent = null;
     this._inputActive = false;
 
     this.fields = { name: '', role: '', provider: 'grok', model: '', systemPrompt: '' };
     this.step = 0;
+    this.models = {}; // provider → model catalog entries, once loaded
 
     // --- Overlay ---
     this.overlay = blessed.box({
@@ -178,6 +146,14 @@ class AgentConfigDialog extends EventEmitter {
         if (value) this.fields.role = value;
         this.step = 2;
         break;
+      case 3: // model typed in (provider has no catalog)
+        if (!value && !this.fields.model) {
+          this.renderStep();
+          return;
+        }
+        if (value) this.fields.model = value;
+        this.step = 4;
+        break;
       case 4: // system prompt
         if (value) this.fields.systemPrompt = value;
         this.step = 5;
@@ -189,7 +165,8 @@ class AgentConfigDialog extends EventEmitter {
   handleListSelect(index) {
     switch (this.step) {
       case 2: // provider
-        this.fields.provider = PROVIDERS[index] || 'grok';
+        this.fields.provider = providerIds()[index] || 'grok';
+        this.loadModels(this.fields.provider);
         this.step = 3;
         break;
       case 3: { // model
@@ -256,20 +233,32 @@ class AgentConfigDialog extends EventEmitter {
         this._startTextInput();
         return;
 
-      case 2:
+      case 2: {
         this.promptLabel.setContent('{bold}Select provider:{/}');
-        this.selectList.setItems(PROVIDERS.map(pr =>
+        const providers = providerIds();
+        this.selectList.setItems(providers.map(pr =>
           pr === this.fields.provider ? `${pr} (current)` : pr
         ));
         this.selectList.show();
         this.selectList.focus();
-        this.selectList.select(Math.max(0, PROVIDERS.indexOf(this.fields.provider)));
+        this.selectList.select(Math.max(0, providers.indexOf(this.fields.provider)));
         break;
+      }
 
       case 3: {
         this.promptLabel.setContent(`{bold}Select model for ${this.fields.provider}:{/}`);
         const models = this.getModelsForProvider(this.fields.provider);
-        this.selectList.setItems(models.length > 0 ? models : ['(no models available)']);
+        if (models.length === 0) {
+          this.promptLabel.setContent(`{bold}Enter model name for ${this.fields.provider}:{/}`);
+          this.textInput.clearValue();
+          if (this.fields.model) this.textInput.setValue(this.fields.model);
+          this._startTextInput();
+          return;
+        }
+        this.selectList.setItems(this.getModelEntries(this.fields.provider).map(entry => {
+          const detail = describeModel(entry);
+          return detail ? `${entry.id} {gray-fg}${detail}{/}` : entry.id;
+        }));
         this.selectList.show();
         this.selectList.focus();
         this.selectList.select(0);
@@ -295,8 +284,22 @@ class AgentConfigDialog extends EventEmitter {
     this.screen.render();
   }
 
+  getModelEntries(provider) {
+    return this.models[provider] || modelCatalog.peek(provider);
+  }
+
   getModelsForProvider(provider) {
-    return PROVIDER_MODELS[provider] || [];
+    return this.getModelEntries(provider).map(entry => entry.id);
+  }
+
+  // Live list from the catalog; redraw the model step if it changed while open
+  async loadModels(provider) {
+    const before = this.getModelsForProvider(provider).join();
+    this.models[provider] = await modelCatalog.list(provider);
+    if (this.step === 3 && this.fields.provider === provider && !this.overlay.hidden &&
+        this.getModelsForProvider(provider).join() !== before) {
+      this.renderStep();
+    }
   }
 
   show(existingAgent) {
@@ -317,18 +320,11 @@ class AgentConfigDialog extends EventEmitter {
     }
 
     this.step = 0;
-    this.discoverOllamaModels();
+    this.loadModels(this.fields.provider);
     this.overlay.show();
     this.renderStep();
   }
 
-  async discoverOllamaModels() {
-    try {
-      const models = await this.ollamaProvider.getModelNames();
-      if (models.length > 0) PROVIDER_MODELS.ollama = models;
-    } catch (e) { /* ollama may not be running */ }
-  }
-
   hide() {
     this._inputActive = false;
     this.textInput.hide();
@@ -342,8 +338,8 @@ class AgentConfigDialog extends EventEmitter {
     if (!this.fields.name) return;
 
     if (!this.fields.model || this.fields.model.startsWith('(')) {
-      const defaults = PROVIDER_MODELS[this.fields.provider];
-      this.fields.model = defaults?.[0] || 'grok-4-1-fast-reasoning';
+      this.fields.model = getProvider(this.fields.provider)?.defaultModel ||
+        this.getModelsForProvider(this.fields.provider)[0] || 'grok-4-1-fast-reasoning';
     }
 
     const agentConfig = {
@@ -196,6 +196,7 @@ export class OpenGrokTUI extends EventEmitter {
   showModelSelector() {
     this.modelSelector.show();
     this.modelSelector.focus();
+    this.modelSelector.loadModels().catch(() => {});
   }
 
   render() {
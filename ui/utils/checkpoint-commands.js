@@ -0,0 +1,31 @@
+import { checkpointStore, formatCheckpoint, formatUndo } from '../../lib/checkpoints.js';
+
+// Checkpoints /checkpoints lists; the CLI shows the rest
+const LISTED = 10;
+
+// "/undo [n]" puts back the files the last n checkpoints saved and
+// "/checkpoints" lists the latest ones (lib/checkpoints.js). Shared by both
+// TUIs; returns the lines to show.
+function checkpointCommand(command, args, projectRoot) {
+  const store = checkpointStore(projectRoot);
+  if (!store) return ['Checkpoints are off: config "checkpoints" has enabled: false'];
+
+  if (command === 'checkpoints') {
+    const checkpoints = store.list();
+    if (checkpoints.length === 0) return ['No checkpoints yet: one is made each turn an agent changes files'];
+    const lines = checkpoints.slice(0, LISTED).map(formatCheckpoint);
+    if (checkpoints.length > LISTED) lines.push(`… ${checkpoints.length - LISTED} older (gitforked checkpoints list)`);
+    lines.push('/undo [n] undoes the latest n; gitforked checkpoints diff <id> shows what changed since one');
+    return lines;
+  }
+
+  const count = args[0] === undefined ? 1 : Number(args[0]);
+  if (!Number.isInteger(count) || count < 1) return ['Usage: /undo [n]'];
+  try {
+    return store.undo(count).map(formatUndo);
+  } catch (error) {
+    return [error.message];
+  }
+}
+
+export { checkpointCommand };
@@ -0,0 +1,59 @@
+import { ToolSandbox } from '../../lib/tool-sandbox.js';
+import { loadImage, describeImage } from '../../lib/images.js';
+
+// Images attached with /image (or chat --image) and sent with the next
+// message. Loading goes through a ToolSandbox rooted at the working
+// directory, so path and size are checked when the image is attached.
+export class PendingImages {
+  constructor() {
+    this.images = [];
+  }
+
+  get length() {
+    return this.images.length;
+  }
+
+  add(filePath, projectRoot) {
+    const image = loadImage(filePath, new ToolSandbox({ projectRoot }));
+    this.images.push(image);
+    return image;
+  }
+
+  // Hand the images to a prompt; they are not sent twice
+  take() {
+    const images = this.images;
+    this.images = [];
+    return images;
+  }
+
+  // Give back images from a turn that failed, ahead of any attached since;
+  // returns the line to show, or null when there were none
+  restore(images) {
+    if (!images?.length) return null;
+    this.images = [...images, ...this.images];
+    return `${images.length} image(s) still attached — sent with your next message`;
+  }
+
+  labels() {
+    return this.images.map(describeImage);
+  }
+
+  // "/image <path>" attaches, "/image clear" drops them all, "/image" lists
+  // them. Returns the line to show.
+  command(args, projectRoot) {
+    const target = args.join(' ').trim();
+    if (target === 'clear') {
+      const count = this.take().length;
+      return count ? `Dropped ${count} image(s)` : 'No images attached';
+    }
+    if (!target) {
+      return this.length ? `Attached: ${this.labels().join('; ')}` : 'No images attached. Usage: /image <path>';
+    }
+    try {
+      const image = this.add(target, projectRoot);
+      return `Attached ${describeImage(image)} — sent with your next message`;
+    } catch (error) {
+      return `Image not attached: ${error.message}`;
+    }
+  }
+}
@@ -0,0 +1,60 @@
+import { StreamWriter } from './stream-writer.js';
+
+// A model's reasoning in a blessed log: streamed dimmed while it arrives,
+// then collapsed to a one-line summary once the answer is logged. expand()
+// shows the latest one in full (the /thinking command).
+export class ReasoningView {
+  constructor(log, options = {}) {
+    this.log = log;
+    this.escape = options.escape || (text => text);
+    this.render = options.render || (() => {});
+    this.stream = null;
+    this.latest = '';
+  }
+
+  // Log one reasoning delta
+  write(text) {
+    if (!this.stream) {
+      this.stream = new StreamWriter(this.log, {
+        escape: (line) => `{gray-fg}${this.escape(line)}{/}`,
+        render: this.render
+      }).begin('{gray-fg}▾ Thinking…{/}');
+    }
+    this.stream.write(text);
+  }
+
+  // Remove the streamed reasoning, and any other writers on the same log
+  // (the streamed answer), then log the summary line for `reasoning`
+  // unless summary is false
+  collapse(reasoning, others = [], { summary = true } = {}) {
+    StreamWriter.discardAll([this.stream, ...others].filter(Boolean));
+    this.stream = null;
+    if (!reasoning) return;
+    this.latest = reasoning;
+    if (summary) this.log.log(ReasoningView.summary(reasoning));
+  }
+
+  // Forget the streamed lines without removing them (the log was cleared,
+  // or they should stay visible)
+  detach() {
+    this.stream = null;
+  }
+
+  // Log the latest reasoning in full; false when there is none
+  expand() {
+    if (!this.latest) return false;
+    this.log.log('{gray-fg}▾ Thinking{/}');
+    for (const line of this.latest.split('\n')) {
+      this.log.log(`  {gray-fg}${this.escape(line)}{/}`);
+    }
+    this.log.log('');
+    this.render();
+    return true;
+  }
+
+  // e.g. "▸ Thinking (12 lines) — /thinking to expand"
+  static summary(reasoning) {
+    const lines = reasoning.split('\n').length;
+    return `{gray-fg}▸ Thinking (${lines} line${lines === 1 ? '' : 's'}) — /thinking to expand{/}`;
+  }
+}
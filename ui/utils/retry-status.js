@@ -0,0 +1,35 @@
+// Status-line text for a provider call that is backing off before a retry.
+// `info` is the object GrokAPI passes to onRetry.
+export class RetryStatus {
+  constructor() {
+    this.info = null;
+    this.until = 0;
+  }
+
+  set(info) {
+    this.info = info;
+    this.until = Date.now() + info.delayMs;
+  }
+
+  clear() {
+    this.info = null;
+    this.until = 0;
+  }
+
+  get active() {
+    return this.info !== null && Date.now() < this.until;
+  }
+
+  // e.g. "Rate limited (429) — retry 2/4 in 3s"; null once the wait is over
+  label(prefix = '') {
+    if (!this.active) return null;
+    const seconds = Math.ceil((this.until - Date.now()) / 1000);
+    return `${prefix}${RetryStatus.describe(this.info)} — retry ${this.info.attempt}/${this.info.retries} in ${seconds}s`;
+  }
+
+  static describe(info) {
+    if (info.status === 429) return 'Rate limited (429)';
+    if (info.status) return `Server error (${info.status})`;
+    return `Network error (${info.error?.code || 'unknown'})`;
+  }
+}
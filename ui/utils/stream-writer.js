@@ -0,0 +1,110 @@
+// Renders streamed text deltas into a blessed log as they arrive.
+// Lines written here are tracked so the caller can discard them once the
+// final (formatted) response is ready to be logged in their place.
+export class StreamWriter {
+  constructor(log, options = {}) {
+    this.log = log;
+    this.indent = options.indent ?? '  ';
+    this.escape = options.escape || (text => text);
+    this.render = options.render || (() => {});
+    this.renderInterval = options.renderInterval ?? 50;
+
+    this.ownedLines = [];
+    this.partial = '';
+    this.partialLine = -1;
+    this.lineStart = 0;
+    this.shownLength = 0;
+    this.text = '';
+    this._renderTimer = null;
+  }
+
+  get started() {
+    return this.ownedLines.length > 0;
+  }
+
+  // Log a header line (e.g. "AI:") before the first delta
+  begin(header) {
+    if (header) this._push(header);
+    return this;
+  }
+
+  write(text) {
+    if (!text) return;
+    this.text += text;
+
+    const pieces = (this.partial + text).split('\n');
+    this.partial = pieces.pop();
+
+    for (const line of pieces) {
+      this._writePartial(line);
+      this.partialLine = -1;
+      this.lineStart = 0;
+    }
+    if (this.partial) this._writePartial(this.partial);
+
+    this._scheduleRender();
+  }
+
+  // Remove every line this writer logged
+  discard() {
+    StreamWriter.discardAll([this]);
+  }
+
+  // Writers sharing a log (e.g. reasoning and answer text) must be discarded
+  // together: deleting one's lines shifts the indices the others hold
+  static discardAll(writers) {
+    if (writers.length === 0) return;
+    const log = writers[0].log;
+    const lines = writers.flatMap(writer => writer.ownedLines).sort((a, b) => b - a);
+    for (const i of lines) {
+      if (i < log.getLines().length) log.deleteLine(i);
+    }
+    for (const writer of writers) {
+      writer._cancelRender();
+      writer.ownedLines = [];
+      writer.partial = '';
+      writer.partialLine = -1;
+      writer.lineStart = 0;
+    }
+    writers[0].render();
+  }
+
+  _writePartial(line) {
+    // Someone else logged below our partial line — keep what it shows and
+    // continue the rest of the line on a fresh one
+    if (this.partialLine !== -1 && this.partialLine !== this.log.getLines().length - 1) {
+      this.lineStart = this.shownLength;
+      this.partialLine = -1;
+    }
+
+    const content = `${this.indent}${this.escape(line.slice(this.lineStart))}`;
+    if (this.partialLine !== -1) {
+      this.log.setLine(this.partialLine, content);
+    } else {
+      this.partialLine = this._push(content);
+    }
+    this.shownLength = line.length;
+  }
+
+  _push(line) {
+    this.log.log(line);
+    const index = this.log.getLines().length - 1;
+    this.ownedLines.push(index);
+    return index;
+  }
+
+  _scheduleRender() {
+    if (this._renderTimer) return;
+    this._renderTimer = setTimeout(() => {
+      this._renderTimer = null;
+      this.render();
+    }, this.renderInterval);
+  }
+
+  _cancelRender() {
+    if (this._renderTimer) {
+      clearTimeout(this._renderTimer);
+      this._renderTimer = null;
+    }
+  }
+}